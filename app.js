@@ -2,7 +2,7 @@
  * Todo PWA - SAM Architecture Implementation
  *
  * Architecture: State-Action-Model (SAM)
- * - Model: Holds authoritative state, enforces business rules, persists to Local Storage
+ * - Model: Holds authoritative state, enforces business rules, persists via a storage adapter
  * - Actions: Pure functions that propose state changes
  * - State: Renders current model state to DOM
  *
@@ -13,12 +13,234 @@
    Section 1: Constants and Utilities
    ========================================================================== */
 
-/** @type {string} Local Storage key for todos */
+/** @type {string} Storage key for all lists with their todos and filters */
+const LISTS_KEY = 'lists';
+
+/** @type {string} Storage key for the active list ID */
+const ACTIVE_LIST_KEY = 'activeList';
+
+/**
+ * @type {string} Storage key for every list's filters, by list ID. Kept apart
+ * from the lists so changing a filter stamps nothing and leaves them unwritten.
+ */
+const VIEWS_KEY = 'listViews';
+
+/** @type {string} Legacy storage key for todos, migrated into the default list */
 const STORAGE_KEY = 'todos';
 
-/** @type {string} Local Storage key for filter preference */
+/** @type {string} Legacy storage key for filter preference */
 const FILTER_KEY = 'currentFilter';
 
+/** @type {string} Legacy storage key for the day selected in the calendar */
+const SELECTED_DAY_KEY = 'selectedDay';
+
+/** @type {string} Legacy storage key for the sort-by-due-date preference */
+const SORT_BY_DUE_KEY = 'sortByDueDate';
+
+/** @type {string} Storage key for the sort order preference */
+const SORT_ORDER_KEY = 'sortOrder';
+
+/** @type {Array<string>} Valid sort orders ('manual' keeps the stored order) */
+const SORT_ORDERS = ['newest', 'oldest', 'priority', 'due', 'alpha', 'manual'];
+
+/** @type {string} Storage key for custom tag colors */
+const TAG_COLORS_KEY = 'tagColors';
+
+/** @type {RegExp} Allowed tag names: letters, digits, '_' and '-' */
+const TAG_PATTERN = /^[\p{L}\p{N}_-]{1,40}$/u;
+
+/** @type {Array<string>} Default tag colors, picked by hashing the tag name */
+const TAG_PALETTE = [
+  '#1565C0', '#2E7D32', '#C62828', '#6A1B9A', '#AD1457',
+  '#00695C', '#4E342E', '#37474F', '#283593', '#BF360C'
+];
+
+/** @type {string} Identifies this app's JSON exports */
+const EXPORT_FORMAT = 'todo-pwa';
+
+/** @type {number} Version of the JSON export layout; newer files are rejected */
+const EXPORT_VERSION = 1;
+
+/** @type {Array<string>} CSV export columns, in order */
+const CSV_COLUMNS = [
+  'list', 'id', 'title', 'completed', 'createdAt', 'completedAt', 'dueDate', 'dueTime',
+  'priority', 'tags', 'recurrence', 'subtasks', 'notes'
+];
+
+/** @type {string} Name of the list created on first run */
+const DEFAULT_LIST_NAME = 'My Todos';
+
+/** @type {number} Maximum length of a list name */
+const LIST_NAME_MAX_LENGTH = 100;
+
+/** @type {number} Maximum length of a todo's notes */
+const NOTES_MAX_LENGTH = 10000;
+
+/** @type {Array<string>} Protocols links in notes may use */
+const NOTE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * @type {RegExp} Inline Markdown in notes, one capture group each: `code`,
+ * **bold**, *italics*, _italics_ (not inside words), [label](url) and bare URLs
+ */
+const NOTE_INLINE_PATTERN = new RegExp([
+  '`([^`\\n]+)`',
+  '\\*\\*(\\S(?:.*?\\S)?)\\*\\*',
+  '\\*(\\S(?:.*?\\S)?)\\*',
+  '(?<![\\p{L}\\p{N}])_(\\S(?:.*?\\S)?)_(?![\\p{L}\\p{N}])',
+  '\\[([^\\]\\n]+)\\]\\(([^()\\s]+)\\)',
+  '(https?:\\/\\/[^\\s<>]*[^\\s<>.,:;!?"\')\\]])'
+].join('|'), 'u');
+
+/** @type {string} Storage key for undo/redo history */
+const HISTORY_KEY = 'history';
+
+/** @type {string} IndexedDB setting listing the undo/redo entries' IDs, in order */
+const HISTORY_INDEX_KEY = 'historyIndex';
+
+/** @type {number} Maximum number of undo steps kept */
+const HISTORY_LIMIT = 50;
+
+/** @type {number} Most characters of JSON the undo/redo history may take up */
+const HISTORY_MAX_SIZE = 1000000;
+
+/** @type {string} Storage key for the schema version of the stored data */
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+/** @type {string} Storage key for stored data that couldn't be loaded, kept as a backup */
+const QUARANTINE_KEY = 'quarantine';
+
+/** @type {string} Storage key for the stamps of deleted todos and lists (see mergeReplicas) */
+const TOMBSTONES_KEY = 'tombstones';
+
+/** @type {string} Storage key for how long deleted todos stay in the trash */
+const TRASH_RETENTION_KEY = 'trashRetentionDays';
+
+/** @type {Array<number>} Days the trash can keep todos for; 0 keeps them until emptied */
+const TRASH_RETENTION_OPTIONS = [7, 30, 90, 0];
+
+/** @type {number} Days the trash keeps todos for unless changed */
+const DEFAULT_TRASH_RETENTION = 30;
+
+/** @type {string} Storage key for how old completed todos get before they are archived */
+const ARCHIVE_AFTER_KEY = 'archiveAfterDays';
+
+/** @type {Array<number>} Days after which completed todos can be archived; 0 never does */
+const ARCHIVE_AFTER_OPTIONS = [0, 1, 7, 30];
+
+/** @type {number} Days after which completed todos are archived unless changed */
+const DEFAULT_ARCHIVE_AFTER = 0;
+
+/** @type {number} Milliseconds in a day */
+const DAY_MS = 86400000;
+
+/** @type {string} Storage key for the REST sync endpoint; sync is off without one */
+const SYNC_ENDPOINT_KEY = 'syncEndpoint';
+
+/** @type {string} Storage key for changes waiting to be sent to the sync endpoint */
+const OUTBOX_KEY = 'outbox';
+
+/** @type {string} Storage key for the server cursor of the last changes pulled */
+const SYNC_CURSOR_KEY = 'syncCursor';
+
+/** @type {string} Background sync tag the service worker flushes the outbox on */
+const SYNC_TAG = 'todo-outbox';
+
+/** @type {number} How often to pull changes while sync is on, in milliseconds */
+const SYNC_INTERVAL = 30000;
+
+/** @type {number} How long to wait after a change before sending it, in milliseconds */
+const SYNC_DELAY = 1000;
+
+/** @type {string} Storage key for key bindings changed from the defaults (this device only) */
+const KEYMAP_KEY = 'keymap';
+
+/** @type {Array<string>} Legacy storage keys, removed once their data is migrated */
+const LEGACY_KEYS = [STORAGE_KEY, FILTER_KEY, SELECTED_DAY_KEY, SORT_BY_DUE_KEY];
+
+/** @type {Array<string>} Every storage key the app uses, including legacy ones */
+const LOCAL_STORAGE_KEYS = [
+  LISTS_KEY, ACTIVE_LIST_KEY, SORT_ORDER_KEY, TAG_COLORS_KEY, HISTORY_KEY,
+  SCHEMA_VERSION_KEY, QUARANTINE_KEY, TOMBSTONES_KEY, SYNC_ENDPOINT_KEY, OUTBOX_KEY,
+  SYNC_CURSOR_KEY, VIEWS_KEY, TRASH_RETENTION_KEY, ARCHIVE_AFTER_KEY, KEYMAP_KEY,
+  ...LEGACY_KEYS
+];
+
+/** @type {string} IndexedDB database holding lists, todos, history and settings */
+const DB_NAME = 'todo-pwa';
+
+/** @type {number} IndexedDB database version */
+const DB_VERSION = 1;
+
+/** @type {Array<string>} IndexedDB object stores, settings first */
+const DB_STORES = ['settings', 'lists', 'todos', 'history'];
+
+/** @type {number} How long a toast stays visible, in milliseconds */
+const TOAST_DURATION = 5000;
+
+/** @type {number} Most next-action steps one proposal may set off, in case they loop */
+const MAX_NEXT_ACTIONS = 20;
+
+/** @type {number} Lists showing more todos than this only mount the rows on screen */
+const VIRTUAL_LIST_THRESHOLD = 500;
+
+/** @type {number} Height assumed for a todo row not yet measured, spacing included, in px */
+const TODO_ROW_HEIGHT = 60;
+
+/** @type {number} Rows mounted above and below the screen in a windowed list */
+const VIRTUAL_OVERSCAN = 10;
+
+/** @type {Array<string>} Priority levels, lowest first */
+const PRIORITIES = ['none', 'low', 'medium', 'high'];
+
+/** @type {Array<string>} Weekday names indexed like Date#getDay */
+const WEEKDAY_NAMES = [
+  'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'
+];
+
+/** @type {Array<string>} Filter values accepted by the model */
+const VALID_FILTERS = ['all', 'active', 'completed', 'day', 'today', 'overdue', 'upcoming'];
+
+/**
+ * @type {Object<string, Array<string>>} Default keys for every command, as
+ * written by getKeyFromEvent. Commands without keys are run from the palette.
+ */
+const DEFAULT_KEYMAP = {
+  nextTodo: ['j', 'ArrowDown'],
+  previousTodo: ['k', 'ArrowUp'],
+  toggleTodo: ['x'],
+  editTodo: ['e'],
+  deleteTodo: ['Delete'],
+  moveTodoUp: ['Alt+ArrowUp'],
+  moveTodoDown: ['Alt+ArrowDown'],
+  showAll: ['1'],
+  showActive: ['2'],
+  showCompleted: ['3'],
+  showDueToday: [],
+  showOverdue: [],
+  showUpcoming: [],
+  newTodo: ['n'],
+  focusSearch: ['/'],
+  selectShown: [],
+  clearCompleted: [],
+  archiveCompleted: [],
+  toggleHistory: [],
+  toggleTrash: [],
+  undo: ['Ctrl+z'],
+  redo: ['Ctrl+Shift+z', 'Ctrl+y'],
+  openPalette: ['Ctrl+k'],
+  showShortcuts: ['?']
+};
+
+/** @type {RegExp} A key binding: modifiers, then one character or a named key */
+const KEY_PATTERN = /^(?:Ctrl\+)?(?:Alt\+)?(?:Shift\+)?(?:.|[A-Z][A-Za-z0-9]+)$/u;
+
+/** @type {Object<string, string>} How named keys are shown */
+const KEY_LABELS = {
+  ArrowUp: '\u2191', ArrowDown: '\u2193', ArrowLeft: '\u2190', ArrowRight: '\u2192',
+  Escape: 'Esc'
+};
+
 /**
  * Generates a unique ID using crypto.randomUUID.
  * @returns {string} Unique identifier
@@ -27,6 +249,24 @@ function generateId() {
   return crypto.randomUUID();
 }
 
+/**
+ * Uppercases the first letter of a word.
+ * @param {string} word
+ * @returns {string}
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Counts todos in words.
+ * @param {number} count
+ * @returns {string} e.g. "1 todo" or "3 todos"
+ */
+function formatTodoCount(count) {
+  return count + (count === 1 ? ' todo' : ' todos');
+}
+
 /**
  * Trims and normalizes a todo title.
  * @param {string} title - Raw input title
@@ -36,527 +276,7663 @@ function trimTitle(title) {
   return typeof title === 'string' ? title.trim() : '';
 }
 
-/* ==========================================================================
-   Section 2: Model
-   ========================================================================== */
+/**
+ * Converts a timestamp or Date to a local calendar day key.
+ * @param {number|Date} value - Timestamp in milliseconds or Date
+ * @returns {string} Day key in 'YYYY-MM-DD' format
+ */
+function toDayKey(value) {
+  const date = new Date(value);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return date.getFullYear() + '-' + month + '-' + day;
+}
 
 /**
- * Model layer - holds authoritative state and enforces business rules.
- * Responsible for Local Storage persistence.
+ * Parses a day key into a Date at local midnight.
+ * @param {string} dayKey - Day key in 'YYYY-MM-DD' format
+ * @returns {Date|null} Date or null if the key is malformed
  */
-const model = {
-  /** @type {{ todos: Array<Object>, currentFilter: string }} */
-  state: {
-    todos: [],
-    currentFilter: 'all'
-  },
+function parseDayKey(dayKey) {
+  if (typeof dayKey !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dayKey)) return null;
 
-  /**
-   * Loads state from Local Storage. Falls back to defaults on missing/corrupt data.
-   */
-  load() {
-    try {
-      const todosJson = localStorage.getItem(STORAGE_KEY);
-      const filter = localStorage.getItem(FILTER_KEY);
-
-      if (todosJson) {
-        const parsed = JSON.parse(todosJson);
-        if (Array.isArray(parsed)) {
-          this.state.todos = parsed
-            .filter(
-              (t) => t && typeof t.id === 'string' && typeof t.title === 'string'
-            )
-            .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
-        }
-      }
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  // Reject keys like '2024-02-31' that Date silently rolls over
+  return toDayKey(date) === dayKey ? date : null;
+}
 
-      if (filter && ['all', 'active', 'completed'].includes(filter)) {
-        this.state.currentFilter = filter;
-      }
-    } catch (e) {
-      // Corrupted data — start fresh
-      this.state.todos = [];
-      this.state.currentFilter = 'all';
-    }
-  },
+/**
+ * Shifts a day key by a number of days.
+ * @param {string} dayKey - Day key in 'YYYY-MM-DD' format
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted day key
+ */
+function addDays(dayKey, days) {
+  const date = parseDayKey(dayKey);
+  date.setDate(date.getDate() + days);
+  return toDayKey(date);
+}
 
-  /**
-   * Persists state to Local Storage (optimistic write).
-   * @param {{ todos: Array<Object>, currentFilter: string }} newState
-   */
-  save(newState) {
-    this.state = newState;
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(newState.todos));
-      localStorage.setItem(FILTER_KEY, newState.currentFilter);
-    } catch (e) {
-      // Storage full or unavailable — state still updated in memory
-    }
-  },
+/**
+ * Counts whole calendar days from one day key to another.
+ * @param {string} fromKey - Start day key
+ * @param {string} toKey - End day key
+ * @returns {number} Days from start to end (negative if end is earlier)
+ */
+function daysBetween(fromKey, toKey) {
+  // Rounding absorbs the hour gained or lost across a DST change
+  return Math.round((parseDayKey(toKey) - parseDayKey(fromKey)) / 86400000);
+}
 
-  /**
-   * Adds a new todo. Rejects empty titles.
-   * @param {string} title - Todo title text
-   * @returns {Object|null} New state or null if invalid
-   */
-  addTodo(title) {
-    const trimmed = trimTitle(title);
-    if (!trimmed || trimmed.length > 500) return null;
+/**
+ * Describes a due date relative to today, e.g. "Due tomorrow" or "3 days overdue".
+ * @param {string} dueDate - Due day key
+ * @param {string} todayKey - Today's day key
+ * @returns {{ text: string, overdue: boolean }}
+ */
+function describeDueDate(dueDate, todayKey) {
+  const days = daysBetween(todayKey, dueDate);
+  if (days < 0) {
+    return { text: (days === -1 ? '1 day' : -days + ' days') + ' overdue', overdue: true };
+  }
+  if (days === 0) return { text: 'Due today', overdue: false };
+  if (days === 1) return { text: 'Due tomorrow', overdue: false };
+  if (days < 7) return { text: 'Due in ' + days + ' days', overdue: false };
+  const date = parseDayKey(dueDate).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric'
+  });
+  return { text: 'Due ' + date, overdue: false };
+}
 
-    const todo = {
-      id: generateId(),
-      title: trimmed,
-      completed: false,
-      createdAt: Date.now()
-    };
+/**
+ * Orders todos by due date, soonest first. Todos without a due date go last;
+ * ties keep newest first.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareByDueDate(a, b) {
+  if (a.dueDate !== b.dueDate) {
+    if (!a.dueDate) return 1;
+    if (!b.dueDate) return -1;
+    return a.dueDate < b.dueDate ? -1 : 1;
+  }
+  return (b.createdAt || 0) - (a.createdAt || 0);
+}
 
-    const newState = {
-      ...this.state,
-      todos: [todo, ...this.state.todos]
-    };
-    this.save(newState);
-    return newState;
-  },
+/**
+ * Returns todos ordered for display. Ties keep their stored order.
+ * @param {Array<Object>} todos
+ * @param {string} sortOrder - One of SORT_ORDERS
+ * @returns {Array<Object>} A new, sorted array
+ */
+function sortTodos(todos, sortOrder) {
+  const byNewest = (a, b) => (b.createdAt || 0) - (a.createdAt || 0);
+  switch (sortOrder) {
+    case 'oldest':
+      return [...todos].sort(byNewest).reverse();
+    case 'priority':
+      return [...todos].sort(
+        (a, b) =>
+          PRIORITIES.indexOf(b.priority || 'none') - PRIORITIES.indexOf(a.priority || 'none') ||
+          byNewest(a, b)
+      );
+    case 'due':
+      return [...todos].sort(compareByDueDate);
+    case 'alpha':
+      return [...todos].sort((a, b) =>
+        a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true })
+      );
+    case 'manual':
+      return [...todos];
+    default:
+      return [...todos].sort(byNewest);
+  }
+}
 
-  /**
-   * Toggles the completion status of a todo.
-   * @param {string} id - Todo ID
-   * @returns {Object|null} New state or null if not found
-   */
-  toggleTodo(id) {
-    const index = this.state.todos.findIndex((t) => t.id === id);
-    if (index === -1) return null;
+/**
+ * Formats a 24-hour 'HH:MM' time for display in the user's locale.
+ * @param {string} time - Time in 'HH:MM' format
+ * @returns {string}
+ */
+function formatTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString(undefined, {
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
 
-    const newTodos = this.state.todos.map((t) =>
-      t.id === id ? { ...t, completed: !t.completed } : t
-    );
+/**
+ * Checks for a valid 24-hour 'HH:MM' time.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidTime(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
 
-    const newState = { ...this.state, todos: newTodos };
-    this.save(newState);
-    return newState;
-  },
+/**
+ * Checks that a recurrence rule is well-formed.
+ * Rules: { type: 'daily' } | { type: 'weekdays' } | { type: 'weekly', days: [0-6] } |
+ * { type: 'monthly', day: 1-31 } | { type: 'interval', days: n }
+ * @param {*} rule
+ * @returns {boolean}
+ */
+function isValidRecurrence(rule) {
+  if (!rule || typeof rule !== 'object') return false;
+  switch (rule.type) {
+    case 'daily':
+    case 'weekdays':
+      return true;
+    case 'weekly':
+      return (
+        Array.isArray(rule.days) &&
+        rule.days.length > 0 &&
+        rule.days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+      );
+    case 'monthly':
+      return Number.isInteger(rule.day) && rule.day >= 1 && rule.day <= 31;
+    case 'interval':
+      return Number.isInteger(rule.days) && rule.days >= 1 && rule.days <= 365;
+    default:
+      return false;
+  }
+}
 
-  /**
-   * Deletes a todo by ID.
-   * @param {string} id - Todo ID
-   * @returns {Object|null} New state or null if not found
-   */
-  deleteTodo(id) {
-    const index = this.state.todos.findIndex((t) => t.id === id);
-    if (index === -1) return null;
+/**
+ * Finds the first day after a given day on which a recurrence rule falls.
+ * Monthly rules on days a month lacks (e.g. the 31st) fall on its last day.
+ * @param {Object} rule - Valid recurrence rule
+ * @param {string} afterKey - Day key to search after
+ * @returns {string} Day key of the next occurrence
+ */
+function getNextOccurrence(rule, afterKey) {
+  if (rule.type === 'interval') return addDays(afterKey, rule.days);
 
-    const newTodos = this.state.todos.filter((t) => t.id !== id);
-    const newState = { ...this.state, todos: newTodos };
-    this.save(newState);
-    return newState;
-  },
+  if (rule.type === 'monthly') {
+    const after = parseDayKey(afterKey);
+    for (let offset = 0; offset <= 1; offset++) {
+      const year = after.getFullYear();
+      const month = after.getMonth() + offset;
+      const lastDay = new Date(year, month + 1, 0).getDate();
+      const candidate = toDayKey(new Date(year, month, Math.min(rule.day, lastDay)));
+      if (candidate > afterKey) return candidate;
+    }
+  }
 
-  /**
-   * Edits a todo's title. Rejects empty titles.
-   * @param {string} id - Todo ID
-   * @param {string} newTitle - New title text
-   * @returns {Object|null} New state or null if invalid
-   */
-  editTodo(id, newTitle) {
-    const trimmed = trimTitle(newTitle);
-    if (!trimmed || trimmed.length > 500) return null;
+  let dayKey = addDays(afterKey, 1);
+  for (let i = 0; i < 7; i++) {
+    const weekday = parseDayKey(dayKey).getDay();
+    if (
+      rule.type === 'daily' ||
+      (rule.type === 'weekdays' && weekday >= 1 && weekday <= 5) ||
+      (rule.type === 'weekly' && rule.days.includes(weekday))
+    ) {
+      return dayKey;
+    }
+    dayKey = addDays(dayKey, 1);
+  }
+  return dayKey;
+}
 
-    const index = this.state.todos.findIndex((t) => t.id === id);
-    if (index === -1) return null;
+/**
+ * Finds the due date of a recurring todo's next instance: the first
+ * occurrence after its due date that is not in the past, or the first after
+ * today if it had no due date.
+ * @param {Object} rule - Valid recurrence rule
+ * @param {string|null} dueDate - Due day key of the completed instance
+ * @param {string} todayKey - Today's day key
+ * @returns {string} Day key
+ */
+function getNextDueDate(rule, dueDate, todayKey) {
+  let next = getNextOccurrence(rule, dueDate || todayKey);
+  while (next < todayKey) {
+    next = getNextOccurrence(rule, next);
+  }
+  return next;
+}
 
-    const newTodos = this.state.todos.map((t) =>
-      t.id === id ? { ...t, title: trimmed } : t
-    );
+/**
+ * Builds the next, open instance of a recurring todo. Its checklist starts
+ * over, and it is neither archived nor trashed even if the completed one
+ * was once; it gets its own stamps when saved. The manual order is left to
+ * the caller.
+ * @param {Object} todo - Completed recurring todo
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} New todo
+ */
+function createNextOccurrence(todo, now) {
+  const { archivedAt, deletedAt, stamps, ...fields } = todo;
+  return {
+    ...fields,
+    id: generateId(),
+    completed: false,
+    completedAt: null,
+    createdAt: now,
+    dueDate: getNextDueDate(todo.recurrence, todo.dueDate, toDayKey(now)),
+    subtasks: (todo.subtasks || []).map((s) => ({ ...s, completed: false }))
+  };
+}
 
-    const newState = { ...this.state, todos: newTodos };
-    this.save(newState);
-    return newState;
-  },
+/**
+ * Turns a recurrence type and its detail text (as typed in edit mode) into a rule.
+ * Details: weekday names for 'weekly' ("mon, thu"), a day of the month for
+ * 'monthly', a number of days for 'interval'; other types take none.
+ * @param {string} type - 'none' | a recurrence rule type
+ * @param {string} detail - Detail text
+ * @returns {{ rule: Object|null }|null} Wrapped rule (null rule for 'none'), or null if invalid
+ */
+function parseRecurrenceInput(type, detail) {
+  const text = trimTitle(detail).toLowerCase();
+  let rule;
+  switch (type) {
+    case 'none':
+      return { rule: null };
+    case 'weekly': {
+      const days = text.split(/[\s,]+/).filter(Boolean).map(parseWeekday);
+      rule = { type, days: [...new Set(days)].sort((a, b) => a - b) };
+      break;
+    }
+    case 'monthly':
+      rule = { type, day: /^\d+$/.test(text) ? Number(text) : NaN };
+      break;
+    case 'interval':
+      rule = { type, days: /^\d+$/.test(text) ? Number(text) : NaN };
+      break;
+    default:
+      rule = { type };
+  }
+  return isValidRecurrence(rule) ? { rule } : null;
+}
 
-  /**
-   * Changes the active filter.
-   * @param {string} filterType - 'all' | 'active' | 'completed'
-   * @returns {Object|null} New state or null if invalid
-   */
-  setFilter(filterType) {
-    if (!['all', 'active', 'completed'].includes(filterType)) return null;
+/**
+ * Formats a rule's detail for the edit-mode input (see parseRecurrenceInput).
+ * @param {Object|null} rule - Recurrence rule
+ * @returns {string}
+ */
+function formatRecurrenceDetail(rule) {
+  if (!rule) return '';
+  switch (rule.type) {
+    case 'weekly':
+      return rule.days.map((d) => WEEKDAY_NAMES[d].slice(0, 3)).join(', ');
+    case 'monthly':
+      return String(rule.day);
+    case 'interval':
+      return String(rule.days);
+    default:
+      return '';
+  }
+}
 
-    const newState = { ...this.state, currentFilter: filterType };
-    this.save(newState);
-    return newState;
-  },
+/**
+ * Describes a recurrence rule, e.g. "Every Monday, Thursday".
+ * @param {Object} rule - Valid recurrence rule
+ * @returns {string}
+ */
+function describeRecurrence(rule) {
+  switch (rule.type) {
+    case 'daily':
+      return 'Every day';
+    case 'weekdays':
+      return 'Every weekday';
+    case 'weekly':
+      return 'Every ' + rule.days.map((d) => capitalize(WEEKDAY_NAMES[d])).join(', ');
+    case 'monthly':
+      return 'Every month on day ' + rule.day;
+    default:
+      return 'Every ' + rule.days + ' days';
+  }
+}
 
-  /**
-   * Removes all completed todos.
-   * @returns {Object} New state
-   */
-  clearCompleted() {
-    const newTodos = this.state.todos.filter((t) => !t.completed);
-    const newState = { ...this.state, todos: newTodos };
-    this.save(newState);
-    return newState;
-  },
+/**
+ * Matches a word against weekday names, accepting prefixes of 3+ letters.
+ * @param {string} word
+ * @returns {number} Weekday index like Date#getDay, or -1
+ */
+function parseWeekday(word) {
+  const lower = word.toLowerCase();
+  if (lower.length < 3) return -1;
+  return WEEKDAY_NAMES.findIndex((name) => name.startsWith(lower));
+}
 
-  /**
-   * Gets the count of active (incomplete) todos.
-   * @returns {number}
-   */
-  getActiveCount() {
-    return this.state.todos.filter((t) => !t.completed).length;
-  },
+/**
+ * Parses a clock time such as "5pm", "5:30pm" or "17:00".
+ * A bare number is not treated as a time.
+ * @param {string} word
+ * @returns {string|null} Time in 'HH:MM' format, or null
+ */
+function parseClockTime(word) {
+  const match = /^(\d{1,2})(?::(\d{2}))?(am|pm)?$/i.exec(word);
+  if (!match || (!match[2] && !match[3])) return null;
 
-  /**
-   * Gets the count of completed todos.
-   * @returns {number}
-   */
-  getCompletedCount() {
-    return this.state.todos.filter((t) => t.completed).length;
-  },
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3] && match[3].toLowerCase();
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  }
 
-  /**
-   * Gets todos filtered by the current filter setting.
-   * @returns {Array<Object>}
-   */
-  getFilteredTodos() {
-    const { todos, currentFilter } = this.state;
-    switch (currentFilter) {
-      case 'active':
-        return todos.filter((t) => !t.completed);
+  const time = String(hours).padStart(2, '0') + ':' + String(minutes).padStart(2, '0');
+  return isValidTime(time) ? time : null;
+}
+
+/**
+ * Parses the word after '@' into a due day: today, tomorrow, a weekday
+ * (the next one, or today if it matches) or a 'YYYY-MM-DD' date.
+ * @param {string} word - Text after the '@'
+ * @param {string} todayKey - Today's day key
+ * @returns {string|null} Due day key, or null if not recognized
+ */
+function parseDueWord(word, todayKey) {
+  const lower = word.toLowerCase();
+  if (lower === 'today') return todayKey;
+  if (lower === 'tomorrow' || lower === 'tmr') return addDays(todayKey, 1);
+  if (parseDayKey(word)) return word;
+
+  const weekday = parseWeekday(lower);
+  if (weekday === -1) return null;
+  const todayWeekday = parseDayKey(todayKey).getDay();
+  return addDays(todayKey, (weekday - todayWeekday + 7) % 7);
+}
+
+/**
+ * Parses the words after 'every' into a recurrence rule.
+ * Accepts: day, weekday(s), week, month, a weekday list ("mon,thu") or
+ * "N days". Week and month repeat on the weekday/day of the anchor day.
+ * @param {Array<string>} words - Words following 'every'
+ * @param {string} anchorKey - Day the series starts from
+ * @returns {{ rule: Object, length: number }|null} Rule and number of words used
+ */
+function parseRecurrenceWords(words, anchorKey) {
+  const first = (words[0] || '').toLowerCase();
+  const anchor = parseDayKey(anchorKey);
+
+  if (first === 'day') return { rule: { type: 'daily' }, length: 1 };
+  if (first === 'weekday' || first === 'weekdays') {
+    return { rule: { type: 'weekdays' }, length: 1 };
+  }
+  if (first === 'week') return { rule: { type: 'weekly', days: [anchor.getDay()] }, length: 1 };
+  if (first === 'month') return { rule: { type: 'monthly', day: anchor.getDate() }, length: 1 };
+
+  const count = Number(first);
+  if (Number.isInteger(count) && count >= 1 && /^days?$/i.test(words[1] || '')) {
+    const rule = count === 1 ? { type: 'daily' } : { type: 'interval', days: count };
+    return isValidRecurrence(rule) ? { rule, length: 2 } : null;
+  }
+
+  const days = first.split(',').filter(Boolean).map(parseWeekday);
+  if (days.length > 0 && days.every((d) => d !== -1)) {
+    const unique = [...new Set(days)].sort((a, b) => a - b);
+    return { rule: { type: 'weekly', days: unique }, length: 1 };
+  }
+  return null;
+}
+
+/**
+ * Parses quick-add text into a title and structured fields.
+ * Recognized tokens are removed from the title:
+ * - `#tag` adds a tag (must start with a letter)
+ * - `!low`, `!medium`, `!high` set the priority
+ * - `@today`, `@tomorrow`, `@fri`, `@2024-05-20`, optionally followed by a
+ *   time (`@fri 5pm`), set the due date; `@5pm` means today
+ * - `every monday`, `every weekday`, `every 3 days`… set a recurrence, with the
+ *   first occurrence as the due date if none was given
+ * Unrecognized tokens stay in the title untouched.
+ * @param {string} text - Raw input text
+ * @param {number} [now] - Current time, for relative dates
+ * @returns {{ title: string, tags: Array<string>, priority: string, dueDate: string|null,
+ *   dueTime: string|null, recurrence: Object|null }}
+ */
+function parseQuickAdd(text, now = Date.now()) {
+  const todayKey = toDayKey(now);
+  const result = {
+    title: trimTitle(text),
+    tags: [],
+    priority: 'none',
+    dueDate: null,
+    dueTime: null,
+    recurrence: null
+  };
+  const words = result.title.split(/\s+/);
+  const titleWords = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const tagMatch = /^#(\p{L}[\p{L}\p{N}_-]*)$/u.exec(word);
+    const priorityMatch = /^!(low|medium|high)$/i.exec(word);
+    const recurrence =
+      word.toLowerCase() === 'every'
+        ? parseRecurrenceWords(words.slice(i + 1), result.dueDate || todayKey)
+        : null;
+
+    if (tagMatch && isValidTag(tagMatch[1].toLowerCase())) {
+      const tag = tagMatch[1].toLowerCase();
+      if (!result.tags.includes(tag)) result.tags.push(tag);
+    } else if (priorityMatch) {
+      result.priority = priorityMatch[1].toLowerCase();
+    } else if (word.startsWith('@') && parseClockTime(word.slice(1))) {
+      result.dueDate = result.dueDate || todayKey;
+      result.dueTime = parseClockTime(word.slice(1));
+    } else if (word.startsWith('@') && parseDueWord(word.slice(1), todayKey)) {
+      result.dueDate = parseDueWord(word.slice(1), todayKey);
+      const time = parseClockTime(words[i + 1] || '');
+      if (time) {
+        result.dueTime = time;
+        i++;
+      }
+    } else if (recurrence) {
+      result.recurrence = recurrence.rule;
+      i += recurrence.length;
+    } else {
+      titleWords.push(word);
+    }
+  }
+
+  if (titleWords.length < words.length) {
+    result.title = titleWords.join(' ');
+  }
+  if (result.recurrence && !result.dueDate) {
+    // The series starts at its first occurrence on or after today
+    result.dueDate = getNextOccurrence(result.recurrence, addDays(todayKey, -1));
+  }
+  return result;
+}
+
+/**
+ * Checks for a valid, canonical (lowercase) tag name.
+ * @param {*} tag
+ * @returns {boolean}
+ */
+function isValidTag(tag) {
+  return typeof tag === 'string' && TAG_PATTERN.test(tag) && tag === tag.toLowerCase();
+}
+
+/**
+ * Splits user-entered tag text ("work, #bug home") into canonical tag names.
+ * @param {string} text
+ * @returns {Array<string>} Lowercase tags without '#', in input order, unique
+ */
+function parseTagList(text) {
+  const tags = trimTitle(text)
+    .split(/[\s,]+/)
+    .map((t) => t.replace(/^#/, '').toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Gets a tag's color: its custom color, or a stable palette color.
+ * @param {string} tag
+ * @param {Object<string, string>} tagColors - Custom colors by tag
+ * @returns {string} Hex color
+ */
+function getTagColor(tag, tagColors) {
+  if (tagColors && tagColors[tag]) return tagColors[tag];
+  let hash = 0;
+  for (const char of tag) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+  return TAG_PALETTE[hash % TAG_PALETTE.length];
+}
+
+/**
+ * Picks black or white text for legibility on a background color.
+ * @param {string} hexColor - Color in '#rrggbb' format
+ * @returns {string} '#000' or '#fff'
+ */
+function getContrastTextColor(hexColor) {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hexColor.slice(i, i + 2), 16));
+  // Perceived brightness (ITU-R BT.601)
+  return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#000' : '#fff';
+}
+
+/**
+ * Validates optional todo fields and fills in defaults. Notes are trimmed.
+ * @param {{ dueDate?: string|null, dueTime?: string|null, tags?: Array<string>,
+ *   priority?: string, recurrence?: Object|null, notes?: string }} fields
+ * @returns {Object|null} Normalized fields, or null if any field is invalid
+ */
+function normalizeTodoFields(fields) {
+  const {
+    dueDate = null,
+    dueTime = null,
+    tags = [],
+    priority = 'none',
+    recurrence = null,
+    notes = ''
+  } = fields;
+
+  if (dueDate && !parseDayKey(dueDate)) return null;
+  if (dueTime && (!dueDate || !isValidTime(dueTime))) return null;
+  if (!Array.isArray(tags) || !tags.every(isValidTag)) return null;
+  if (!PRIORITIES.includes(priority)) return null;
+  if (recurrence && !isValidRecurrence(recurrence)) return null;
+  if (typeof notes !== 'string' || notes.trim().length > NOTES_MAX_LENGTH) return null;
+
+  return {
+    dueDate: dueDate || null,
+    dueTime: dueTime || null,
+    tags: [...new Set(tags)],
+    priority,
+    recurrence: recurrence || null,
+    notes: notes.trim()
+  };
+}
+
+/**
+ * Gets the Monday that starts the week containing a date.
+ * @param {number|Date} value - Timestamp in milliseconds or Date
+ * @returns {string} Day key of the week's Monday
+ */
+function getWeekStart(value) {
+  const date = new Date(value);
+  const daysSinceMonday = (date.getDay() + 6) % 7;
+  date.setDate(date.getDate() - daysSinceMonday);
+  return toDayKey(date);
+}
+
+/**
+ * Finds the longest subsequence of values that increase, skipping negative
+ * ones. Given where each todo was before a change, these are the todos that
+ * are still in order relative to each other: undo history leaves them out,
+ * and a render leaves their rows where they are.
+ * @param {Array<number>} values - e.g. old positions, or -1 for new todos
+ * @returns {Set<number>} Indexes into values of the subsequence
+ */
+function getLongestIncreasingSubsequence(values) {
+  // ends[k] is the index of the smallest value ending a subsequence of length k + 1
+  const ends = [];
+  const previous = [];
+  values.forEach((value, i) => {
+    if (value < 0) return;
+    let low = 0;
+    let high = ends.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[ends[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    previous[i] = low > 0 ? ends[low - 1] : -1;
+    ends[low] = i;
+  });
+
+  const indexes = new Set();
+  for (let i = ends.length > 0 ? ends[ends.length - 1] : -1; i !== -1; i = previous[i]) {
+    indexes.add(i);
+  }
+  return indexes;
+}
+
+/**
+ * A change to undo or redo, stored as an inverse patch: what to remove from
+ * and put back into each list it touched. Only todos that changed, or moved
+ * relative to the others, are kept, so an entry's size follows the change
+ * rather than the list.
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Unique ID; an entry never changes once made
+ * @property {string} label - Describes the change the entry undoes (or redoes)
+ * @property {string} listId - List that was active when it was made
+ * @property {Array<{ listId: string, removed: Array<string>,
+ *   restored: Array<{ index: number, todo: Object }> }>} patches - Todos to remove
+ *   by ID, and todos to put back at their index, by ascending index
+ */
+
+/**
+ * Works out the patch that turns todos back from `after` into `before`.
+ * Todos that are the same object in both and still in the same order
+ * relative to each other (see getLongestIncreasingSubsequence) are left out.
+ * @param {Array<Object>} before - Todos before the change
+ * @param {Array<Object>} after - Todos after the change
+ * @returns {{ removed: Array<string>, restored: Array<{ index: number, todo: Object }> }}
+ */
+function createHistoryPatch(before, after) {
+  const positions = new Map(after.map((todo, i) => [todo.id, i]));
+  const kept = getLongestIncreasingSubsequence(before.map((todo) => {
+    const i = positions.has(todo.id) ? positions.get(todo.id) : -1;
+    return i >= 0 && after[i] === todo ? i : -1;
+  }));
+  const beforeIds = new Set(before.map((todo) => todo.id));
+  const restored = [];
+  before.forEach((todo, index) => {
+    if (!kept.has(index)) restored.push({ index, todo });
+  });
+  const removed = after.filter((todo) => !beforeIds.has(todo.id)).map((todo) => todo.id);
+  return { removed, restored };
+}
+
+/**
+ * Applies a patch from createHistoryPatch. Indexes past the end put todos last.
+ * @param {Array<Object>} todos
+ * @param {{ removed: Array<string>, restored: Array<{ index: number, todo: Object }> }} patch
+ * @returns {Array<Object>} Patched todos
+ */
+function applyHistoryPatch(todos, patch) {
+  const dropped = new Set([...patch.removed, ...patch.restored.map(({ todo }) => todo.id)]);
+  const patched = todos.filter((todo) => !dropped.has(todo.id));
+  patch.restored.forEach(({ index, todo }) => {
+    patched.splice(Math.min(index, patched.length), 0, todo);
+  });
+  return patched;
+}
+
+/**
+ * Works out the patches that turn lists back from `after` into `before`,
+ * one for each list whose todos changed (see createHistoryPatch). Lists
+ * missing on either side are skipped.
+ * @param {Array<Object>} before - Lists before the change
+ * @param {Array<Object>} after - Lists after the change
+ * @returns {Array<Object>} Patches of lists that changed (see HistoryEntry)
+ */
+function createHistoryPatches(before, after) {
+  const afterLists = new Map(after.map((list) => [list.id, list]));
+  return before.flatMap((list) => {
+    const next = afterLists.get(list.id);
+    if (!next || next.todos === list.todos) return [];
+    const patch = createHistoryPatch(list.todos, next.todos);
+    return patch.restored.length > 0 || patch.removed.length > 0
+      ? [{ listId: list.id, ...patch }]
+      : [];
+  });
+}
+
+/**
+ * Applies patches from createHistoryPatches. Patches for lists that no
+ * longer exist are ignored.
+ * @param {Array<Object>} lists
+ * @param {Array<Object>} patches - See HistoryEntry
+ * @returns {Array<Object>} Patched lists
+ */
+function applyHistoryPatches(lists, patches) {
+  const byList = new Map(patches.map((patch) => [patch.listId, patch]));
+  return lists.map((list) =>
+    byList.has(list.id)
+      ? { ...list, todos: applyHistoryPatch(list.todos, byList.get(list.id)) }
+      : list
+  );
+}
+
+/**
+ * Keeps undo/redo history within HISTORY_LIMIT entries per stack and
+ * HISTORY_MAX_SIZE characters in all, so it can't crowd the todos out of
+ * storage. The oldest undo entries go first, then the furthest redo
+ * entries; a single change too large to fit isn't kept at all.
+ * @param {{ past: Array<HistoryEntry>, future: Array<HistoryEntry> }} history
+ * @returns {{ past: Array<HistoryEntry>, future: Array<HistoryEntry> }}
+ */
+function trimHistory({ past, future }) {
+  const trimmed = { past: past.slice(-HISTORY_LIMIT), future: future.slice(-HISTORY_LIMIT) };
+  const sizes = {
+    past: trimmed.past.map((entry) => JSON.stringify(entry).length),
+    future: trimmed.future.map((entry) => JSON.stringify(entry).length)
+  };
+  let size = [...sizes.past, ...sizes.future].reduce((sum, n) => sum + n, 0);
+  ['past', 'future'].forEach((stack) => {
+    let dropped = 0;
+    while (size > HISTORY_MAX_SIZE && dropped < sizes[stack].length) {
+      size -= sizes[stack][dropped];
+      dropped++;
+    }
+    trimmed[stack] = trimmed[stack].slice(dropped);
+  });
+  return trimmed;
+}
+
+/**
+ * Keeps only well-formed subtasks.
+ * @param {*} value - Stored subtasks
+ * @returns {Array<{ id: string, title: string, completed: boolean }>}
+ */
+function sanitizeSubtasks(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter((s) => s && typeof s.id === 'string' && typeof s.title === 'string')
+    .map((s) => ({ id: s.id, title: s.title, completed: Boolean(s.completed) }));
+}
+
+/**
+ * Keeps only well-formed stamps ([counter, replicaId], see compareStamps).
+ * @param {*} value - Stored stamps by field or ID
+ * @returns {Object<string, Array>}
+ */
+function sanitizeStamps(value) {
+  const stamps = {};
+  if (value && typeof value === 'object') {
+    Object.keys(value).forEach((key) => {
+      const stamp = value[key];
+      if (Array.isArray(stamp) && stamp.length === 2 && Number.isSafeInteger(stamp[0]) &&
+        stamp[0] >= 0 && typeof stamp[1] === 'string') {
+        stamps[key] = stamp;
+      }
+    });
+  }
+  return stamps;
+}
+
+/**
+ * Keeps only well-formed todos, in their manual order: by `order` when every
+ * todo has one, otherwise as stored and numbered from 0. Orders are kept
+ * as they are otherwise: they carry stamps, and renumbering them here would
+ * change them without one, so replicas would disagree under equal stamps. Malformed
+ * due dates and times, tags, priorities, repeat rules, notes and subtasks are dropped,
+ * and a malformed deletion or archive time brings the todo back to its list.
+ * @param {*} value - Parsed todos payload
+ * @param {Array<*>} [rejected] - Receives the entries that were left out
+ * @returns {Array<Object>} Valid todos (empty if value is not an array)
+ */
+function sanitizeTodos(value, rejected = []) {
+  if (!Array.isArray(value)) {
+    if (value != null) rejected.push(value);
+    return [];
+  }
+  const todos = value.filter((t) => {
+    const isValid = t && typeof t.id === 'string' && typeof t.title === 'string';
+    if (!isValid) rejected.push(t);
+    return isValid;
+  });
+  const isOrdered = todos.every((t) => Number.isFinite(t.order));
+  if (isOrdered) todos.sort((a, b) => a.order - b.order);
+  return todos.map((t, index) => {
+    const dueDate = t.dueDate && parseDayKey(t.dueDate) ? t.dueDate : null;
+    return {
+      ...t,
+      completed: Boolean(t.completed),
+      dueDate,
+      dueTime: dueDate && isValidTime(t.dueTime) ? t.dueTime : null,
+      tags: Array.isArray(t.tags) ? t.tags.filter(isValidTag) : [],
+      priority: PRIORITIES.includes(t.priority) ? t.priority : 'none',
+      recurrence: isValidRecurrence(t.recurrence) ? t.recurrence : null,
+      notes: typeof t.notes === 'string' ? t.notes : '',
+      subtasks: sanitizeSubtasks(t.subtasks),
+      ...('deletedAt' in t && { deletedAt: Number.isFinite(t.deletedAt) ? t.deletedAt : null }),
+      ...('archivedAt' in t && { archivedAt: Number.isFinite(t.archivedAt) ? t.archivedAt : null }),
+      order: isOrdered ? t.order : index,
+      stamps: sanitizeStamps(t.stamps)
+    };
+  });
+}
+
+/**
+ * Keeps only well-formed lists, validating their todos and view settings.
+ * Lists saved before stamps existed get a zero creation stamp ranked by
+ * position, so every replica keeps them in their stored order.
+ * @param {*} value - Parsed lists payload
+ * @param {Array<*>} [rejected] - Receives the lists and todos that were left out
+ * @returns {Array<Object>} Valid lists (empty if value is not an array)
+ */
+function sanitizeLists(value, rejected = []) {
+  if (!Array.isArray(value)) {
+    if (value != null) rejected.push(value);
+    return [];
+  }
+  return value
+    .filter((l) => {
+      const isValid = l && typeof l.id === 'string' && typeof l.name === 'string';
+      if (!isValid) rejected.push(l);
+      return isValid;
+    })
+    .map((l, index) => {
+      const stamps = sanitizeStamps(l.stamps);
+      const created = stamps.created || [0, String(index).padStart(6, '0')];
+      return {
+        id: l.id,
+        name: l.name,
+        todos: sanitizeTodos(l.todos, rejected),
+        ...sanitizeFilter(l.currentFilter, l.selectedDay),
+        ...sanitizeTagFilter(l.selectedTags, l.tagMatchMode),
+        stamps: { ...stamps, created }
+      };
+    });
+}
+
+/**
+ * Keeps only valid custom tag colors.
+ * @param {*} value - Parsed tag colors
+ * @returns {Object<string, string>}
+ */
+function sanitizeTagColors(value) {
+  const tagColors = {};
+  if (value && typeof value === 'object') {
+    Object.keys(value).forEach((tag) => {
+      if (isValidTag(tag) && /^#[0-9a-f]{6}$/i.test(value[tag])) {
+        tagColors[tag] = value[tag];
+      }
+    });
+  }
+  return tagColors;
+}
+
+/**
+ * Reads a setting counted in days, falling back to its default.
+ * @param {*} value - Stored setting
+ * @param {Array<number>} options - Values the setting can take
+ * @param {number} fallback - Default value
+ * @returns {number} One of `options`
+ */
+function sanitizeDaysSetting(value, options, fallback) {
+  const days = Number(value);
+  return value !== null && options.includes(days) ? days : fallback;
+}
+
+/**
+ * Validates a stored filter, falling back to 'all'.
+ * The 'day' filter is only kept if its selected day is valid.
+ * @param {*} filter - Stored filter value
+ * @param {*} selectedDay - Stored day key for the 'day' filter
+ * @returns {{ currentFilter: string, selectedDay: string|null }}
+ */
+function sanitizeFilter(filter, selectedDay) {
+  if (filter === 'day') {
+    return parseDayKey(selectedDay)
+      ? { currentFilter: 'day', selectedDay }
+      : { currentFilter: 'all', selectedDay: null };
+  }
+  return {
+    currentFilter: VALID_FILTERS.includes(filter) ? filter : 'all',
+    selectedDay: null
+  };
+}
+
+/**
+ * Validates a stored tag filter, dropping malformed tags.
+ * @param {*} selectedTags - Stored selected tags
+ * @param {*} tagMatchMode - Stored match mode
+ * @returns {{ selectedTags: Array<string>, tagMatchMode: 'any'|'all' }}
+ */
+function sanitizeTagFilter(selectedTags, tagMatchMode) {
+  return {
+    selectedTags: Array.isArray(selectedTags) ? selectedTags.filter(isValidTag) : [],
+    tagMatchMode: tagMatchMode === 'all' ? 'all' : 'any'
+  };
+}
+
+/**
+ * Picks the per-list view settings (filters) from a list or model state.
+ * @param {Object} source - List or model state
+ * @returns {{ currentFilter: string, selectedDay: string|null, selectedTags: Array<string>,
+ *   tagMatchMode: string }}
+ */
+function getListView(source) {
+  return {
+    currentFilter: source.currentFilter,
+    selectedDay: source.selectedDay,
+    selectedTags: source.selectedTags || [],
+    tagMatchMode: source.tagMatchMode || 'any'
+  };
+}
+
+/**
+ * Picks every list's view settings, to store under VIEWS_KEY.
+ * @param {Array<Object>} lists - Lists with their views up to date
+ * @returns {Object<string, Object>} Views by list ID (see getListView)
+ */
+function getListViews(lists) {
+  return Object.fromEntries(lists.map((list) => [list.id, getListView(list)]));
+}
+
+/**
+ * Reads the views stored under VIEWS_KEY, dropping malformed ones.
+ * @param {StorageAdapter} storage
+ * @returns {Object<string, Object>} Valid views by list ID
+ */
+function readListViews(storage) {
+  let stored;
+  try {
+    stored = JSON.parse(storage.getItem(VIEWS_KEY) || '{}');
+  } catch (e) {
+    return {};
+  }
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return {};
+  return Object.fromEntries(
+    Object.entries(stored)
+      .filter(([, view]) => view && typeof view === 'object')
+      .map(([id, view]) => [id, {
+        ...sanitizeFilter(view.currentFilter, view.selectedDay),
+        ...sanitizeTagFilter(view.selectedTags, view.tagMatchMode)
+      }])
+  );
+}
+
+/**
+ * Splits a list's todos into those shown, those in the trash and those in
+ * the archive. A todo is in the trash while it has a deletion time, and
+ * otherwise in the archive while it has an archive time.
+ * @param {Array<Object>} todos
+ * @returns {{ todos: Array<Object>, trash: Array<Object>, archive: Array<Object> }}
+ */
+function splitTodos(todos) {
+  return {
+    todos: todos.filter((t) => !t.deletedAt && !t.archivedAt),
+    trash: todos.filter((t) => t.deletedAt),
+    archive: todos.filter((t) => !t.deletedAt && t.archivedAt)
+  };
+}
+
+/**
+ * Returns a state's lists with the active list's todos, trash, archive and
+ * filters copied in from the top-level fields.
+ * @param {Object} state - Model state
+ * @returns {Array<Object>}
+ */
+function getSyncedLists(state) {
+  return state.lists.map((l) =>
+    l.id === state.activeListId
+      ? {
+        ...l,
+        todos: [...state.todos, ...(state.trash || []), ...(state.archive || [])],
+        ...getListView(state)
+      }
+      : l
+  );
+}
+
+/**
+ * Tells whether a todo has been in the trash longer than it keeps them.
+ * @param {Object} todo - Todo in the trash
+ * @param {number} retentionDays - Days the trash keeps todos for; 0 for no limit
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+function isTrashExpired(todo, retentionDays, now) {
+  return retentionDays > 0 && now - todo.deletedAt >= retentionDays * DAY_MS;
+}
+
+/**
+ * Tells whether a completed todo is old enough to be archived automatically.
+ * Todos taken back out of the archive (archivedAt null) stay out.
+ * @param {Object} todo
+ * @param {number} archiveAfterDays - Days after completion; 0 never archives
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+function isArchiveDue(todo, archiveAfterDays, now) {
+  return archiveAfterDays > 0 && todo.completed && !('archivedAt' in todo) &&
+    typeof todo.completedAt === 'number' && now - todo.completedAt >= archiveAfterDays * DAY_MS;
+}
+
+/**
+ * Folds text for searching: lower case with accents removed, so "Café"
+ * reads as "cafe". Also maps each character of the folded text back to the
+ * span of the original it came from, for highlighting.
+ * @param {string} text
+ * @returns {{ folded: string, spans: Array<Array<number>> }} spans[i] is the
+ *   `[start, end)` of folded[i] in text
+ */
+function foldSearchText(text) {
+  let folded = '';
+  const spans = [];
+  let index = 0;
+  for (const char of text) {
+    const part = char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    if (part === '' && spans.length > 0) {
+      // A lone combining mark belongs with the letter before it
+      spans[spans.length - 1][1] = index + char.length;
+    }
+    for (let i = 0; i < part.length; i++) spans.push([index, index + char.length]);
+    folded += part;
+    index += char.length;
+  }
+  return { folded, spans };
+}
+
+/**
+ * Splits a search query into folded terms. A todo matches when it contains
+ * every term.
+ * @param {string} query
+ * @returns {Array<string>} Empty if the query is blank
+ */
+function getSearchTerms(query) {
+  return foldSearchText(query || '').folded.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Finds where search terms occur in a text.
+ * @param {string} text
+ * @param {Array<string>} terms - From getSearchTerms
+ * @returns {Array<Array<number>>} Sorted, non-overlapping `[start, end)` ranges
+ */
+function findSearchMatches(text, terms) {
+  const { folded, spans } = foldSearchText(text);
+  const ranges = [];
+  terms.forEach((term) => {
+    for (let at = folded.indexOf(term); at !== -1; at = folded.indexOf(term, at + 1)) {
+      ranges.push([spans[at][0], spans[at + term.length - 1][1]]);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push(range);
+    return merged;
+  }, []);
+}
+
+/**
+ * Tells whether a todo's title, notes or tags contain every search term.
+ * Tags are searched as "#tag", so both "work" and "#work" find them.
+ * @param {Object} todo
+ * @param {Array<string>} terms - From getSearchTerms
+ * @returns {boolean}
+ */
+function matchesSearch(todo, terms) {
+  const fields = [todo.title, typeof todo.notes === 'string' ? todo.notes : '']
+    .concat((todo.tags || []).map((tag) => '#' + tag))
+    .map((text) => foldSearchText(text).folded);
+  return terms.every((term) => fields.some((field) => field.includes(term)));
+}
+
+/**
+ * Matches a query against a command label, letter by letter in order
+ * ("ndt" finds "Show todos due today"). Letters at the start of a word and
+ * runs of letters score higher.
+ * @param {string} query
+ * @param {string} text
+ * @returns {{ score: number, ranges: Array<Array<number>> }|null} Null if
+ *   the text doesn't match; ranges are `[start, end)` in text, for highlighting
+ */
+function fuzzyMatch(query, text) {
+  const needle = foldSearchText(query).folded.replace(/\s+/g, '');
+  const { folded, spans } = foldSearchText(text);
+  const ranges = [];
+  let score = 0;
+  // Start where the query appears as typed, if it does, so it is marked as one run
+  let from = Math.max(folded.indexOf(needle), 0);
+  for (const char of needle) {
+    const at = folded.indexOf(char, from);
+    if (at === -1) return null;
+    const end = spans[at + char.length - 1][1];
+    if (ranges.length > 0 && at === from) {
+      ranges[ranges.length - 1][1] = end;
+      score += 2;
+    } else {
+      ranges.push([spans[at][0], end]);
+    }
+    if (at === 0 || /\s/.test(folded[at - 1])) score += 3;
+    score += 1;
+    from = at + char.length;
+  }
+  return { score, ranges };
+}
+
+/**
+ * Describes a key press as a binding, e.g. "x", "?", "Shift+Delete" or
+ * "Ctrl+Shift+z". Cmd counts as Ctrl. Shift is left out when it only picks
+ * the character, as for "?".
+ * @param {KeyboardEvent} e
+ * @returns {string|null} Null for a modifier on its own
+ */
+function getKeyFromEvent(e) {
+  if (['Control', 'Alt', 'Shift', 'Meta', 'CapsLock', 'Dead', 'Unidentified'].includes(e.key)) {
+    return null;
+  }
+  let key = e.key === ' ' ? 'Space' : e.key;
+  const isCharacter = [...key].length === 1;
+  if (isCharacter) key = key.toLowerCase();
+  const parts = [];
+  if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey && (!isCharacter || key !== key.toUpperCase())) parts.push('Shift');
+  return parts.concat(key).join('+');
+}
+
+/**
+ * Formats a key binding for display, e.g. "Ctrl+Shift+Z" or "Alt+\u2191".
+ * @param {string} key - From getKeyFromEvent
+ * @returns {string}
+ */
+function formatKey(key) {
+  const [, modifiers, name] = key.match(/^((?:(?:Ctrl|Alt|Shift)\+)*)(.+)$/u);
+  return modifiers + (KEY_LABELS[name] || ([...name].length === 1 ? name.toUpperCase() : name));
+}
+
+/**
+ * Keeps the well-formed bindings of known commands from stored data.
+ * @param {*} value - Parsed keymap
+ * @returns {Object<string, Array<string>>} Bindings by command ID; only
+ *   commands present in the data
+ */
+function sanitizeKeymap(value) {
+  const keymap = {};
+  if (!value || typeof value !== 'object') return keymap;
+  Object.keys(DEFAULT_KEYMAP).forEach((id) => {
+    if (!Array.isArray(value[id])) return;
+    keymap[id] = [...new Set(value[id].filter((key) => {
+      return typeof key === 'string' && KEY_PATTERN.test(key);
+    }))];
+  });
+  return keymap;
+}
+
+/**
+ * Binds a key to a command in place of its current keys, taking the key
+ * away from any other command.
+ * @param {Object<string, Array<string>>} keymap
+ * @param {string} commandId
+ * @param {string} key
+ * @returns {Object<string, Array<string>>} New keymap
+ */
+function bindKey(keymap, commandId, key) {
+  const next = {};
+  Object.keys(keymap).forEach((id) => {
+    next[id] = keymap[id].filter((bound) => bound !== key);
+  });
+  next[commandId] = [key];
+  return next;
+}
+
+/**
+ * Finds the command bound to a key.
+ * @param {Object<string, Array<string>>} keymap
+ * @param {string} key - From getKeyFromEvent
+ * @returns {string|null} Command ID
+ */
+function getCommandForKey(keymap, key) {
+  return Object.keys(keymap).find((id) => keymap[id].includes(key)) || null;
+}
+
+/**
+ * Checks a link target from notes, allowing only web and email links.
+ * Anything else, such as `javascript:` or a relative path, is refused.
+ * @param {string} url
+ * @returns {string|null} Normalized URL, or null if not allowed
+ */
+function sanitizeNoteUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return NOTE_LINK_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Parses inline Markdown (see NOTE_INLINE_PATTERN) into nodes. A link whose
+ * target isn't allowed stays as its source text, and links never nest.
+ * @param {string} text
+ * @param {boolean} [inLink] - Whether the text is a link label
+ * @returns {Array<Object>} Nodes: `{ type: 'text' | 'code', text }`,
+ *   `{ type: 'strong' | 'em', children }` or `{ type: 'link', href, children }`
+ */
+function parseNoteInline(text, inLink = false) {
+  const nodes = [];
+  let rest = text;
+  let match;
+  while ((match = NOTE_INLINE_PATTERN.exec(rest))) {
+    const [source, code, strong, em, underscored, label, url, bareUrl] = match;
+    if (match.index > 0) nodes.push({ type: 'text', text: rest.slice(0, match.index) });
+    rest = rest.slice(match.index + source.length);
+
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (strong !== undefined) {
+      nodes.push({ type: 'strong', children: parseNoteInline(strong, inLink) });
+    } else if (em !== undefined || underscored !== undefined) {
+      nodes.push({ type: 'em', children: parseNoteInline(em || underscored, inLink) });
+    } else {
+      const href = inLink ? null : sanitizeNoteUrl(bareUrl || url);
+      if (!href) {
+        nodes.push({ type: 'text', text: source });
+      } else {
+        const children = bareUrl ? [{ type: 'text', text: bareUrl }] : parseNoteInline(label, true);
+        nodes.push({ type: 'link', href, children });
+      }
+    }
+  }
+  if (rest) nodes.push({ type: 'text', text: rest });
+  return nodes;
+}
+
+/**
+ * Parses a todo's notes, written in a small Markdown subset: paragraphs,
+ * `-`/`*`/`+` and `1.` lists, ``` fenced code blocks, and the inline
+ * formatting of parseNoteInline. Everything else is plain text.
+ * @param {string} text
+ * @returns {Array<Object>} Blocks: `{ type: 'paragraph', children }`,
+ *   `{ type: 'list', ordered, items: Array<children> }` or `{ type: 'code', text }`
+ */
+function parseNotes(text) {
+  const blocks = [];
+  const lines = text.split(/\r?\n/);
+  let paragraph = null;
+  let list = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const item = /^\s*(?:([-*+])|\d{1,9}[.)])\s+(.*)$/.exec(line);
+    if (/^\s*```/.test(line)) {
+      const close = lines.findIndex((l, j) => j > i && /^\s*```\s*$/.test(l));
+      const end = close === -1 ? lines.length : close;
+      blocks.push({ type: 'code', text: lines.slice(i + 1, end).join('\n') });
+      i = end;
+      paragraph = null;
+      list = null;
+    } else if (item) {
+      const ordered = !item[1];
+      if (!list || list.ordered !== ordered) {
+        list = { type: 'list', ordered, items: [] };
+        blocks.push(list);
+      }
+      list.items.push(item[2]);
+      paragraph = null;
+    } else if (line.trim() === '') {
+      paragraph = null;
+      list = null;
+    } else if (paragraph) {
+      paragraph.lines.push(line.trim());
+    } else {
+      paragraph = { type: 'paragraph', lines: [line.trim()] };
+      blocks.push(paragraph);
+      list = null;
+    }
+  }
+
+  return blocks.map((block) => {
+    if (block.type === 'paragraph') {
+      return { type: 'paragraph', children: parseNoteInline(block.lines.join('\n')) };
+    }
+    if (block.type === 'list') {
+      return { ...block, items: block.items.map((item) => parseNoteInline(item)) };
+    }
+    return block;
+  });
+}
+
+/**
+ * Groups archived todos by the day they were completed, most recent first,
+ * keeping those that match the search text.
+ * @param {Array<Object>} archive - Archived todos
+ * @param {string} query - Search text; empty keeps every todo
+ * @returns {Array<{ dayKey: string, todos: Array<Object> }>}
+ */
+function groupArchive(archive, query) {
+  const terms = getSearchTerms(query);
+  const matches = (t) => matchesSearch(t, terms);
+  const doneAt = (t) => (typeof t.completedAt === 'number' ? t.completedAt : t.archivedAt);
+
+  const groups = new Map();
+  archive
+    .filter(matches)
+    .sort((a, b) => doneAt(b) - doneAt(a))
+    .forEach((todo) => {
+      const dayKey = toDayKey(doneAt(todo));
+      if (!groups.has(dayKey)) groups.set(dayKey, []);
+      groups.get(dayKey).push(todo);
+    });
+  return [...groups].map(([dayKey, todos]) => ({ dayKey, todos }));
+}
+
+/**
+ * Describes when a todo was deleted and, if the trash empties itself, how
+ * long it has left there.
+ * @param {Object} todo - Todo in the trash
+ * @param {number} retentionDays - Days the trash keeps todos for; 0 for no limit
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} e.g. "Deleted yesterday · 29 days left"
+ */
+function describeTrashedTodo(todo, retentionDays, now) {
+  const age = daysBetween(toDayKey(todo.deletedAt), toDayKey(now));
+  const deleted = age <= 0 ? 'today' : age === 1 ? 'yesterday' : age + ' days ago';
+  if (retentionDays === 0) return 'Deleted ' + deleted;
+  const left = Math.max(1, Math.ceil((todo.deletedAt + retentionDays * DAY_MS - now) / DAY_MS));
+  return 'Deleted ' + deleted + ' \u00b7 ' + left + (left === 1 ? ' day left' : ' days left');
+}
+
+/**
+ * Works out which rows of a windowed list to mount: those overlapping the
+ * visible part, plus `overscan` rows either side.
+ * @param {Array<number>} heights - Height of each row, measured or estimated
+ * @param {number} top - Top of the visible part, in px from the top of the list
+ * @param {number} bottom - Bottom of the visible part
+ * @param {number} overscan - Rows to mount above and below it
+ * @returns {{ start: number, end: number }} Rows `[start, end)`
+ */
+function getVirtualRange(heights, top, bottom, overscan) {
+  let start = 0;
+  let offset = 0;
+  while (start < heights.length && offset + heights[start] <= top) {
+    offset += heights[start];
+    start++;
+  }
+  let end = start;
+  while (end < heights.length && offset < bottom) {
+    offset += heights[end];
+    end++;
+  }
+  return { start: Math.max(start - overscan, 0), end: Math.min(end + overscan, heights.length) };
+}
+
+/**
+ * Creates an empty list.
+ * @param {string} name - List name
+ * @returns {Object} List with id, name, todos and view settings
+ */
+function createEmptyList(name) {
+  return {
+    id: generateId(),
+    name,
+    todos: [],
+    currentFilter: 'all',
+    selectedDay: null,
+    selectedTags: [],
+    tagMatchMode: 'any'
+  };
+}
+
+/**
+ * Builds model state with the given list active, its trash and archive
+ * apart from its todos. Preferences shared by all lists and the calendar week being viewed are
+ * carried over from a base state. Shows the selected day's week instead if
+ * the list has a 'day' filter.
+ * @param {Array<Object>} lists - All lists
+ * @param {string|null} listId - List to activate (first list if not found)
+ * @param {Object} [baseState] - State to carry preferences over from
+ * @returns {Object} Model state
+ */
+function createStateForList(lists, listId, baseState = {}) {
+  const list = lists.find((l) => l.id === listId) || lists[0];
+  return {
+    sortOrder: 'newest',
+    tagColors: {},
+    tombstones: {},
+    trashRetentionDays: DEFAULT_TRASH_RETENTION,
+    archiveAfterDays: DEFAULT_ARCHIVE_AFTER,
+    searchQuery: '',
+    ...baseState,
+    lists,
+    activeListId: list.id,
+    ...splitTodos(list.todos),
+    ...getListView(list),
+    calendarWeekStart: list.selectedDay
+      ? getWeekStart(parseDayKey(list.selectedDay))
+      : baseState.calendarWeekStart || getWeekStart(Date.now())
+  };
+}
+
+/**
+ * Tells whether two versions of a todo differ, comparing by reference first
+ * and then by content. `order` is ignored, since the todo's position in
+ * its list shows a move. So are its stamps.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function hasTodoChanged(a, b) {
+  const content = (todo) => JSON.stringify({ ...todo, order: 0, stamps: null });
+  return a !== b && content(a) !== content(b);
+}
+
+/**
+ * Compares two stamps. A stamp is a Lamport clock value and the ID of the
+ * replica (tab) that made the change: `[counter, replicaId]`. Stamps order
+ * by counter, then by replica ID, so concurrent changes still have a fixed
+ * order everywhere. A missing stamp comes first.
+ * @param {Array|undefined} a
+ * @param {Array|undefined} b
+ * @returns {number} Negative, zero or positive, like a sort comparator
+ */
+function compareStamps(a, b) {
+  const [counterA, replicaA] = a || [0, ''];
+  const [counterB, replicaB] = b || [0, ''];
+  if (counterA !== counterB) return counterA - counterB;
+  if (replicaA === replicaB) return 0;
+  return replicaA < replicaB ? -1 : 1;
+}
+
+/**
+ * Gets the latest of a todo's or list's stamps.
+ * @param {Object<string, Array>|undefined} stamps - Stamps by field
+ * @returns {Array|undefined}
+ */
+function getLatestStamp(stamps) {
+  return Object.values(stamps || {}).reduce(
+    (latest, stamp) => (compareStamps(stamp, latest) > 0 ? stamp : latest),
+    undefined
+  );
+}
+
+/**
+ * Gets the highest Lamport counter in lists and tombstones, so a replica's
+ * clock can move past every change it has seen.
+ * @param {{ lists: Array<Object>, tombstones: Object<string, Array> }} replica
+ * @returns {number}
+ */
+function getMaxClock({ lists, tombstones }) {
+  const stamps = [
+    ...Object.values(tombstones),
+    ...lists.flatMap((list) => [
+      getLatestStamp(list.stamps),
+      ...list.todos.map((todo) => getLatestStamp(todo.stamps))
+    ])
+  ];
+  return stamps.reduce((max, stamp) => Math.max(max, stamp ? stamp[0] : 0), 0);
+}
+
+/**
+ * Gets the fields of a todo or list that merge separately: every todo field
+ * but its ID, and a list's name.
+ * @param {Object} item - Todo or list
+ * @param {'todo'|'list'} kind
+ * @returns {Array<string>}
+ */
+function getStampedFields(item, kind) {
+  return kind === 'list'
+    ? ['name']
+    : Object.keys(item).filter((key) => key !== 'id' && key !== 'stamps');
+}
+
+/**
+ * Stamps the fields of a todo or list that changed in this replica: those
+ * whose value differs from the previous version without a later stamp (a
+ * later one means the change was merged in from another replica; an older
+ * one, that an old version was restored). A new item gets the stamp on
+ * fields without one, or on every field when `restamp` is set.
+ * @param {Object|undefined} prev - Previous version, if any
+ * @param {Object} next - New version
+ * @param {'todo'|'list'} kind
+ * @param {Array} stamp - Stamp for this change
+ * @param {boolean} restamp - Whether to stamp every field
+ * @returns {Object} `next`, or a copy with new stamps
+ */
+function stampFields(prev, next, kind, stamp, restamp) {
+  const stamps = { ...next.stamps };
+  const prevStamps = (prev && prev.stamps) || {};
+  const fields = [...new Set([
+    ...getStampedFields(next, kind),
+    ...(prev ? getStampedFields(prev, kind) : [])
+  ])];
+  const changed = fields.filter((key) => {
+    if (restamp) return true;
+    if (!prev) return !stamps[key];
+    return JSON.stringify(next[key]) !== JSON.stringify(prev[key]) &&
+      compareStamps(stamps[key], prevStamps[key]) <= 0;
+  });
+  if (kind === 'list' && !stamps.created) changed.push('created');
+  if (changed.length === 0) return next;
+  changed.forEach((key) => {
+    stamps[key] = stamp;
+  });
+  return { ...next, stamps };
+}
+
+/**
+ * Stamps what changed between two versions of the lists, so replicas can
+ * be merged (see mergeReplicas). Fields changed here get `stamp`; todos and
+ * lists that are gone get a tombstone with it. One brought back after its
+ * tombstone (e.g. by undo) is stamped anew, so it outlives the tombstone.
+ * Changes that came from another replica keep their stamps.
+ * @param {Array<Object>} prevLists - Lists before the change
+ * @param {Array<Object>} nextLists - Lists after the change
+ * @param {Object<string, Array>} tombstones - Deletion stamps by todo or list ID
+ * @param {Array} stamp - Stamp for this change
+ * @returns {{ lists: Array<Object>, tombstones: Object<string, Array> }}
+ */
+function stampChanges(prevLists, nextLists, tombstones, stamp) {
+  const prevTodos = new Map();
+  prevLists.forEach((list) => list.todos.forEach((todo) => prevTodos.set(todo.id, todo)));
+  const prevListsById = new Map(prevLists.map((list) => [list.id, list]));
+  const isBuried = (item) =>
+    Boolean(tombstones[item.id]) &&
+    compareStamps(tombstones[item.id], getLatestStamp(item.stamps)) >= 0;
+  const kept = new Set();
+
+  const lists = nextLists.map((list) => {
+    kept.add(list.id);
+    const todos = list.todos.map((todo) => {
+      kept.add(todo.id);
+      const prev = prevTodos.get(todo.id);
+      return prev === todo ? todo : stampFields(prev, todo, 'todo', stamp, !prev && isBuried(todo));
+    });
+    const prev = prevListsById.get(list.id);
+    const stamped = stampFields(prev, list, 'list', stamp, !prev && isBuried(list));
+    const todosChanged = todos.some((todo, i) => todo !== list.todos[i]);
+    return todosChanged ? { ...stamped, todos } : stamped;
+  });
+
+  const newTombstones = { ...tombstones };
+  [...prevListsById.values(), ...prevTodos.values()].forEach((item) => {
+    if (!kept.has(item.id) && !isBuried(item)) newTombstones[item.id] = stamp;
+  });
+  return { lists, tombstones: newTombstones };
+}
+
+/**
+ * Tells whether two todos hold the same fields and stamps, whatever the
+ * order of their keys.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSameTodo(a, b) {
+  const stampsA = a.stamps || {};
+  const stampsB = b.stamps || {};
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  const stampKeys = new Set([...Object.keys(stampsA), ...Object.keys(stampsB)]);
+  return [...keys].every((key) =>
+    key === 'stamps' || JSON.stringify(a[key]) === JSON.stringify(b[key])
+  ) && [...stampKeys].every((key) => compareStamps(stampsA[key], stampsB[key]) === 0);
+}
+
+/**
+ * Merges two versions of a todo or list field by field: each field takes
+ * the value with the later stamp. Equal stamps with different values (e.g.
+ * fields never stamped, in data saved before stamps existed) are settled by
+ * the larger value, compared as numbers when both are and as JSON
+ * otherwise, so the result is the same either way round. A list's creation
+ * stamp is kept.
+ * @param {Object} a
+ * @param {Object} b
+ * @param {'todo'|'list'} kind
+ * @returns {Object} Merged item; for todos, `b` or `a` itself if nothing differs
+ */
+function mergeFields(a, b, kind) {
+  const stampsA = a.stamps || {};
+  const stampsB = b.stamps || {};
+  const merged = { id: a.id };
+  const stamps = {};
+  const fields = new Set([...getStampedFields(a, kind), ...getStampedFields(b, kind)]);
+  if (kind === 'list') fields.add('created');
+  const isLarger = (x, y) => (typeof x === 'number' && typeof y === 'number'
+    ? x > y
+    : String(JSON.stringify(x)) > String(JSON.stringify(y)));
+
+  fields.forEach((key) => {
+    const order = compareStamps(stampsA[key], stampsB[key]) ||
+      (isLarger(a[key], b[key]) ? 1 : -1);
+    const [item, stamp] = order > 0 ? [a, stampsA[key]] : [b, stampsB[key]];
+    if (key !== 'created' && item[key] !== undefined) merged[key] = item[key];
+    if (stamp) stamps[key] = stamp;
+  });
+  merged.stamps = stamps;
+
+  if (kind === 'todo' && isSameTodo(merged, b)) return b;
+  if (kind === 'todo' && isSameTodo(merged, a)) return a;
+  return merged;
+}
+
+/**
+ * Merges two replicas of the lists (e.g. two tabs, or this tab and what is
+ * stored) into one. The merge is a state-based CRDT: it is commutative,
+ * associative and idempotent, so replicas that have seen the same changes
+ * end up equal whatever order they merge in.
+ *
+ * - Todos and lists are matched by ID; each field takes its latest change
+ *   (see mergeFields), so concurrent edits to different fields all survive.
+ * - Tombstones are combined. A todo or list is dropped if its tombstone is
+ *   later than every change to it, so an edit made after a concurrent
+ *   delete wins, and a delete wins over everything it has seen.
+ * - Lists are ordered by creation stamp, todos by their `order` field, with
+ *   ties broken by ID.
+ *
+ * Filters aren't merged: each tab keeps its own, so lists come back without them.
+ * @param {{ lists: Array<Object>, tombstones: Object<string, Array> }} a
+ * @param {{ lists: Array<Object>, tombstones: Object<string, Array> }} b
+ * @returns {{ lists: Array<{ id: string, name: string, stamps: Object, todos: Array<Object> }>,
+ *   tombstones: Object<string, Array> }}
+ */
+function mergeReplicas(a, b) {
+  const tombstones = { ...a.tombstones };
+  Object.entries(b.tombstones).forEach(([id, stamp]) => {
+    if (compareStamps(stamp, tombstones[id]) > 0) tombstones[id] = stamp;
+  });
+  const isAlive = (item) =>
+    !tombstones[item.id] || compareStamps(getLatestStamp(item.stamps), tombstones[item.id]) > 0;
+  const byId = (x, y) => (x.id < y.id ? -1 : x.id > y.id ? 1 : 0);
+
+  const lists = new Map();
+  const todos = new Map();
+  [a, b].forEach((replica) => {
+    replica.lists.forEach((list) => {
+      const { id, name, stamps } = list;
+      const other = lists.get(id);
+      const entry = { id, name, stamps };
+      lists.set(id, other ? mergeFields(other, entry, 'list') : entry);
+      list.todos.forEach((todo) => {
+        const entry = todos.get(todo.id);
+        todos.set(todo.id, entry
+          ? {
+            // A todo never changes lists, so this only settles corrupt data
+            listId: entry.listId < id ? entry.listId : id,
+            todo: mergeFields(entry.todo, todo, 'todo')
+          }
+          : { listId: id, todo });
+      });
+    });
+  });
+
+  const todosByList = new Map();
+  todos.forEach(({ listId, todo }) => {
+    if (!isAlive(todo)) return;
+    if (!todosByList.has(listId)) todosByList.set(listId, []);
+    todosByList.get(listId).push(todo);
+  });
+
+  return {
+    lists: [...lists.values()]
+      .filter(isAlive)
+      .sort((x, y) => compareStamps(x.stamps && x.stamps.created, y.stamps && y.stamps.created) ||
+        byId(x, y))
+      .map((list) => ({
+        id: list.id,
+        name: list.name,
+        stamps: list.stamps || {},
+        todos: (todosByList.get(list.id) || []).sort(
+          (x, y) => (x.order || 0) - (y.order || 0) || byId(x, y)
+        )
+      })),
+    tombstones
+  };
+}
+
+/**
+ * Tells whether two sets of lists hold the same names and todos, comparing
+ * todos by reference. Filters are ignored, since each tab keeps its own.
+ * @param {Array<Object>} a
+ * @param {Array<Object>} b
+ * @returns {boolean}
+ */
+function haveSameListContent(a, b) {
+  return a.length === b.length && a.every((list, i) =>
+    list.id === b[i].id &&
+    list.name === b[i].name &&
+    list.todos.length === b[i].todos.length &&
+    list.todos.every((todo, j) => todo === b[i].todos[j])
+  );
+}
+
+/**
+ * Serializes the full model state as a versioned JSON backup.
+ * @param {Object} state - Model state
+ * @param {number} now - Export time in milliseconds
+ * @returns {string}
+ */
+function exportToJson(state, now) {
+  const data = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    activeListId: state.activeListId,
+    sortOrder: state.sortOrder,
+    tagColors: state.tagColors,
+    lists: state.lists
+  };
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Quotes a CSV field when needed. Text that a spreadsheet would run as a
+ * formula gets a leading apostrophe, which the importer removes again.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsvField(value) {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Serializes every todo outside the trash, archived ones included, as a CSV
+ * row, with the list it belongs to.
+ * Tags are space-separated; repeat rules and subtasks are JSON.
+ * @param {Array<Object>} lists - All lists
+ * @returns {string}
+ */
+function exportToCsv(lists) {
+  const rows = [CSV_COLUMNS];
+  lists.forEach((list) => {
+    list.todos.filter((t) => !t.deletedAt).forEach((t) => {
+      rows.push([
+        list.name,
+        t.id,
+        t.title,
+        t.completed,
+        typeof t.createdAt === 'number' ? t.createdAt : '',
+        typeof t.completedAt === 'number' ? t.completedAt : '',
+        t.dueDate || '',
+        t.dueTime || '',
+        t.priority || 'none',
+        (t.tags || []).join(' '),
+        t.recurrence ? JSON.stringify(t.recurrence) : '',
+        t.subtasks && t.subtasks.length > 0 ? JSON.stringify(t.subtasks) : '',
+        t.notes || ''
+      ]);
+    });
+  });
+  return rows.map((row) => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Serializes every list as a Markdown checklist (`- [x] title`), with notes
+ * (as a `>` quote) and subtasks indented under their todo. The trash is left out.
+ * @param {Array<Object>} lists - All lists
+ * @returns {string}
+ */
+function exportToMarkdown(lists) {
+  const checkbox = (item) => (item.completed ? '[x] ' : '[ ] ');
+  const sections = lists.map((list) => {
+    const lines = ['# ' + list.name, ''];
+    list.todos.filter((t) => !t.deletedAt).forEach((t) => {
+      lines.push('- ' + checkbox(t) + t.title);
+      if (t.notes) t.notes.split(/\r?\n/).forEach((line) => lines.push(('  > ' + line).trimEnd()));
+      (t.subtasks || []).forEach((s) => lines.push('  - ' + checkbox(s) + s.title));
+    });
+    return lines.join('\n');
+  });
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180: quoted fields may contain
+ * commas, doubled quotes and line breaks). Blank lines are skipped.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Parses JSON, returning null instead of throwing on bad input.
+ * @param {string} text
+ * @returns {*}
+ */
+function parseJsonOrNull(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Reads lists from a CSV export. Rows are grouped into lists by name.
+ * @param {string} text - CSV text with a header row
+ * @param {number} now - Current time, for rows without a creation time
+ * @returns {Array<Object>} Unvalidated lists
+ */
+function csvToLists(text, now) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header || !header.includes('title')) return [];
+
+  const byName = new Map();
+  rows.forEach((fields) => {
+    const record = {};
+    header.forEach((column, i) => {
+      record[column] = (fields[i] || '').replace(/^'(?=[=+\-@\t\r])/, '');
+    });
+    const name = record.list || DEFAULT_LIST_NAME;
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push({
+      id: record.id || generateId(),
+      title: record.title,
+      completed: record.completed === 'true',
+      createdAt: Number(record.createdAt) || now,
+      completedAt: Number(record.completedAt) || null,
+      dueDate: record.dueDate || null,
+      dueTime: record.dueTime || null,
+      priority: record.priority || 'none',
+      tags: parseTagList(record.tags || ''),
+      recurrence: parseJsonOrNull(record.recurrence),
+      subtasks: parseJsonOrNull(record.subtasks),
+      notes: record.notes || ''
+    });
+  });
+  return [...byName].map(([name, todos]) => ({ ...createEmptyList(name), todos }));
+}
+
+/**
+ * Reads lists from a Markdown checklist. `# Heading` lines start a list;
+ * indented items are subtasks of the item above them, and indented `>`
+ * lines its notes.
+ * @param {string} text
+ * @param {number} now - Creation time for the todos
+ * @returns {Array<Object>} Unvalidated lists
+ */
+function markdownToLists(text, now) {
+  const lists = [];
+  let todo = null;
+
+  text.split(/\r?\n/).forEach((line) => {
+    const heading = /^#{1,6}\s+(.+)$/.exec(line);
+    const item = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.+)$/.exec(line);
+    const note = /^\s{2,}> ?(.*)$/.exec(line);
+    if (note && todo) {
+      todo.notes = todo.notes === undefined ? note[1] : todo.notes + '\n' + note[1];
+    } else if (heading) {
+      lists.push({ ...createEmptyList(trimTitle(heading[1])), todos: [] });
+      todo = null;
+    } else if (item) {
+      const entry = { id: generateId(), title: trimTitle(item[3]), completed: item[2] !== ' ' };
+      if (item[1].length >= 2 && todo) {
+        todo.subtasks.push(entry);
+        return;
+      }
+      if (lists.length === 0) lists.push(createEmptyList(DEFAULT_LIST_NAME));
+      todo = { ...entry, createdAt: now, completedAt: entry.completed ? now : null, subtasks: [] };
+      lists[lists.length - 1].todos.push(todo);
+    }
+  });
+  return lists;
+}
+
+/**
+ * Parses an exported file: this app's JSON backup (or a bare array of todos
+ * from the old 'todos' key), CSV or a Markdown checklist. Records go through
+ * the same checks as model.load.
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, whose extension picks the format
+ * @param {number} [now] - Current time, for records without timestamps
+ * @returns {{ lists: Array<Object>, activeListId: string|null, sortOrder: string|null,
+ *   tagColors: Object<string, string> }|null} Import data, or null if unreadable or empty
+ */
+function parseImportFile(text, fileName, now = Date.now()) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  const looksLikeJson = /^\s*[[{]/.test(text);
+  const data = {
+    lists: [],
+    activeListId: null,
+    sortOrder: null,
+    tagColors: {}
+  };
+
+  if (extension === 'json' || (extension !== 'csv' && looksLikeJson)) {
+    const parsed = parseJsonOrNull(text);
+    if (Array.isArray(parsed)) {
+      data.lists = [{ ...createEmptyList(DEFAULT_LIST_NAME), todos: parsed }];
+    } else if (parsed && parsed.format === EXPORT_FORMAT && parsed.version <= EXPORT_VERSION) {
+      data.lists = parsed.lists;
+      data.activeListId = typeof parsed.activeListId === 'string' ? parsed.activeListId : null;
+      data.sortOrder = SORT_ORDERS.includes(parsed.sortOrder) ? parsed.sortOrder : null;
+      data.tagColors = sanitizeTagColors(parsed.tagColors);
+    }
+  } else if (extension === 'csv') {
+    data.lists = csvToLists(text, now);
+  } else {
+    data.lists = markdownToLists(text, now);
+  }
+
+  data.lists = sanitizeLists(data.lists).map((l) => ({
+    ...l,
+    name: trimTitle(l.name).slice(0, LIST_NAME_MAX_LENGTH) || DEFAULT_LIST_NAME,
+    todos: sanitizeTodos(l.todos.filter((t) => trimTitle(t.title)))
+  }));
+  return data.lists.length > 0 ? data : null;
+}
+
+/**
+ * Merges imported lists into existing ones. Todos whose ID already exists
+ * are skipped as duplicates; the rest are appended to the list with the same
+ * ID or name, or to a new list.
+ * @param {Array<Object>} existing - Current lists
+ * @param {Array<Object>} imported - Validated imported lists
+ * @returns {{ lists: Array<Object>, added: number, duplicates: number }}
+ */
+function mergeLists(existing, imported) {
+  const knownIds = new Set();
+  existing.forEach((l) => l.todos.forEach((t) => knownIds.add(t.id)));
+  const lists = [...existing];
+  let added = 0;
+  let duplicates = 0;
+
+  imported.forEach((importedList) => {
+    const fresh = importedList.todos.filter((t) => {
+      if (knownIds.has(t.id)) {
+        duplicates++;
+        return false;
+      }
+      knownIds.add(t.id);
+      return true;
+    });
+    added += fresh.length;
+    if (fresh.length === 0) return;
+
+    const name = importedList.name.toLowerCase();
+    const index = lists.findIndex((l) => l.id === importedList.id);
+    const target = index !== -1 ? index : lists.findIndex((l) => l.name.toLowerCase() === name);
+    const renumber = (todos) => todos.map((t, order) => ({ ...t, order }));
+    if (target === -1) {
+      lists.push({ ...importedList, todos: renumber(fresh) });
+    } else {
+      lists[target] = { ...lists[target], todos: renumber([...lists[target].todos, ...fresh]) };
+    }
+  });
+
+  return { lists, added, duplicates };
+}
+
+/**
+ * Creates an outbox entry for a change to sync. Each entry has its own ID,
+ * so the server can ignore one it has already applied. The list's name goes
+ * along so other devices can create the list.
+ * @param {'add'|'toggle'|'edit'|'delete'|'clearCompleted'} type - Operation
+ * @param {{ id: string, name: string }} list - List the todos belong to
+ * @param {Object} data - `todo` for add, `todoId` and `fields` for toggle and
+ *   edit, `todoId` for delete, `todoIds` for clearCompleted
+ * @param {number} now - Time of the change in milliseconds, for last-writer-wins
+ * @returns {Object} Operation
+ */
+function createSyncOperation(type, list, data, now) {
+  return { id: generateId(), type, listId: list.id, listName: list.name, at: now, ...data };
+}
+
+/**
+ * Picks the fields of a todo that sync: all but its ID, its manual order,
+ * which is kept per device, and its stamps, which the server doesn't use.
+ * @param {Object} todo
+ * @returns {Object}
+ */
+function getSyncedFields(todo) {
+  const { id, order, stamps, ...fields } = todo;
+  return fields;
+}
+
+/**
+ * Picks the synced fields that differ between two versions of a todo.
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Object} Changed fields with their new values
+ */
+function getChangedFields(before, after) {
+  return Object.fromEntries(
+    Object.entries(getSyncedFields(after)).filter(
+      ([key, value]) => JSON.stringify(value) !== JSON.stringify(before[key])
+    )
+  );
+}
+
+/**
+ * Joins the sync endpoint and a resource path.
+ * @param {string} endpoint - Sync endpoint URL
+ * @param {string} path - Resource path, e.g. 'ops'
+ * @returns {string}
+ */
+function getSyncUrl(endpoint, path) {
+  return endpoint.replace(/\/+$/, '') + '/' + path;
+}
+
+/**
+ * Tells whether a response from GET /changes has the shape applyRemoteTodos
+ * expects. Its records are validated one by one as they are applied.
+ * @param {*} changes - Parsed response body
+ * @returns {boolean}
+ */
+function isSyncChanges(changes) {
+  return Boolean(changes) && Array.isArray(changes.todos) && changes.cursor != null;
+}
+
+/**
+ * Applies todo changes pulled from the sync server. The server has already
+ * settled concurrent edits field by field (last writer wins), so its values
+ * are taken, except for fields with a change still in the outbox. Deleted
+ * todos are removed; new ones go to the top of their list, which is created
+ * if this device doesn't have it. Records that don't validate are skipped.
+ * @param {Array<Object>} lists - Current lists
+ * @param {{ todos: Array<Object>, lists: (Array<Object>|undefined) }} changes - Pulled
+ *   todo records ({ id, listId, fields, deleted }) and list names
+ * @param {Array<Object>} outbox - Operations not yet sent
+ * @returns {Array<Object>} Updated lists, reusing unchanged ones
+ */
+function applyRemoteTodos(lists, changes, outbox) {
+  const pendingFields = new Map();
+  const pendingDeletes = new Set();
+  outbox.forEach((op) => {
+    if (op.type === 'delete') pendingDeletes.add(op.todoId);
+    if (op.type === 'clearCompleted') op.todoIds.forEach((id) => pendingDeletes.add(id));
+    if (op.type === 'toggle' || op.type === 'edit') {
+      const fields = pendingFields.get(op.todoId) || new Set();
+      Object.keys(op.fields).forEach((key) => fields.add(key));
+      pendingFields.set(op.todoId, fields);
+    }
+  });
+  const listNames = new Map(
+    (Array.isArray(changes.lists) ? changes.lists : [])
+      .filter((l) => l && typeof l.id === 'string' && typeof l.name === 'string')
+      .map((l) => [l.id, l.name])
+  );
+
+  const result = [...lists];
+  const listIndexOf = new Map();
+  result.forEach((list, index) => {
+    list.todos.forEach((todo) => listIndexOf.set(todo.id, index));
+  });
+  const updateTodos = (index, update) => {
+    result[index] = { ...result[index], todos: update(result[index].todos) };
+  };
+
+  changes.todos.forEach((record) => {
+    if (!record || typeof record.id !== 'string' || !record.fields) return;
+    const index = listIndexOf.get(record.id);
+    if (index !== undefined) {
+      if (record.deleted) {
+        updateTodos(index, (todos) => todos.filter((t) => t.id !== record.id));
+        listIndexOf.delete(record.id);
+        return;
+      }
+      const pending = pendingFields.get(record.id) || new Set();
+      updateTodos(index, (todos) => todos.map((todo) => {
+        if (todo.id !== record.id) return todo;
+        const fields = Object.entries(record.fields).filter(([key]) => !pending.has(key));
+        const [updated] = sanitizeTodos([{ ...todo, ...Object.fromEntries(fields) }]);
+        return updated && hasTodoChanged(todo, updated) ? { ...updated, order: todo.order } : todo;
+      }));
+      return;
+    }
+
+    if (record.deleted || pendingDeletes.has(record.id)) return;
+    const [todo] = sanitizeTodos([{ ...record.fields, id: record.id }]);
+    if (!todo) return;
+    let target = result.findIndex((l) => l.id === record.listId);
+    if (target === -1) {
+      const name = listNames.get(record.listId) || DEFAULT_LIST_NAME;
+      const taken = result.some((l) => l.name.toLowerCase() === name.toLowerCase());
+      result.push({
+        ...createEmptyList(taken ? name + ' (synced)' : name),
+        id: typeof record.listId === 'string' ? record.listId : generateId()
+      });
+      target = result.length - 1;
+    }
+    updateTodos(target, (todos) => [
+      { ...todo, order: todos.reduce((min, t) => Math.min(min, t.order || 0), 0) - 1 },
+      ...todos
+    ]);
+    listIndexOf.set(record.id, target);
+  });
+
+  return result;
+}
+
+/**
+ * Describes the sync state for the status line.
+ * @param {{ endpoint: string|null, pending: number, syncing: boolean,
+ *   lastSyncedAt: number|null, error: string|null, online: boolean }} status
+ * @returns {string}
+ */
+function describeSyncStatus({ endpoint, pending, syncing, lastSyncedAt, error, online }) {
+  if (!endpoint) return 'Sync is off. Changes stay on this device.';
+  const waiting = pending > 0
+    ? ' ' + pending + (pending === 1 ? ' change' : ' changes') + ' waiting to be sent.'
+    : '';
+  if (syncing) return 'Syncing\u2026';
+  if (!online) return 'Offline.' + waiting;
+  if (error) return 'Sync failed: ' + error + '.' + waiting;
+  if (lastSyncedAt === null) return 'Not synced yet.' + waiting;
+  return 'Synced at ' + new Date(lastSyncedAt).toLocaleTimeString(undefined, {
+    hour: 'numeric',
+    minute: '2-digit'
+  }) + '.' + waiting;
+}
+
+/**
+ * Forward migrations for stored data. Step i upgrades a payload (see
+ * readStoredPayload) from schema version i to i + 1, or throws if it can't.
+ * When the stored layout changes, append a step; never edit an existing one.
+ * @type {Array<function(Object): Object>}
+ */
+const MIGRATIONS = [
+  // 0 → 1: todos and filter saved before lists existed move into a default list
+  ({ todos, currentFilter, selectedDay, ...payload }) => {
+    if (todos != null && !Array.isArray(todos)) {
+      throw new Error('Saved todos are not a list');
+    }
+    // Legacy todos were always shown newest first; keep that as their stored order
+    const byNewest = (a, b) => ((b && b.createdAt) || 0) - ((a && a.createdAt) || 0);
+    const list = {
+      ...createEmptyList(DEFAULT_LIST_NAME),
+      todos: [...(todos || [])].sort(byNewest),
+      currentFilter,
+      selectedDay
+    };
+    return { ...payload, lists: [list], activeListId: list.id };
+  },
+  // 1 → 2: the sort-by-due-date checkbox becomes a sort order
+  ({ sortByDueDate, ...payload }) => ({
+    ...payload,
+    sortOrder: payload.sortOrder || (sortByDueDate === 'true' ? 'due' : null)
+  })
+];
+
+/** @type {number} Schema version written by this version of the app */
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Builds a quarantine entry for stored data that couldn't be loaded.
+ * @param {string} reason - Why the data was set aside
+ * @param {*} data - The data, as stored
+ * @param {number} schemaVersion - Schema version the data was stored with
+ * @param {number} now - Current time
+ * @returns {{ reason: string, schemaVersion: number, quarantinedAt: number, data: * }}
+ */
+function createQuarantineEntry(reason, data, schemaVersion, now) {
+  return { reason, schemaVersion, quarantinedAt: now, data };
+}
+
+/**
+ * Reads everything the model stores into one payload to migrate. Values
+ * that aren't valid JSON are left out and returned as quarantine entries.
+ * Data without a schema version predates it: version 1 if it has lists,
+ * otherwise 0 (including a first run with nothing stored).
+ * @param {StorageAdapter} storage
+ * @param {number} now - Current time, for quarantine entries
+ * @returns {{ version: number, payload: Object, unreadable: Array<Object> }}
+ */
+function readStoredPayload(storage, now) {
+  const unreadable = [];
+  let lists = null;
+  try {
+    lists = storage.readLists();
+  } catch (e) {
+    unreadable.push({ key: LISTS_KEY, text: storage.getItem(LISTS_KEY) });
+  }
+  const parse = (key) => {
+    const text = storage.getItem(key);
+    try {
+      return text === null ? undefined : JSON.parse(text);
+    } catch (e) {
+      unreadable.push({ key, text });
+      return undefined;
+    }
+  };
+
+  const storedVersion = storage.getItem(SCHEMA_VERSION_KEY);
+  const version = storedVersion === null ? (lists ? 1 : 0) : Number(storedVersion);
+  const payload = {
+    lists,
+    activeListId: storage.getItem(ACTIVE_LIST_KEY),
+    sortOrder: storage.getItem(SORT_ORDER_KEY),
+    tagColors: parse(TAG_COLORS_KEY),
+    tombstones: parse(TOMBSTONES_KEY),
+    trashRetentionDays: storage.getItem(TRASH_RETENTION_KEY),
+    archiveAfterDays: storage.getItem(ARCHIVE_AFTER_KEY),
+    todos: parse(STORAGE_KEY),
+    currentFilter: storage.getItem(FILTER_KEY),
+    selectedDay: storage.getItem(SELECTED_DAY_KEY),
+    sortByDueDate: storage.getItem(SORT_BY_DUE_KEY)
+  };
+  return {
+    version,
+    payload,
+    unreadable: unreadable.map(({ key, text }) =>
+      createQuarantineEntry('Unreadable ' + key, text, version, now)
+    )
+  };
+}
+
+/**
+ * Runs the migrations that bring a payload up to SCHEMA_VERSION.
+ * @param {Object} payload - Stored payload (see readStoredPayload)
+ * @param {number} version - Schema version it was stored with
+ * @returns {Object} Payload at the current schema version
+ * @throws {Error} If the version is unknown or newer, or a step fails
+ */
+function migratePayload(payload, version) {
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error('Unknown schema version ' + version);
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new Error('Saved by a newer version of the app (schema ' + version + ')');
+  }
+  return MIGRATIONS.slice(version).reduce((migrated, step) => step(migrated), payload);
+}
+
+/**
+ * Describes newly quarantined data for the notice banner.
+ * @param {Array<Object>} entries - Quarantine entries added on load
+ * @returns {string}
+ */
+function describeQuarantine(entries) {
+  if (entries.some((e) => e.schemaVersion > SCHEMA_VERSION)) {
+    return 'Your todos were saved by a newer version of the app, so they were set aside. ' +
+      'Reload to update, or download them.';
+  }
+  const count = entries.reduce(
+    (total, e) => total + (Array.isArray(e.data) ? e.data.length : 1),
+    0
+  );
+  return 'Some saved data couldn\u2019t be loaded (' + count +
+    (count === 1 ? ' item' : ' items') + ') and was set aside. Download it to keep a copy.';
+}
+
+/**
+ * Describes a failed storage write for the warning banner.
+ * @param {Error} error - Error thrown or reported by the storage adapter
+ * @returns {string}
+ */
+function describeStorageError(error) {
+  const name = error && error.name;
+  if (name === 'QuotaExceededError' || name === 'NS_ERROR_DOM_QUOTA_REACHED') {
+    return 'Storage is full, so recent changes weren\u2019t saved. ' +
+      'Download a backup, then clear completed todos to free up space.';
+  }
+  return 'Recent changes couldn\u2019t be saved on this device. Download a backup to keep them.';
+}
+
+/**
+ * Persists the model. Lists and undo/redo history are read and written
+ * whole, so each adapter can choose its own layout; everything else is a
+ * string setting keyed like Local Storage. Reads are synchronous: adapters
+ * backed by an asynchronous store load everything in open().
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Key in STORAGE_ADAPTERS
+ * @property {function(): Promise<StorageAdapter>} open - Loads stored data; rejects if unavailable
+ * @property {function(): (Array<Object>|null)} readLists - Stored lists, or null if none
+ * @property {function(Array<Object>): void} writeLists - Stores all lists; may throw
+ * @property {function(): (Object|null)} readHistory - Stored `{ past, future }`
+ *   history, or null if none; throws if unreadable
+ * @property {function(Object): void} writeHistory - Stores the history; may throw
+ * @property {function(string): (string|null)} getItem - Reads a setting
+ * @property {function(string, string): void} setItem - Stores a setting; may throw
+ * @property {function(string): void} removeItem - Removes a setting
+ * @property {function(): void} clear - Removes everything the app stored
+ * @property {function(): Promise<void>} flush - Resolves once pending writes have finished
+ * @property {function(Error): void} onError - Called when a background write fails
+ * @property {function(): void} onChange - Called once opened when another tab has changed
+ *   the stored data; reads already return the new data by then
+ */
+
+/**
+ * Creates an adapter over a Web Storage-like store. Lists are kept as one
+ * JSON string under LISTS_KEY, so every write serializes all of them, and
+ * so is the history under HISTORY_KEY.
+ * A store shared between tabs can provide `watch(listener)`, which is
+ * called once the adapter opens and should call the listener on changes.
+ * @param {string} name - Adapter name
+ * @param {{ getItem: Function, setItem: Function, removeItem: Function,
+ *   watch: (function(Function): void)|undefined }} store
+ * @returns {StorageAdapter}
+ */
+function createKeyValueStorageAdapter(name, store) {
+  return {
+    name,
+    open() {
+      // Reading fails up front when the store is disabled (e.g. blocked cookies)
+      return new Promise((resolve) => {
+        store.getItem(LISTS_KEY);
+        if (store.watch) store.watch(() => this.onChange());
+        resolve(this);
+      });
+    },
+    readLists() {
+      const json = store.getItem(LISTS_KEY);
+      return json ? JSON.parse(json) : null;
+    },
+    writeLists(lists) {
+      store.setItem(LISTS_KEY, JSON.stringify(lists));
+    },
+    readHistory() {
+      const json = store.getItem(HISTORY_KEY);
+      return json ? JSON.parse(json) : null;
+    },
+    writeHistory(history) {
+      store.setItem(HISTORY_KEY, JSON.stringify(history));
+    },
+    getItem: (key) => store.getItem(key),
+    setItem: (key, value) => store.setItem(key, value),
+    removeItem: (key) => store.removeItem(key),
+    clear() {
+      LOCAL_STORAGE_KEYS.forEach((key) => store.removeItem(key));
+    },
+    flush: () => Promise.resolve(),
+    onError() {},
+    onChange() {}
+  };
+}
+
+/**
+ * Creates an adapter backed by Local Storage. Changes made in other tabs
+ * arrive as `storage` events, one per key; they are reported as one change.
+ * @returns {StorageAdapter}
+ */
+function createLocalStorageAdapter() {
+  // localStorage is looked up on each call: merely reading it throws when it is disabled
+  return createKeyValueStorageAdapter('localstorage', {
+    getItem: (key) => localStorage.getItem(key),
+    setItem: (key, value) => localStorage.setItem(key, value),
+    removeItem: (key) => localStorage.removeItem(key),
+    watch(listener) {
+      let timer = null;
+      window.addEventListener('storage', (e) => {
+        if (e.storageArea !== localStorage) return;
+        if (e.key !== null && !LOCAL_STORAGE_KEYS.includes(e.key)) return;
+        // Each tab keeps its own filters
+        if (e.key === VIEWS_KEY) return;
+        clearTimeout(timer);
+        timer = setTimeout(listener, 0);
+      });
+    }
+  });
+}
+
+/**
+ * Creates an adapter that keeps everything in memory for the current page.
+ * @returns {StorageAdapter}
+ */
+function createMemoryStorageAdapter() {
+  const items = new Map();
+  return createKeyValueStorageAdapter('memory', {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  });
+}
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} Resolves to the request's result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Creates an adapter backed by IndexedDB. Each list and each todo is its own
+ * record (a list record keeps its todos' IDs in order), and a write only
+ * touches the records that changed since the last one. So is each undo/redo
+ * entry, with their IDs in order under HISTORY_INDEX_KEY. Lists and history
+ * moved whole from Local Storage under LISTS_KEY and HISTORY_KEY are read
+ * until the next write replaces them. Writes made in the same task are
+ * committed together in one transaction.
+ * Creating the database moves any Local Storage data into it as stored,
+ * once; the model then migrates it, and quarantines what it can't load,
+ * as usual.
+ * @param {Object} [options]
+ * @param {string} [options.dbName=DB_NAME] - Database name
+ * @param {boolean} [options.migrateLocalStorage=true] - Move Local Storage data on creation
+ * @returns {StorageAdapter}
+ */
+function createIndexedDbStorageAdapter({ dbName = DB_NAME, migrateLocalStorage = true } = {}) {
+  let db = null;
+  let lists = null;
+  let history = null;
+  const items = new Map();
+  // What the database holds, by ID, to find changed records. A null value
+  // marks a record whose last write failed, so it is written again.
+  const savedLists = new Map();
+  const savedTodos = new Map();
+  const savedItems = new Map();
+  // History entries never change once made, so their IDs are enough
+  const savedEntries = new Set();
+  const pending = new Set();
+  let batch = null;
+  // Tells other tabs using the same database about committed writes
+  let channel = null;
+
+  /**
+   * Builds the stored form of a list: its fields plus position and todo IDs.
+   * @param {Object} list
+   * @param {number} position - Index among all lists
+   * @returns {Object}
+   */
+  const toListRecord = ({ todos, ...fields }, position) => ({
+    ...fields,
+    position,
+    todoIds: todos.map((t) => t.id)
+  });
+
+  /**
+   * Copies Local Storage data, untouched, into the new database as part of
+   * the upgrade that creates it, then removes the copied keys once that has
+   * committed.
+   * @param {IDBTransaction} tx - Version change transaction
+   */
+  const migrateFromLocalStorage = (tx) => {
+    let stored;
+    try {
+      stored = LOCAL_STORAGE_KEYS
+        .map((key) => [key, localStorage.getItem(key)])
+        .filter(([, value]) => value !== null);
+    } catch (e) {
+      return; // Local Storage unavailable — nothing to move
+    }
+
+    stored.forEach(([key, value]) => tx.objectStore('settings').put(value, key));
+    tx.addEventListener('complete', () => {
+      stored.forEach(([key]) => localStorage.removeItem(key));
+    });
+  };
+
+  /**
+   * Opens (creating or upgrading if needed) the database.
+   * @returns {Promise<IDBDatabase>}
+   */
+  const openDatabase = () => {
+    const request = indexedDB.open(dbName, DB_VERSION);
+    request.onupgradeneeded = (e) => {
+      const database = request.result;
+      database.createObjectStore('settings');
+      database.createObjectStore('lists', { keyPath: 'id' });
+      database.createObjectStore('todos', { keyPath: 'id' });
+      database.createObjectStore('history', { keyPath: 'id' });
+      if (e.oldVersion === 0 && migrateLocalStorage) {
+        migrateFromLocalStorage(request.transaction);
+      }
+    };
+    return requestToPromise(request);
+  };
+
+  /**
+   * Reads every record into the in-memory cache.
+   * @returns {Promise<void>}
+   */
+  const readAll = () => {
+    const tx = db.transaction(DB_STORES);
+    const settings = tx.objectStore('settings');
+    return Promise.all([
+      requestToPromise(settings.getAllKeys()),
+      requestToPromise(settings.getAll()),
+      requestToPromise(tx.objectStore('lists').getAll()),
+      requestToPromise(tx.objectStore('todos').getAll()),
+      requestToPromise(tx.objectStore('history').getAll())
+    ]).then(([keys, values, listRecords, todos, entries]) => {
+      // Replaced only once the reads succeed, so a failed re-read keeps the cache
+      [items, savedItems, savedLists, savedTodos, savedEntries].forEach((map) => map.clear());
+      keys.forEach((key, i) => {
+        items.set(key, values[i]);
+        savedItems.set(key, values[i]);
+      });
+      const todosById = new Map(todos.map((t) => [t.id, t]));
+      todos.forEach((t) => savedTodos.set(t.id, { todo: t, json: JSON.stringify(t) }));
+      listRecords.sort((a, b) => a.position - b.position);
+      listRecords.forEach((r) => savedLists.set(r.id, JSON.stringify(r)));
+      lists = listRecords.map(({ position, todoIds, ...list }) => ({
+        ...list,
+        todos: todoIds.map((id) => todosById.get(id)).filter(Boolean)
+      }));
+      if (lists.length === 0) lists = null;
+
+      const entriesById = new Map(entries.map((entry) => [entry.id, entry]));
+      entries.forEach((entry) => savedEntries.add(entry.id));
+      const index = parseJsonOrNull(items.get(HISTORY_INDEX_KEY));
+      history = index && Array.isArray(index.past) && Array.isArray(index.future)
+        ? {
+          past: index.past.map((id) => entriesById.get(id)).filter(Boolean),
+          future: index.future.map((id) => entriesById.get(id)).filter(Boolean)
+        }
+        : null;
+    });
+  };
+
+  /**
+   * Collects the history entries to put and the IDs to delete to store
+   * `nextHistory`, and queues its index.
+   * @param {{ past: Array<Object>, future: Array<Object> }} nextHistory
+   * @returns {{ put: Array<Object>, remove: Array<string> }}
+   */
+  const diffHistory = (nextHistory) => {
+    const entries = [...nextHistory.past, ...nextHistory.future];
+    const ids = new Set(entries.map((entry) => entry.id));
+    const changes = {
+      put: entries.filter((entry) => !savedEntries.has(entry.id)),
+      remove: [...savedEntries].filter((id) => !ids.has(id))
+    };
+    changes.put.forEach((entry) => savedEntries.add(entry.id));
+    changes.remove.forEach((id) => savedEntries.delete(id));
+    return changes;
+  };
+
+  /**
+   * Collects the record changes between the saved lists and `nextLists`.
+   * Todos are compared by reference first, since the model never mutates them.
+   * @param {Array<Object>} nextLists
+   * @returns {{ lists: Object, todos: Object }} Records to put and IDs to delete, per store
+   */
+  const diffLists = (nextLists) => {
+    const changes = { lists: { put: [], remove: [] }, todos: { put: [], remove: [] } };
+    const listIds = new Set();
+    const todoIds = new Set();
+
+    nextLists.forEach((list, position) => {
+      listIds.add(list.id);
+      const record = toListRecord(list, position);
+      const json = JSON.stringify(record);
+      if (savedLists.get(list.id) !== json) {
+        changes.lists.put.push(record);
+        savedLists.set(list.id, json);
+      }
+      list.todos.forEach((todo) => {
+        todoIds.add(todo.id);
+        const saved = savedTodos.get(todo.id);
+        if (saved && saved.todo === todo) return;
+        const todoJson = JSON.stringify(todo);
+        if (!saved || saved.json !== todoJson) changes.todos.put.push(todo);
+        savedTodos.set(todo.id, { todo, json: todoJson });
+      });
+    });
+
+    savedLists.forEach((json, id) => {
+      if (!listIds.has(id)) changes.lists.remove.push(id);
+    });
+    savedTodos.forEach((saved, id) => {
+      if (!todoIds.has(id)) changes.todos.remove.push(id);
+    });
+    changes.lists.remove.forEach((id) => savedLists.delete(id));
+    changes.todos.remove.forEach((id) => savedTodos.delete(id));
+    return changes;
+  };
+
+  /**
+   * Tracks a read-write transaction until it settles, for flush(), and tells
+   * other tabs once it has committed.
+   * @param {IDBTransaction} tx
+   * @param {function(Error): void} onAbort - Called if the transaction fails
+   * @param {boolean} [announce=true] - Whether other tabs should re-read the database
+   */
+  const track = (tx, onAbort, announce = true) => {
+    const done = new Promise((resolve) => {
+      tx.oncomplete = () => {
+        if (channel && announce) channel.postMessage('changed');
+        resolve();
+      };
+      tx.onabort = () => {
+        onAbort(tx.error || new Error('IndexedDB write aborted'));
+        resolve();
+      };
+    });
+    pending.add(done);
+    done.then(() => pending.delete(done));
+  };
+
+  /**
+   * Commits the queued writes in one transaction. If it fails, the records
+   * it touched are marked unsaved and the adapter's onError is called.
+   */
+  const commit = () => {
+    if (!batch) return;
+    const { settings, lists: nextLists, history: nextHistory } = batch;
+    batch = null;
+
+    const changes = {
+      ...(nextLists
+        ? diffLists(nextLists)
+        : { lists: { put: [], remove: [] }, todos: { put: [], remove: [] } }),
+      history: nextHistory ? diffHistory(nextHistory) : { put: [], remove: [] }
+    };
+    const changedSettings = [...settings].filter(([key, value]) =>
+      value === null ? savedItems.has(key) : savedItems.get(key) !== value
+    );
+    const count = changedSettings.length + DB_STORES.slice(1).reduce(
+      (sum, storeName) => sum + changes[storeName].put.length + changes[storeName].remove.length,
+      0
+    );
+    if (count === 0) return;
+    // Other tabs keep their own filters, so saving only those isn't news to them
+    const viewsOnly = changedSettings.length === count &&
+      changedSettings.every(([key]) => key === VIEWS_KEY);
+
+    const tx = db.transaction(DB_STORES, 'readwrite');
+    let failure = null;
+    track(tx, (error) => {
+      changedSettings.forEach(([key]) => savedItems.set(key, null));
+      changes.lists.put.forEach((r) => savedLists.set(r.id, null));
+      changes.lists.remove.forEach((id) => savedLists.set(id, null));
+      changes.todos.put.forEach((t) => savedTodos.set(t.id, null));
+      changes.todos.remove.forEach((id) => savedTodos.set(id, null));
+      changes.history.put.forEach((entry) => savedEntries.delete(entry.id));
+      changes.history.remove.forEach((id) => savedEntries.add(id));
+      adapter.onError(failure || error);
+    }, !viewsOnly);
+
+    try {
+      changedSettings.forEach(([key, value]) => {
+        if (value === null) {
+          tx.objectStore('settings').delete(key);
+          savedItems.delete(key);
+        } else {
+          tx.objectStore('settings').put(value, key);
+          savedItems.set(key, value);
+        }
+      });
+      DB_STORES.slice(1).forEach((storeName) => {
+        const store = tx.objectStore(storeName);
+        changes[storeName].put.forEach((record) => store.put(record));
+        changes[storeName].remove.forEach((id) => store.delete(id));
+      });
+    } catch (e) {
+      // A record that can't be stored (e.g. DataCloneError) fails the whole batch
+      failure = e;
+      tx.abort();
+    }
+  };
+
+  /**
+   * Returns the batch for the current task, scheduling its commit.
+   * @returns {{ settings: Map<string, string|null>, lists: Array<Object>|null,
+   *   history: Object|null }}
+   */
+  const queue = () => {
+    if (!batch) {
+      batch = { settings: new Map(), lists: null, history: null };
+      Promise.resolve().then(commit);
+    }
+    return batch;
+  };
+
+  const adapter = {
+    name: 'indexeddb',
+    open() {
+      return openDatabase().then((database) => {
+        db = database;
+        // Let a newer version of the app upgrade the database in another tab
+        db.onversionchange = () => db.close();
+        return readAll();
+      }).then(() => {
+        if ('BroadcastChannel' in window) {
+          channel = new BroadcastChannel(dbName);
+          channel.onmessage = () => {
+            // Our own queued writes land first, so the re-read can't lose them
+            adapter.flush().then(readAll).then(() => adapter.onChange(), () => {
+              // Closed for an upgrade — the reload it prompts picks up the change
+            });
+          };
+        }
+        return adapter;
+      });
+    },
+    readLists() {
+      return items.has(LISTS_KEY) ? JSON.parse(items.get(LISTS_KEY)) : lists;
+    },
+    writeLists(nextLists) {
+      lists = nextLists;
+      queue().lists = nextLists;
+      if (items.has(LISTS_KEY)) adapter.removeItem(LISTS_KEY);
+    },
+    readHistory() {
+      return items.has(HISTORY_KEY) ? JSON.parse(items.get(HISTORY_KEY)) : history;
+    },
+    writeHistory(nextHistory) {
+      history = nextHistory;
+      queue().history = nextHistory;
+      adapter.setItem(HISTORY_INDEX_KEY, JSON.stringify({
+        past: nextHistory.past.map((entry) => entry.id),
+        future: nextHistory.future.map((entry) => entry.id)
+      }));
+      if (items.has(HISTORY_KEY)) adapter.removeItem(HISTORY_KEY);
+    },
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem(key, value) {
+      items.set(key, String(value));
+      queue().settings.set(key, String(value));
+    },
+    removeItem(key) {
+      items.delete(key);
+      queue().settings.set(key, null);
+    },
+    clear() {
+      lists = null;
+      history = null;
+      batch = null;
+      [items, savedItems, savedLists, savedTodos, savedEntries].forEach((map) => map.clear());
+      const tx = db.transaction(DB_STORES, 'readwrite');
+      DB_STORES.forEach((storeName) => tx.objectStore(storeName).clear());
+      track(tx, (error) => adapter.onError(error));
+    },
+    flush() {
+      // Runs after any commit already queued for this task
+      return Promise.resolve().then(() => Promise.all([...pending])).then(() => {});
+    },
+    onError() {},
+    onChange() {}
+  };
+  return adapter;
+}
+
+/** @type {Object<string, function(): StorageAdapter>} Storage adapters by name */
+const STORAGE_ADAPTERS = {
+  indexeddb: createIndexedDbStorageAdapter,
+  localstorage: createLocalStorageAdapter,
+  memory: createMemoryStorageAdapter
+};
+
+/**
+ * A change put to the model by an action: `type` names it and the rest is
+ * its data, e.g. `{ type: 'toggleTodo', id }`.
+ * @typedef {Object} Proposal
+ * @property {string} type
+ */
+
+/**
+ * Decides whether a proposal changes the model, and makes the change.
+ * Returns null or false to turn the proposal down; anything else accepts it.
+ * @typedef {function(Proposal): *} Acceptor
+ */
+
+/**
+ * Runs after each step, e.g. to render.
+ * @typedef {function(Object, { proposal: Proposal, result: * }): void} Reactor
+ */
+
+/**
+ * Next-action predicate: given the control states after a step, returns a
+ * proposal to present automatically, or null.
+ * @typedef {function(Object, { proposal: Proposal, result: * }): (Proposal|null)} NextAction
+ */
+
+/**
+ * Creates a SAM (State-Action-Model) runtime. Each present() is one step:
+ * the acceptors for the proposal's type run in order until one turns it
+ * down. If they accept it, control states are worked out from the model,
+ * every reactor runs, and the first next-action predicate with a proposal
+ * presents it as a step of its own. A proposal turned down changed nothing,
+ * so the step ends there. Next-actions that keep proposing past
+ * MAX_NEXT_ACTIONS steps are logged and stopped.
+ * @param {function(): Object} getControlStates - Derives control states from the model
+ * @returns {{ present: function(Proposal): *, addAcceptor: function(string, Acceptor, boolean=),
+ *   addReactor: function(Reactor), addNextAction: function(NextAction) }}
+ */
+function createSamRuntime(getControlStates) {
+  const acceptors = new Map();
+  const reactors = [];
+  const nextActions = [];
+  let depth = 0;
+
+  /**
+   * Presents a proposal to the acceptors for its type.
+   * @param {Proposal} proposal
+   * @returns {*} What the last acceptor returned, or null if one turned the
+   *   proposal down or none accepts its type. Next-actions don't change it.
+   */
+  function present(proposal) {
+    let result = null;
+    (acceptors.get(proposal.type) || []).every((acceptor) => {
+      result = acceptor(proposal);
+      return result !== null && result !== false;
+    });
+    if (result === false) result = null;
+    if (result === null) return null;
+
+    const step = { proposal, result };
+    const states = getControlStates();
+    reactors.forEach((reactor) => reactor(states, step));
+    nextActions.some((nextAction) => {
+      const next = nextAction(states, step);
+      if (!next) return false;
+      if (depth >= MAX_NEXT_ACTIONS) {
+        console.error('Next-actions did not settle; stopped at \u201c' + next.type + '\u201d');
+        return true;
+      }
+      depth++;
+      try {
+        present(next);
+      } finally {
+        depth--;
+      }
+      return true;
+    });
+    return result;
+  }
+
+  return {
+    present,
+
+    /**
+     * Adds an acceptor for a proposal type, after the ones it already has,
+     * or before them if `first`.
+     * @param {string} type
+     * @param {Acceptor} acceptor
+     * @param {boolean} [first]
+     */
+    addAcceptor(type, acceptor, first = false) {
+      const list = acceptors.get(type) || [];
+      acceptors.set(type, first ? [acceptor, ...list] : [...list, acceptor]);
+    },
+
+    /** @param {Reactor} reactor */
+    addReactor(reactor) {
+      reactors.push(reactor);
+    },
+
+    /** @param {NextAction} nextAction */
+    addNextAction(nextAction) {
+      nextActions.push(nextAction);
+    }
+  };
+}
+
+/* ==========================================================================
+   Section 2: Model
+   ========================================================================== */
+
+/**
+ * Model layer - holds authoritative state and enforces business rules.
+ * Responsible for persistence, through a storage adapter.
+ */
+const model = {
+  /**
+   * The active list's todos and filter are exposed as top-level fields so
+   * model methods can work on them directly; save() copies them back into
+   * the matching entry of `lists`.
+   * @type {{ lists: Array<Object>, activeListId: string, todos: Array<Object>,
+   *   currentFilter: string, selectedDay: string|null, calendarWeekStart: string }}
+   */
+  state: createStateForList([createEmptyList(DEFAULT_LIST_NAME)], null),
+
+  /**
+   * Undo/redo stacks, oldest entry first. Each entry patches back only the
+   * todos its change touched (see HistoryEntry).
+   * @type {{ past: Array<HistoryEntry>, future: Array<HistoryEntry> }}
+   */
+  history: {
+    past: [],
+    future: []
+  },
+
+  /**
+   * Where state is persisted. init() swaps in the best adapter available;
+   * tests can run against any of them.
+   * @type {StorageAdapter}
+   */
+  storage: createLocalStorageAdapter(),
+
+  /**
+   * Message describing the last failed write, shown until dismissed.
+   * @type {string|null}
+   */
+  storageError: null,
+
+  /**
+   * Message describing data quarantined by the last load, shown until dismissed.
+   * @type {string|null}
+   */
+  quarantineNotice: null,
+
+  /**
+   * Identifies this tab in the stamps of its changes. Each tab is its own
+   * replica, so changes made in two tabs at once never share a stamp.
+   * @type {string}
+   */
+  replicaId: generateId().slice(0, 8),
+
+  /**
+   * Lamport clock: the highest counter this tab has used or seen in a stamp.
+   * @type {number}
+   */
+  clock: 0,
+
+  /**
+   * Session-only sync progress, shown in the sync status line.
+   * @type {{ syncing: boolean, lastSyncedAt: number|null, error: string|null }}
+   */
+  sync: { syncing: false, lastSyncedAt: null, error: null },
+
+  /**
+   * Called after an operation is added to the outbox. init() uses it to
+   * schedule sending it.
+   * @type {function(): void}
+   */
+  onOutboxChange() {},
+
+  /**
+   * Loads state from storage, upgrading data saved with an older schema
+   * version through MIGRATIONS. Data that can't be read, migrated or
+   * validated is moved under QUARANTINE_KEY instead of being dropped, and
+   * quarantineNotice tells the user about it. Missing data gives defaults.
+   * Upgraded data is saved back, and legacy keys are removed once it is.
+   */
+  load() {
+    const storage = this.storage;
+    const now = Date.now();
+    const { version, payload, unreadable } = readStoredPayload(storage, now);
+    const quarantine = [...unreadable];
+
+    let data;
+    try {
+      data = migratePayload(payload, version);
+    } catch (e) {
+      quarantine.push(createQuarantineEntry(e.message, payload, version, now));
+      data = migratePayload({}, 0);
+    }
+
+    const rejected = [];
+    const views = readListViews(storage);
+    const lists = sanitizeLists(data.lists, rejected)
+      .map((list) => (views[list.id] ? { ...list, ...views[list.id] } : list));
+    if (rejected.length > 0) {
+      quarantine.push(createQuarantineEntry('Invalid lists or todos', rejected, version, now));
+    }
+    this.state = createStateForList(
+      lists.length > 0 ? lists : [createEmptyList(DEFAULT_LIST_NAME)],
+      data.activeListId,
+      {
+        sortOrder: SORT_ORDERS.includes(data.sortOrder) ? data.sortOrder : 'newest',
+        tagColors: sanitizeTagColors(data.tagColors),
+        tombstones: sanitizeStamps(data.tombstones),
+        trashRetentionDays: sanitizeDaysSetting(
+          data.trashRetentionDays, TRASH_RETENTION_OPTIONS, DEFAULT_TRASH_RETENTION
+        ),
+        archiveAfterDays: sanitizeDaysSetting(
+          data.archiveAfterDays, ARCHIVE_AFTER_OPTIONS, DEFAULT_ARCHIVE_AFTER
+        )
+      }
+    );
+    this.clock = Math.max(this.clock, getMaxClock(this.state));
+    this.loadHistory();
+
+    if (quarantine.length > 0) {
+      this.quarantineNotice = describeQuarantine(quarantine);
+      // Never overwrite stored data before it is safely set aside
+      if (!this.addToQuarantine(quarantine)) return;
+    }
+    if (version !== SCHEMA_VERSION || quarantine.length > 0) {
+      if (this.save(this.state)) LEGACY_KEYS.forEach((key) => storage.removeItem(key));
+    }
+  },
+
+  /**
+   * Reloads state after another tab saved and merges this tab's state into
+   * it (see mergeReplicas), keeping this tab's active list, filters, search,
+   * calendar week and undo history. The merge is saved back only if it
+   * differs from what is stored. Data saved by a newer version of the app
+   * is left alone, and storageError says so.
+   * @returns {Object} New state, or the state unchanged if the stored data is too new
+   */
+  syncFromStorage() {
+    if (Number(this.storage.getItem(SCHEMA_VERSION_KEY)) > SCHEMA_VERSION) {
+      this.storageError = 'Another tab is running a newer version of the app. ' +
+        'Reload this tab to keep your changes.';
+      return this.state;
+    }
+
+    const local = { ...this.state, lists: getSyncedLists(this.state) };
+    const history = this.history;
+    this.load();
+    this.history = history;
+
+    const remote = this.state;
+    const merged = mergeReplicas(local, remote);
+    if (merged.lists.length === 0) return this.state;
+    const views = new Map(
+      [...remote.lists, ...local.lists].map((list) => [list.id, getListView(list)])
+    );
+    const lists = merged.lists.map((list) => ({ ...list, ...views.get(list.id) }));
+    const newState = createStateForList(lists, local.activeListId, {
+      ...remote,
+      tombstones: merged.tombstones,
+      calendarWeekStart: local.calendarWeekStart,
+      searchQuery: local.searchQuery
+    });
+    const isStored = haveSameListContent(lists, remote.lists) &&
+      Object.keys(merged.tombstones).every(
+        (id) => compareStamps(merged.tombstones[id], remote.tombstones[id]) === 0
+      );
+    if (isStored) {
+      this.state = newState;
+    } else {
+      this.save(newState);
+    }
+    return this.state;
+  },
+
+  /**
+   * Appends entries to the stored quarantine.
+   * @param {Array<Object>} entries - Quarantine entries
+   * @returns {boolean} Whether they were stored
+   */
+  addToQuarantine(entries) {
+    try {
+      this.storage.setItem(QUARANTINE_KEY, JSON.stringify([...this.getQuarantine(), ...entries]));
+      return true;
+    } catch (e) {
+      this.reportStorageError(e);
+      return false;
+    }
+  },
+
+  /**
+   * Returns everything quarantined so far. An unreadable quarantine is
+   * itself returned as an entry rather than lost.
+   * @returns {Array<Object>} Quarantine entries, oldest first
+   */
+  getQuarantine() {
+    const text = this.storage.getItem(QUARANTINE_KEY);
+    if (text === null) return [];
+    const entries = parseJsonOrNull(text);
+    return Array.isArray(entries)
+      ? entries
+      : [createQuarantineEntry('Unreadable ' + QUARANTINE_KEY, text, null, Date.now())];
+  },
+
+  /**
+   * Loads undo/redo history from storage.
+   * Invalid entries are dropped; corrupt data resets history. Entries saved
+   * before lists existed are assigned to the active list, and entries saved
+   * without an ID get one.
+   */
+  loadHistory() {
+    const isRestored = (r) =>
+      r && Number.isInteger(r.index) && r.index >= 0 && r.todo && typeof r.todo.id === 'string';
+    const isPatch = (p) =>
+      p && Array.isArray(p.removed) && p.removed.every((id) => typeof id === 'string') &&
+      Array.isArray(p.restored) && p.restored.every(isRestored);
+    const isValidEntry = (entry) =>
+      entry && typeof entry.label === 'string' &&
+      (Array.isArray(entry.patches)
+        ? typeof entry.listId === 'string' &&
+          entry.patches.every((p) => isPatch(p) && typeof p.listId === 'string')
+        : isPatch(entry));
+    const withListId = (entry) => {
+      const id = typeof entry.id === 'string' ? entry.id : generateId();
+      if (entry.patches) return { ...entry, id };
+      const listId = this.state.activeListId;
+      const { label, removed, restored } = entry;
+      return { id, label, listId, patches: [{ listId, removed, restored }] };
+    };
+
+    try {
+      const parsed = this.storage.readHistory();
+      if (parsed && Array.isArray(parsed.past) && Array.isArray(parsed.future)) {
+        this.history = trimHistory({
+          past: parsed.past.filter(isValidEntry).map(withListId),
+          future: parsed.future.filter(isValidEntry).map(withListId)
+        });
+      }
+    } catch (e) {
+      this.history = { past: [], future: [] };
+    }
+  },
+
+  /**
+   * Persists state to storage (optimistic write).
+   * The active list's todos and filter are copied into `lists` first, and
+   * what changed is stamped with the next Lamport clock value (see
+   * stampChanges).
+   * The calendar week being viewed is session-only and not persisted.
+   * When a label is given, a patch undoing the change is pushed onto the
+   * undo stack first and the redo stack is cleared. It covers every list
+   * the change touches (e.g. moving todos to another list), making it one
+   * undo step.
+   * A failed write keeps the new state in memory and sets storageError.
+   * @param {Object} newState - Full model state (see model.state)
+   * @param {string} [label] - Description of an undoable change
+   * @returns {boolean} Whether the write succeeded
+   */
+  save(newState, label) {
+    const prevLists = getSyncedLists(this.state);
+    const nextLists = getSyncedLists(newState);
+    if (label) {
+      const entry = {
+        id: generateId(),
+        label,
+        listId: this.state.activeListId,
+        patches: createHistoryPatches(prevLists, nextLists)
+      };
+      this.history = trimHistory({ past: [...this.history.past, entry], future: [] });
+      this.saveHistory();
+    }
+
+    this.clock++;
+    const { lists, tombstones } = stampChanges(
+      prevLists,
+      nextLists,
+      newState.tombstones || {},
+      [this.clock, this.replicaId]
+    );
+    const activeList = lists.find((l) => l.id === newState.activeListId);
+    this.state = { ...newState, lists, tombstones, ...splitTodos(activeList.todos) };
+
+    try {
+      this.storage.writeLists(lists);
+      this.storage.setItem(VIEWS_KEY, JSON.stringify(getListViews(lists)));
+      this.storage.setItem(ACTIVE_LIST_KEY, newState.activeListId);
+      this.storage.setItem(SORT_ORDER_KEY, newState.sortOrder);
+      this.storage.setItem(TAG_COLORS_KEY, JSON.stringify(newState.tagColors));
+      this.storage.setItem(TOMBSTONES_KEY, JSON.stringify(tombstones));
+      this.storage.setItem(TRASH_RETENTION_KEY, String(newState.trashRetentionDays));
+      this.storage.setItem(ARCHIVE_AFTER_KEY, String(newState.archiveAfterDays));
+      this.storage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION));
+      return true;
+    } catch (e) {
+      this.reportStorageError(e);
+      return false;
+    }
+  },
+
+  /**
+   * Saves a change that follows from the last undoable one, such as the
+   * next instance of a completed recurring todo, into that change's undo
+   * step, so one undo takes back both.
+   * @param {Object} newState - Full model state (see model.state)
+   * @returns {boolean} Whether the write succeeded
+   */
+  saveFollowUp(newState) {
+    const { past, future } = this.history;
+    const entry = past[past.length - 1];
+    if (entry) {
+      const before = applyHistoryPatches(getSyncedLists(this.state), entry.patches);
+      // A new ID, as stored entries never change
+      const joined = {
+        ...entry,
+        id: generateId(),
+        patches: createHistoryPatches(before, getSyncedLists(newState))
+      };
+      this.history = trimHistory({ past: [...past.slice(0, -1), joined], future });
+      this.saveHistory();
+    }
+    return this.save(newState);
+  },
+
+  /**
+   * Applies and stores a change to the active list's filters only. Unlike
+   * save, it leaves the clock and the lists alone: a filter is local to the
+   * device, so there is nothing to stamp or merge.
+   * @param {Object} newState - Full model state (see model.state)
+   * @returns {boolean} Whether the write succeeded
+   */
+  saveView(newState) {
+    const lists = newState.lists.map((l) =>
+      l.id === newState.activeListId ? { ...l, ...getListView(newState) } : l
+    );
+    this.state = { ...newState, lists };
+    try {
+      this.storage.setItem(VIEWS_KEY, JSON.stringify(getListViews(lists)));
+      return true;
+    } catch (e) {
+      this.reportStorageError(e);
+      return false;
+    }
+  },
+
+  /**
+   * Persists undo/redo history to storage.
+   */
+  saveHistory() {
+    try {
+      this.storage.writeHistory(this.history);
+    } catch (e) {
+      this.reportStorageError(e);
+    }
+  },
+
+  /**
+   * Records a failed write so the user can be warned.
+   * @param {Error} error - Error thrown or reported by the storage adapter
+   */
+  reportStorageError(error) {
+    this.storageError = describeStorageError(error);
+  },
+
+  /**
+   * Hides the storage warning until the next failed write.
+   */
+  dismissStorageError() {
+    this.storageError = null;
+  },
+
+  /**
+   * Hides the quarantine notice. The quarantined data stays stored.
+   */
+  dismissQuarantineNotice() {
+    this.quarantineNotice = null;
+  },
+
+  /**
+   * Gets the REST endpoint todos sync with.
+   * @returns {string|null} Endpoint URL, or null if sync is off
+   */
+  getSyncEndpoint() {
+    return this.storage.getItem(SYNC_ENDPOINT_KEY);
+  },
+
+  /**
+   * Turns sync on with an http(s) endpoint, or off with an empty one.
+   * Turning it on queues every existing todo to be sent; turning it off
+   * drops changes not sent yet and forgets what was pulled.
+   * @param {string} endpoint - Endpoint URL, or '' to turn sync off
+   * @returns {boolean} Whether the endpoint was valid and stored
+   */
+  setSyncEndpoint(endpoint) {
+    const trimmed = endpoint.trim();
+    const wasOn = Boolean(this.getSyncEndpoint());
+    try {
+      if (!trimmed) {
+        [SYNC_ENDPOINT_KEY, OUTBOX_KEY, SYNC_CURSOR_KEY].forEach((key) => {
+          this.storage.removeItem(key);
+        });
+        this.sync = { syncing: false, lastSyncedAt: null, error: null };
+        return true;
+      }
+      let url;
+      try {
+        url = new URL(trimmed);
+      } catch (e) {
+        return false;
+      }
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') return false;
+      this.storage.setItem(SYNC_ENDPOINT_KEY, url.href);
+    } catch (e) {
+      this.reportStorageError(e);
+      return false;
+    }
+    if (!wasOn) {
+      this.recordOperations(getSyncedLists(this.state).flatMap((list) =>
+        list.todos.map((todo) => ({ type: 'add', data: { todo }, list }))
+      ));
+    }
+    return true;
+  },
+
+  /**
+   * Gets the key bindings: the defaults, with the user's changes on top.
+   * @returns {Object<string, Array<string>>} Keys by command ID
+   */
+  getKeymap() {
+    const stored = parseJsonOrNull(this.storage.getItem(KEYMAP_KEY));
+    return { ...DEFAULT_KEYMAP, ...sanitizeKeymap(stored) };
+  },
+
+  /**
+   * Binds a key to a command in place of its keys, taking it away from any
+   * other command. Only bindings that differ from the defaults are stored.
+   * @param {string} commandId - A key of DEFAULT_KEYMAP
+   * @param {string} key - From getKeyFromEvent
+   * @returns {boolean} Whether the binding was valid and stored
+   */
+  setKeyBinding(commandId, key) {
+    const isCommand = Object.prototype.hasOwnProperty.call(DEFAULT_KEYMAP, commandId);
+    if (!isCommand || typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      return false;
+    }
+    const keymap = bindKey(this.getKeymap(), commandId, key);
+    const changed = {};
+    Object.keys(keymap).forEach((id) => {
+      if (keymap[id].join() !== DEFAULT_KEYMAP[id].join()) changed[id] = keymap[id];
+    });
+    try {
+      if (Object.keys(changed).length === 0) {
+        this.storage.removeItem(KEYMAP_KEY);
+      } else {
+        this.storage.setItem(KEYMAP_KEY, JSON.stringify(changed));
+      }
+    } catch (e) {
+      this.reportStorageError(e);
+      return false;
+    }
+    return true;
+  },
+
+  /**
+   * Goes back to the default key bindings.
+   */
+  resetKeymap() {
+    try {
+      this.storage.removeItem(KEYMAP_KEY);
+    } catch (e) {
+      this.reportStorageError(e);
+    }
+  },
+
+  /**
+   * Gets the operations waiting to be sent, oldest first.
+   * @returns {Array<Object>}
+   */
+  getOutbox() {
+    const outbox = parseJsonOrNull(this.storage.getItem(OUTBOX_KEY));
+    return Array.isArray(outbox) ? outbox : [];
+  },
+
+  /**
+   * Adds an operation to the outbox when sync is on.
+   * @param {string} type - Operation type (see createSyncOperation)
+   * @param {Object} data - Operation data (see createSyncOperation)
+   * @param {Object} [list] - List it applies to; defaults to the active list
+   */
+  recordOperation(type, data, list) {
+    this.recordOperations([{ type, data, list }]);
+  },
+
+  /**
+   * Adds the operations of one change to the outbox when sync is on, in a
+   * single write however many there are.
+   * @param {Array<{ type: string, data: Object, list: (Object|undefined) }>} operations -
+   *   As for recordOperation
+   */
+  recordOperations(operations) {
+    if (operations.length === 0 || !this.getSyncEndpoint()) return;
+    const now = Date.now();
+    const activeList = this.getActiveList();
+    const ops = operations.map(({ type, data, list = activeList }) =>
+      createSyncOperation(type, list, data, now)
+    );
+    try {
+      this.storage.setItem(OUTBOX_KEY, JSON.stringify([...this.getOutbox(), ...ops]));
+    } catch (e) {
+      this.reportStorageError(e);
+      return;
+    }
+    this.onOutboxChange();
+  },
+
+  /**
+   * Removes sent operations from the outbox.
+   * @param {Array<string>} ids - IDs of the operations the server accepted
+   */
+  removeFromOutbox(ids) {
+    const sent = new Set(ids);
+    const outbox = this.getOutbox().filter((op) => !sent.has(op.id));
+    try {
+      if (outbox.length > 0) {
+        this.storage.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+      } else {
+        this.storage.removeItem(OUTBOX_KEY);
+      }
+    } catch (e) {
+      this.reportStorageError(e);
+    }
+  },
+
+  /**
+   * Gets the server cursor to pull changes from.
+   * @returns {string|null} Cursor, or null to pull everything
+   */
+  getSyncCursor() {
+    return this.storage.getItem(SYNC_CURSOR_KEY);
+  },
+
+  /**
+   * Marks a sync as running.
+   * @returns {boolean} False if one already is
+   */
+  startSync() {
+    if (this.sync.syncing) return false;
+    this.sync = { ...this.sync, syncing: true };
+    return true;
+  },
+
+  /**
+   * Applies changes pulled from the sync server (see applyRemoteTodos) and
+   * remembers the cursor to pull from next time. Pulled changes aren't undoable.
+   * @param {{ cursor: *, todos: Array<Object>, lists: Array<Object> }} changes - See
+   *   isSyncChanges
+   * @param {number} now - Time of the sync in milliseconds
+   * @returns {Object} New state
+   */
+  finishSync(changes, now) {
+    const lists = applyRemoteTodos(getSyncedLists(this.state), changes, this.getOutbox());
+    const newState = createStateForList(lists, this.state.activeListId, this.state);
+    this.save(newState);
+    try {
+      this.storage.setItem(SYNC_CURSOR_KEY, String(changes.cursor));
+    } catch (e) {
+      this.reportStorageError(e);
+    }
+    this.sync = { syncing: false, lastSyncedAt: now, error: null };
+    return newState;
+  },
+
+  /**
+   * Records a failed sync. Operations not sent stay in the outbox.
+   * @param {Error} error - Network or server error
+   * @returns {Object} Sync status, with the error
+   */
+  failSync(error) {
+    this.sync = { ...this.sync, syncing: false, error: error.message };
+    return this.sync;
+  },
+
+  /**
+   * Moves the top entry of one history stack onto the other and applies its
+   * patches, switching to the entry's list if another list is active. Lists
+   * deleted since are left out. The entry recorded on the other stack
+   * patches back the todos this replaced.
+   * @param {'past'|'future'} from - Stack to take the entry from
+   * @param {'past'|'future'} to - Stack to record the replaced todos on
+   * @returns {Object|null} New state or null if the stack is empty
+   */
+  applyHistory(from, to) {
+    const source = this.history[from];
+    if (source.length === 0) return null;
+
+    const entry = source[source.length - 1];
+    const base =
+      entry.listId === this.state.activeListId
+        ? this.state
+        : createStateForList(this.state.lists, entry.listId, this.state);
+    const lists = getSyncedLists(base);
+    const newLists = applyHistoryPatches(lists, entry.patches);
+
+    this.history = trimHistory({
+      [from]: source.slice(0, -1),
+      [to]: [
+        ...this.history[to],
+        {
+          id: generateId(),
+          label: entry.label,
+          listId: base.activeListId,
+          patches: createHistoryPatches(lists, newLists)
+        }
+      ]
+    });
+    this.saveHistory();
+
+    const activeList = newLists.find((l) => l.id === base.activeListId);
+    const newState = { ...base, lists: newLists, ...splitTodos(activeList.todos) };
+    this.save(newState);
+    return newState;
+  },
+
+  /**
+   * Restores the todos from before the most recent undoable change.
+   * @returns {Object|null} New state or null if there is nothing to undo
+   */
+  undo() {
+    return this.applyHistory('past', 'future');
+  },
+
+  /**
+   * Re-applies the most recently undone change.
+   * @returns {Object|null} New state or null if there is nothing to redo
+   */
+  redo() {
+    return this.applyHistory('future', 'past');
+  },
+
+  /**
+   * Gets the label of the change that undo would revert.
+   * @returns {string|null}
+   */
+  getUndoLabel() {
+    const { past } = this.history;
+    return past.length > 0 ? past[past.length - 1].label : null;
+  },
+
+  /**
+   * Gets the label of the change that redo would re-apply.
+   * @returns {string|null}
+   */
+  getRedoLabel() {
+    const { future } = this.history;
+    return future.length > 0 ? future[future.length - 1].label : null;
+  },
+
+  /**
+   * Gets the active list.
+   * @returns {Object}
+   */
+  getActiveList() {
+    return this.state.lists.find((l) => l.id === this.state.activeListId);
+  },
+
+  /**
+   * Creates a new empty list and switches to it. Rejects empty or duplicate names.
+   * @param {string} name - List name
+   * @returns {Object|null} New state or null if invalid
+   */
+  createList(name) {
+    const trimmed = trimTitle(name);
+    if (!this.isAvailableListName(trimmed)) return null;
+
+    const list = createEmptyList(trimmed);
+    const newState = createStateForList([...this.state.lists, list], list.id, this.state);
+    this.save(newState);
+    return newState;
+  },
+
+  /**
+   * Renames a list. Rejects empty or duplicate names.
+   * @param {string} id - List ID
+   * @param {string} name - New list name
+   * @returns {Object|null} New state or null if invalid
+   */
+  renameList(id, name) {
+    const trimmed = trimTitle(name);
+    if (!this.state.lists.some((l) => l.id === id)) return null;
+    if (!this.isAvailableListName(trimmed, id)) return null;
+
+    const newLists = this.state.lists.map((l) => (l.id === id ? { ...l, name: trimmed } : l));
+    const newState = { ...this.state, lists: newLists };
+    this.save(newState);
+    return newState;
+  },
+
+  /**
+   * Deletes a list and its todos. The last remaining list cannot be deleted.
+   * Undo history for the deleted list is discarded.
+   * @param {string} id - List ID
+   * @returns {Object|null} New state or null if not found or last list
+   */
+  deleteList(id) {
+    const { lists, activeListId } = this.state;
+    if (lists.length <= 1 || !lists.some((l) => l.id === id)) return null;
+
+    const current = { ...this.state, lists: lists.filter((l) => l.id !== id) };
+    const newState =
+      id === activeListId
+        ? createStateForList(current.lists, null, this.state)
+        : current;
+
+    const keep = (entry) => entry.listId !== id;
+    this.history = {
+      past: this.history.past.filter(keep),
+      future: this.history.future.filter(keep)
+    };
+    this.saveHistory();
+
+    this.save(newState);
+    return newState;
+  },
+
+  /**
+   * Switches to another list, restoring its todos and filter.
+   * @param {string} id - List ID
+   * @returns {Object|null} New state or null if not found
+   */
+  switchList(id) {
+    if (!this.state.lists.some((l) => l.id === id)) return null;
+    if (id === this.state.activeListId) return this.state;
+
+    const newState = createStateForList(this.state.lists, id, this.state);
+    this.save(newState);
+    return newState;
+  },
+
+  /**
+   * Imports lists from a backup, either merged into the current lists (see
+   * mergeLists) or replacing them along with the sort order and tag colors.
+   * Undo history is cleared, since it cannot span an import.
+   * @param {Object} data - Result of parseImportFile
+   * @param {'merge'|'replace'} mode
+   * @returns {Object|null} New state or null if invalid
+   */
+  importData(data, mode) {
+    if (!data || (mode !== 'merge' && mode !== 'replace')) return null;
+
+    let newState;
+    if (mode === 'replace') {
+      newState = createStateForList(data.lists, data.activeListId, {
+        ...this.state,
+        sortOrder: data.sortOrder || this.state.sortOrder,
+        tagColors: data.tagColors
+      });
+    } else {
+      const { lists } = mergeLists(this.state.lists, data.lists);
+      newState = createStateForList(lists, this.state.activeListId, {
+        ...this.state,
+        tagColors: { ...data.tagColors, ...this.state.tagColors }
+      });
+    }
+
+    this.history = { past: [], future: [] };
+    this.saveHistory();
+    this.save(newState);
+    return newState;
+  },
+
+  /**
+   * Checks whether a list name is valid and not used by another list.
+   * @param {string} name - Trimmed list name
+   * @param {string} [exceptId] - List being renamed, whose own name is allowed
+   * @returns {boolean}
+   */
+  isAvailableListName(name, exceptId) {
+    if (!name || name.length > LIST_NAME_MAX_LENGTH) return false;
+    const lower = name.toLowerCase();
+    return !this.state.lists.some((l) => l.id !== exceptId && l.name.toLowerCase() === lower);
+  },
+
+  /**
+   * Adds a new todo. Rejects empty titles and invalid fields.
+   * @param {string} title - Todo title text
+   * @param {Object} [fields] - Optional fields: dueDate, dueTime, tags, priority,
+   *   recurrence, notes (see normalizeTodoFields)
+   * @returns {Object|null} New state or null if invalid
+   */
+  addTodo(title, fields = {}) {
+    const trimmed = trimTitle(title);
+    if (!trimmed || trimmed.length > 500) return null;
+
+    const details = normalizeTodoFields(fields);
+    if (!details) return null;
+
+    const todo = {
+      id: generateId(),
+      title: trimmed,
+      completed: false,
+      createdAt: Date.now(),
+      subtasks: [],
+      // New todos go to the top of the manual order
+      order: this.state.todos.reduce((min, t) => Math.min(min, t.order || 0), 0) - 1,
+      ...details
+    };
+
+    const newState = {
+      ...this.state,
+      todos: [todo, ...this.state.todos]
+    };
+    this.save(newState, 'Added \u201c' + trimmed + '\u201d');
+    this.recordOperation('add', { todo });
+    return newState;
+  },
+
+  /**
+   * Toggles the completion status of a todo.
+   * Stamps completedAt when completing and clears it when reopening. The
+   * series of a recurring todo is continued by the next action (see continueSeries).
+   * @param {string} id - Todo ID
+   * @returns {Object|null} New state or null if not found
+   */
+  toggleTodo(id) {
+    const index = this.state.todos.findIndex((t) => t.id === id);
+    if (index === -1) return null;
+
+    const todo = this.state.todos[index];
+    const toggled = {
+      ...todo,
+      completed: !todo.completed,
+      completedAt: todo.completed ? null : Date.now()
+    };
+    const newTodos = this.state.todos.map((t) => (t.id === id ? toggled : t));
+
+    const newState = { ...this.state, todos: newTodos };
+    this.save(
+      newState,
+      (todo.completed ? 'Reopened \u201c' : 'Completed \u201c') + todo.title + '\u201d'
+    );
+    this.recordOperation('toggle', { todoId: id, fields: getChangedFields(todo, toggled) });
+    return newState;
+  },
+
+  /**
+   * Continues the series of recurring todos that were just completed (see
+   * addNextOccurrence). It runs as the next action after the completion and
+   * joins its undo step, so one undo takes back both.
+   * @param {Array<string>} ids - Todo IDs; ones not completed and recurring are skipped
+   * @returns {Object|null} New state or null if none of them continue a series
+   */
+  continueSeries(ids) {
+    const chosen = new Set(ids);
+    const series = this.state.todos.filter((t) => chosen.has(t.id) && t.completed && t.recurrence);
+    if (series.length === 0) return null;
+
+    let newTodos = this.state.todos;
+    series.forEach((todo) => {
+      newTodos = this.addNextOccurrence(newTodos, todo);
+    });
+    const newState = { ...this.state, todos: newTodos };
+    this.saveFollowUp(newState);
+    this.recordOperations([
+      ...series.map((todo) => ({
+        type: 'edit',
+        data: { todoId: todo.id, fields: { recurrence: null } }
+      })),
+      // addNextOccurrence puts each new instance at the front
+      ...newTodos.slice(0, series.length).map((todo) => ({ type: 'add', data: { todo } }))
+    ]);
+    return newState;
+  },
+
+  /**
+   * Continues a recurring todo's series after it is completed: the series
+   * moves to a new open instance with the next due date, placed at the top of
+   * the manual order, and the completed instance stops repeating.
+   * @param {Array<Object>} todos - Todos with the instance already completed
+   * @param {Object} todo - The recurring todo being completed
+   * @returns {Array<Object>} New todos
+   */
+  addNextOccurrence(todos, todo) {
+    const next = {
+      ...createNextOccurrence(todo, Date.now()),
+      order: todos.reduce((min, t) => Math.min(min, t.order || 0), 0) - 1
+    };
+    return [next, ...todos.map((t) => (t.id === todo.id ? { ...t, recurrence: null } : t))];
+  },
+
+  /**
+   * Moves a todo next to another one and switches to manual order. The move
+   * starts from the order currently shown, so it matches what the user sees.
+   * @param {string} id - ID of the todo to move
+   * @param {string} targetId - ID of the todo to place it next to
+   * @param {'before'|'after'} position - Which side of the target
+   * @returns {Object|null} New state or null if invalid
+   */
+  moveTodo(id, targetId, position) {
+    if (id === targetId || (position !== 'before' && position !== 'after')) return null;
+
+    const shown = sortTodos(this.state.todos, this.state.sortOrder);
+    const todo = shown.find((t) => t.id === id);
+    const rest = shown.filter((t) => t.id !== id);
+    const targetIndex = rest.findIndex((t) => t.id === targetId);
+    if (!todo || targetIndex === -1) return null;
+
+    rest.splice(targetIndex + (position === 'after' ? 1 : 0), 0, todo);
+    const newTodos = rest.map((t, index) => (t.order === index ? t : { ...t, order: index }));
+
+    const newState = { ...this.state, todos: newTodos, sortOrder: 'manual' };
+    this.save(newState, 'Moved \u201c' + todo.title + '\u201d');
+    return newState;
+  },
+
+  /**
+   * Moves a todo to the trash.
+   * @param {string} id - Todo ID
+   * @returns {Object|null} New state or null if not found
+   */
+  deleteTodo(id) {
+    const todo = this.state.todos.find((t) => t.id === id);
+    if (!todo) return null;
+
+    const deletedAt = Date.now();
+    const newState = {
+      ...this.state,
+      todos: this.state.todos.filter((t) => t.id !== id),
+      trash: [{ ...todo, deletedAt }, ...this.state.trash]
+    };
+    this.save(newState, 'Deleted \u201c' + todo.title + '\u201d');
+    this.recordOperation('edit', { todoId: id, fields: { deletedAt } });
+    return newState;
+  },
+
+  /**
+   * Moves a todo from the trash back to its list.
+   * @param {string} id - Todo ID
+   * @returns {Object|null} New state or null if it isn't in the trash
+   */
+  restoreTodo(id) {
+    const todo = this.state.trash.find((t) => t.id === id);
+    if (!todo) return null;
+
+    const newState = {
+      ...this.state,
+      todos: [...this.state.todos, { ...todo, deletedAt: null }],
+      trash: this.state.trash.filter((t) => t.id !== id)
+    };
+    this.save(newState, 'Restored \u201c' + todo.title + '\u201d');
+    this.recordOperation('edit', { todoId: id, fields: { deletedAt: null } });
+    return newState;
+  },
+
+  /**
+   * Deletes a todo in the trash for good. This can't be undone.
+   * @param {string} id - Todo ID
+   * @returns {Object|null} New state or null if it isn't in the trash
+   */
+  deleteTodoForever(id) {
+    if (!this.state.trash.some((t) => t.id === id)) return null;
+
+    const newState = { ...this.state, trash: this.state.trash.filter((t) => t.id !== id) };
+    this.save(newState);
+    this.recordOperation('delete', { todoId: id });
+    return newState;
+  },
+
+  /**
+   * Edits a todo's title and optionally other fields. Rejects empty titles
+   * and invalid fields. Clearing the due date also clears its time.
+   * @param {string} id - Todo ID
+   * @param {string} newTitle - New title text
+   * @param {Object} [fields] - Fields to change (see normalizeTodoFields); omitted
+   *   fields are left unchanged, a dueDate of '' or null clears it
+   * @returns {Object|null} New state or null if invalid
+   */
+  editTodo(id, newTitle, fields = {}) {
+    const trimmed = trimTitle(newTitle);
+    if (!trimmed || trimmed.length > 500) return null;
+
+    const index = this.state.todos.findIndex((t) => t.id === id);
+    if (index === -1) return null;
+
+    const todo = this.state.todos[index];
+    const merged = {
+      dueDate: todo.dueDate,
+      dueTime: todo.dueTime,
+      tags: todo.tags,
+      priority: todo.priority,
+      recurrence: todo.recurrence,
+      notes: todo.notes || '',
+      ...fields
+    };
+    if ('dueDate' in fields && !fields.dueDate) merged.dueTime = null;
+
+    const details = normalizeTodoFields(merged);
+    if (!details) return null;
+
+    const edited = { ...todo, title: trimmed, ...details };
+    const newTodos = this.state.todos.map((t) => (t.id === id ? edited : t));
+
+    const newState = { ...this.state, todos: newTodos };
+    this.save(newState, 'Edited \u201c' + trimmed + '\u201d');
+    this.recordOperation('edit', { todoId: id, fields: getChangedFields(todo, edited) });
+    return newState;
+  },
+
+  /**
+   * Completes or reopens several todos as one undoable step. As with
+   * toggleTodo, the next action continues the series of recurring todos.
+   * @param {Array<string>} ids - Todo IDs; ones not in the active list are skipped
+   * @param {boolean} completed - Whether to complete or reopen them
+   * @returns {Object|null} New state or null if none of them changed
+   */
+  setTodosCompleted(ids, completed) {
+    const chosen = new Set(ids);
+    const changed = this.state.todos.filter((t) => chosen.has(t.id) && t.completed !== completed);
+    if (changed.length === 0) return null;
+
+    const completedAt = completed ? Date.now() : null;
+    const changedIds = new Set(changed.map((t) => t.id));
+    const newTodos = this.state.todos.map((t) =>
+      changedIds.has(t.id) ? { ...t, completed, completedAt } : t
+    );
+
+    const newState = { ...this.state, todos: newTodos };
+    this.save(newState, (completed ? 'Completed ' : 'Reopened ') + formatTodoCount(changed.length));
+    const afterById = new Map(newTodos.map((t) => [t.id, t]));
+    this.recordOperations(changed.map((todo) => ({
+      type: 'toggle',
+      data: { todoId: todo.id, fields: getChangedFields(todo, afterById.get(todo.id)) }
+    })));
+    return newState;
+  },
+
+  /**
+   * Moves several todos to the trash as one undoable step.
+   * @param {Array<string>} ids - Todo IDs; ones not in the active list are skipped
+   * @returns {Object|null} New state or null if none of them are in the list
+   */
+  deleteTodos(ids) {
+    const chosen = new Set(ids);
+    const deletedAt = Date.now();
+    const removed = this.state.todos
+      .filter((t) => chosen.has(t.id))
+      .map((t) => ({ ...t, deletedAt }));
+    if (removed.length === 0) return null;
+
+    const newState = {
+      ...this.state,
+      todos: this.state.todos.filter((t) => !chosen.has(t.id)),
+      trash: [...removed, ...this.state.trash]
+    };
+    this.save(newState, 'Deleted ' + formatTodoCount(removed.length));
+    this.recordOperations(removed.map((t) => ({
+      type: 'edit', data: { todoId: t.id, fields: { deletedAt } }
+    })));
+    return newState;
+  },
+
+  /**
+   * Adds a tag to several todos as one undoable step.
+   * @param {Array<string>} ids - Todo IDs; ones not in the active list are skipped
+   * @param {string} tag - One tag name, with or without '#'
+   * @returns {Object|null} New state or null if invalid or nothing changed
+   */
+  tagTodos(ids, tag) {
+    const tags = parseTagList(tag);
+    if (tags.length !== 1 || !isValidTag(tags[0])) return null;
+    const name = tags[0];
+
+    return this.updateTodos(
+      ids,
+      (t) => ((t.tags || []).includes(name) ? t : { ...t, tags: [...(t.tags || []), name] }),
+      (count) => 'Tagged ' + formatTodoCount(count) + ' #' + name
+    );
+  },
+
+  /**
+   * Sets or clears the due date of several todos as one undoable step.
+   * Clearing it also clears the due time.
+   * @param {Array<string>} ids - Todo IDs; ones not in the active list are skipped
+   * @param {string|null} dueDate - Day key, or '' or null to clear it
+   * @returns {Object|null} New state or null if invalid or nothing changed
+   */
+  setTodosDueDate(ids, dueDate) {
+    if (dueDate && !parseDayKey(dueDate)) return null;
+
+    return this.updateTodos(
+      ids,
+      (t) => ({ ...t, dueDate: dueDate || null, dueTime: dueDate ? t.dueTime : null }),
+      (count) => (dueDate ? 'Set the due date of ' : 'Cleared the due date of ') +
+        formatTodoCount(count)
+    );
+  },
+
+  /**
+   * Changes several todos as one undoable step.
+   * @param {Array<string>} ids - Todo IDs; ones not in the active list are skipped
+   * @param {function(Object): Object} transform - Returns the changed todo
+   * @param {function(number): string} describe - Labels the change for the
+   *   number of todos it changed
+   * @returns {Object|null} New state or null if nothing changed
+   */
+  updateTodos(ids, transform, describe) {
+    const chosen = new Set(ids);
+    const changed = [];
+    const newTodos = this.state.todos.map((t) => {
+      if (!chosen.has(t.id)) return t;
+      const after = transform(t);
+      if (!hasTodoChanged(t, after)) return t;
+      changed.push([t, after]);
+      return after;
+    });
+    if (changed.length === 0) return null;
+
+    const newState = { ...this.state, todos: newTodos };
+    this.save(newState, describe(changed.length));
+    this.recordOperations(changed.map(([before, after]) => ({
+      type: 'edit', data: { todoId: after.id, fields: getChangedFields(before, after) }
+    })));
+    return newState;
+  },
+
+  /**
+   * Moves several todos to the top of another list as one undoable step.
+   * A todo never changes lists (see mergeReplicas), so each one is deleted
+   * here and added there with a new ID.
+   * @param {Array<string>} ids - Todo IDs; ones not in the active list are skipped
+   * @param {string} listId - ID of the list to move them to
+   * @returns {Object|null} New state or null if invalid or none of them are in the list
+   */
+  moveTodosToList(ids, listId) {
+    const target = this.state.lists.find((l) => l.id === listId);
+    if (!target || listId === this.state.activeListId) return null;
+
+    const chosen = new Set(ids);
+    const moving = this.state.todos.filter((t) => chosen.has(t.id));
+    if (moving.length === 0) return null;
+
+    const top = target.todos.reduce((min, t) => Math.min(min, t.order || 0), 0);
+    const copies = moving.map((t, index) => ({
+      ...t,
+      id: generateId(),
+      order: top - moving.length + index,
+      stamps: {}
+    }));
+    const newState = {
+      ...this.state,
+      lists: this.state.lists.map((l) =>
+        l.id === listId ? { ...l, todos: [...copies, ...l.todos] } : l
+      ),
+      todos: this.state.todos.filter((t) => !chosen.has(t.id))
+    };
+    this.save(
+      newState,
+      'Moved ' + formatTodoCount(moving.length) + ' to \u201c' + target.name + '\u201d'
+    );
+    this.recordOperations([
+      ...moving.map((t) => ({ type: 'delete', data: { todoId: t.id } })),
+      ...copies.map((todo) => ({ type: 'add', data: { todo }, list: target }))
+    ]);
+    return newState;
+  },
+
+  /**
+   * Adds a checklist item to the end of a todo's subtasks. Adding an open
+   * subtask to a completed todo reopens it (see toggleSubtask).
+   * @param {string} todoId - Parent todo ID
+   * @param {string} title - Subtask title text
+   * @returns {Object|null} New state or null if invalid
+   */
+  addSubtask(todoId, title) {
+    const trimmed = trimTitle(title);
+    if (!trimmed || trimmed.length > 500) return null;
+
+    const subtask = { id: generateId(), title: trimmed, completed: false };
+    return this.updateSubtasks(
+      todoId,
+      (subtasks) => [...subtasks, subtask],
+      'Added subtask \u201c' + trimmed + '\u201d'
+    );
+  },
+
+  /**
+   * Toggles a subtask's completion. The parent follows its checklist:
+   * completing the last open subtask completes the parent, and reopening a
+   * subtask of a completed parent reopens it. Toggling the parent itself
+   * leaves its subtasks unchanged.
+   * @param {string} todoId - Parent todo ID
+   * @param {string} subtaskId - Subtask ID
+   * @returns {Object|null} New state or null if not found
+   */
+  toggleSubtask(todoId, subtaskId) {
+    const todo = this.state.todos.find((t) => t.id === todoId);
+    const subtask = todo && (todo.subtasks || []).find((s) => s.id === subtaskId);
+    if (!subtask) return null;
+
+    return this.updateSubtasks(
+      todoId,
+      (subtasks) =>
+        subtasks.map((s) => (s.id === subtaskId ? { ...s, completed: !s.completed } : s)),
+      (subtask.completed ? 'Reopened subtask \u201c' : 'Completed subtask \u201c') +
+        subtask.title + '\u201d'
+    );
+  },
+
+  /**
+   * Deletes a subtask. Deleting the last open subtask completes the parent.
+   * @param {string} todoId - Parent todo ID
+   * @param {string} subtaskId - Subtask ID
+   * @returns {Object|null} New state or null if not found
+   */
+  deleteSubtask(todoId, subtaskId) {
+    const todo = this.state.todos.find((t) => t.id === todoId);
+    const subtask = todo && (todo.subtasks || []).find((s) => s.id === subtaskId);
+    if (!subtask) return null;
+
+    return this.updateSubtasks(
+      todoId,
+      (subtasks) => subtasks.filter((s) => s.id !== subtaskId),
+      'Deleted subtask \u201c' + subtask.title + '\u201d'
+    );
+  },
+
+  /**
+   * Replaces a todo's subtasks and syncs the todo's completion with them:
+   * a non-empty checklist that is all done completes it, any open item reopens it.
+   * As with toggleTodo, the next action continues the series of a recurring todo.
+   * @param {string} todoId - Parent todo ID
+   * @param {function(Array<Object>): Array<Object>} transform - Maps the subtasks
+   * @param {string} label - Undo label
+   * @returns {Object|null} New state or null if the todo is not found
+   */
+  updateSubtasks(todoId, transform, label) {
+    const todo = this.state.todos.find((t) => t.id === todoId);
+    if (!todo) return null;
+
+    const subtasks = transform(todo.subtasks || []);
+    let updated = { ...todo, subtasks };
+    const allDone = subtasks.length > 0 && subtasks.every((s) => s.completed);
+    if (allDone && !todo.completed) {
+      updated = { ...updated, completed: true, completedAt: Date.now() };
+    } else if (!allDone && subtasks.length > 0 && todo.completed) {
+      updated = { ...updated, completed: false, completedAt: null };
+    }
+
+    const newTodos = this.state.todos.map((t) => (t.id === todoId ? updated : t));
+    const newState = { ...this.state, todos: newTodos };
+    this.save(newState, label);
+    this.recordOperation('edit', { todoId, fields: getChangedFields(todo, updated) });
+    return newState;
+  },
+
+  /**
+   * Changes the active filter.
+   * The 'day' filter shows todos completed on the given day and moves the
+   * calendar to the week containing it.
+   * @param {string} filterType - 'all' | 'active' | 'completed' | 'day' | 'today' |
+   *   'overdue' | 'upcoming'
+   * @param {string} [dayKey] - Day key in 'YYYY-MM-DD' format (required for 'day')
+   * @returns {Object|null} New state or null if invalid
+   */
+  setFilter(filterType, dayKey) {
+    if (!VALID_FILTERS.includes(filterType)) return null;
+
+    let newState;
+    if (filterType === 'day') {
+      const date = parseDayKey(dayKey);
+      if (!date) return null;
+      newState = {
+        ...this.state,
+        currentFilter: 'day',
+        selectedDay: dayKey,
+        calendarWeekStart: getWeekStart(date)
+      };
+    } else {
+      newState = { ...this.state, currentFilter: filterType, selectedDay: null };
+    }
+
+    this.saveView(newState);
+    return this.state;
+  },
+
+  /**
+   * Selects or deselects a tag in the active list's tag filter.
+   * @param {string} tag - Tag name
+   * @returns {Object|null} New state or null if invalid
+   */
+  toggleTagFilter(tag) {
+    if (!isValidTag(tag)) return null;
+
+    const { selectedTags } = this.state;
+    const newSelected = selectedTags.includes(tag)
+      ? selectedTags.filter((t) => t !== tag)
+      : [...selectedTags, tag];
+    const newState = { ...this.state, selectedTags: newSelected };
+    this.saveView(newState);
+    return this.state;
+  },
+
+  /**
+   * Clears the active list's tag filter.
+   * @returns {Object} New state
+   */
+  clearTagFilter() {
+    const newState = { ...this.state, selectedTags: [] };
+    this.saveView(newState);
+    return this.state;
+  },
+
+  /**
+   * Sets whether todos must have any or all of the selected tags.
+   * @param {string} mode - 'any' (OR) | 'all' (AND)
+   * @returns {Object|null} New state or null if invalid
+   */
+  setTagMatchMode(mode) {
+    if (mode !== 'any' && mode !== 'all') return null;
+
+    const newState = { ...this.state, tagMatchMode: mode };
+    this.saveView(newState);
+    return this.state;
+  },
+
+  /**
+   * Renames a tag on every todo in every list, merging into an existing tag
+   * of the same name. Its color and any filter selection follow it.
+   * @param {string} oldName - Current tag name
+   * @param {string} newName - New tag name ('#' and case are normalized)
+   * @returns {Object|null} New state or null if invalid or unknown
+   */
+  renameTag(oldName, newName) {
+    const parsed = parseTagList(newName);
+    const renamed = parsed[0];
+    if (parsed.length !== 1 || !isValidTag(renamed)) return null;
+    if (!this.getAllTags().includes(oldName)) return null;
+    if (renamed === oldName) return this.state;
+
+    const replace = (tags) =>
+      tags.includes(oldName)
+        ? [...new Set(tags.map((t) => (t === oldName ? renamed : t)))]
+        : tags;
+    const tagColors = { ...this.state.tagColors };
+    if (tagColors[oldName] && !tagColors[renamed]) tagColors[renamed] = tagColors[oldName];
+    delete tagColors[oldName];
+
+    return this.updateTagsEverywhere(replace, tagColors);
+  },
+
+  /**
+   * Removes a tag from every todo in every list, along with its color.
+   * @param {string} name - Tag name
+   * @returns {Object|null} New state or null if unknown
+   */
+  deleteTag(name) {
+    if (!this.getAllTags().includes(name)) return null;
+
+    const tagColors = { ...this.state.tagColors };
+    delete tagColors[name];
+    return this.updateTagsEverywhere((tags) => tags.filter((t) => t !== name), tagColors);
+  },
+
+  /**
+   * Applies a tag transformation to the todos and tag filters of every list.
+   * Tag management spans lists, so it is not recorded in undo history.
+   * @param {function(Array<string>): Array<string>} transform - Maps a tag array
+   * @param {Object<string, string>} tagColors - Updated custom colors
+   * @returns {Object} New state
+   */
+  updateTagsEverywhere(transform, tagColors) {
+    const updateTodos = (todos) =>
+      todos.map((t) => {
+        const tags = transform(t.tags || []);
+        return tags === t.tags ? t : { ...t, tags };
+      });
+    const lists = this.state.lists.map((l) => ({
+      ...l,
+      todos: updateTodos(l.todos),
+      selectedTags: transform(l.selectedTags || [])
+    }));
+    const newState = {
+      ...this.state,
+      lists,
+      todos: updateTodos(this.state.todos),
+      selectedTags: transform(this.state.selectedTags),
+      tagColors
+    };
+    this.save(newState);
+    return newState;
+  },
+
+  /**
+   * Sets a custom color for a tag.
+   * @param {string} tag - Tag name
+   * @param {string} color - Color in '#rrggbb' format
+   * @returns {Object|null} New state or null if invalid
+   */
+  setTagColor(tag, color) {
+    if (!isValidTag(tag) || !/^#[0-9a-f]{6}$/i.test(color)) return null;
+
+    const newState = {
+      ...this.state,
+      tagColors: { ...this.state.tagColors, [tag]: color.toLowerCase() }
+    };
+    this.save(newState);
+    return newState;
+  },
+
+  /**
+   * Changes how todos are ordered in every list. Stored order is untouched.
+   * @param {string} sortOrder - One of SORT_ORDERS
+   * @returns {Object|null} New state or null if invalid
+   */
+  setSortOrder(sortOrder) {
+    if (!SORT_ORDERS.includes(sortOrder)) return null;
+
+    const newState = { ...this.state, sortOrder };
+    this.save(newState);
+    return newState;
+  },
+
+  /**
+   * Changes the search text the list is narrowed to. It lasts for the
+   * session and isn't stored, so typing a query never writes to storage.
+   * @param {string} query - Text to search titles, notes and tags for
+   * @returns {Object|null} New state or null if invalid
+   */
+  setSearchQuery(query) {
+    if (typeof query !== 'string') return null;
+
+    this.state = { ...this.state, searchQuery: query };
+    return this.state;
+  },
+
+  /**
+   * Moves the calendar by a number of weeks. The week shown lasts for the
+   * session and isn't stored, so stepping through weeks never writes to storage.
+   * @param {number} offset - Weeks to move (negative for earlier weeks)
+   * @returns {Object|null} New state or null if invalid
+   */
+  shiftCalendarWeek(offset) {
+    if (!Number.isInteger(offset) || offset === 0) return null;
+
+    const weekStart = this.state.calendarWeekStart || getWeekStart(Date.now());
+    this.state = { ...this.state, calendarWeekStart: addDays(weekStart, offset * 7) };
+    return this.state;
+  },
+
+  /**
+   * Moves all completed todos to the trash. Only recorded in history if
+   * something was moved.
+   * @returns {Object} New state
+   */
+  clearCompleted() {
+    const deletedAt = Date.now();
+    const newTodos = this.state.todos.filter((t) => !t.completed);
+    const removed = this.state.todos.filter((t) => t.completed).map((t) => ({ ...t, deletedAt }));
+    const removedCount = removed.length;
+    const newState = { ...this.state, todos: newTodos, trash: [...removed, ...this.state.trash] };
+    this.save(
+      newState,
+      removedCount > 0
+        ? 'Cleared ' + removedCount + (removedCount === 1 ? ' completed todo' : ' completed todos')
+        : undefined
+    );
+    this.recordOperations(removed.map((t) => ({
+      type: 'edit', data: { todoId: t.id, fields: { deletedAt } }
+    })));
+    return newState;
+  },
+
+  /**
+   * Deletes every todo in the active list's trash for good.
+   * @returns {Object|null} New state or null if the trash is empty
+   */
+  emptyTrash() {
+    const { trash } = this.state;
+    if (trash.length === 0) return null;
+
+    const newState = { ...this.state, trash: [] };
+    this.save(newState);
+    this.recordOperations(trash.map((t) => ({ type: 'delete', data: { todoId: t.id } })));
+    return newState;
+  },
+
+  /**
+   * Sets how many days the trash keeps todos for (see TRASH_RETENTION_OPTIONS).
+   * Call purgeTrash afterwards to apply a shorter limit.
+   * @param {number} days
+   * @returns {Object|null} New state or null if not an option
+   */
+  setTrashRetention(days) {
+    if (!TRASH_RETENTION_OPTIONS.includes(days)) return null;
+    const newState = { ...this.state, trashRetentionDays: days };
+    this.save(newState);
+    return newState;
+  },
+
+  /**
+   * Deletes the todos that have been in any list's trash longer than it
+   * keeps them for.
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|null} New state or null if nothing expired
+   */
+  purgeTrash(now) {
+    const { activeListId, trashRetentionDays } = this.state;
+    const purged = [];
+    const lists = getSyncedLists(this.state).map((list) => {
+      const expired = list.todos.filter(
+        (t) => t.deletedAt && isTrashExpired(t, trashRetentionDays, now)
+      );
+      if (expired.length === 0) return list;
+      expired.forEach((t) => purged.push({ todo: t, list }));
+      return { ...list, todos: list.todos.filter((t) => !expired.includes(t)) };
+    });
+    if (purged.length === 0) return null;
+
+    const activeList = lists.find((l) => l.id === activeListId);
+    const newState = { ...this.state, lists, ...splitTodos(activeList.todos) };
+    this.save(newState);
+    this.recordOperations(purged.map(({ todo, list }) => ({
+      type: 'delete', data: { todoId: todo.id }, list
+    })));
+    return newState;
+  },
+
+  /**
+   * Moves all completed todos to the archive.
+   * @returns {Object|null} New state or null if nothing is completed
+   */
+  archiveCompleted() {
+    const archivedAt = Date.now();
+    const completed = this.state.todos.filter((t) => t.completed);
+    if (completed.length === 0) return null;
+
+    const archived = completed.map((t) => ({ ...t, archivedAt }));
+    const newState = {
+      ...this.state,
+      todos: this.state.todos.filter((t) => !t.completed),
+      archive: [...archived, ...this.state.archive]
+    };
+    const count = archived.length;
+    this.save(
+      newState,
+      'Archived ' + count + (count === 1 ? ' completed todo' : ' completed todos')
+    );
+    this.recordOperations(archived.map((t) => ({
+      type: 'edit', data: { todoId: t.id, fields: { archivedAt } }
+    })));
+    return newState;
+  },
+
+  /**
+   * Moves archived todos back to their list. They aren't archived
+   * automatically again.
+   * @param {Array<string>} ids - IDs of archived todos
+   * @returns {Object|null} New state or null if none of them are archived
+   */
+  unarchiveTodos(ids) {
+    const chosen = new Set(ids);
+    const restored = this.state.archive
+      .filter((t) => chosen.has(t.id))
+      .map((t) => ({ ...t, archivedAt: null }));
+    if (restored.length === 0) return null;
+
+    const newState = {
+      ...this.state,
+      todos: [...this.state.todos, ...restored],
+      archive: this.state.archive.filter((t) => !chosen.has(t.id))
+    };
+    const count = restored.length;
+    this.save(newState, 'Unarchived ' + count + (count === 1 ? ' todo' : ' todos'));
+    this.recordOperations(restored.map((t) => ({
+      type: 'edit', data: { todoId: t.id, fields: { archivedAt: null } }
+    })));
+    return newState;
+  },
+
+  /**
+   * Sets how many days after completion todos are archived (see
+   * ARCHIVE_AFTER_OPTIONS). Call autoArchive afterwards to apply it.
+   * @param {number} days
+   * @returns {Object|null} New state or null if not an option
+   */
+  setArchiveAfter(days) {
+    if (!ARCHIVE_AFTER_OPTIONS.includes(days)) return null;
+    const newState = { ...this.state, archiveAfterDays: days };
+    this.save(newState);
+    return newState;
+  },
+
+  /**
+   * Archives the todos in every list that were completed long enough ago
+   * (see isArchiveDue).
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|null} New state or null if nothing was due
+   */
+  autoArchive(now) {
+    const { activeListId, archiveAfterDays } = this.state;
+    const archived = [];
+    const lists = getSyncedLists(this.state).map((list) => {
+      if (!list.todos.some((t) => isArchiveDue(t, archiveAfterDays, now))) return list;
+      const todos = list.todos.map((t) => {
+        if (!isArchiveDue(t, archiveAfterDays, now)) return t;
+        archived.push({ todo: t, list });
+        return { ...t, archivedAt: now };
+      });
+      return { ...list, todos };
+    });
+    if (archived.length === 0) return null;
+
+    const activeList = lists.find((l) => l.id === activeListId);
+    const newState = { ...this.state, lists, ...splitTodos(activeList.todos) };
+    this.save(newState);
+    this.recordOperations(archived.map(({ todo, list }) => ({
+      type: 'edit', data: { todoId: todo.id, fields: { archivedAt: now } }, list
+    })));
+    return newState;
+  },
+
+  /**
+   * Works out the control states that decide the next action: whether any
+   * list has trashed todos to delete for good or completed todos to archive.
+   * @param {number} now - Current time in milliseconds
+   * @returns {{ trashExpired: boolean, archiveDue: boolean }}
+   */
+  getControlStates(now) {
+    const { trashRetentionDays, archiveAfterDays } = this.state;
+    const todos = getSyncedLists(this.state).flatMap((list) => list.todos);
+    return {
+      trashExpired: todos.some((t) => t.deletedAt && isTrashExpired(t, trashRetentionDays, now)),
+      archiveDue: todos.some((t) => isArchiveDue(t, archiveAfterDays, now))
+    };
+  },
+
+  /**
+   * Gets the count of active (incomplete) todos. Only top-level todos are
+   * counted; subtasks show their own progress on the parent.
+   * @returns {number}
+   */
+  getActiveCount() {
+    return this.state.todos.filter((t) => !t.completed).length;
+  },
+
+  /**
+   * Gets the count of completed (top-level) todos.
+   * @returns {number}
+   */
+  getCompletedCount() {
+    return this.state.todos.filter((t) => t.completed).length;
+  },
+
+  /**
+   * Gets completed-todo counts for each day of the calendar week.
+   * @returns {Array<{ dayKey: string, count: number }>} Seven entries, Monday first
+   */
+  getWeekCompletions() {
+    const weekStart = this.state.calendarWeekStart || getWeekStart(Date.now());
+    const counts = {};
+    this.state.todos.forEach((t) => {
+      if (t.completed && typeof t.completedAt === 'number') {
+        const dayKey = toDayKey(t.completedAt);
+        counts[dayKey] = (counts[dayKey] || 0) + 1;
+      }
+    });
+
+    const days = [];
+    for (let i = 0; i < 7; i++) {
+      const dayKey = addDays(weekStart, i);
+      days.push({ dayKey, count: counts[dayKey] || 0 });
+    }
+    return days;
+  },
+
+  /**
+   * Gets every tag used in any list, sorted by name.
+   * @returns {Array<string>}
+   */
+  getAllTags() {
+    const tags = new Set();
+    this.state.lists.forEach((l) => {
+      const todos = l.id === this.state.activeListId ? this.state.todos : splitTodos(l.todos).todos;
+      todos.forEach((t) => (t.tags || []).forEach((tag) => tags.add(tag)));
+    });
+    return [...tags].sort();
+  },
+
+  /**
+   * Gets the tags used in the active list, plus any selected ones, sorted by name.
+   * @returns {Array<string>}
+   */
+  getListTags() {
+    const tags = new Set(this.state.selectedTags);
+    this.state.todos.forEach((t) => (t.tags || []).forEach((tag) => tags.add(tag)));
+    return [...tags].sort();
+  },
+
+  /**
+   * Gets todos filtered by the current filter setting, then by the search
+   * query, then by the selected tags (any or all of them, per the tag match
+   * mode), in the chosen sort order.
+   * @returns {Array<Object>}
+   */
+  getFilteredTodos() {
+    const { selectedTags, tagMatchMode, sortOrder, searchQuery } = this.state;
+    const terms = getSearchTerms(searchQuery);
+    let todos = sortTodos(this.getTodosForFilter(), sortOrder);
+    if (terms.length > 0) todos = todos.filter((t) => matchesSearch(t, terms));
+    if (!selectedTags || selectedTags.length === 0) return todos;
+
+    const matches = (t) => {
+      const tags = t.tags || [];
+      return tagMatchMode === 'all'
+        ? selectedTags.every((tag) => tags.includes(tag))
+        : selectedTags.some((tag) => tags.includes(tag));
+    };
+    return todos.filter(matches);
+  },
+
+  /**
+   * Gets todos matching the current filter setting, ignoring tags.
+   * @returns {Array<Object>}
+   */
+  getTodosForFilter() {
+    const { todos, currentFilter, selectedDay } = this.state;
+    const todayKey = toDayKey(Date.now());
+    switch (currentFilter) {
+      case 'active':
+        return todos.filter((t) => !t.completed);
       case 'completed':
         return todos.filter((t) => t.completed);
+      case 'today':
+        return todos.filter((t) => !t.completed && t.dueDate === todayKey);
+      case 'overdue':
+        return todos.filter((t) => !t.completed && t.dueDate && t.dueDate < todayKey);
+      case 'upcoming':
+        return todos.filter((t) => !t.completed && t.dueDate && t.dueDate > todayKey);
+      case 'day':
+        return todos.filter(
+          (t) =>
+            t.completed &&
+            typeof t.completedAt === 'number' &&
+            toDayKey(t.completedAt) === selectedDay
+        );
       default:
         return todos;
     }
   }
-};
+};
+
+/**
+ * Tells whether a proposal names a todo, list or subtask by ID.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isProposalId(value) {
+  return typeof value === 'string' && value !== '';
+}
+
+/**
+ * Tells whether a proposal names todos by ID.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isProposalIdList(value) {
+  return Array.isArray(value) && value.every(isProposalId);
+}
+
+/**
+ * Tells whether a proposal's optional fields (e.g. for addTodo) are an object.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isProposalFields(value) {
+  return value === undefined ||
+    (typeof value === 'object' && value !== null && !Array.isArray(value));
+}
+
+/**
+ * Tells whether a proposal's import data has the shape parseImportFile
+ * returns: lists with an ID, a name and todos, and tag colors.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isImportData(value) {
+  return Boolean(value) && Array.isArray(value.lists) && value.lists.length > 0 &&
+    value.lists.every((l) => Boolean(l) && isProposalId(l.id) &&
+      typeof l.name === 'string' && Array.isArray(l.todos) &&
+      l.todos.every((t) => Boolean(t) && isProposalId(t.id))) &&
+    Boolean(value.tagColors) && typeof value.tagColors === 'object';
+}
+
+/**
+ * @type {Object<string, Acceptor>} The model's acceptors, by proposal type.
+ * Each turns down a proposal whose data isn't of the right kind, e.g. one
+ * presented by a plugin without an ID, before it reaches the model. The
+ * model method it calls then checks the values against the model (does the
+ * todo exist, is the name free) and persists the change, so the result is
+ * the new state, or null if the proposal is turned down.
+ */
+const MODEL_ACCEPTORS = {
+  load: () => model.load(),
+  syncFromStorage: () => model.syncFromStorage(),
+  addTodo: ({ title, fields }) =>
+    typeof title === 'string' && isProposalFields(fields) && model.addTodo(title, fields),
+  toggleTodo: ({ id }) => isProposalId(id) && model.toggleTodo(id),
+  continueSeries: ({ ids }) => isProposalIdList(ids) && model.continueSeries(ids),
+  editTodo: ({ id, title, fields }) =>
+    isProposalId(id) && typeof title === 'string' && isProposalFields(fields) &&
+    model.editTodo(id, title, fields),
+  moveTodo: ({ id, targetId, position }) =>
+    isProposalId(id) && isProposalId(targetId) && model.moveTodo(id, targetId, position),
+  deleteTodo: ({ id }) => isProposalId(id) && model.deleteTodo(id),
+  restoreTodo: ({ id }) => isProposalId(id) && model.restoreTodo(id),
+  deleteTodoForever: ({ id }) => isProposalId(id) && model.deleteTodoForever(id),
+  emptyTrash: () => model.emptyTrash(),
+  setTrashRetention: ({ days }) => Number.isInteger(days) && model.setTrashRetention(days),
+  purgeTrash: ({ now }) => Number.isFinite(now) && model.purgeTrash(now),
+  archiveCompleted: () => model.archiveCompleted(),
+  unarchiveTodos: ({ ids }) => isProposalIdList(ids) && model.unarchiveTodos(ids),
+  setArchiveAfter: ({ days }) => Number.isInteger(days) && model.setArchiveAfter(days),
+  autoArchive: ({ now }) => Number.isFinite(now) && model.autoArchive(now),
+  clearCompleted: () => model.clearCompleted(),
+  setTodosCompleted: ({ ids, completed }) =>
+    isProposalIdList(ids) && typeof completed === 'boolean' &&
+    model.setTodosCompleted(ids, completed),
+  deleteTodos: ({ ids }) => isProposalIdList(ids) && model.deleteTodos(ids),
+  tagTodos: ({ ids, tag }) =>
+    isProposalIdList(ids) && typeof tag === 'string' && model.tagTodos(ids, tag),
+  setTodosDueDate: ({ ids, dueDate }) =>
+    isProposalIdList(ids) && (typeof dueDate === 'string' || dueDate === null) &&
+    model.setTodosDueDate(ids, dueDate),
+  moveTodosToList: ({ ids, listId }) =>
+    isProposalIdList(ids) && isProposalId(listId) && model.moveTodosToList(ids, listId),
+  addSubtask: ({ todoId, title }) =>
+    isProposalId(todoId) && typeof title === 'string' && model.addSubtask(todoId, title),
+  toggleSubtask: ({ todoId, subtaskId }) =>
+    isProposalId(todoId) && isProposalId(subtaskId) && model.toggleSubtask(todoId, subtaskId),
+  deleteSubtask: ({ todoId, subtaskId }) =>
+    isProposalId(todoId) && isProposalId(subtaskId) && model.deleteSubtask(todoId, subtaskId),
+  importData: ({ data, mode }) => isImportData(data) && model.importData(data, mode),
+  undo: () => model.undo(),
+  redo: () => model.redo(),
+  createList: ({ name }) => typeof name === 'string' && model.createList(name),
+  renameList: ({ id, name }) =>
+    isProposalId(id) && typeof name === 'string' && model.renameList(id, name),
+  deleteList: ({ id }) => isProposalId(id) && model.deleteList(id),
+  switchList: ({ id }) => isProposalId(id) && model.switchList(id),
+  setFilter: ({ filter, dayKey }) =>
+    typeof filter === 'string' && (dayKey === undefined || typeof dayKey === 'string') &&
+    model.setFilter(filter, dayKey),
+  setSearchQuery: ({ query }) => typeof query === 'string' && model.setSearchQuery(query),
+  setSortOrder: ({ sortOrder }) =>
+    typeof sortOrder === 'string' && model.setSortOrder(sortOrder),
+  shiftCalendarWeek: ({ offset }) =>
+    Number.isInteger(offset) && model.shiftCalendarWeek(offset),
+  toggleTagFilter: ({ tag }) => typeof tag === 'string' && model.toggleTagFilter(tag),
+  clearTagFilter: () => model.clearTagFilter(),
+  setTagMatchMode: ({ mode }) => typeof mode === 'string' && model.setTagMatchMode(mode),
+  renameTag: ({ oldName, newName }) =>
+    typeof oldName === 'string' && typeof newName === 'string' &&
+    model.renameTag(oldName, newName),
+  deleteTag: ({ name }) => typeof name === 'string' && model.deleteTag(name),
+  setTagColor: ({ tag, color }) =>
+    typeof tag === 'string' && typeof color === 'string' && model.setTagColor(tag, color),
+  reportStorageError: ({ error }) => error instanceof Error && model.reportStorageError(error),
+  dismissStorageError: () => model.dismissStorageError(),
+  dismissQuarantineNotice: () => model.dismissQuarantineNotice(),
+  setSyncEndpoint: ({ endpoint }) =>
+    typeof endpoint === 'string' && model.setSyncEndpoint(endpoint),
+  startSync: () => model.startSync(),
+  finishSync: ({ changes, now }) =>
+    isSyncChanges(changes) && Number.isFinite(now) && model.finishSync(changes, now),
+  failSync: ({ error }) => error instanceof Error && model.failSync(error),
+  setKeyBinding: ({ commandId, key }) =>
+    typeof commandId === 'string' && typeof key === 'string' &&
+    model.setKeyBinding(commandId, key),
+  resetKeymap: () => model.resetKeymap()
+};
+
+/**
+ * The model's next-action predicate (see NextAction): continues the series
+ * of recurring todos a step completed, directly or through their subtasks,
+ * deletes trashed todos kept longer than the trash keeps them, then archives
+ * completed todos that are due.
+ * The last two come up on loading, as time passes, and after changes such
+ * as a shorter retention or an earlier auto-archive.
+ * @param {{ trashExpired: boolean, archiveDue: boolean }} states - From model.getControlStates
+ * @param {{ proposal: Proposal, result: * }} step - The step just taken
+ * @returns {Proposal|null}
+ */
+function getModelNextAction(states, step) {
+  const { proposal, result } = step;
+  let completing = null;
+  if (proposal.type === 'toggleTodo') completing = [proposal.id];
+  if (proposal.type === 'setTodosCompleted') completing = proposal.ids;
+  if (proposal.type === 'toggleSubtask' || proposal.type === 'deleteSubtask') {
+    completing = [proposal.todoId];
+  }
+  if (completing) {
+    const ids = new Set(completing);
+    const series = result.todos.filter((t) => ids.has(t.id) && t.completed && t.recurrence);
+    if (series.length > 0) return { type: 'continueSeries', ids: series.map((t) => t.id) };
+  }
+  if (states.trashExpired) return { type: 'purgeTrash', now: Date.now() };
+  if (states.archiveDue) return { type: 'autoArchive', now: Date.now() };
+  return null;
+}
+
+/* ==========================================================================
+   Section 3: Actions (Pure Functions)
+   ========================================================================== */
+
+/**
+ * The app's SAM loop: proposals go to MODEL_ACCEPTORS, control states come
+ * from the model, rendering and announcing the next instance of a recurring
+ * todo are reactors, and getModelNextAction makes the automatic changes.
+ * Plugins add to it through registerPlugin.
+ */
+const sam = createSamRuntime(() => model.getControlStates(Date.now()));
+Object.keys(MODEL_ACCEPTORS).forEach((type) => sam.addAcceptor(type, MODEL_ACCEPTORS[type]));
+sam.addReactor(() => renderState());
+sam.addReactor((states, { proposal, result }) => {
+  // continueSeries puts the new instance first
+  if (proposal.type === 'continueSeries') announceNextOccurrence(result.todos[0]);
+});
+sam.addNextAction(getModelNextAction);
+
+/** @type {Set<string>} Names of the registered plugins */
+const pluginNames = new Set();
+
+/**
+ * Registers a plugin with the SAM loop, so it can extend the app from a
+ * script loaded after app.js. Its acceptors run before the model's for the
+ * same proposal type (and before those of plugins registered earlier), so
+ * they can turn a proposal down before anything changes; they can also
+ * accept proposal types of the plugin's own, presented with sam.present().
+ * Its reactors run after the app has rendered, its next-actions after the
+ * app's. For example:
+ *
+ *   registerPlugin({
+ *     name: 'short-titles',
+ *     acceptors: { addTodo: ({ title }) => title.length <= 80 },
+ *     reactors: [(states, step) => console.log(step.proposal.type, step.result)]
+ *   });
+ *
+ * @param {{ name: string, acceptors: (Object<string, Acceptor>|undefined),
+ *   reactors: (Array<Reactor>|undefined), nextActions: (Array<NextAction>|undefined) }} plugin
+ * @throws {Error} If the plugin has no name, or its name is taken
+ */
+function registerPlugin(plugin) {
+  if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+    throw new Error('A plugin needs a name');
+  }
+  if (pluginNames.has(plugin.name)) {
+    throw new Error('A plugin named \u201c' + plugin.name + '\u201d is already registered');
+  }
+  pluginNames.add(plugin.name);
+
+  const { acceptors = {}, reactors = [], nextActions = [] } = plugin;
+  Object.keys(acceptors).forEach((type) => sam.addAcceptor(type, acceptors[type], true));
+  reactors.forEach((reactor) => sam.addReactor(reactor));
+  nextActions.forEach((nextAction) => sam.addNextAction(nextAction));
+}
+
+/**
+ * Actions layer - interprets user interactions as proposals. Each action
+ * presents one to the SAM loop, which renders, then gives any feedback
+ * (toasts, announcements) on the result.
+ */
+const actions = {
+  /**
+   * Proposes adding a new todo.
+   * @param {string} title - User input title
+   * @param {Object} [fields] - Optional fields (see model.addTodo)
+   * @returns {boolean} Whether the todo was successfully added
+   */
+  addTodo(title, fields) {
+    return Boolean(sam.present({ type: 'addTodo', title, fields }));
+  },
+
+  /**
+   * Proposes toggling a todo's completion.
+   * @param {string} id - Todo ID
+   */
+  toggleTodo(id) {
+    sam.present({ type: 'toggleTodo', id });
+  },
+
+  /**
+   * Proposes deleting a todo.
+   * @param {string} id - Todo ID
+   */
+  deleteTodo(id) {
+    if (sam.present({ type: 'deleteTodo', id })) showUndoToast();
+  },
+
+  /**
+   * Proposes restoring a todo from the trash.
+   * @param {string} id - Todo ID
+   */
+  restoreTodo(id) {
+    if (sam.present({ type: 'restoreTodo', id })) showUndoToast();
+  },
+
+  /**
+   * Proposes deleting a todo in the trash for good.
+   * @param {string} id - Todo ID
+   */
+  deleteTodoForever(id) {
+    sam.present({ type: 'deleteTodoForever', id });
+  },
+
+  /**
+   * Proposes emptying the active list's trash.
+   */
+  emptyTrash() {
+    sam.present({ type: 'emptyTrash' });
+  },
+
+  /**
+   * Proposes a new trash retention. What it has already expired is then
+   * deleted by the next action.
+   * @param {number} days - One of TRASH_RETENTION_OPTIONS
+   */
+  setTrashRetention(days) {
+    sam.present({ type: 'setTrashRetention', days });
+  },
+
+  /**
+   * Proposes archiving all completed todos.
+   */
+  archiveCompleted() {
+    if (sam.present({ type: 'archiveCompleted' })) showUndoToast();
+  },
+
+  /**
+   * Proposes taking todos back out of the archive.
+   * @param {Array<string>} ids - IDs of archived todos
+   */
+  unarchiveTodos(ids) {
+    if (sam.present({ type: 'unarchiveTodos', ids })) showUndoToast();
+  },
+
+  /**
+   * Proposes completing or reopening the selected todos.
+   * @param {Array<string>} ids - Todo IDs
+   * @param {boolean} completed
+   */
+  setTodosCompleted(ids, completed) {
+    if (sam.present({ type: 'setTodosCompleted', ids, completed })) showUndoToast();
+  },
+
+  /**
+   * Proposes moving the selected todos to the trash.
+   * @param {Array<string>} ids - Todo IDs
+   */
+  deleteTodos(ids) {
+    if (sam.present({ type: 'deleteTodos', ids })) showUndoToast();
+  },
+
+  /**
+   * Proposes adding a tag to the selected todos.
+   * @param {Array<string>} ids - Todo IDs
+   * @param {string} tag - Tag name, with or without '#'
+   */
+  tagTodos(ids, tag) {
+    if (sam.present({ type: 'tagTodos', ids, tag })) showUndoToast();
+  },
+
+  /**
+   * Proposes setting or clearing the due date of the selected todos.
+   * @param {Array<string>} ids - Todo IDs
+   * @param {string} dueDate - Day key, or '' to clear it
+   */
+  setTodosDueDate(ids, dueDate) {
+    if (sam.present({ type: 'setTodosDueDate', ids, dueDate })) showUndoToast();
+  },
+
+  /**
+   * Proposes moving the selected todos to another list.
+   * @param {Array<string>} ids - Todo IDs
+   * @param {string} listId - List to move them to
+   */
+  moveTodosToList(ids, listId) {
+    if (sam.present({ type: 'moveTodosToList', ids, listId })) showUndoToast();
+  },
+
+  /**
+   * Proposes a new auto-archive delay. What it already covers is then
+   * archived by the next action.
+   * @param {number} days - One of ARCHIVE_AFTER_OPTIONS
+   */
+  setArchiveAfter(days) {
+    sam.present({ type: 'setArchiveAfter', days });
+  },
+
+  /**
+   * Proposes importing a backup, then reports what was imported.
+   * @param {Object} data - Result of parseImportFile
+   * @param {'merge'|'replace'} mode
+   * @returns {boolean} Whether the import was applied
+   */
+  importData(data, mode) {
+    const { added, duplicates } = mergeLists(model.state.lists, data.lists);
+    const total = data.lists.reduce((sum, l) => sum + l.todos.length, 0);
+    if (!sam.present({ type: 'importData', data, mode })) return false;
+
+    const count = mode === 'replace' ? total : added;
+    let message = 'Imported ' + count + (count === 1 ? ' todo' : ' todos');
+    if (mode === 'merge' && duplicates > 0) {
+      message += ', skipped ' + duplicates + (duplicates === 1 ? ' duplicate' : ' duplicates');
+    }
+    showToast(message + '.');
+    return true;
+  },
+
+  /**
+   * Proposes adding a subtask to a todo.
+   * @param {string} todoId - Parent todo ID
+   * @param {string} title - Subtask title text
+   * @returns {boolean} Whether the subtask was added
+   */
+  addSubtask(todoId, title) {
+    return Boolean(sam.present({ type: 'addSubtask', todoId, title }));
+  },
+
+  /**
+   * Proposes toggling a subtask's completion.
+   * @param {string} todoId - Parent todo ID
+   * @param {string} subtaskId - Subtask ID
+   */
+  toggleSubtask(todoId, subtaskId) {
+    sam.present({ type: 'toggleSubtask', todoId, subtaskId });
+  },
+
+  /**
+   * Proposes deleting a subtask.
+   * @param {string} todoId - Parent todo ID
+   * @param {string} subtaskId - Subtask ID
+   */
+  deleteSubtask(todoId, subtaskId) {
+    sam.present({ type: 'deleteSubtask', todoId, subtaskId });
+  },
+
+  /**
+   * Proposes moving a todo next to another one, then announces its new
+   * position among the todos shown.
+   * @param {string} id - ID of the todo to move
+   * @param {string} targetId - ID of the todo to place it next to
+   * @param {'before'|'after'} position - Which side of the target
+   */
+  moveTodo(id, targetId, position) {
+    if (!sam.present({ type: 'moveTodo', id, targetId, position })) return;
+
+    const shown = model.getFilteredTodos();
+    const index = shown.findIndex((t) => t.id === id);
+    announce(
+      'Moved \u201c' + shown[index].title + '\u201d to position ' +
+        (index + 1) + ' of ' + shown.length + '.'
+    );
+  },
+
+  /**
+   * Proposes editing a todo's title and other fields.
+   * @param {string} id - Todo ID
+   * @param {string} newTitle - New title text
+   * @param {Object} [fields] - Fields to change (see model.editTodo)
+   * @returns {boolean} Whether the edit was accepted
+   */
+  editTodo(id, newTitle, fields) {
+    return Boolean(sam.present({ type: 'editTodo', id, title: newTitle, fields }));
+  },
+
+  /**
+   * Proposes changing the filter.
+   * @param {string} filterType - 'all' | 'active' | 'completed' | 'today' |
+   *   'overdue' | 'upcoming'
+   */
+  setFilter(filterType) {
+    sam.present({ type: 'setFilter', filter: filterType });
+  },
+
+  /**
+   * Proposes searching the list.
+   * @param {string} query - Search text; empty shows every todo again
+   */
+  setSearchQuery(query) {
+    sam.present({ type: 'setSearchQuery', query });
+  },
+
+  /**
+   * Proposes clearing all completed todos.
+   */
+  clearCompleted() {
+    const hadCompleted = model.getCompletedCount() > 0;
+    sam.present({ type: 'clearCompleted' });
+    if (hadCompleted) showUndoToast();
+  },
+
+  /**
+   * Proposes reverting the most recent undoable change.
+   */
+  undo() {
+    const label = model.getUndoLabel();
+    if (sam.present({ type: 'undo' })) {
+      showToast('Undone: ' + label, 'Redo', () => actions.redo());
+    }
+  },
+
+  /**
+   * Proposes re-applying the most recently undone change.
+   */
+  redo() {
+    const label = model.getRedoLabel();
+    if (sam.present({ type: 'redo' })) {
+      showToast('Redone: ' + label, 'Undo', () => actions.undo());
+    }
+  },
+
+  /**
+   * Proposes creating a new list and switching to it.
+   * @param {string} name - List name
+   * @returns {boolean} Whether the list was created
+   */
+  createList(name) {
+    return Boolean(sam.present({ type: 'createList', name }));
+  },
+
+  /**
+   * Proposes renaming a list.
+   * @param {string} id - List ID
+   * @param {string} name - New list name
+   * @returns {boolean} Whether the list was renamed
+   */
+  renameList(id, name) {
+    return Boolean(sam.present({ type: 'renameList', id, name }));
+  },
+
+  /**
+   * Proposes deleting a list and its todos.
+   * @param {string} id - List ID
+   */
+  deleteList(id) {
+    sam.present({ type: 'deleteList', id });
+  },
+
+  /**
+   * Proposes switching to another list.
+   * @param {string} id - List ID
+   */
+  switchList(id) {
+    sam.present({ type: 'switchList', id });
+  },
+
+  /**
+   * Proposes selecting or deselecting a tag in the tag filter.
+   * @param {string} tag - Tag name
+   */
+  toggleTagFilter(tag) {
+    sam.present({ type: 'toggleTagFilter', tag });
+  },
+
+  /**
+   * Proposes clearing the tag filter.
+   */
+  clearTagFilter() {
+    sam.present({ type: 'clearTagFilter' });
+  },
+
+  /**
+   * Proposes switching between matching any or all selected tags.
+   * @param {string} mode - 'any' | 'all'
+   */
+  setTagMatchMode(mode) {
+    sam.present({ type: 'setTagMatchMode', mode });
+  },
+
+  /**
+   * Proposes renaming a tag everywhere.
+   * @param {string} oldName - Current tag name
+   * @param {string} newName - New tag name
+   * @returns {boolean} Whether the tag was renamed
+   */
+  renameTag(oldName, newName) {
+    return Boolean(sam.present({ type: 'renameTag', oldName, newName }));
+  },
+
+  /**
+   * Proposes removing a tag from every todo.
+   * @param {string} name - Tag name
+   */
+  deleteTag(name) {
+    sam.present({ type: 'deleteTag', name });
+  },
+
+  /**
+   * Proposes changing a tag's color.
+   * @param {string} tag - Tag name
+   * @param {string} color - Color in '#rrggbb' format
+   */
+  setTagColor(tag, color) {
+    sam.present({ type: 'setTagColor', tag, color });
+  },
+
+  /**
+   * Proposes a new sort order.
+   * @param {string} sortOrder - One of SORT_ORDERS
+   */
+  setSortOrder(sortOrder) {
+    sam.present({ type: 'setSortOrder', sortOrder });
+  },
+
+  /**
+   * Proposes showing todos completed on a calendar day.
+   * Selecting the day that is already shown returns to the 'all' filter.
+   * @param {string} dayKey - Day key in 'YYYY-MM-DD' format
+   */
+  selectDay(dayKey) {
+    const { currentFilter, selectedDay } = model.state;
+    sam.present(
+      currentFilter === 'day' && selectedDay === dayKey
+        ? { type: 'setFilter', filter: 'all' }
+        : { type: 'setFilter', filter: 'day', dayKey }
+    );
+  },
+
+  /**
+   * Proposes moving the calendar to an earlier or later week.
+   * @param {number} offset - Weeks to move (negative for earlier weeks)
+   */
+  shiftCalendarWeek(offset) {
+    sam.present({ type: 'shiftCalendarWeek', offset });
+  },
+
+  /**
+   * Reports a storage write that failed in the background.
+   * @param {Error} error - Error from the storage adapter
+   */
+  reportStorageError(error) {
+    sam.present({ type: 'reportStorageError', error });
+  },
+
+  /**
+   * Picks up changes another tab saved, keeping an edit in progress (see
+   * renderExternalChange).
+   */
+  syncFromStorage() {
+    renderExternalChange({ type: 'syncFromStorage' }, 'Another tab');
+  },
+
+  /**
+   * Proposes a new sync endpoint, or turning sync off with an empty one,
+   * and syncs right away if it is on.
+   * @param {string} endpoint - Endpoint URL
+   * @returns {boolean} Whether the endpoint was valid
+   */
+  setSyncEndpoint(endpoint) {
+    if (!sam.present({ type: 'setSyncEndpoint', endpoint })) return false;
+    actions.syncNow();
+    return true;
+  },
+
+  /**
+   * Binds a key to a command.
+   * @param {string} commandId
+   * @param {string} key - From getKeyFromEvent
+   * @returns {boolean} Whether the binding was valid and stored
+   */
+  setKeyBinding(commandId, key) {
+    return Boolean(sam.present({ type: 'setKeyBinding', commandId, key }));
+  },
+
+  /**
+   * Goes back to the default key bindings.
+   */
+  resetKeymap() {
+    sam.present({ type: 'resetKeymap' });
+  },
+
+  /**
+   * Sends the outbox to the sync endpoint, then pulls changes made on other
+   * devices, keeping an edit in progress. Each batch the server accepts
+   * leaves the outbox right away, so a failure only resends the rest. Does
+   * nothing if sync is off or already running, and skips the pull if
+   * sending fails.
+   * @returns {Promise<boolean>} Whether the sync completed
+   */
+  syncNow() {
+    const endpoint = model.getSyncEndpoint();
+    if (!endpoint || !sam.present({ type: 'startSync' })) return Promise.resolve(false);
+
+    const removeSent = (batch) => model.removeFromOutbox(batch.map((op) => op.id));
+    return sendOperations(endpoint, model.getOutbox(), removeSent)
+      .then(() => fetchChanges(endpoint, model.getSyncCursor()))
+      .then(
+        (changes) => {
+          const newState = renderExternalChange(
+            { type: 'finishSync', changes, now: Date.now() },
+            'Another device'
+          );
+          // Changes made while this sync ran go out in the next one
+          if (newState && model.getOutbox().length > 0) model.onOutboxChange();
+          return Boolean(newState);
+        },
+        (error) => {
+          sam.present({ type: 'failSync', error });
+          return false;
+        }
+      );
+  },
+
+  /**
+   * Dismisses the storage warning.
+   */
+  dismissStorageError() {
+    sam.present({ type: 'dismissStorageError' });
+  },
+
+  /**
+   * Dismisses the notice about quarantined data.
+   */
+  dismissQuarantineNotice() {
+    sam.present({ type: 'dismissQuarantineNotice' });
+  }
+};
+
+/* ==========================================================================
+   Section 4: State Representation (Rendering)
+   ========================================================================== */
+
+/** @type {HTMLInputElement} */
+let todoInput;
+/** @type {HTMLInputElement} */
+let todoDueInput;
+/** @type {HTMLSelectElement} */
+let sortSelectEl;
+/** @type {HTMLInputElement} */
+let searchInput;
+/** @type {HTMLElement} */
+let quickAddPreviewEl;
+/** @type {HTMLUListElement} */
+let todoListEl;
+/** @type {HTMLElement} */
+let emptyStateEl;
+/** @type {HTMLElement} */
+let footerEl;
+/** @type {HTMLElement} */
+let activeCountEl;
+/** @type {HTMLButtonElement} */
+let clearCompletedBtn;
+/** @type {HTMLSelectElement} */
+let listSelectEl;
+/** @type {HTMLButtonElement} */
+let listDeleteBtn;
+/** @type {HTMLElement} */
+let calendarDaysEl;
+/** @type {HTMLElement} */
+let calendarRangeEl;
+/** @type {HTMLElement} */
+let tagBarEl;
+/** @type {HTMLElement} */
+let tagFilterEl;
+/** @type {HTMLButtonElement} */
+let tagMatchModeBtn;
+/** @type {HTMLButtonElement} */
+let tagClearBtn;
+/** @type {HTMLButtonElement} */
+let tagManageBtn;
+/** @type {HTMLElement} */
+let tagSettingsEl;
+/** @type {HTMLUListElement} */
+let tagSettingsListEl;
+/** @type {HTMLElement} */
+let announcerEl;
+/** @type {HTMLElement} */
+let storageWarningEl;
+/** @type {HTMLElement} */
+let storageWarningTextEl;
+/** @type {HTMLElement} */
+let quarantineNoticeEl;
+/** @type {HTMLElement} */
+let quarantineNoticeTextEl;
+/** @type {HTMLInputElement} */
+let syncEndpointEl;
+/** @type {HTMLButtonElement} */
+let syncNowBtn;
+/** @type {HTMLElement} */
+let syncStatusEl;
+/** @type {HTMLButtonElement} */
+let trashToggleBtn;
+/** @type {HTMLElement} */
+let trashEl;
+/** @type {HTMLSelectElement} */
+let trashRetentionEl;
+/** @type {HTMLButtonElement} */
+let trashEmptyBtn;
+/** @type {HTMLElement} */
+let trashListEl;
+/** @type {HTMLElement} */
+let trashEmptyStateEl;
+/** @type {HTMLButtonElement} */
+let archiveCompletedBtn;
+/** @type {HTMLButtonElement} */
+let historyToggleBtn;
+/** @type {HTMLElement} */
+let historyEl;
+/** @type {HTMLInputElement} */
+let historySearchEl;
+/** @type {HTMLSelectElement} */
+let archiveAfterEl;
+/** @type {HTMLButtonElement} */
+let historySelectAllBtn;
+/** @type {HTMLButtonElement} */
+let historyUnarchiveBtn;
+/** @type {HTMLElement} */
+let historyGroupsEl;
+/** @type {HTMLElement} */
+let historyEmptyStateEl;
+/** @type {HTMLButtonElement} */
+let selectShownBtn;
+/** @type {HTMLElement} */
+let bulkBarEl;
+/** @type {HTMLElement} */
+let bulkCountEl;
+/** @type {HTMLButtonElement} */
+let bulkCompleteBtn;
+/** @type {HTMLButtonElement} */
+let bulkReopenBtn;
+/** @type {HTMLButtonElement} */
+let bulkDeleteBtn;
+/** @type {HTMLFormElement} */
+let bulkTagForm;
+/** @type {HTMLInputElement} */
+let bulkTagInput;
+/** @type {HTMLInputElement} */
+let bulkDueInput;
+/** @type {HTMLButtonElement} */
+let bulkClearDueBtn;
+/** @type {HTMLSelectElement} */
+let bulkMoveEl;
+/** @type {HTMLButtonElement} */
+let bulkClearBtn;
+/** @type {HTMLElement} */
+let commandPaletteEl;
+/** @type {HTMLInputElement} */
+let commandPaletteInput;
+/** @type {HTMLElement} */
+let commandPaletteListEl;
+/** @type {HTMLElement} */
+let commandPaletteEmptyEl;
+/** @type {HTMLElement} */
+let shortcutsEl;
+/** @type {HTMLElement} */
+let shortcutsListEl;
+/** @type {HTMLButtonElement} */
+let shortcutsCloseBtn;
+/** @type {HTMLButtonElement} */
+let shortcutsResetBtn;
+/** @type {Set<string>} IDs of todos whose subtask list is collapsed (session-only) */
+const collapsedSubtaskIds = new Set();
+/** @type {Set<string>} IDs of todos whose notes are shown (session-only) */
+const expandedNoteIds = new Set();
+/** @type {string} Search text in the history view (session-only) */
+let archiveQuery = '';
+/** @type {Set<string>} IDs of archived todos picked to unarchive (session-only) */
+const selectedArchiveIds = new Set();
+/** @type {Set<string>} IDs of shown todos picked for bulk actions (session-only) */
+const selectedTodoIds = new Set();
+/** @type {string|null} Todo a Shift-click selects a range from (session-only) */
+let selectionAnchorId = null;
+/**
+ * @type {WeakMap<HTMLElement, { todo: Object, json: string, view: string }>}
+ * What each todo row was last rendered from, so unchanged rows are skipped
+ */
+const renderedTodoRows = new WeakMap();
+/** @type {Map<string, number>} Measured height of each todo's row, spacing included */
+const todoRowHeights = new Map();
+/**
+ * @type {{ todos: Array<Object>, searchTerms: Array<string>, windowed: boolean,
+ *   start: number, end: number }|null} What the todo list last showed, and for
+ * a windowed list which rows are on screen, so scrolling can move the window
+ */
+let todoListWindow = null;
+/** @type {number} Position of the highlighted command in the palette (session-only) */
+let commandPaletteIndex = 0;
+/** @type {string|null} Command waiting for a new key in the shortcuts list (session-only) */
+let rebindingCommandId = null;
+/**
+ * @type {{ element: Element|null, context: Object|null }|null} Where focus
+ * was before an overlay opened, to go back there when it closes (session-only)
+ */
+let overlayReturnFocus = null;
+
+/**
+ * Caches DOM element references. Called once during initialization.
+ */
+function cacheDomElements() {
+  todoInput = document.getElementById('todo-input');
+  todoDueInput = document.getElementById('todo-due');
+  sortSelectEl = document.getElementById('sort-select');
+  searchInput = document.getElementById('todo-search');
+  quickAddPreviewEl = document.getElementById('quick-add-preview');
+  todoListEl = document.getElementById('todo-list');
+  emptyStateEl = document.getElementById('empty-state');
+  footerEl = document.getElementById('footer');
+  activeCountEl = document.getElementById('active-count');
+  clearCompletedBtn = document.getElementById('clear-completed');
+  listSelectEl = document.getElementById('list-select');
+  listDeleteBtn = document.getElementById('list-delete');
+  calendarDaysEl = document.getElementById('calendar-days');
+  calendarRangeEl = document.getElementById('calendar-range');
+  tagBarEl = document.getElementById('tag-bar');
+  tagFilterEl = document.getElementById('tag-filter');
+  tagMatchModeBtn = document.getElementById('tag-match-mode');
+  tagClearBtn = document.getElementById('tag-clear');
+  tagManageBtn = document.getElementById('tag-manage');
+  tagSettingsEl = document.getElementById('tag-settings');
+  tagSettingsListEl = document.getElementById('tag-settings-list');
+  announcerEl = document.getElementById('announcer');
+  storageWarningEl = document.getElementById('storage-warning');
+  storageWarningTextEl = document.getElementById('storage-warning-text');
+  quarantineNoticeEl = document.getElementById('quarantine-notice');
+  quarantineNoticeTextEl = document.getElementById('quarantine-notice-text');
+  syncEndpointEl = document.getElementById('sync-endpoint');
+  syncNowBtn = document.getElementById('sync-now');
+  syncStatusEl = document.getElementById('sync-status');
+  trashToggleBtn = document.getElementById('trash-toggle');
+  trashEl = document.getElementById('trash');
+  trashRetentionEl = document.getElementById('trash-retention');
+  trashEmptyBtn = document.getElementById('trash-empty');
+  trashListEl = document.getElementById('trash-list');
+  trashEmptyStateEl = document.getElementById('trash-empty-state');
+  archiveCompletedBtn = document.getElementById('archive-completed');
+  historyToggleBtn = document.getElementById('history-toggle');
+  historyEl = document.getElementById('history');
+  historySearchEl = document.getElementById('history-search');
+  archiveAfterEl = document.getElementById('archive-after');
+  historySelectAllBtn = document.getElementById('history-select-all');
+  historyUnarchiveBtn = document.getElementById('history-unarchive');
+  historyGroupsEl = document.getElementById('history-groups');
+  historyEmptyStateEl = document.getElementById('history-empty-state');
+  selectShownBtn = document.getElementById('select-shown');
+  bulkBarEl = document.getElementById('bulk-bar');
+  bulkCountEl = document.getElementById('bulk-count');
+  bulkCompleteBtn = document.getElementById('bulk-complete');
+  bulkReopenBtn = document.getElementById('bulk-reopen');
+  bulkDeleteBtn = document.getElementById('bulk-delete');
+  bulkTagForm = document.getElementById('bulk-tag-form');
+  bulkTagInput = document.getElementById('bulk-tag');
+  bulkDueInput = document.getElementById('bulk-due');
+  bulkClearDueBtn = document.getElementById('bulk-clear-due');
+  bulkMoveEl = document.getElementById('bulk-move');
+  bulkClearBtn = document.getElementById('bulk-clear');
+  commandPaletteEl = document.getElementById('command-palette');
+  commandPaletteInput = document.getElementById('command-palette-input');
+  commandPaletteListEl = document.getElementById('command-palette-list');
+  commandPaletteEmptyEl = document.getElementById('command-palette-empty');
+  shortcutsEl = document.getElementById('shortcuts');
+  shortcutsListEl = document.getElementById('shortcuts-list');
+  shortcutsCloseBtn = document.getElementById('shortcuts-close');
+  shortcutsResetBtn = document.getElementById('shortcuts-reset');
+}
+
+/**
+ * Captures the focus context within the todo list before a re-render.
+ * @returns {{ todoId: string, selector: string }|null} Focus context or null
+ */
+function captureFocusContext() {
+  const active = document.activeElement;
+  if (!active || !todoListEl.contains(active)) return null;
+
+  const li = active.closest('.todo-item');
+  if (!li) return null;
+
+  const todoId = li.dataset.id;
+  if (active.classList.contains('todo-checkbox')) {
+    return { todoId, selector: '.todo-checkbox' };
+  }
+  if (active.classList.contains('todo-title')) {
+    return { todoId, selector: '.todo-title' };
+  }
+  if (active.classList.contains('todo-delete')) {
+    return { todoId, selector: '.todo-delete' };
+  }
+  if (active.classList.contains('todo-drag-handle')) {
+    return { todoId, selector: '.todo-drag-handle' };
+  }
+  if (active.classList.contains('todo-add-subtask')) {
+    return { todoId, selector: '.todo-add-subtask' };
+  }
+  if (active.classList.contains('subtask-toggle')) {
+    return { todoId, selector: '.subtask-toggle' };
+  }
+  if (active.classList.contains('todo-notes-toggle')) {
+    return { todoId, selector: '.todo-notes-toggle' };
+  }
+  if (active.classList.contains('subtask-input')) {
+    return { todoId, selector: '.subtask-input' };
+  }
+  if (active.classList.contains('subtask-checkbox')) {
+    const subtaskId = active.closest('.subtask-item').dataset.subtaskId;
+    return {
+      todoId,
+      selector: '[data-subtask-id="' + CSS.escape(subtaskId) + '"] .subtask-checkbox'
+    };
+  }
+  return { todoId, selector: null };
+}
+
+/**
+ * Restores focus to the equivalent element after a re-render.
+ * @param {{ todoId: string, selector: string }|null} context - Captured focus context
+ */
+function restoreFocusContext(context) {
+  if (!context) return;
+
+  const li = revealTodoRow(context.todoId);
+  if (li && context.selector) {
+    const target = li.querySelector(context.selector);
+    if (target) target.focus();
+  }
+}
+
+/**
+ * Renders the full application state to the DOM.
+ * Computes derived data and updates all UI sections.
+ */
+function renderState() {
+  const focusContext = captureFocusContext();
+
+  const filteredTodos = model.getFilteredTodos();
+  const activeCount = model.getActiveCount();
+  const completedCount = model.getCompletedCount();
+  const totalCount = model.state.todos.length;
+
+  renderListBar(model.state.lists, model.state.activeListId);
+  renderBulkBar(filteredTodos, model.state.lists, model.state.activeListId);
+  renderCalendar(model.getWeekCompletions(), model.state.selectedDay);
+  renderTodoList(filteredTodos, getSearchTerms(model.state.searchQuery));
+  renderFilterButtons(model.state.currentFilter);
+  renderTagBar(model.getListTags(), model.getAllTags());
+  renderTagSettings(model.getAllTags());
+  sortSelectEl.value = model.state.sortOrder;
+  // Only when it differs, so rendering while typing leaves the caret alone
+  if (searchInput.value !== model.state.searchQuery) searchInput.value = model.state.searchQuery;
+  renderActiveCount(activeCount);
+  renderClearCompletedButton(completedCount);
+  renderEmptyState(filteredTodos.length, totalCount);
+  renderFooter(totalCount);
+  renderTrash(model.state.trash, model.state.trashRetentionDays);
+  renderHistory(model.state.archive, model.state.archiveAfterDays);
+  if (!shortcutsEl.hidden) renderShortcuts(model.getKeymap());
+  renderStorageWarning(model.storageError);
+  renderQuarantineNotice(model.quarantineNotice);
+  renderSyncStatus(
+    model.getSyncEndpoint(),
+    describeSyncStatus({
+      endpoint: model.getSyncEndpoint(),
+      pending: model.getOutbox().length,
+      ...model.sync,
+      online: navigator.onLine
+    }),
+    model.sync.syncing
+  );
+
+  restoreFocusContext(focusContext);
+}
+
+/**
+ * Renders the list switcher and disables deleting the only list.
+ * @param {Array<Object>} lists - All lists
+ * @param {string} activeListId - ID of the list being shown
+ */
+function renderListBar(lists, activeListId) {
+  listSelectEl.innerHTML = '';
+
+  lists.forEach((list) => {
+    const option = document.createElement('option');
+    option.value = list.id;
+    option.textContent = list.name;
+    option.selected = list.id === activeListId;
+    listSelectEl.appendChild(option);
+  });
+
+  listDeleteBtn.disabled = lists.length <= 1;
+}
+
+/**
+ * Renders the bulk action toolbar, shown while todos are selected. Todos
+ * no longer shown (e.g. deleted or filtered out) drop out of the selection.
+ * @param {Array<Object>} shownTodos - Todos in the list view
+ * @param {Array<Object>} lists - All lists, offered to move the selection to
+ * @param {string} activeListId
+ */
+function renderBulkBar(shownTodos, lists, activeListId) {
+  const shownIds = new Set(shownTodos.map((t) => t.id));
+  selectedTodoIds.forEach((id) => {
+    if (!shownIds.has(id)) selectedTodoIds.delete(id);
+  });
+  selectShownBtn.hidden = shownTodos.length === 0;
+  bulkBarEl.hidden = selectedTodoIds.size === 0;
+  if (bulkBarEl.hidden) return;
+
+  const selected = shownTodos.filter((t) => selectedTodoIds.has(t.id));
+  bulkCountEl.textContent = formatTodoCount(selected.length) + ' selected';
+  bulkCompleteBtn.disabled = selected.every((t) => t.completed);
+  bulkReopenBtn.disabled = selected.every((t) => !t.completed);
+  bulkClearDueBtn.disabled = selected.every((t) => !t.dueDate);
+
+  bulkMoveEl.innerHTML = '';
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Move to list\u2026';
+  bulkMoveEl.appendChild(placeholder);
+  lists.filter((l) => l.id !== activeListId).forEach((list) => {
+    const option = document.createElement('option');
+    option.value = list.id;
+    option.textContent = list.name;
+    bulkMoveEl.appendChild(option);
+  });
+  bulkMoveEl.disabled = lists.length <= 1;
+}
+
+/**
+ * Formats a day key for display, e.g. "Mon, Oct 19".
+ * @param {string} dayKey - Day key in 'YYYY-MM-DD' format
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string}
+ */
+function formatDayKey(dayKey, options) {
+  return parseDayKey(dayKey).toLocaleDateString(undefined, options);
+}
+
+/**
+ * Renders the weekly calendar strip with per-day completion counts.
+ * Keeps focus on the same day button if the calendar had focus.
+ * @param {Array<{ dayKey: string, count: number }>} days - Week days, Monday first
+ * @param {string|null} selectedDay - Day key of the selected day, if any
+ */
+function renderCalendar(days, selectedDay) {
+  const active = document.activeElement;
+  const focusedDay =
+    active && calendarDaysEl.contains(active) ? active.dataset.day : null;
+  const todayKey = toDayKey(Date.now());
+
+  calendarDaysEl.innerHTML = '';
+
+  days.forEach(({ dayKey, count }) => {
+    const isSelected = dayKey === selectedDay;
+
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className =
+      'calendar-day' +
+      (dayKey === todayKey ? ' today' : '') +
+      (isSelected ? ' selected' : '');
+    btn.dataset.day = dayKey;
+    btn.setAttribute('aria-pressed', isSelected.toString());
+    btn.setAttribute(
+      'aria-label',
+      formatDayKey(dayKey, { weekday: 'long', month: 'long', day: 'numeric' }) +
+        ': ' + count + ' completed'
+    );
+
+    const weekday = document.createElement('span');
+    weekday.className = 'calendar-weekday';
+    weekday.textContent = formatDayKey(dayKey, { weekday: 'short' });
+
+    const date = document.createElement('span');
+    date.className = 'calendar-date';
+    date.textContent = String(parseDayKey(dayKey).getDate());
+
+    const countEl = document.createElement('span');
+    countEl.className = 'calendar-count' + (count === 0 ? ' empty' : '');
+    countEl.textContent = String(count);
+
+    btn.appendChild(weekday);
+    btn.appendChild(date);
+    btn.appendChild(countEl);
+    calendarDaysEl.appendChild(btn);
+  });
+
+  calendarRangeEl.textContent =
+    formatDayKey(days[0].dayKey, { month: 'short', day: 'numeric' }) +
+    ' \u2013 ' +
+    formatDayKey(days[days.length - 1].dayKey, { month: 'short', day: 'numeric' });
+
+  if (focusedDay) {
+    const target = calendarDaysEl.querySelector('[data-day="' + focusedDay + '"]');
+    if (target) target.focus();
+  }
+}
+
+/**
+ * Renders chips for the tokens recognized in the quick-add input.
+ * @param {Object} parsed - Result of parseQuickAdd
+ */
+function renderQuickAddPreview(parsed) {
+  quickAddPreviewEl.innerHTML = '';
+
+  const chips = parsed.tags.map((tag) => ({ type: 'tag', text: '#' + tag }));
+  if (parsed.priority !== 'none') {
+    chips.push({ type: 'priority', text: capitalize(parsed.priority) + ' priority' });
+  }
+  if (parsed.dueDate) {
+    const date = formatDayKey(parsed.dueDate, { weekday: 'short', month: 'short', day: 'numeric' });
+    const time = parsed.dueTime ? ' ' + formatTime(parsed.dueTime) : '';
+    chips.push({ type: 'due', text: 'Due ' + date + time });
+  }
+  if (parsed.recurrence) {
+    chips.push({ type: 'recurrence', text: describeRecurrence(parsed.recurrence) });
+  }
+
+  chips.forEach(({ type, text }) => {
+    const chip = document.createElement('span');
+    chip.className = 'quick-add-chip quick-add-chip-' + type;
+    chip.textContent = text;
+    quickAddPreviewEl.appendChild(chip);
+  });
+
+  quickAddPreviewEl.hidden = chips.length === 0;
+}
+
+/**
+ * Appends text to an element with the given ranges wrapped in <mark>. Built
+ * from text nodes, so todo text is never parsed as HTML.
+ * @param {HTMLElement} parent
+ * @param {string} text
+ * @param {Array<Array<number>>} ranges - Sorted `[start, end)` ranges from findSearchMatches
+ */
+function appendHighlighted(parent, text, ranges) {
+  let at = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > at) parent.appendChild(document.createTextNode(text.slice(at, start)));
+    const mark = document.createElement('mark');
+    mark.className = 'search-match';
+    mark.textContent = text.slice(start, end);
+    parent.appendChild(mark);
+    at = end;
+  });
+  if (at < text.length) parent.appendChild(document.createTextNode(text.slice(at)));
+}
+
+/**
+ * Renders the todo list items, highlighting what the search matched.
+ * Rows are matched to todos by data-id: only rows whose todo (or the way it
+ * is shown) changed are updated, in place, and only rows out of order are
+ * moved, so scroll position, focus, transitions and an open edit survive.
+ *
+ * Past VIRTUAL_LIST_THRESHOLD todos the list is windowed: only rows on
+ * screen (plus overscan) are mounted, with spacers standing in for the rest.
+ * Rows with focus, an open edit or a drag in progress stay mounted wherever
+ * they are, as do `revealIds`.
+ * @param {Array<Object>} todos - Filtered todos to display
+ * @param {Array<string>} [searchTerms] - From getSearchTerms
+ * @param {Array<string>} [revealIds] - Todos to mount even when off screen
+ */
+function renderTodoList(todos, searchTerms = [], revealIds = []) {
+  const todayKey = toDayKey(Date.now());
+  const sharedView = [todayKey, searchTerms.join(' '), JSON.stringify(model.state.tagColors)];
+  const windowed = todos.length > VIRTUAL_LIST_THRESHOLD;
+  const heights = windowed ? getTodoRowHeights(todos) : null;
+  const range = windowed ? getTodoListRange(heights) : { start: 0, end: todos.length };
+
+  const keptIds = new Set(revealIds);
+  todoListEl.querySelectorAll('.todo-item.editing, .todo-item.dragging').forEach((li) => {
+    keptIds.add(li.dataset.id);
+  });
+  const focusedLi = getTodoRow(document.activeElement);
+  if (focusedLi) keptIds.add(focusedLi.dataset.id);
+  const positions = [];
+  todos.forEach((todo, i) => {
+    if ((i >= range.start && i < range.end) || keptIds.has(todo.id)) positions.push(i);
+  });
+
+  const shownIds = new Set(positions.map((i) => todos[i].id));
+  const rows = new Map();
+  [...todoListEl.children].forEach((li) => {
+    if (shownIds.has(li.dataset.id) && !rows.has(li.dataset.id)) {
+      rows.set(li.dataset.id, li);
+    } else {
+      li.remove();
+    }
+  });
+  const oldPositions = new Map([...rows.keys()].map((id, position) => [id, position]));
+  const staying = getLongestIncreasingSubsequence(positions.map((i) => {
+    return oldPositions.has(todos[i].id) ? oldPositions.get(todos[i].id) : -1;
+  }));
+
+  // From the end, so each row goes before the row already placed after it
+  const lis = [];
+  let nextLi = null;
+  for (let k = positions.length - 1; k >= 0; k--) {
+    const todo = todos[positions[k]];
+    const view = sharedView.concat(
+      selectedTodoIds.has(todo.id),
+      expandedNoteIds.has(todo.id),
+      collapsedSubtaskIds.has(todo.id)
+    ).join('\n');
+    let li = rows.get(todo.id);
+    const rendered = li && renderedTodoRows.get(li);
+    const json = rendered && rendered.todo === todo ? rendered.json : JSON.stringify(todo);
+
+    if (!li) {
+      li = createTodoItem(todo, searchTerms, todayKey);
+      renderedTodoRows.set(li, { todo, json, view });
+    } else if (
+      !rendered ||
+      rendered.json !== json ||
+      // An open edit is kept, unless its todo changed (which closes it)
+      (rendered.view !== view && !li.classList.contains('editing'))
+    ) {
+      patchElement(li, createTodoItem(todo, searchTerms, todayKey));
+      renderedTodoRows.set(li, { todo, json, view });
+    } else {
+      rendered.todo = todo;
+    }
+    // Screen readers hear "3 of 20,000" though most rows are not mounted
+    if (windowed) {
+      li.setAttribute('aria-setsize', String(todos.length));
+      li.setAttribute('aria-posinset', String(positions[k] + 1));
+    } else {
+      li.removeAttribute('aria-setsize');
+      li.removeAttribute('aria-posinset');
+    }
+    if (!staying.has(k)) todoListEl.insertBefore(li, nextLi);
+    lis[k] = li;
+    nextLi = li;
+  }
+
+  if (windowed) {
+    insertTodoListSpacers(heights, positions, lis);
+    measureTodoRows(lis);
+  }
+  todoListWindow = { todos, searchTerms, windowed, start: range.start, end: range.end };
+}
+
+/**
+ * Gets the height of every todo's row: as measured, or else the average of
+ * the rows measured so far.
+ * @param {Array<Object>} todos
+ * @returns {Array<number>} In px, spacing included
+ */
+function getTodoRowHeights(todos) {
+  let total = 0;
+  todoRowHeights.forEach((height) => {
+    total += height;
+  });
+  const estimate = todoRowHeights.size > 0 ? total / todoRowHeights.size : TODO_ROW_HEIGHT;
+  return todos.map((todo) => todoRowHeights.get(todo.id) || estimate);
+}
+
+/**
+ * Works out which rows of the windowed todo list are on screen, plus overscan.
+ * @param {Array<number>} heights - From getTodoRowHeights
+ * @returns {{ start: number, end: number }} Rows `[start, end)`
+ */
+function getTodoListRange(heights) {
+  const listTop = todoListEl.getBoundingClientRect().top;
+  return getVirtualRange(heights, -listTop, window.innerHeight - listTop, VIRTUAL_OVERSCAN);
+}
+
+/**
+ * Puts a spacer wherever rows of the windowed todo list are not mounted, as
+ * tall as those rows, so the list keeps its full height and the scrollbar
+ * stays true.
+ * @param {Array<number>} heights - Height of every row
+ * @param {Array<number>} positions - Which rows are mounted, in order
+ * @param {Array<HTMLElement>} lis - The mounted rows, in the same order
+ */
+function insertTodoListSpacers(heights, positions, lis) {
+  let from = 0;
+  const addSpacer = (to, beforeLi) => {
+    let height = 0;
+    for (let i = from; i < to; i++) height += heights[i];
+    if (height === 0) return;
+    const spacer = document.createElement('li');
+    spacer.className = 'todo-list-spacer';
+    spacer.setAttribute('aria-hidden', 'true');
+    spacer.style.height = height + 'px';
+    todoListEl.insertBefore(spacer, beforeLi);
+  };
+  positions.forEach((position, k) => {
+    addSpacer(position, lis[k]);
+    from = position + 1;
+  });
+  addSpacer(heights.length, null);
+}
+
+/**
+ * Records the height of mounted todo rows, from where the next element
+ * starts, so spacing between rows counts. The last row has nothing after it
+ * and keeps its estimate, as does every row when nothing is laid out.
+ * @param {Array<HTMLElement>} lis - Mounted rows
+ */
+function measureTodoRows(lis) {
+  lis.forEach((li) => {
+    const next = li.nextElementSibling;
+    const height = next ? next.offsetTop - li.offsetTop : 0;
+    if (height > 0) todoRowHeights.set(li.dataset.id, height);
+  });
+}
+
+/**
+ * Moves the window of a windowed todo list to what is now on screen, after
+ * scrolling or resizing. Does nothing if the same rows are still on screen.
+ */
+function renderTodoListWindow() {
+  if (!todoListWindow || !todoListWindow.windowed) return;
+  const { todos, searchTerms, start, end } = todoListWindow;
+  const range = getTodoListRange(getTodoRowHeights(todos));
+  if (range.start === start && range.end === end) return;
+
+  const focusContext = captureFocusContext();
+  renderTodoList(todos, searchTerms);
+  restoreFocusContext(focusContext);
+}
+
+/**
+ * Finds a todo's row, first mounting it if the list is windowed and the row
+ * is off screen. Focusing something in it then scrolls it into view.
+ * @param {string} todoId
+ * @returns {HTMLElement|null} Null if the todo is not shown
+ */
+function revealTodoRow(todoId) {
+  const selector = '[data-id="' + CSS.escape(todoId) + '"]';
+  const li = todoListEl.querySelector(selector);
+  if (li || !todoListWindow || !todoListWindow.windowed) return li;
+  if (!todoListWindow.todos.some((todo) => todo.id === todoId)) return null;
+  renderTodoList(todoListWindow.todos, todoListWindow.searchTerms, [todoId]);
+  return todoListEl.querySelector(selector);
+}
+
+/**
+ * Lists the IDs of the todos shown in the list, in order, including rows a
+ * windowed list has not mounted.
+ * @returns {Array<string>}
+ */
+function getShownTodoIds() {
+  return todoListWindow ? todoListWindow.todos.map((todo) => todo.id) : [];
+}
+
+/**
+ * Creates the row for a todo.
+ * @param {Object} todo
+ * @param {Array<string>} searchTerms - Terms to highlight (see getSearchTerms)
+ * @param {string} todayKey - Today, for due labels
+ * @returns {HTMLLIElement}
+ */
+function createTodoItem(todo, searchTerms, todayKey) {
+  const due = todo.dueDate ? describeDueDate(todo.dueDate, todayKey) : null;
+  const isOverdue = Boolean(due && due.overdue && !todo.completed);
+
+  const priority = todo.priority || 'none';
+
+  const li = document.createElement('li');
+  li.className =
+    'todo-item' + (todo.completed ? ' completed' : '') + (isOverdue ? ' overdue' : '');
+  if (priority !== 'none') li.classList.add('priority-' + priority);
+  if (selectedTodoIds.has(todo.id)) li.classList.add('selected');
+  li.dataset.id = todo.id;
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.className = 'todo-checkbox';
+  checkbox.checked = todo.completed;
+  checkbox.setAttribute('aria-label', 'Toggle ' + todo.title);
+
+  const title = document.createElement('span');
+  title.className = 'todo-title';
+  appendHighlighted(title, todo.title, findSearchMatches(todo.title, searchTerms));
+  title.tabIndex = 0;
+  title.setAttribute('role', 'button');
+  title.setAttribute('aria-label', 'Edit ' + todo.title);
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'todo-delete';
+  deleteBtn.textContent = '\u2715';
+  deleteBtn.setAttribute('aria-label', 'Delete ' + todo.title);
+
+  const handle = document.createElement('button');
+  handle.type = 'button';
+  handle.className = 'todo-drag-handle';
+  handle.textContent = '\u2630';
+  handle.title = 'Drag to reorder, or press Alt+Up / Alt+Down';
+  handle.setAttribute('aria-label', 'Reorder ' + todo.title + ' (Alt+Up / Alt+Down)');
+
+  const addSubtaskBtn = document.createElement('button');
+  addSubtaskBtn.type = 'button';
+  addSubtaskBtn.className = 'todo-add-subtask';
+  addSubtaskBtn.textContent = '+';
+  addSubtaskBtn.setAttribute('aria-label', 'Add subtask to ' + todo.title);
+
+  li.appendChild(handle);
+  li.appendChild(checkbox);
+  if (priority !== 'none') {
+    const priorityEl = document.createElement('span');
+    priorityEl.className = 'todo-priority';
+    priorityEl.textContent = '!'.repeat(PRIORITIES.indexOf(priority));
+    priorityEl.title = capitalize(priority) + ' priority';
+    priorityEl.setAttribute('aria-label', capitalize(priority) + ' priority');
+    li.appendChild(priorityEl);
+  }
+  li.appendChild(title);
+  if (due) {
+    const dueEl = document.createElement('time');
+    dueEl.className = 'todo-due';
+    dueEl.dateTime = todo.dueDate;
+    dueEl.textContent = due.text + (todo.dueTime ? ' ' + formatTime(todo.dueTime) : '');
+    li.appendChild(dueEl);
+  }
+  if (todo.recurrence) {
+    const repeatEl = document.createElement('span');
+    repeatEl.className = 'todo-recurrence';
+    repeatEl.textContent = '\u21BB';
+    repeatEl.title = describeRecurrence(todo.recurrence);
+    repeatEl.setAttribute('role', 'img');
+    repeatEl.setAttribute('aria-label', describeRecurrence(todo.recurrence));
+    li.appendChild(repeatEl);
+  }
+  if (todo.tags && todo.tags.length > 0) {
+    const tagsEl = document.createElement('span');
+    tagsEl.className = 'todo-tags';
+    todo.tags.forEach((tag) => {
+      const chip = createTagChip(tag, 'todo-tag');
+      chip.setAttribute('aria-label', 'Filter by tag ' + tag);
+      const ranges = findSearchMatches('#' + tag, searchTerms);
+      if (ranges.length > 0) {
+        chip.textContent = '';
+        appendHighlighted(chip, '#' + tag, ranges);
+      }
+      tagsEl.appendChild(chip);
+    });
+    li.appendChild(tagsEl);
+  }
+  const notesShown = expandedNoteIds.has(todo.id);
+  if (todo.notes) {
+    const notesToggle = document.createElement('button');
+    notesToggle.type = 'button';
+    notesToggle.className = 'todo-notes-toggle';
+    notesToggle.textContent = (notesShown ? '\u25BE' : '\u25B8') + ' Notes';
+    notesToggle.setAttribute('aria-expanded', notesShown.toString());
+    notesToggle.setAttribute('aria-controls', 'notes-' + todo.id);
+    notesToggle.setAttribute('aria-label', 'Notes for ' + todo.title);
+    li.appendChild(notesToggle);
+  }
+  li.appendChild(addSubtaskBtn);
+  li.appendChild(deleteBtn);
+  if (todo.notes) {
+    const notesEl = document.createElement('div');
+    notesEl.className = 'todo-notes';
+    notesEl.id = 'notes-' + todo.id;
+    notesEl.hidden = !notesShown;
+    notesEl.appendChild(createNotesContent(parseNotes(todo.notes), searchTerms));
+    li.appendChild(notesEl);
+  }
+  if (todo.subtasks && todo.subtasks.length > 0) {
+    li.appendChild(createSubtaskSection(todo));
+  }
+  return li;
+}
+
+/**
+ * Updates an element in place to match another built the same way: its
+ * attributes, checked state and children, reusing child elements of the
+ * same tag so focus and CSS transitions carry over.
+ * @param {Element} target - Element in the page
+ * @param {Element} source - Freshly built element; its children may be moved
+ */
+function patchElement(target, source) {
+  [...target.attributes].forEach(({ name }) => {
+    if (!source.hasAttribute(name)) target.removeAttribute(name);
+  });
+  [...source.attributes].forEach(({ name, value }) => {
+    if (target.getAttribute(name) !== value) target.setAttribute(name, value);
+  });
+  if (target.type === 'checkbox' && target.checked !== source.checked) {
+    target.checked = source.checked;
+  }
+
+  const targetNodes = [...target.childNodes];
+  const sourceNodes = [...source.childNodes];
+  sourceNodes.forEach((node, i) => {
+    const current = targetNodes[i];
+    if (!current) {
+      target.appendChild(node);
+    } else if (current.nodeName !== node.nodeName) {
+      target.replaceChild(node, current);
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      patchElement(current, node);
+    } else if (current.nodeValue !== node.nodeValue) {
+      current.nodeValue = node.nodeValue;
+    }
+  });
+  targetNodes.slice(sourceNodes.length).forEach((node) => node.remove());
+}
+
+/**
+ * Builds the DOM for parsed notes (see parseNotes). Only a fixed set of
+ * elements is created and all text goes in as text, so a note can never
+ * inject markup; link targets were already limited to NOTE_LINK_PROTOCOLS.
+ * @param {Array<Object>} blocks - From parseNotes
+ * @param {Array<string>} [searchTerms] - Terms to highlight (see getSearchTerms)
+ * @returns {DocumentFragment}
+ */
+function createNotesContent(blocks, searchTerms = []) {
+  const fragment = document.createDocumentFragment();
+  blocks.forEach((block) => {
+    if (block.type === 'code') {
+      const pre = document.createElement('pre');
+      const code = document.createElement('code');
+      code.textContent = block.text;
+      pre.appendChild(code);
+      fragment.appendChild(pre);
+    } else if (block.type === 'list') {
+      const list = document.createElement(block.ordered ? 'ol' : 'ul');
+      block.items.forEach((children) => {
+        const item = document.createElement('li');
+        appendNoteInline(item, children, searchTerms);
+        list.appendChild(item);
+      });
+      fragment.appendChild(list);
+    } else {
+      const paragraph = document.createElement('p');
+      appendNoteInline(paragraph, block.children, searchTerms);
+      fragment.appendChild(paragraph);
+    }
+  });
+  return fragment;
+}
+
+/**
+ * Appends inline notes nodes (see parseNoteInline) to an element.
+ * @param {HTMLElement} parent
+ * @param {Array<Object>} nodes
+ * @param {Array<string>} searchTerms - Terms to highlight in plain text
+ */
+function appendNoteInline(parent, nodes, searchTerms) {
+  const tagNames = { code: 'code', strong: 'strong', em: 'em', link: 'a' };
+  nodes.forEach((node) => {
+    if (node.type === 'text') {
+      appendHighlighted(parent, node.text, findSearchMatches(node.text, searchTerms));
+      return;
+    }
+    const el = document.createElement(tagNames[node.type]);
+    if (node.type === 'code') {
+      el.textContent = node.text;
+    } else {
+      appendNoteInline(el, node.children, searchTerms);
+    }
+    if (node.type === 'link') {
+      el.href = node.href;
+      el.target = '_blank';
+      el.rel = 'noopener noreferrer';
+    }
+    parent.appendChild(el);
+  });
+}
+
+/**
+ * Creates a todo's collapsible checklist: a progress toggle ("2/5"), the
+ * subtasks, and an input for adding more.
+ * @param {Object} todo - Todo with at least one subtask, or being given its first
+ * @returns {HTMLElement}
+ */
+function createSubtaskSection(todo) {
+  const subtasks = todo.subtasks || [];
+  const done = subtasks.filter((s) => s.completed).length;
+  const isCollapsed = collapsedSubtaskIds.has(todo.id);
+  const listId = 'subtasks-' + todo.id;
+
+  const section = document.createElement('div');
+  section.className = 'todo-subtasks';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'subtask-toggle';
+  toggle.textContent = (isCollapsed ? '\u25B8 ' : '\u25BE ') + done + '/' + subtasks.length;
+  toggle.setAttribute('aria-expanded', (!isCollapsed).toString());
+  toggle.setAttribute('aria-controls', listId);
+  toggle.hidden = subtasks.length === 0;
+  toggle.setAttribute(
+    'aria-label',
+    done + ' of ' + subtasks.length + ' subtasks done' + (isCollapsed ? ', show' : ', hide')
+  );
+  section.appendChild(toggle);
+
+  const list = document.createElement('ul');
+  list.className = 'subtask-list';
+  list.id = listId;
+  list.hidden = isCollapsed;
+
+  subtasks.forEach((subtask) => {
+    const item = document.createElement('li');
+    item.className = 'subtask-item' + (subtask.completed ? ' completed' : '');
+    item.dataset.subtaskId = subtask.id;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'subtask-checkbox';
+    checkbox.checked = subtask.completed;
+    checkbox.setAttribute('aria-label', 'Toggle ' + subtask.title);
+
+    const title = document.createElement('span');
+    title.className = 'subtask-title';
+    title.textContent = subtask.title;
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'subtask-delete';
+    deleteBtn.textContent = '\u2715';
+    deleteBtn.setAttribute('aria-label', 'Delete subtask ' + subtask.title);
+
+    item.appendChild(checkbox);
+    item.appendChild(title);
+    item.appendChild(deleteBtn);
+    list.appendChild(item);
+  });
+
+  const inputItem = document.createElement('li');
+  inputItem.className = 'subtask-new';
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'subtask-input';
+  input.placeholder = 'Add subtask';
+  input.maxLength = 500;
+  input.setAttribute('aria-label', 'Add subtask to ' + todo.title);
+  inputItem.appendChild(input);
+  list.appendChild(inputItem);
+
+  section.appendChild(list);
+  return section;
+}
+
+/**
+ * Creates a colored chip button for a tag.
+ * @param {string} tag - Tag name
+ * @param {string} className - Chip class
+ * @returns {HTMLButtonElement}
+ */
+function createTagChip(tag, className) {
+  const color = getTagColor(tag, model.state.tagColors);
+  const chip = document.createElement('button');
+  chip.type = 'button';
+  chip.className = className;
+  chip.dataset.tag = tag;
+  chip.textContent = '#' + tag;
+  chip.style.backgroundColor = color;
+  chip.style.color = getContrastTextColor(color);
+  return chip;
+}
+
+/**
+ * Renders the tag filter bar. Hidden until some todo has a tag.
+ * @param {Array<string>} listTags - Tags to offer as filters
+ * @param {Array<string>} allTags - Tags across all lists
+ */
+function renderTagBar(listTags, allTags) {
+  const { selectedTags, tagMatchMode } = model.state;
+
+  tagBarEl.hidden = allTags.length === 0;
+  tagFilterEl.innerHTML = '';
+  listTags.forEach((tag) => {
+    const chip = createTagChip(tag, 'tag-filter-chip');
+    const isSelected = selectedTags.includes(tag);
+    chip.classList.toggle('selected', isSelected);
+    chip.setAttribute('aria-pressed', isSelected.toString());
+    tagFilterEl.appendChild(chip);
+  });
+
+  tagMatchModeBtn.hidden = selectedTags.length < 2;
+  tagMatchModeBtn.dataset.mode = tagMatchMode;
+  tagMatchModeBtn.textContent = tagMatchMode === 'all' ? 'Match all' : 'Match any';
+  tagMatchModeBtn.setAttribute(
+    'aria-label',
+    tagMatchMode === 'all'
+      ? 'Showing todos with all selected tags. Switch to any.'
+      : 'Showing todos with any selected tag. Switch to all.'
+  );
+  tagClearBtn.hidden = selectedTags.length === 0;
+  tagManageBtn.setAttribute('aria-expanded', (!tagSettingsEl.hidden).toString());
+}
+
+/**
+ * Renders the tag settings panel: a color, name and delete control per tag.
+ * Skipped while the panel is closed.
+ * @param {Array<string>} allTags - Tags across all lists
+ */
+function renderTagSettings(allTags) {
+  if (allTags.length === 0) tagSettingsEl.hidden = true;
+  if (tagSettingsEl.hidden) return;
+
+  tagSettingsListEl.innerHTML = '';
+  allTags.forEach((tag) => {
+    const li = document.createElement('li');
+    li.className = 'tag-settings-item';
+    li.dataset.tag = tag;
+
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.className = 'tag-color-input';
+    colorInput.value = getTagColor(tag, model.state.tagColors);
+    colorInput.setAttribute('aria-label', 'Color for tag ' + tag);
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'tag-name-input';
+    nameInput.value = tag;
+    nameInput.maxLength = 40;
+    nameInput.setAttribute('aria-label', 'Rename tag ' + tag);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'tag-delete';
+    deleteBtn.textContent = '\u2715';
+    deleteBtn.setAttribute('aria-label', 'Delete tag ' + tag);
+
+    li.appendChild(colorInput);
+    li.appendChild(nameInput);
+    li.appendChild(deleteBtn);
+    tagSettingsListEl.appendChild(li);
+  });
+}
+
+/**
+ * Updates filter button active states.
+ * @param {string} currentFilter - Active filter name
+ */
+function renderFilterButtons(currentFilter) {
+  const buttons = document.querySelectorAll('.filter-btn');
+  buttons.forEach((btn) => {
+    const isActive = btn.dataset.filter === currentFilter;
+    btn.classList.toggle('active', isActive);
+    btn.setAttribute('aria-pressed', isActive.toString());
+  });
+}
+
+/**
+ * Renders the active todo count.
+ * @param {number} count - Number of active todos
+ */
+function renderActiveCount(count) {
+  activeCountEl.textContent = count === 1 ? '1 item left' : count + ' items left';
+}
+
+/**
+ * Shows or hides the "Clear Completed" and "Archive Completed" buttons.
+ * @param {number} completedCount - Number of completed todos
+ */
+function renderClearCompletedButton(completedCount) {
+  clearCompletedBtn.hidden = completedCount === 0;
+  archiveCompletedBtn.hidden = completedCount === 0;
+}
+
+/**
+ * Shows or hides the empty state message.
+ * @param {number} filteredCount - Number of todos in current filter view
+ * @param {number} totalCount - Total number of todos
+ */
+function renderEmptyState(filteredCount, totalCount) {
+  if (totalCount === 0) {
+    emptyStateEl.textContent = 'No todos yet. Add one above!';
+    emptyStateEl.hidden = false;
+  } else if (filteredCount === 0 && getSearchTerms(model.state.searchQuery).length > 0) {
+    emptyStateEl.textContent = 'No todos match \u201c' + model.state.searchQuery.trim() + '\u201d.';
+    emptyStateEl.hidden = false;
+  } else if (filteredCount === 0 && model.state.selectedTags.length > 0) {
+    emptyStateEl.textContent = 'No todos match the selected tags.';
+    emptyStateEl.hidden = false;
+  } else if (filteredCount === 0 && model.state.currentFilter === 'day') {
+    emptyStateEl.textContent =
+      'No todos completed on ' +
+      formatDayKey(model.state.selectedDay, { weekday: 'long', month: 'long', day: 'numeric' }) +
+      '.';
+    emptyStateEl.hidden = false;
+  } else if (filteredCount === 0 && model.state.currentFilter === 'today') {
+    emptyStateEl.textContent = 'Nothing due today.';
+    emptyStateEl.hidden = false;
+  } else if (filteredCount === 0) {
+    emptyStateEl.textContent = 'No ' + model.state.currentFilter + ' todos.';
+    emptyStateEl.hidden = false;
+  } else {
+    emptyStateEl.hidden = true;
+  }
+}
+
+/**
+ * Shows or hides the footer based on todo count.
+ * @param {number} totalCount - Total number of todos
+ */
+function renderFooter(totalCount) {
+  footerEl.hidden = totalCount === 0;
+}
+
+/**
+ * Renders the trash toggle and, while it is open, the trash panel: the
+ * retention setting and the deleted todos, most recent first, each with
+ * restore and delete-forever buttons.
+ * @param {Array<Object>} trash - The active list's deleted todos
+ * @param {number} retentionDays - Days the trash keeps todos for; 0 for no limit
+ */
+function renderTrash(trash, retentionDays) {
+  trashToggleBtn.textContent = trash.length > 0 ? 'Trash (' + trash.length + ')' : 'Trash';
+  trashToggleBtn.setAttribute('aria-expanded', (!trashEl.hidden).toString());
+  if (trashEl.hidden) return;
+
+  trashRetentionEl.value = String(retentionDays);
+  trashEmptyBtn.hidden = trash.length === 0;
+  trashEmptyStateEl.hidden = trash.length > 0;
+  trashListEl.innerHTML = '';
+  const now = Date.now();
+  [...trash].sort((a, b) => b.deletedAt - a.deletedAt).forEach((todo) => {
+    const li = document.createElement('li');
+    li.className = 'trash-item';
+    li.dataset.id = todo.id;
+
+    const title = document.createElement('span');
+    title.className = 'trash-title';
+    title.textContent = todo.title;
+
+    const meta = document.createElement('span');
+    meta.className = 'trash-meta';
+    meta.textContent = describeTrashedTodo(todo, retentionDays, now);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'tag-bar-btn trash-restore';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.setAttribute('aria-label', 'Restore \u201c' + todo.title + '\u201d');
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'tag-bar-btn trash-delete';
+    deleteBtn.textContent = 'Delete forever';
+    deleteBtn.setAttribute('aria-label', 'Delete \u201c' + todo.title + '\u201d forever');
+
+    li.appendChild(title);
+    li.appendChild(meta);
+    li.appendChild(restoreBtn);
+    li.appendChild(deleteBtn);
+    trashListEl.appendChild(li);
+  });
+}
+
+/**
+ * Renders the history toggle and, while it is open, the history view: the
+ * archived todos matching the search, grouped by completion day, each with
+ * a checkbox to pick it for unarchiving.
+ * @param {Array<Object>} archive - The active list's archived todos
+ * @param {number} archiveAfterDays - Auto-archive delay; 0 when off
+ */
+function renderHistory(archive, archiveAfterDays) {
+  historyToggleBtn.textContent =
+    archive.length > 0 ? 'History (' + archive.length + ')' : 'History';
+  historyToggleBtn.setAttribute('aria-expanded', (!historyEl.hidden).toString());
+  if (historyEl.hidden) return;
+
+  archiveAfterEl.value = String(archiveAfterDays);
+  const archivedIds = new Set(archive.map((t) => t.id));
+  selectedArchiveIds.forEach((id) => {
+    if (!archivedIds.has(id)) selectedArchiveIds.delete(id);
+  });
+
+  const groups = groupArchive(archive, archiveQuery);
+  historyGroupsEl.innerHTML = '';
+  groups.forEach(({ dayKey, todos }) => {
+    const heading = document.createElement('h3');
+    heading.className = 'history-day';
+    heading.textContent = formatDayKey(dayKey, { weekday: 'long', month: 'long', day: 'numeric' });
+
+    const list = document.createElement('ul');
+    list.className = 'history-list';
+    list.setAttribute('aria-label', heading.textContent);
+    todos.forEach((todo) => {
+      const li = document.createElement('li');
+      li.className = 'history-item';
+      li.dataset.id = todo.id;
+
+      const label = document.createElement('label');
+      label.className = 'history-label';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'history-select';
+      checkbox.checked = selectedArchiveIds.has(todo.id);
+      const title = document.createElement('span');
+      title.className = 'history-title';
+      title.textContent = todo.title;
+      label.appendChild(checkbox);
+      label.appendChild(title);
+      li.appendChild(label);
+
+      (todo.tags || []).forEach((tag) => {
+        const chip = createTagChip(tag, 'todo-tag history-tag');
+        chip.setAttribute('aria-label', 'Search archived todos tagged ' + tag);
+        li.appendChild(chip);
+      });
+      list.appendChild(li);
+    });
+
+    historyGroupsEl.appendChild(heading);
+    historyGroupsEl.appendChild(list);
+  });
+
+  const shown = groups.reduce((sum, group) => sum + group.todos.length, 0);
+  historyEmptyStateEl.hidden = shown > 0;
+  historyEmptyStateEl.textContent = archive.length === 0
+    ? 'Nothing archived yet.'
+    : 'No archived todos match \u201c' + archiveQuery.trim() + '\u201d.';
+  historySelectAllBtn.hidden = shown === 0;
+  historyUnarchiveBtn.disabled = selectedArchiveIds.size === 0;
+  historyUnarchiveBtn.textContent = selectedArchiveIds.size > 0
+    ? 'Unarchive (' + selectedArchiveIds.size + ')'
+    : 'Unarchive';
+}
+
+/**
+ * Creates the label for a key binding.
+ * @param {string} key - From getKeyFromEvent
+ * @returns {HTMLElement}
+ */
+function createKeyLabel(key) {
+  const kbd = document.createElement('kbd');
+  kbd.className = 'key';
+  kbd.textContent = formatKey(key);
+  return kbd;
+}
+
+/**
+ * Renders the command palette: the commands matching its query, best match
+ * first, with the matched letters highlighted and their keys.
+ * @param {Array<Object>} commands - Commands that can run now, from COMMANDS
+ * @param {Object<string, Array<string>>} keymap
+ */
+function renderCommandPalette(commands, keymap) {
+  const matches = commands
+    .map((command) => ({ command, match: fuzzyMatch(commandPaletteInput.value, command.label) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.score - a.match.score);
+  commandPaletteIndex = Math.min(commandPaletteIndex, Math.max(matches.length - 1, 0));
+
+  commandPaletteListEl.innerHTML = '';
+  matches.forEach(({ command, match }, index) => {
+    const li = document.createElement('li');
+    li.className = 'command-option';
+    li.id = 'command-' + command.id;
+    li.dataset.commandId = command.id;
+    li.setAttribute('role', 'option');
+    li.setAttribute('aria-selected', String(index === commandPaletteIndex));
+
+    const label = document.createElement('span');
+    label.className = 'command-label';
+    appendHighlighted(label, command.label, match.ranges);
+    li.appendChild(label);
+    keymap[command.id].forEach((key) => li.appendChild(createKeyLabel(key)));
+    commandPaletteListEl.appendChild(li);
+  });
+
+  commandPaletteEmptyEl.hidden = matches.length > 0;
+  const active = commandPaletteListEl.children[commandPaletteIndex];
+  if (active) {
+    commandPaletteInput.setAttribute('aria-activedescendant', active.id);
+    if (active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+  } else {
+    commandPaletteInput.removeAttribute('aria-activedescendant');
+  }
+}
+
+/**
+ * Renders the shortcuts list: every command with its keys and a button to
+ * change them.
+ * @param {Object<string, Array<string>>} keymap
+ */
+function renderShortcuts(keymap) {
+  shortcutsListEl.innerHTML = '';
+  COMMANDS.forEach((command) => {
+    const row = document.createElement('tr');
+    row.dataset.commandId = command.id;
+
+    const label = document.createElement('th');
+    label.scope = 'row';
+    label.textContent = command.label;
+
+    const keys = document.createElement('td');
+    keys.className = 'shortcut-keys';
+    if (keymap[command.id].length === 0) {
+      keys.textContent = 'None';
+    } else {
+      keymap[command.id].forEach((key) => keys.appendChild(createKeyLabel(key)));
+    }
+
+    const isRebinding = rebindingCommandId === command.id;
+    const changeBtn = document.createElement('button');
+    changeBtn.type = 'button';
+    changeBtn.className = 'shortcut-change';
+    changeBtn.textContent = isRebinding ? 'Press a key\u2026' : 'Change';
+    changeBtn.setAttribute('aria-pressed', String(isRebinding));
+    changeBtn.setAttribute('aria-label', isRebinding
+      ? 'Press a key for \u201c' + command.label + '\u201d, or Escape to cancel'
+      : 'Change the keys for \u201c' + command.label + '\u201d');
+    const change = document.createElement('td');
+    change.appendChild(changeBtn);
+
+    row.appendChild(label);
+    row.appendChild(keys);
+    row.appendChild(change);
+    shortcutsListEl.appendChild(row);
+  });
+}
+
+/**
+ * Shows the warning banner when changes could not be saved.
+ * @param {string|null} message - Description of the failed write, or null
+ */
+function renderStorageWarning(message) {
+  storageWarningEl.hidden = !message;
+  storageWarningTextEl.textContent = message || '';
+}
+
+/**
+ * Shows the notice banner when stored data was quarantined on load.
+ * @param {string|null} message - Description of the quarantined data, or null
+ */
+function renderQuarantineNotice(message) {
+  quarantineNoticeEl.hidden = !message;
+  quarantineNoticeTextEl.textContent = message || '';
+}
+
+/**
+ * Renders the sync settings and status line. The endpoint field is left
+ * alone while the user is typing in it.
+ * @param {string|null} endpoint - Sync endpoint, or null if sync is off
+ * @param {string} status - Status text (see describeSyncStatus)
+ * @param {boolean} syncing - Whether a sync is running
+ */
+function renderSyncStatus(endpoint, status, syncing) {
+  if (document.activeElement !== syncEndpointEl) syncEndpointEl.value = endpoint || '';
+  syncNowBtn.hidden = !endpoint;
+  syncNowBtn.disabled = syncing;
+  syncStatusEl.textContent = status;
+}
+
+/**
+ * Announces a message to screen readers through the live region.
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+  announcerEl.textContent = message;
+}
+
+/**
+ * Announces the instance created when a recurring todo was completed.
+ * @param {Object} todo - The new instance
+ */
+function announceNextOccurrence(todo) {
+  const due = describeDueDate(todo.dueDate, toDayKey(Date.now()));
+  announce('Next \u201c' + todo.title + '\u201d added. ' + due.text + '.');
+}
+
+/**
+ * Shows a transient notification, replacing any toast already visible.
+ * @param {string} message - Text to display
+ * @param {string} [actionLabel] - Label for an optional action button
+ * @param {Function} [onAction] - Called when the action button is clicked
+ */
+function showToast(message, actionLabel, onAction) {
+  const existing = document.querySelector('.toast');
+  if (existing) {
+    clearTimeout(Number(existing.dataset.timer));
+    existing.remove();
+  }
+
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.setAttribute('role', 'status');
+  toast.setAttribute('aria-live', 'polite');
+
+  const text = document.createElement('span');
+  text.textContent = message;
+  toast.appendChild(text);
+
+  if (actionLabel && onAction) {
+    const actionBtn = document.createElement('button');
+    actionBtn.className = 'toast-action';
+    actionBtn.type = 'button';
+    actionBtn.textContent = actionLabel;
+    actionBtn.addEventListener('click', () => {
+      clearTimeout(Number(toast.dataset.timer));
+      toast.remove();
+      onAction();
+    });
+    toast.appendChild(actionBtn);
+  }
+
+  document.body.appendChild(toast);
+  toast.dataset.timer = String(setTimeout(() => toast.remove(), TOAST_DURATION));
+}
+
+/**
+ * Shows a toast describing the last undoable change with an Undo button.
+ */
+function showUndoToast() {
+  const label = model.getUndoLabel();
+  if (label) showToast(label, 'Undo', () => actions.undo());
+}
+
+/* ==========================================================================
+   Section 5: Event Listeners and Initialization
+   ========================================================================== */
+
+/**
+ * Selects or unselects a todo for bulk actions and re-renders. Extending
+ * selects every todo shown between the one picked last and this one.
+ * @param {string} todoId - Todo ID
+ * @param {boolean} extend - Whether to select a range (Shift-click)
+ */
+function selectTodo(todoId, extend) {
+  const shownIds = getShownTodoIds();
+  const from = shownIds.indexOf(selectionAnchorId);
+  const to = shownIds.indexOf(todoId);
+  if (extend && from !== -1) {
+    shownIds
+      .slice(Math.min(from, to), Math.max(from, to) + 1)
+      .forEach((id) => selectedTodoIds.add(id));
+  } else if (!selectedTodoIds.delete(todoId)) {
+    selectedTodoIds.add(todoId);
+  }
+  selectionAnchorId = todoId;
+  renderState();
+}
+
+/**
+ * Shows a todo's subtask input, expanding its checklist (or adding an empty
+ * one for the first subtask), and focuses it.
+ * @param {HTMLElement} li - The todo list item element
+ */
+function openSubtaskInput(li) {
+  collapsedSubtaskIds.delete(li.dataset.id);
+  let section = li.querySelector('.todo-subtasks');
+  if (!section) {
+    const todo = model.state.todos.find((t) => t.id === li.dataset.id);
+    section = createSubtaskSection(todo);
+    li.appendChild(section);
+  }
+  section.querySelector('.subtask-list').hidden = false;
+  section.querySelector('.subtask-input').focus();
+}
+
+/** @type {Array<{ value: string, label: string }>} Repeat choices in edit mode */
+const REPEAT_OPTIONS = [
+  { value: 'none', label: 'Doesn\u2019t repeat' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekdays', label: 'Weekdays' },
+  { value: 'weekly', label: 'Weekly on\u2026' },
+  { value: 'monthly', label: 'Monthly on day\u2026' },
+  { value: 'interval', label: 'Every N days' }
+];
+
+/** @type {Object<string, string>} Placeholder for the repeat detail input, by type */
+const REPEAT_DETAIL_PLACEHOLDERS = {
+  weekly: 'mon, thu',
+  monthly: '1\u201331',
+  interval: 'Days'
+};
+
+/**
+ * Enters edit mode for a todo item, with inputs for the title, due date,
+ * priority, tags, repeat rule and notes. Choosing "Doesn't repeat" stops a
+ * series. Enter saves, except in the notes, where it takes Ctrl/Cmd+Enter.
+ * @param {HTMLElement} li - The todo list item element
+ * @param {string} todoId - Todo ID
+ * @param {string} currentTitle - Current title text
+ * @param {Object} [draft] - Unsaved edits to restore (see captureEditDraft)
+ */
+function enterEditMode(li, todoId, currentTitle, draft) {
+  if (li.classList.contains('editing')) return;
+
+  li.classList.add('editing');
+
+  const todo = model.state.todos.find((t) => t.id === todoId);
+  const currentDue = (todo && todo.dueDate) || '';
+  const currentTags = todo && todo.tags ? todo.tags.join(', ') : '';
+  const currentPriority = (todo && todo.priority) || 'none';
+  const currentRule = (todo && todo.recurrence) || null;
+  const currentRepeat = currentRule ? currentRule.type : 'none';
+  const currentRepeatDetail = formatRecurrenceDetail(currentRule);
+  const currentNotes = (todo && todo.notes) || '';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'todo-edit-input';
+  input.value = currentTitle;
+  input.maxLength = 500;
+  input.setAttribute('aria-label', 'Edit todo');
+
+  const dueInput = document.createElement('input');
+  dueInput.type = 'date';
+  dueInput.className = 'todo-edit-due';
+  dueInput.value = currentDue;
+  dueInput.setAttribute('aria-label', 'Due date');
+
+  const prioritySelect = document.createElement('select');
+  prioritySelect.className = 'todo-edit-priority';
+  prioritySelect.setAttribute('aria-label', 'Priority');
+  PRIORITIES.forEach((level) => {
+    const option = document.createElement('option');
+    option.value = level;
+    option.textContent = level === 'none' ? 'No priority' : capitalize(level);
+    prioritySelect.appendChild(option);
+  });
+  prioritySelect.value = currentPriority;
+
+  const tagsInput = document.createElement('input');
+  tagsInput.type = 'text';
+  tagsInput.className = 'todo-edit-tags';
+  tagsInput.value = currentTags;
+  tagsInput.placeholder = 'Tags';
+  tagsInput.setAttribute('aria-label', 'Tags, separated by commas');
+
+  const repeatSelect = document.createElement('select');
+  repeatSelect.className = 'todo-edit-repeat';
+  repeatSelect.setAttribute('aria-label', 'Repeat');
+  REPEAT_OPTIONS.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    repeatSelect.appendChild(option);
+  });
+  repeatSelect.value = currentRepeat;
+
+  const repeatDetailInput = document.createElement('input');
+  repeatDetailInput.type = 'text';
+  repeatDetailInput.className = 'todo-edit-repeat-detail';
+  repeatDetailInput.value = currentRepeatDetail;
+  repeatDetailInput.setAttribute('aria-label', 'Repeat on');
+
+  const notesInput = document.createElement('textarea');
+  notesInput.className = 'todo-edit-notes';
+  notesInput.value = currentNotes;
+  notesInput.rows = 4;
+  notesInput.maxLength = NOTES_MAX_LENGTH;
+  notesInput.placeholder = 'Notes: **bold**, *italics*, - lists, [links](https://\u2026), `code`';
+  notesInput.setAttribute('aria-label', 'Notes (Markdown; Ctrl+Enter saves)');
+
+  /**
+   * Shows the detail input only for repeat types that need one.
+   */
+  function updateRepeatDetail() {
+    const placeholder = REPEAT_DETAIL_PLACEHOLDERS[repeatSelect.value];
+    repeatDetailInput.hidden = !placeholder;
+    repeatDetailInput.placeholder = placeholder || '';
+  }
+  updateRepeatDetail();
+
+  li.appendChild(input);
+  li.appendChild(dueInput);
+  li.appendChild(prioritySelect);
+  li.appendChild(tagsInput);
+  li.appendChild(repeatSelect);
+  li.appendChild(repeatDetailInput);
+  li.appendChild(notesInput);
+  input.focus();
+  input.select();
+
+  const fields = [
+    input, dueInput, prioritySelect, tagsInput, repeatSelect, repeatDetailInput, notesInput
+  ];
+  fields.forEach((field) => {
+    field.dataset.initial = field.value;
+  });
+  if (draft) {
+    fields.forEach((field) => {
+      const value = draft.values[field.classList[0]];
+      if (value !== undefined) field.value = value;
+    });
+    updateRepeatDetail();
+    const focused = fields.find((field) => field.classList[0] === draft.focused);
+    if (focused) {
+      focused.focus();
+      if (draft.selectionStart !== null && focused.setSelectionRange) {
+        focused.setSelectionRange(draft.selectionStart, draft.selectionEnd);
+      }
+    }
+  }
+
+  /**
+   * Saves the edit and exits edit mode.
+   * Shows validation feedback if the input is empty.
+   */
+  function saveEdit() {
+    const newTitle = trimTitle(input.value);
+    if (!newTitle) {
+      input.classList.add('invalid');
+      input.setAttribute('aria-invalid', 'true');
+      input.focus();
+      return;
+    }
+    const changed =
+      newTitle !== currentTitle ||
+      dueInput.value !== currentDue ||
+      prioritySelect.value !== currentPriority ||
+      tagsInput.value !== currentTags ||
+      repeatSelect.value !== currentRepeat ||
+      repeatDetailInput.value !== currentRepeatDetail ||
+      notesInput.value !== currentNotes;
+    if (!changed) {
+      exitEditMode();
+      return;
+    }
+    const repeat = parseRecurrenceInput(repeatSelect.value, repeatDetailInput.value);
+    if (!repeat) {
+      repeatDetailInput.classList.add('invalid');
+      repeatDetailInput.setAttribute('aria-invalid', 'true');
+      repeatDetailInput.focus();
+      return;
+    }
+    const fields = {
+      dueDate: dueInput.value,
+      priority: prioritySelect.value,
+      tags: parseTagList(tagsInput.value),
+      recurrence: repeat.rule,
+      notes: notesInput.value
+    };
+    if (!actions.editTodo(todoId, newTitle, fields)) {
+      tagsInput.classList.add('invalid');
+      tagsInput.setAttribute('aria-invalid', 'true');
+      tagsInput.focus();
+    }
+  }
+
+  /**
+   * Cancels the edit and reverts to the original title.
+   */
+  function exitEditMode() {
+    li.classList.remove('editing');
+    input.remove();
+    dueInput.remove();
+    prioritySelect.remove();
+    tagsInput.remove();
+    repeatSelect.remove();
+    repeatDetailInput.remove();
+    notesInput.remove();
+    // Catch up on anything about the row a render left alone while editing
+    renderState();
+  }
+
+  // Suggest a detail from the due date (or today) when switching repeat type
+  repeatSelect.addEventListener('change', () => {
+    const anchor = parseDayKey(dueInput.value || toDayKey(Date.now()));
+    const suggestions = {
+      weekly: WEEKDAY_NAMES[anchor.getDay()].slice(0, 3),
+      monthly: String(anchor.getDate()),
+      interval: '2'
+    };
+    repeatDetailInput.value = suggestions[repeatSelect.value] || '';
+    repeatDetailInput.classList.remove('invalid');
+    repeatDetailInput.removeAttribute('aria-invalid');
+    updateRepeatDetail();
+  });
+
+  [input, tagsInput, repeatDetailInput].forEach((field) => {
+    field.addEventListener('input', () => {
+      field.classList.remove('invalid');
+      field.removeAttribute('aria-invalid');
+    });
+  });
+
+  fields.forEach((field) => {
+    field.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (field !== notesInput || e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        saveEdit();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        exitEditMode();
+      }
+    });
+
+    field.addEventListener('blur', () => {
+      // Small delay to allow keydown to fire first and focus to settle
+      setTimeout(() => {
+        // A re-render closed this edit; any draft was carried over to a new one
+        if (!input.isConnected) return;
+        if (fields.includes(document.activeElement)) return;
+        if (li.classList.contains('editing')) {
+          saveEdit();
+        }
+      }, 0);
+    });
+  });
+}
+
+/**
+ * Captures the edit in progress in the todo list, if any, before a
+ * re-render. Only fields the user changed are kept, so a restored edit
+ * shows the todo's current value for the others.
+ * @returns {{ todoId: string, values: Object<string, string>, focused: string|null,
+ *   selectionStart: number|null, selectionEnd: number|null }|null} Draft or null
+ */
+function captureEditDraft() {
+  const li = todoListEl.querySelector('.todo-item.editing');
+  if (!li) return null;
+
+  const values = {};
+  li.querySelectorAll('[data-initial]').forEach((field) => {
+    if (field.value !== field.dataset.initial) values[field.classList[0]] = field.value;
+  });
+  const active = document.activeElement;
+  const focused = active && li.contains(active) && active.dataset.initial !== undefined
+    ? active
+    : null;
+  return {
+    todoId: li.dataset.id,
+    values,
+    focused: focused ? focused.classList[0] : null,
+    selectionStart: focused && typeof focused.selectionStart === 'number'
+      ? focused.selectionStart
+      : null,
+    selectionEnd: focused ? focused.selectionEnd : null
+  };
+}
+
+/**
+ * Presents a change made outside this tab, carrying over an edit in
+ * progress through the render. If the change touched the todo being
+ * edited, a notice says so. The model may not hold that todo before or
+ * after the change (e.g. its row is still on screen after a re-read): one
+ * that only appears is treated as added, and one that is gone either way
+ * closes the edit without a notice.
+ * @param {Proposal} proposal - Applies the change to the model
+ * @param {string} source - Where the change came from, e.g. 'Another tab'
+ * @returns {*} Result of the proposal (see sam.present)
+ */
+function renderExternalChange(proposal, source) {
+  const draft = captureEditDraft();
+  const before = draft && model.state.todos.find((t) => t.id === draft.todoId);
+  const result = sam.present(proposal);
+  if (!draft) return result;
+
+  const after = model.state.todos.find((t) => t.id === draft.todoId);
+  if (!after) {
+    if (before) {
+      showToast(source + ' deleted \u201c' + before.title + '\u201d while you were editing it.');
+    }
+  } else if (!restoreEditDraft(draft)) {
+    showToast(source + ' changed \u201c' + after.title + '\u201d, so your edit was closed.');
+  } else if (before && hasTodoChanged(before, after)) {
+    showToast(source + ' changed \u201c' + after.title + '\u201d. Your edits are kept.');
+  }
+  return result;
+}
 
-/* ==========================================================================
-   Section 3: Actions (Pure Functions)
-   ========================================================================== */
+/**
+ * Reopens a captured edit on the re-rendered todo.
+ * @param {Object} draft - Draft from captureEditDraft
+ * @returns {boolean} Whether the todo is still shown to edit
+ */
+function restoreEditDraft(draft) {
+  const li = revealTodoRow(draft.todoId);
+  if (!li) return false;
+  enterEditMode(li, draft.todoId, li.querySelector('.todo-title').textContent, draft);
+  return true;
+}
 
 /**
- * Actions layer - interprets user interactions and delegates to model.
- * Each action calls the model, which validates and persists, then triggers render.
+ * Shows the list name form for creating or renaming a list.
+ * @param {'create'|'rename'} mode - Which list action the form submits
  */
-const actions = {
-  /**
-   * Proposes adding a new todo.
-   * @param {string} title - User input title
-   * @returns {boolean} Whether the todo was successfully added
-   */
-  addTodo(title) {
-    const newState = model.addTodo(title);
-    if (newState) {
-      renderState();
-      return true;
-    }
-    return false;
-  },
+function openListForm(mode) {
+  const form = document.getElementById('list-form');
+  const input = document.getElementById('list-name-input');
 
-  /**
-   * Proposes toggling a todo's completion.
-   * @param {string} id - Todo ID
-   */
-  toggleTodo(id) {
-    const newState = model.toggleTodo(id);
-    if (newState) renderState();
-  },
+  form.dataset.mode = mode;
+  form.hidden = false;
+  input.value = mode === 'rename' ? model.getActiveList().name : '';
+  input.placeholder = mode === 'rename' ? 'Rename list' : 'New list name';
+  input.classList.remove('invalid');
+  input.removeAttribute('aria-invalid');
+  input.focus();
+  input.select();
+}
 
-  /**
-   * Proposes deleting a todo.
-   * @param {string} id - Todo ID
-   */
-  deleteTodo(id) {
-    const newState = model.deleteTodo(id);
-    if (newState) renderState();
-  },
+/**
+ * Hides the list name form and returns focus to the list switcher.
+ */
+function closeListForm() {
+  document.getElementById('list-form').hidden = true;
+  listSelectEl.focus();
+}
 
-  /**
-   * Proposes editing a todo's title.
-   * @param {string} id - Todo ID
-   * @param {string} newTitle - New title text
-   */
-  editTodo(id, newTitle) {
-    const newState = model.editTodo(id, newTitle);
-    if (newState) renderState();
-  },
+/** @type {Object|null} Parsed import waiting for the user to merge or replace */
+let pendingImport = null;
 
-  /**
-   * Proposes changing the filter.
-   * @param {string} filterType - 'all' | 'active' | 'completed'
-   */
-  setFilter(filterType) {
-    const newState = model.setFilter(filterType);
-    if (newState) renderState();
-  },
+/**
+ * Downloads the current data in an export format.
+ * @param {'json'|'csv'|'md'} format
+ */
+function downloadExport(format) {
+  const now = Date.now();
+  const exporters = {
+    json: () => exportToJson(model.state, now),
+    csv: () => exportToCsv(model.state.lists),
+    md: () => exportToMarkdown(model.state.lists)
+  };
+  const types = { json: 'application/json', csv: 'text/csv', md: 'text/markdown' };
+  if (!exporters[format]) return;
 
-  /**
-   * Proposes clearing all completed todos.
-   */
-  clearCompleted() {
-    model.clearCompleted();
-    renderState();
-  }
-};
+  downloadFile(exporters[format](), types[format], 'todos-' + toDayKey(now) + '.' + format);
+}
 
-/* ==========================================================================
-   Section 4: State Representation (Rendering)
-   ========================================================================== */
+/**
+ * Downloads the quarantined data as JSON.
+ */
+function downloadQuarantine() {
+  const json = JSON.stringify(model.getQuarantine(), null, 2);
+  downloadFile(json, 'application/json', 'todos-quarantine-' + toDayKey(Date.now()) + '.json');
+}
 
-/** @type {HTMLInputElement} */
-let todoInput;
-/** @type {HTMLUListElement} */
-let todoListEl;
-/** @type {HTMLElement} */
-let emptyStateEl;
-/** @type {HTMLElement} */
-let footerEl;
-/** @type {HTMLElement} */
-let activeCountEl;
-/** @type {HTMLButtonElement} */
-let clearCompletedBtn;
+/**
+ * Saves text as a file through a temporary download link.
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ * @param {string} fileName - Suggested file name
+ */
+function downloadFile(text, type, fileName) {
+  const blob = new Blob([text], { type: type + ';charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
 
 /**
- * Caches DOM element references. Called once during initialization.
+ * Shows what an import file contains and asks whether to merge or replace.
+ * @param {Object} data - Result of parseImportFile
+ * @param {string} fileName - Name of the chosen file
  */
-function cacheDomElements() {
-  todoInput = document.getElementById('todo-input');
-  todoListEl = document.getElementById('todo-list');
-  emptyStateEl = document.getElementById('empty-state');
-  footerEl = document.getElementById('footer');
-  activeCountEl = document.getElementById('active-count');
-  clearCompletedBtn = document.getElementById('clear-completed');
+function openImportPanel(data, fileName) {
+  const { added, duplicates } = mergeLists(model.state.lists, data.lists);
+  const total = data.lists.reduce((sum, l) => sum + l.todos.length, 0);
+  const count = (n, word) => n + ' ' + word + (n === 1 ? '' : 's');
+
+  pendingImport = data;
+  document.getElementById('import-summary').textContent =
+    '\u201c' + fileName + '\u201d has ' + count(total, 'todo') + ' in ' +
+    count(data.lists.length, 'list') + '. Merging adds ' + added +
+    (duplicates > 0 ? ' and skips ' + count(duplicates, 'duplicate') : '') +
+    '; replacing discards your current lists.';
+  document.getElementById('import-panel').hidden = false;
+  document.getElementById('import-merge').focus();
 }
 
 /**
- * Captures the focus context within the todo list before a re-render.
- * @returns {{ todoId: string, selector: string }|null} Focus context or null
+ * Hides the import panel and forgets the pending import.
  */
-function captureFocusContext() {
-  const active = document.activeElement;
-  if (!active || !todoListEl.contains(active)) return null;
+function closeImportPanel() {
+  pendingImport = null;
+  document.getElementById('import-panel').hidden = true;
+  document.getElementById('import-btn').focus();
+}
 
-  const li = active.closest('.todo-item');
-  if (!li) return null;
+/**
+ * Sends outbox operations to the sync server in batches (see
+ * batchOperations), one request after another. The server ignores any it
+ * has already applied, so resending after a lost response is safe.
+ * @param {string} endpoint - Sync endpoint URL
+ * @param {Array<Object>} ops - Operations to send, oldest first
+ * @param {function(Array<Object>): void} onSent - Called with each batch the server accepts
+ * @returns {Promise<void>} Rejects at the first batch the server doesn't accept
+ */
+function sendOperations(endpoint, ops, onSent) {
+  return batchOperations(ops).reduce((previous, batch) => previous
+    .then(() => fetch(getSyncUrl(endpoint, 'ops'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ops: batch })
+    }))
+    .then((response) => {
+      if (!response.ok) throw new Error('the server answered ' + response.status);
+      onSent(batch);
+    }), Promise.resolve());
+}
 
-  const todoId = li.dataset.id;
-  if (active.classList.contains('todo-checkbox')) {
-    return { todoId, selector: '.todo-checkbox' };
-  }
-  if (active.classList.contains('todo-title')) {
-    return { todoId, selector: '.todo-title' };
-  }
-  if (active.classList.contains('todo-delete')) {
-    return { todoId, selector: '.todo-delete' };
-  }
-  return { todoId, selector: null };
+/**
+ * Pulls the todos changed on the sync server since a cursor, rejecting a
+ * response without them.
+ * @param {string} endpoint - Sync endpoint URL
+ * @param {string|null} cursor - Cursor from the last pull, or null for everything
+ * @returns {Promise<{ cursor: *, todos: Array<Object>, lists: Array<Object> }>}
+ */
+function fetchChanges(endpoint, cursor) {
+  const query = cursor === null ? '' : '?since=' + encodeURIComponent(cursor);
+  return fetch(getSyncUrl(endpoint, 'changes') + query).then((response) => {
+    if (!response.ok) throw new Error('the server answered ' + response.status);
+    return response.json();
+  }).then((changes) => {
+    if (!isSyncChanges(changes)) throw new Error('Unexpected response from the server');
+    return changes;
+  });
 }
 
+/** @type {number|null} Pending timer for sending new outbox operations */
+let syncTimer = null;
+
 /**
- * Restores focus to the equivalent element after a re-render.
- * @param {{ todoId: string, selector: string }|null} context - Captured focus context
+ * Sends new outbox operations shortly, batching changes made in quick
+ * succession. The service worker is asked to send them too, so they go out
+ * once the connection is back even if the app has been closed.
  */
-function restoreFocusContext(context) {
-  if (!context) return;
+function scheduleSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    if (navigator.onLine) actions.syncNow();
+  }, SYNC_DELAY);
 
-  const li = todoListEl.querySelector('[data-id="' + CSS.escape(context.todoId) + '"]');
-  if (li && context.selector) {
-    const target = li.querySelector(context.selector);
-    if (target) target.focus();
-  }
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.sync && registration.sync.register(SYNC_TAG))
+    .catch(() => {
+      // Background sync unavailable or refused — the app sends when it is open
+    });
 }
 
 /**
- * Renders the full application state to the DOM.
- * Computes derived data and updates all UI sections.
+ * Checks whether an element accepts text input, where the browser's own
+ * undo and other typing shortcuts should win over app shortcuts.
+ * @param {Element|null} el
+ * @returns {boolean}
  */
-function renderState() {
-  const focusContext = captureFocusContext();
+function isTextEntryElement(el) {
+  if (!el) return false;
+  if (el.isContentEditable || el.tagName === 'TEXTAREA') return true;
+  return el.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit'].includes(el.type);
+}
 
-  const filteredTodos = model.getFilteredTodos();
-  const activeCount = model.getActiveCount();
-  const completedCount = model.getCompletedCount();
-  const totalCount = model.state.todos.length;
+/**
+ * Finds the todo row an element is in.
+ * @param {Element|null} el
+ * @returns {HTMLElement|null}
+ */
+function getTodoRow(el) {
+  return el && todoListEl.contains(el) ? el.closest('.todo-item') : null;
+}
 
-  renderTodoList(filteredTodos);
-  renderFilterButtons(model.state.currentFilter);
-  renderActiveCount(activeCount);
-  renderClearCompletedButton(completedCount);
-  renderEmptyState(filteredTodos.length, totalCount);
-  renderFooter(totalCount);
+/**
+ * Focuses a todo's title, if the todo is shown, mounting its row if need be.
+ * @param {string} todoId
+ */
+function focusTodoTitle(todoId) {
+  const li = revealTodoRow(todoId);
+  if (li) li.querySelector('.todo-title').focus();
+}
 
-  restoreFocusContext(focusContext);
+/**
+ * Moves focus to the todo `step` rows away, or to the first (or last) one
+ * when no todo has focus.
+ * @param {HTMLElement|null} li - Todo row with focus
+ * @param {number} step - 1 for the next row, -1 for the previous one
+ */
+function focusTodoRow(li, step) {
+  const ids = getShownTodoIds();
+  if (ids.length === 0) return;
+  const index = li ? ids.indexOf(li.dataset.id) : -1;
+  focusTodoTitle(index === -1
+    ? ids[step > 0 ? 0 : ids.length - 1]
+    : ids[Math.min(Math.max(index + step, 0), ids.length - 1)]);
 }
 
 /**
- * Renders the todo list items.
- * @param {Array<Object>} todos - Filtered todos to display
+ * Deletes a todo, moving focus to the row that takes its place.
+ * @param {HTMLElement} li - Todo row
  */
-function renderTodoList(todos) {
-  todoListEl.innerHTML = '';
+function deleteTodoRow(li) {
+  const ids = getShownTodoIds();
+  const index = ids.indexOf(li.dataset.id);
+  const neighborId = ids[index + 1] || ids[index - 1];
+  actions.deleteTodo(li.dataset.id);
+  if (neighborId) focusTodoTitle(neighborId);
+}
 
-  todos.forEach((todo) => {
-    const li = document.createElement('li');
-    li.className = 'todo-item' + (todo.completed ? ' completed' : '');
-    li.dataset.id = todo.id;
+/**
+ * Moves a todo above the todo before it or below the todo after it.
+ * @param {HTMLElement} li - Todo row
+ * @param {number} step - -1 to move up, 1 to move down
+ */
+function moveTodoRow(li, step) {
+  const ids = getShownTodoIds();
+  const neighborId = ids[ids.indexOf(li.dataset.id) + step];
+  if (!neighborId) return;
+  actions.moveTodo(li.dataset.id, neighborId, step < 0 ? 'before' : 'after');
+}
 
-    const checkbox = document.createElement('input');
-    checkbox.type = 'checkbox';
-    checkbox.className = 'todo-checkbox';
-    checkbox.checked = todo.completed;
-    checkbox.setAttribute('aria-label', 'Toggle ' + todo.title);
+/**
+ * @type {Array<{ id: string, label: string, run: function(HTMLElement|null),
+ *   needsTodo?: boolean, whileTyping?: boolean }>} Commands run by their keys
+ * (see DEFAULT_KEYMAP) or from the command palette. `run` gets the todo row
+ * the command is for; `needsTodo` commands only run with one, and only
+ * `whileTyping` commands run from a text field.
+ */
+const COMMANDS = [
+  { id: 'nextTodo', label: 'Go to the next todo', run: (li) => focusTodoRow(li, 1) },
+  { id: 'previousTodo', label: 'Go to the previous todo', run: (li) => focusTodoRow(li, -1) },
+  {
+    id: 'toggleTodo',
+    label: 'Complete or reopen the todo',
+    needsTodo: true,
+    run: (li) => actions.toggleTodo(li.dataset.id)
+  },
+  {
+    id: 'editTodo',
+    label: 'Edit the todo',
+    needsTodo: true,
+    run: (li) => enterEditMode(li, li.dataset.id, li.querySelector('.todo-title').textContent)
+  },
+  { id: 'deleteTodo', label: 'Delete the todo', needsTodo: true, run: deleteTodoRow },
+  {
+    id: 'moveTodoUp',
+    label: 'Move the todo up',
+    needsTodo: true,
+    run: (li) => moveTodoRow(li, -1)
+  },
+  {
+    id: 'moveTodoDown',
+    label: 'Move the todo down',
+    needsTodo: true,
+    run: (li) => moveTodoRow(li, 1)
+  },
+  { id: 'showAll', label: 'Show all todos', run: () => actions.setFilter('all') },
+  { id: 'showActive', label: 'Show active todos', run: () => actions.setFilter('active') },
+  { id: 'showCompleted', label: 'Show completed todos', run: () => actions.setFilter('completed') },
+  { id: 'showDueToday', label: 'Show todos due today', run: () => actions.setFilter('today') },
+  { id: 'showOverdue', label: 'Show overdue todos', run: () => actions.setFilter('overdue') },
+  { id: 'showUpcoming', label: 'Show upcoming todos', run: () => actions.setFilter('upcoming') },
+  { id: 'newTodo', label: 'Add a todo', run: () => todoInput.focus() },
+  {
+    id: 'focusSearch',
+    label: 'Search todos',
+    run: () => {
+      searchInput.focus();
+      searchInput.select();
+    }
+  },
+  { id: 'selectShown', label: 'Select the shown todos', run: () => selectShownBtn.click() },
+  { id: 'clearCompleted', label: 'Clear completed todos', run: () => actions.clearCompleted() },
+  {
+    id: 'archiveCompleted',
+    label: 'Archive completed todos',
+    run: () => actions.archiveCompleted()
+  },
+  { id: 'toggleHistory', label: 'Show or hide the history', run: () => historyToggleBtn.click() },
+  { id: 'toggleTrash', label: 'Show or hide the trash', run: () => trashToggleBtn.click() },
+  { id: 'undo', label: 'Undo', run: () => actions.undo() },
+  { id: 'redo', label: 'Redo', run: () => actions.redo() },
+  {
+    id: 'openPalette',
+    label: 'Open the command palette',
+    whileTyping: true,
+    run: () => openCommandPalette()
+  },
+  { id: 'showShortcuts', label: 'Show keyboard shortcuts', run: () => openShortcuts() }
+];
 
-    const title = document.createElement('span');
-    title.className = 'todo-title';
-    title.textContent = todo.title;
-    title.tabIndex = 0;
-    title.setAttribute('role', 'button');
-    title.setAttribute('aria-label', 'Edit ' + todo.title);
+/**
+ * Gets the overlay that is open, if any.
+ * @returns {HTMLElement|null} The command palette or the shortcuts list
+ */
+function getOpenOverlay() {
+  return [commandPaletteEl, shortcutsEl].find((el) => !el.hidden) || null;
+}
 
-    const deleteBtn = document.createElement('button');
-    deleteBtn.className = 'todo-delete';
-    deleteBtn.textContent = '\u2715';
-    deleteBtn.setAttribute('aria-label', 'Delete ' + todo.title);
+/**
+ * Opens an overlay in place of any open one, remembering where focus was.
+ * @param {HTMLElement} overlayEl
+ */
+function openOverlay(overlayEl) {
+  const openEl = getOpenOverlay();
+  if (openEl) {
+    openEl.hidden = true;
+  } else {
+    overlayReturnFocus = { element: document.activeElement, context: captureFocusContext() };
+  }
+  rebindingCommandId = null;
+  overlayEl.hidden = false;
+}
 
-    li.appendChild(checkbox);
-    li.appendChild(title);
-    li.appendChild(deleteBtn);
-    todoListEl.appendChild(li);
-  });
+/**
+ * Closes the open overlay and puts focus back where it was.
+ */
+function closeOverlay() {
+  const openEl = getOpenOverlay();
+  if (!openEl) return;
+  openEl.hidden = true;
+  rebindingCommandId = null;
+
+  const { element, context } = overlayReturnFocus;
+  overlayReturnFocus = null;
+  if (context) {
+    restoreFocusContext(context);
+  } else if (element && element.isConnected && element.focus) {
+    element.focus();
+  }
 }
 
 /**
- * Updates filter button active states.
- * @param {string} currentFilter - Active filter name
+ * Keeps Tab within an overlay, wrapping from the last control to the first.
+ * @param {KeyboardEvent} e - Tab keydown
+ * @param {HTMLElement} overlayEl
  */
-function renderFilterButtons(currentFilter) {
-  const buttons = document.querySelectorAll('.filter-btn');
-  buttons.forEach((btn) => {
-    const isActive = btn.dataset.filter === currentFilter;
-    btn.classList.toggle('active', isActive);
-    btn.setAttribute('aria-pressed', isActive.toString());
+function trapFocus(e, overlayEl) {
+  const controls = [...overlayEl.querySelectorAll('button, input')].filter((el) => !el.disabled);
+  if (controls.length === 0) return;
+  const first = controls[0];
+  const last = controls[controls.length - 1];
+  if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * Finds the todo row that had focus before the open overlay.
+ * @returns {HTMLElement|null}
+ */
+function getReturnTodoRow() {
+  const context = overlayReturnFocus && overlayReturnFocus.context;
+  if (!context) return null;
+  return revealTodoRow(context.todoId);
+}
+
+/**
+ * Lists the commands the palette offers: todo commands only when a todo had
+ * focus before it opened.
+ * @returns {Array<Object>} From COMMANDS
+ */
+function getPaletteCommands() {
+  const li = getReturnTodoRow();
+  return COMMANDS.filter((command) => {
+    return command.id !== 'openPalette' && (!command.needsTodo || li);
   });
 }
 
 /**
- * Renders the active todo count.
- * @param {number} count - Number of active todos
+ * Opens the command palette with an empty query.
  */
-function renderActiveCount(count) {
-  activeCountEl.textContent = count === 1 ? '1 item left' : count + ' items left';
+function openCommandPalette() {
+  openOverlay(commandPaletteEl);
+  commandPaletteInput.value = '';
+  commandPaletteIndex = 0;
+  renderCommandPalette(getPaletteCommands(), model.getKeymap());
+  commandPaletteInput.focus();
 }
 
 /**
- * Shows or hides the "Clear Completed" button.
- * @param {number} completedCount - Number of completed todos
+ * Closes the command palette and runs a command, for the todo that had
+ * focus before it opened.
+ * @param {string} commandId
  */
-function renderClearCompletedButton(completedCount) {
-  clearCompletedBtn.hidden = completedCount === 0;
+function runPaletteCommand(commandId) {
+  const command = COMMANDS.find((c) => c.id === commandId);
+  const li = getReturnTodoRow();
+  closeOverlay();
+  if (command && (!command.needsTodo || li)) command.run(li);
 }
 
 /**
- * Shows or hides the empty state message.
- * @param {number} filteredCount - Number of todos in current filter view
- * @param {number} totalCount - Total number of todos
+ * Opens the list of keyboard shortcuts.
  */
-function renderEmptyState(filteredCount, totalCount) {
-  if (totalCount === 0) {
-    emptyStateEl.textContent = 'No todos yet. Add one above!';
-    emptyStateEl.hidden = false;
-  } else if (filteredCount === 0) {
-    emptyStateEl.textContent = 'No ' + model.state.currentFilter + ' todos.';
-    emptyStateEl.hidden = false;
-  } else {
-    emptyStateEl.hidden = true;
-  }
+function openShortcuts() {
+  openOverlay(shortcutsEl);
+  renderShortcuts(model.getKeymap());
+  shortcutsCloseBtn.focus();
 }
 
 /**
- * Shows or hides the footer based on todo count.
- * @param {number} totalCount - Total number of todos
+ * Focuses the "Change" button of a command in the shortcuts list.
+ * @param {string} commandId
  */
-function renderFooter(totalCount) {
-  footerEl.hidden = totalCount === 0;
+function focusShortcutButton(commandId) {
+  const row = shortcutsListEl.querySelector('[data-command-id="' + CSS.escape(commandId) + '"]');
+  if (row) row.querySelector('.shortcut-change').focus();
 }
 
-/* ==========================================================================
-   Section 5: Event Listeners and Initialization
-   ========================================================================== */
+/**
+ * Runs the command bound to a key press, unless an overlay is open. In
+ * text fields and menus only `whileTyping` commands run, so typing and the
+ * browser's own undo keep working there.
+ * @param {KeyboardEvent} e
+ */
+function handleCommandShortcut(e) {
+  if (e.defaultPrevented || getOpenOverlay()) return;
+  const key = getKeyFromEvent(e);
+  const commandId = key && getCommandForKey(model.getKeymap(), key);
+  const command = COMMANDS.find((c) => c.id === commandId);
+  if (!command) return;
+  const isTyping = isTextEntryElement(e.target) || e.target instanceof HTMLSelectElement;
+  if (isTyping && !command.whileTyping) return;
+
+  const li = getTodoRow(e.target);
+  if (command.needsTodo && !li) return;
+  e.preventDefault();
+  command.run(li);
+}
 
 /**
- * Enters edit mode for a todo item.
- * @param {HTMLElement} li - The todo list item element
- * @param {string} todoId - Todo ID
- * @param {string} currentTitle - Current title text
+ * Ctrl+F (Cmd+F) while the todo list is windowed goes to the search box:
+ * rows off screen are not in the page for the browser's find, but search
+ * covers every todo. Pressed again from the search box, the browser's find
+ * opens as usual.
+ * @param {KeyboardEvent} e
  */
-function enterEditMode(li, todoId, currentTitle) {
-  if (li.classList.contains('editing')) return;
+function handleFindShortcut(e) {
+  if (e.defaultPrevented || getOpenOverlay() || getKeyFromEvent(e) !== 'Ctrl+f') return;
+  if (!todoListWindow || !todoListWindow.windowed || e.target === searchInput) return;
+  e.preventDefault();
+  searchInput.focus();
+  searchInput.select();
+  announce(
+    'Search finds todos scrolled out of view. Press Ctrl+F again to find text on the page.'
+  );
+}
 
-  li.classList.add('editing');
+/** @type {number} Animation frame that will move the todo list window, or 0 */
+let todoListWindowFrame = 0;
 
-  const input = document.createElement('input');
-  input.type = 'text';
-  input.className = 'todo-edit-input';
-  input.value = currentTitle;
-  input.maxLength = 500;
-  input.setAttribute('aria-label', 'Edit todo');
+/**
+ * Moves the todo list window on the next frame, so a burst of scroll events
+ * renders once.
+ */
+function scheduleTodoListWindow() {
+  if (todoListWindowFrame) return;
+  todoListWindowFrame = requestAnimationFrame(() => {
+    todoListWindowFrame = 0;
+    renderTodoListWindow();
+  });
+}
+
+/**
+ * Finds where a dragged todo would drop: the row under the pointer, and
+ * which half of it the pointer is over.
+ * @param {number} x - Pointer client X
+ * @param {number} y - Pointer client Y
+ * @param {HTMLElement} draggedLi - Row being dragged
+ * @returns {{ li: HTMLElement, position: 'before'|'after' }|null}
+ */
+function getDropTarget(x, y, draggedLi) {
+  const el = document.elementFromPoint(x, y);
+  const li = el && el.closest('.todo-item');
+  if (!li || li === draggedLi || !todoListEl.contains(li)) return null;
+
+  const rect = li.getBoundingClientRect();
+  return { li, position: y < rect.top + rect.height / 2 ? 'before' : 'after' };
+}
+
+/**
+ * Starts dragging a todo by its handle, with mouse, pen or touch. The row
+ * under the pointer is marked as the drop target; releasing drops there.
+ * @param {PointerEvent} e - Pointerdown on a drag handle
+ */
+function startTodoDrag(e) {
+  const handle = e.target.closest('.todo-drag-handle');
+  if (!handle || e.button !== 0) return;
 
-  li.appendChild(input);
-  input.focus();
-  input.select();
+  const li = handle.closest('.todo-item');
+  let drop = null;
 
-  /**
-   * Saves the edit and exits edit mode.
-   * Shows validation feedback if the input is empty.
-   */
-  function saveEdit() {
-    const newTitle = trimTitle(input.value);
-    if (!newTitle) {
-      input.classList.add('invalid');
-      input.setAttribute('aria-invalid', 'true');
-      input.focus();
-      return;
-    }
-    if (newTitle !== currentTitle) {
-      actions.editTodo(todoId, newTitle);
-    } else {
-      exitEditMode();
-    }
-  }
+  e.preventDefault();
+  handle.setPointerCapture(e.pointerId);
+  li.classList.add('dragging');
 
-  /**
-   * Cancels the edit and reverts to the original title.
-   */
-  function exitEditMode() {
-    li.classList.remove('editing');
-    if (input.parentNode) {
-      input.remove();
-    }
+  /** Removes any drop marker from the list. */
+  function clearDropMarker() {
+    todoListEl.querySelectorAll('.drop-before, .drop-after').forEach((row) => {
+      row.classList.remove('drop-before', 'drop-after');
+    });
   }
 
-  input.addEventListener('input', () => {
-    input.classList.remove('invalid');
-    input.removeAttribute('aria-invalid');
-  });
+  /** @param {PointerEvent} moveEvent */
+  function onMove(moveEvent) {
+    clearDropMarker();
+    drop = getDropTarget(moveEvent.clientX, moveEvent.clientY, li);
+    if (drop) drop.li.classList.add('drop-' + drop.position);
+  }
 
-  input.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      saveEdit();
-    } else if (e.key === 'Escape') {
-      e.preventDefault();
-      exitEditMode();
+  /** @param {PointerEvent} endEvent */
+  function onEnd(endEvent) {
+    handle.removeEventListener('pointermove', onMove);
+    handle.removeEventListener('pointerup', onEnd);
+    handle.removeEventListener('pointercancel', onEnd);
+    clearDropMarker();
+    li.classList.remove('dragging');
+    if (endEvent.type === 'pointerup' && drop) {
+      actions.moveTodo(li.dataset.id, drop.li.dataset.id, drop.position);
     }
-  });
+  }
 
-  input.addEventListener('blur', () => {
-    // Small delay to allow keydown to fire first
-    setTimeout(() => {
-      if (li.classList.contains('editing')) {
-        saveEdit();
-      }
-    }, 0);
-  });
+  handle.addEventListener('pointermove', onMove);
+  handle.addEventListener('pointerup', onEnd);
+  handle.addEventListener('pointercancel', onEnd);
 }
 
 /**
@@ -568,10 +7944,16 @@ function attachEventListeners() {
   // Add todo via form submission
   form.addEventListener('submit', (e) => {
     e.preventDefault();
-    const title = todoInput.value;
-    const success = actions.addTodo(title);
+    const { title, ...fields } = parseQuickAdd(todoInput.value);
+    // The date picker applies only when no @date token was typed
+    if (!fields.dueDate && todoDueInput.value) {
+      fields.dueDate = todoDueInput.value;
+    }
+    const success = actions.addTodo(title, fields);
     if (success) {
       todoInput.value = '';
+      todoDueInput.value = '';
+      renderQuickAddPreview(parseQuickAdd(''));
       todoInput.classList.remove('invalid');
       todoInput.removeAttribute('aria-invalid');
     } else {
@@ -581,10 +7963,11 @@ function attachEventListeners() {
     }
   });
 
-  // Clear validation state when user starts typing
+  // Clear validation state and preview quick-add tokens as the user types
   todoInput.addEventListener('input', () => {
     todoInput.classList.remove('invalid');
     todoInput.removeAttribute('aria-invalid');
+    renderQuickAddPreview(parseQuickAdd(todoInput.value));
   });
 
   // Todo list interactions (event delegation)
@@ -593,6 +7976,13 @@ function attachEventListeners() {
     if (!li) return;
     const todoId = li.dataset.id;
 
+    // Select: Ctrl/Cmd-click picks a todo, Shift-click a range
+    if ((e.ctrlKey || e.metaKey || e.shiftKey) && !e.target.closest('button, input, a')) {
+      e.preventDefault();
+      selectTodo(todoId, e.shiftKey);
+      return;
+    }
+
     // Toggle completion
     if (e.target.classList.contains('todo-checkbox')) {
       actions.toggleTodo(todoId);
@@ -604,6 +7994,58 @@ function attachEventListeners() {
       actions.deleteTodo(todoId);
       return;
     }
+
+    // Filter by a tag chip
+    if (e.target.classList.contains('todo-tag')) {
+      actions.toggleTagFilter(e.target.dataset.tag);
+      return;
+    }
+
+    // Subtasks: toggle, delete, collapse, add
+    const subtaskItem = e.target.closest('.subtask-item');
+    if (subtaskItem && e.target.classList.contains('subtask-checkbox')) {
+      actions.toggleSubtask(todoId, subtaskItem.dataset.subtaskId);
+      return;
+    }
+    if (subtaskItem && e.target.classList.contains('subtask-delete')) {
+      actions.deleteSubtask(todoId, subtaskItem.dataset.subtaskId);
+      return;
+    }
+    if (e.target.closest('.subtask-toggle')) {
+      if (!collapsedSubtaskIds.delete(todoId)) collapsedSubtaskIds.add(todoId);
+      renderState();
+      return;
+    }
+    if (e.target.closest('.todo-notes-toggle')) {
+      if (!expandedNoteIds.delete(todoId)) expandedNoteIds.add(todoId);
+      renderState();
+      return;
+    }
+    if (e.target.classList.contains('todo-add-subtask')) {
+      openSubtaskInput(li);
+    }
+  });
+
+  // Subtask input: Enter adds, Escape leaves
+  todoListEl.addEventListener('keydown', (e) => {
+    if (!e.target.classList.contains('subtask-input')) return;
+    const li = e.target.closest('.todo-item');
+
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (!actions.addSubtask(li.dataset.id, e.target.value)) {
+        e.target.classList.add('invalid');
+        e.target.setAttribute('aria-invalid', 'true');
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      e.target.value = '';
+      renderState();
+      const addBtn = todoListEl.querySelector(
+        '[data-id="' + CSS.escape(li.dataset.id) + '"] .todo-add-subtask'
+      );
+      if (addBtn) addBtn.focus();
+    }
   });
 
   // Double-click to edit
@@ -618,7 +8060,10 @@ function attachEventListeners() {
     enterEditMode(li, todoId, titleEl.textContent);
   });
 
-  // Keyboard: Enter on todo title enters edit mode
+  // Reordering with drag handles (see COMMANDS for the keys)
+  todoListEl.addEventListener('pointerdown', startTodoDrag);
+
+  // Keyboard: Enter on todo title enters edit mode, Space selects it
   todoListEl.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' && e.target.classList.contains('todo-title')) {
       e.preventDefault();
@@ -626,7 +8071,68 @@ function attachEventListeners() {
       if (!li) return;
       const todoId = li.dataset.id;
       enterEditMode(li, todoId, e.target.textContent);
+    } else if (e.key === ' ' && e.target.classList.contains('todo-title')) {
+      e.preventDefault();
+      selectTodo(e.target.closest('.todo-item').dataset.id, e.shiftKey);
+    } else if (e.key === 'Escape' && !e.defaultPrevented && selectedTodoIds.size > 0) {
+      selectedTodoIds.clear();
+      renderState();
+    }
+  });
+
+  // Selection and bulk actions
+  selectShownBtn.addEventListener('click', () => {
+    getShownTodoIds().forEach((id) => selectedTodoIds.add(id));
+    renderState();
+  });
+
+  bulkClearBtn.addEventListener('click', () => {
+    selectedTodoIds.clear();
+    renderState();
+  });
+
+  bulkCompleteBtn.addEventListener('click', () => {
+    actions.setTodosCompleted([...selectedTodoIds], true);
+  });
+
+  bulkReopenBtn.addEventListener('click', () => {
+    actions.setTodosCompleted([...selectedTodoIds], false);
+  });
+
+  bulkDeleteBtn.addEventListener('click', () => {
+    actions.deleteTodos([...selectedTodoIds]);
+  });
+
+  bulkTagForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const tags = parseTagList(bulkTagInput.value);
+    if (tags.length !== 1 || !isValidTag(tags[0])) {
+      bulkTagInput.classList.add('invalid');
+      bulkTagInput.setAttribute('aria-invalid', 'true');
+      return;
     }
+    bulkTagInput.value = '';
+    actions.tagTodos([...selectedTodoIds], tags[0]);
+  });
+
+  bulkTagInput.addEventListener('input', () => {
+    bulkTagInput.classList.remove('invalid');
+    bulkTagInput.removeAttribute('aria-invalid');
+  });
+
+  bulkDueInput.addEventListener('change', () => {
+    if (!bulkDueInput.value) return;
+    const dueDate = bulkDueInput.value;
+    bulkDueInput.value = '';
+    actions.setTodosDueDate([...selectedTodoIds], dueDate);
+  });
+
+  bulkClearDueBtn.addEventListener('click', () => {
+    actions.setTodosDueDate([...selectedTodoIds], '');
+  });
+
+  bulkMoveEl.addEventListener('change', () => {
+    if (bulkMoveEl.value) actions.moveTodosToList([...selectedTodoIds], bulkMoveEl.value);
   });
 
   // Filter buttons
@@ -636,10 +8142,395 @@ function attachEventListeners() {
     actions.setFilter(btn.dataset.filter);
   });
 
+  // Tag filter bar
+  tagFilterEl.addEventListener('click', (e) => {
+    const chip = e.target.closest('.tag-filter-chip');
+    if (!chip) return;
+    actions.toggleTagFilter(chip.dataset.tag);
+  });
+
+  tagMatchModeBtn.addEventListener('click', () => {
+    actions.setTagMatchMode(model.state.tagMatchMode === 'all' ? 'any' : 'all');
+  });
+
+  tagClearBtn.addEventListener('click', () => {
+    actions.clearTagFilter();
+  });
+
+  tagManageBtn.addEventListener('click', () => {
+    tagSettingsEl.hidden = !tagSettingsEl.hidden;
+    renderState();
+  });
+
+  // Tag settings: recolor, rename, delete
+  tagSettingsListEl.addEventListener('change', (e) => {
+    const item = e.target.closest('.tag-settings-item');
+    if (!item) return;
+    const tag = item.dataset.tag;
+
+    if (e.target.classList.contains('tag-color-input')) {
+      actions.setTagColor(tag, e.target.value);
+    } else if (e.target.classList.contains('tag-name-input')) {
+      if (!actions.renameTag(tag, e.target.value)) {
+        e.target.classList.add('invalid');
+        e.target.setAttribute('aria-invalid', 'true');
+      }
+    }
+  });
+
+  tagSettingsListEl.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || !e.target.classList.contains('tag-name-input')) return;
+    e.preventDefault();
+    e.target.value = e.target.closest('.tag-settings-item').dataset.tag;
+    e.target.classList.remove('invalid');
+    e.target.removeAttribute('aria-invalid');
+  });
+
+  tagSettingsListEl.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('tag-delete')) return;
+    const tag = e.target.closest('.tag-settings-item').dataset.tag;
+    if (window.confirm('Remove the tag \u201c' + tag + '\u201d from every todo?')) {
+      actions.deleteTag(tag);
+    }
+  });
+
+  // Sort order
+  sortSelectEl.addEventListener('change', () => {
+    actions.setSortOrder(sortSelectEl.value);
+  });
+
+  // Search: filters as you type; Escape clears it
+  searchInput.addEventListener('input', () => {
+    actions.setSearchQuery(searchInput.value);
+  });
+
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && searchInput.value !== '') {
+      e.preventDefault();
+      actions.setSearchQuery('');
+    }
+  });
+
   // Clear completed
   clearCompletedBtn.addEventListener('click', () => {
     actions.clearCompleted();
   });
+
+  // Archive and history: archive, search, pick, unarchive, auto-archive
+  archiveCompletedBtn.addEventListener('click', () => {
+    actions.archiveCompleted();
+  });
+
+  historyToggleBtn.addEventListener('click', () => {
+    historyEl.hidden = !historyEl.hidden;
+    renderState();
+  });
+
+  historySearchEl.addEventListener('input', () => {
+    archiveQuery = historySearchEl.value;
+    renderState();
+  });
+
+  historyGroupsEl.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('history-select')) return;
+    const id = e.target.closest('.history-item').dataset.id;
+    if (e.target.checked) {
+      selectedArchiveIds.add(id);
+    } else {
+      selectedArchiveIds.delete(id);
+    }
+    renderState();
+  });
+
+  historyGroupsEl.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('history-tag')) return;
+    archiveQuery = '#' + e.target.dataset.tag;
+    historySearchEl.value = archiveQuery;
+    renderState();
+  });
+
+  historySelectAllBtn.addEventListener('click', () => {
+    groupArchive(model.state.archive, archiveQuery).forEach(({ todos }) => {
+      todos.forEach((t) => selectedArchiveIds.add(t.id));
+    });
+    renderState();
+  });
+
+  historyUnarchiveBtn.addEventListener('click', () => {
+    const ids = [...selectedArchiveIds];
+    selectedArchiveIds.clear();
+    actions.unarchiveTodos(ids);
+  });
+
+  archiveAfterEl.addEventListener('change', () => {
+    actions.setArchiveAfter(Number(archiveAfterEl.value));
+  });
+
+  // Trash: open, restore, delete forever, empty, retention
+  trashToggleBtn.addEventListener('click', () => {
+    trashEl.hidden = !trashEl.hidden;
+    renderState();
+  });
+
+  trashListEl.addEventListener('click', (e) => {
+    const item = e.target.closest('.trash-item');
+    if (!item) return;
+    if (e.target.classList.contains('trash-restore')) {
+      actions.restoreTodo(item.dataset.id);
+    } else if (e.target.classList.contains('trash-delete')) {
+      actions.deleteTodoForever(item.dataset.id);
+    }
+  });
+
+  trashEmptyBtn.addEventListener('click', () => {
+    const count = model.state.trash.length;
+    const message = count === 1
+      ? 'Delete the todo in the trash for good?'
+      : 'Delete the ' + count + ' todos in the trash for good?';
+    if (window.confirm(message)) {
+      actions.emptyTrash();
+    }
+  });
+
+  trashRetentionEl.addEventListener('change', () => {
+    actions.setTrashRetention(Number(trashRetentionEl.value));
+  });
+
+  // Calendar: select a day to see what was completed on it
+  calendarDaysEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('.calendar-day');
+    if (!btn) return;
+    actions.selectDay(btn.dataset.day);
+  });
+
+  // Calendar week navigation
+  document.getElementById('calendar-prev').addEventListener('click', () => {
+    actions.shiftCalendarWeek(-1);
+  });
+  document.getElementById('calendar-next').addEventListener('click', () => {
+    actions.shiftCalendarWeek(1);
+  });
+
+  // Lists: switch, create, rename, delete
+  listSelectEl.addEventListener('change', () => {
+    actions.switchList(listSelectEl.value);
+  });
+
+  document.getElementById('list-new').addEventListener('click', () => {
+    openListForm('create');
+  });
+
+  document.getElementById('list-rename').addEventListener('click', () => {
+    openListForm('rename');
+  });
+
+  listDeleteBtn.addEventListener('click', () => {
+    const list = model.getActiveList();
+    const count = splitTodos(list.todos).todos.length;
+    const message =
+      'Delete the list \u201c' + list.name + '\u201d' +
+      (count > 0 ? ' and its ' + count + (count === 1 ? ' todo' : ' todos') : '') + '?';
+    if (window.confirm(message)) {
+      actions.deleteList(list.id);
+    }
+  });
+
+  const listForm = document.getElementById('list-form');
+  const listNameInput = document.getElementById('list-name-input');
+
+  listForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const success =
+      listForm.dataset.mode === 'rename'
+        ? actions.renameList(model.state.activeListId, listNameInput.value)
+        : actions.createList(listNameInput.value);
+    if (success) {
+      closeListForm();
+    } else {
+      listNameInput.classList.add('invalid');
+      listNameInput.setAttribute('aria-invalid', 'true');
+      listNameInput.focus();
+    }
+  });
+
+  listNameInput.addEventListener('input', () => {
+    listNameInput.classList.remove('invalid');
+    listNameInput.removeAttribute('aria-invalid');
+  });
+
+  listNameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closeListForm();
+    }
+  });
+
+  document.getElementById('list-form-cancel').addEventListener('click', closeListForm);
+
+  // Export and import
+  document.getElementById('export-btn').addEventListener('click', () => {
+    downloadExport(document.getElementById('export-format').value);
+  });
+
+  const importFileInput = document.getElementById('import-file');
+  document.getElementById('import-btn').addEventListener('click', () => {
+    importFileInput.click();
+  });
+
+  importFileInput.addEventListener('change', () => {
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (!file) return;
+
+    file.text().then((text) => {
+      const data = parseImportFile(text, file.name);
+      if (data) {
+        openImportPanel(data, file.name);
+      } else {
+        showToast('Couldn\u2019t read \u201c' + file.name + '\u201d as a todo export.');
+      }
+    });
+  });
+
+  document.getElementById('import-merge').addEventListener('click', () => {
+    if (pendingImport && actions.importData(pendingImport, 'merge')) closeImportPanel();
+  });
+
+  document.getElementById('import-replace').addEventListener('click', () => {
+    if (!pendingImport) return;
+    const message = 'Replace all your lists with the imported ones? This can\u2019t be undone.';
+    if (window.confirm(message) && actions.importData(pendingImport, 'replace')) {
+      closeImportPanel();
+    }
+  });
+
+  document.getElementById('import-cancel').addEventListener('click', closeImportPanel);
+
+  // Storage warning
+  document.getElementById('storage-warning-export').addEventListener('click', () => {
+    downloadExport('json');
+  });
+
+  document.getElementById('storage-warning-dismiss').addEventListener('click', () => {
+    actions.dismissStorageError();
+  });
+
+  // Quarantine notice
+  document.getElementById('quarantine-notice-download').addEventListener('click', () => {
+    downloadQuarantine();
+  });
+
+  document.getElementById('quarantine-notice-dismiss').addEventListener('click', () => {
+    actions.dismissQuarantineNotice();
+  });
+
+  document.getElementById('sync-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const isValid = actions.setSyncEndpoint(syncEndpointEl.value);
+    syncEndpointEl.classList.toggle('invalid', !isValid);
+    if (isValid) {
+      syncEndpointEl.removeAttribute('aria-invalid');
+    } else {
+      syncEndpointEl.setAttribute('aria-invalid', 'true');
+    }
+  });
+
+  syncNowBtn.addEventListener('click', () => {
+    actions.syncNow();
+  });
+
+  // Send what queued up offline, and show the offline status meanwhile
+  window.addEventListener('online', () => actions.syncNow());
+  window.addEventListener('offline', () => renderState());
+
+  // Keyboard commands (see COMMANDS), the command palette and the shortcuts list
+  document.addEventListener('keydown', handleCommandShortcut);
+  document.addEventListener('keydown', handleFindShortcut);
+
+  // A windowed todo list mounts the rows scrolled into view
+  window.addEventListener('scroll', scheduleTodoListWindow, { passive: true });
+  window.addEventListener('resize', scheduleTodoListWindow);
+
+  [commandPaletteEl, shortcutsEl].forEach((overlayEl) => {
+    overlayEl.addEventListener('keydown', (e) => {
+      if (e.defaultPrevented) return;
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        closeOverlay();
+      } else if (e.key === 'Tab') {
+        trapFocus(e, overlayEl);
+      }
+    });
+    // Clicking the backdrop closes it
+    overlayEl.addEventListener('click', (e) => {
+      if (e.target === overlayEl) closeOverlay();
+    });
+  });
+
+  commandPaletteInput.addEventListener('input', () => {
+    commandPaletteIndex = 0;
+    renderCommandPalette(getPaletteCommands(), model.getKeymap());
+  });
+
+  commandPaletteInput.addEventListener('keydown', (e) => {
+    const options = commandPaletteListEl.children;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (options.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      commandPaletteIndex = (commandPaletteIndex + step + options.length) % options.length;
+      renderCommandPalette(getPaletteCommands(), model.getKeymap());
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      const option = options[commandPaletteIndex];
+      if (option) runPaletteCommand(option.dataset.commandId);
+    }
+  });
+
+  commandPaletteListEl.addEventListener('click', (e) => {
+    const option = e.target.closest('.command-option');
+    if (option) runPaletteCommand(option.dataset.commandId);
+  });
+
+  shortcutsCloseBtn.addEventListener('click', () => closeOverlay());
+
+  shortcutsListEl.addEventListener('click', (e) => {
+    const changeBtn = e.target.closest('.shortcut-change');
+    if (!changeBtn) return;
+    const { commandId } = changeBtn.closest('tr').dataset;
+    rebindingCommandId = rebindingCommandId === commandId ? null : commandId;
+    renderShortcuts(model.getKeymap());
+    focusShortcutButton(commandId);
+  });
+
+  // While a command waits for a key, the next key press becomes its key
+  shortcutsEl.addEventListener('keydown', (e) => {
+    if (!rebindingCommandId || e.key === 'Tab') return;
+    e.preventDefault();
+    const commandId = rebindingCommandId;
+    if (e.key === 'Escape') {
+      rebindingCommandId = null;
+      renderShortcuts(model.getKeymap());
+      focusShortcutButton(commandId);
+      return;
+    }
+    const key = getKeyFromEvent(e);
+    if (!key) return;
+    const previousId = getCommandForKey(model.getKeymap(), key);
+    rebindingCommandId = null;
+    if (actions.setKeyBinding(commandId, key)) {
+      const label = (id) => '\u201c' + COMMANDS.find((c) => c.id === id).label + '\u201d';
+      announce(formatKey(key) + ' now runs ' + label(commandId) +
+        (previousId && previousId !== commandId ? ' instead of ' + label(previousId) : ''));
+    }
+    renderShortcuts(model.getKeymap());
+    focusShortcutButton(commandId);
+  }, true);
+
+  shortcutsResetBtn.addEventListener('click', () => {
+    actions.resetKeymap();
+    announce('Keyboard shortcuts reset to the defaults');
+  });
 }
 
 /**
@@ -707,17 +8598,45 @@ function showUpdateNotification(newWorker) {
   document.body.prepend(banner);
 }
 
+/**
+ * Opens the first storage adapter that works here: IndexedDB, then Local
+ * Storage, then memory (nothing is kept once the page closes).
+ * @returns {Promise<StorageAdapter>}
+ */
+function openStorage() {
+  const names = ('indexedDB' in window ? ['indexeddb'] : []).concat('localstorage');
+  return names
+    .reduce(
+      (opened, name) => opened.catch(() => STORAGE_ADAPTERS[name]().open()),
+      Promise.reject(new Error('No adapter tried yet'))
+    )
+    .catch(() => createMemoryStorageAdapter().open());
+}
+
 /**
  * Initializes the application.
- * Loads state from Local Storage, renders the UI, and attaches events.
+ * Opens storage, loads state, renders the UI, and attaches events.
  */
 function init() {
   cacheDomElements();
-  model.load();
-  renderState();
-  attachEventListeners();
-  todoInput.focus();
-  registerServiceWorker();
+  openStorage().then((storage) => {
+    model.storage = storage;
+    storage.onError = (error) => actions.reportStorageError(error);
+    storage.onChange = () => actions.syncFromStorage();
+    model.onOutboxChange = scheduleSync;
+    // Renders, and the next action then purges the trash and archives what is due
+    sam.present({ type: 'load' });
+    if (storage.name === 'memory') {
+      actions.reportStorageError(new Error('No persistent storage available'));
+    }
+    attachEventListeners();
+    todoInput.focus();
+    registerServiceWorker();
+    actions.syncNow();
+    setInterval(() => {
+      if (navigator.onLine && document.visibilityState === 'visible') actions.syncNow();
+    }, SYNC_INTERVAL);
+  });
 }
 
 // Start the app when DOM is ready
@@ -0,0 +1,253 @@
+/**
+ * Todo PWA - Reference sync server.
+ *
+ * A small REST backend for trying out sync locally. Zero dependencies —
+ * run it with `node server/sync-server.js` and enter http://localhost:8787
+ * as the sync endpoint. Data is kept in memory until the server stops.
+ *
+ * POST /ops     { ops: [...] } — applies outbox operations; ones already
+ *               applied (by ID) are ignored, so clients can safely resend
+ * GET  /changes ?since=<cursor> — todos changed after the cursor:
+ *               { cursor, lists: [{ id, name }], todos: [{ id, listId, fields, deleted }] }
+ *
+ * Concurrent changes are settled per field: the value with the latest
+ * operation time wins. A deleted todo stays deleted.
+ */
+
+'use strict';
+
+const http = require('http');
+
+/** @type {number} Port to listen on unless PORT is set */
+const DEFAULT_PORT = 8787;
+
+/** @type {number} Largest request body accepted, in bytes */
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/** @type {Array<string>} Operation types the app records */
+const OPERATION_TYPES = ['add', 'toggle', 'edit', 'delete', 'clearCompleted'];
+
+/**
+ * Creates an empty store.
+ * @returns {{ seq: number, todos: Map<string, Object>, lists: Map<string, Object>,
+ *   applied: Set<string> }}
+ */
+function createStore() {
+  return { seq: 0, todos: new Map(), lists: new Map(), applied: new Set() };
+}
+
+/**
+ * Checks that an operation has the shape the app sends.
+ * @param {*} op
+ * @returns {boolean}
+ */
+function isValidOperation(op) {
+  if (!op || typeof op.id !== 'string' || !OPERATION_TYPES.includes(op.type)) return false;
+  if (!Number.isFinite(op.at) || typeof op.listId !== 'string') return false;
+  switch (op.type) {
+    case 'add':
+      return Boolean(op.todo) && typeof op.todo.id === 'string';
+    case 'toggle':
+    case 'edit':
+      return typeof op.todoId === 'string' && Boolean(op.fields) && typeof op.fields === 'object';
+    case 'delete':
+      return typeof op.todoId === 'string';
+    default:
+      return Array.isArray(op.todoIds) && op.todoIds.every((id) => typeof id === 'string');
+  }
+}
+
+/**
+ * Gets a todo record, creating an empty one the first time it is seen.
+ * @param {Object} store
+ * @param {string} id - Todo ID
+ * @param {string} listId - List the todo belongs to
+ * @returns {{ id: string, listId: string, fields: Object, clocks: Object,
+ *   deleted: boolean, seq: number }}
+ */
+function getRecord(store, id, listId) {
+  if (!store.todos.has(id)) {
+    store.todos.set(id, { id, listId, fields: {}, clocks: {}, deleted: false, seq: 0 });
+  }
+  return store.todos.get(id);
+}
+
+/**
+ * Sets each field whose stored value is older than the operation.
+ * @param {Object} record - Todo record
+ * @param {Object} fields - New field values
+ * @param {number} at - Operation time
+ */
+function setFields(record, fields, at) {
+  Object.keys(fields).forEach((key) => {
+    if (key === 'id' || key === 'order') return;
+    if ((record.clocks[key] || 0) <= at) {
+      record.fields[key] = fields[key];
+      record.clocks[key] = at;
+    }
+  });
+}
+
+/**
+ * Applies one operation, unless it was applied before.
+ * @param {Object} store
+ * @param {Object} op - Validated operation
+ * @returns {boolean} Whether it changed anything
+ */
+function applyOperation(store, op) {
+  if (store.applied.has(op.id)) return false;
+  store.applied.add(op.id);
+
+  const list = store.lists.get(op.listId);
+  if (typeof op.listName === 'string' && (!list || list.at <= op.at)) {
+    store.lists.set(op.listId, { id: op.listId, name: op.listName, at: op.at });
+  }
+
+  const touched = [];
+  if (op.type === 'add') {
+    const record = getRecord(store, op.todo.id, op.listId);
+    setFields(record, op.todo, op.at);
+    touched.push(record);
+  } else if (op.type === 'toggle' || op.type === 'edit') {
+    const record = getRecord(store, op.todoId, op.listId);
+    setFields(record, op.fields, op.at);
+    touched.push(record);
+  } else {
+    const ids = op.type === 'delete' ? [op.todoId] : op.todoIds;
+    ids.forEach((id) => {
+      const record = getRecord(store, id, op.listId);
+      record.deleted = true;
+      record.fields = {};
+      touched.push(record);
+    });
+  }
+
+  touched.forEach((record) => {
+    store.seq++;
+    record.seq = store.seq;
+  });
+  return true;
+}
+
+/**
+ * Lists the todos changed after a cursor.
+ * @param {Object} store
+ * @param {number} since - Cursor from a previous pull, or 0
+ * @returns {{ cursor: number, lists: Array<Object>, todos: Array<Object> }}
+ */
+function getChanges(store, since) {
+  const todos = [...store.todos.values()]
+    .filter((record) => record.seq > since)
+    // A todo only ever seen deleted (or edited) has no fields to send
+    .filter((record) => record.deleted || 'title' in record.fields)
+    .map(({ id, listId, fields, deleted }) => ({ id, listId, fields, deleted }));
+  const lists = [...store.lists.values()].map(({ id, name }) => ({ id, name }));
+  return { cursor: store.seq, lists, todos };
+}
+
+/**
+ * Sends a JSON response, allowing the app to call from any origin.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} [body]
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Creates an error to answer a request with.
+ * @param {number} status - HTTP status to send
+ * @param {string} message
+ * @returns {Error} With a `status`
+ */
+function createHttpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Reads and parses a JSON request body. Once it is too large the rest is
+ * read and dropped, so the client still gets the error response instead of
+ * a reset connection.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<*>} Rejects with a 413 error if it is too large, or a
+ *   400 one if it is not JSON
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    let tooLarge = false;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        tooLarge = true;
+        chunks.length = 0;
+        reject(createHttpError(413, 'Request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (e) {
+        reject(createHttpError(400, 'Request body is not JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Creates the HTTP server.
+ * @param {Object} [store] - Store to serve, for tests
+ * @returns {http.Server}
+ */
+function createSyncServer(store = createStore()) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      sendJson(res, 204);
+    } else if (req.method === 'GET' && url.pathname === '/changes') {
+      const since = Number(url.searchParams.get('since') || 0);
+      if (!Number.isInteger(since) || since < 0) {
+        sendJson(res, 400, { error: 'Invalid cursor' });
+        return;
+      }
+      sendJson(res, 200, getChanges(store, since));
+    } else if (req.method === 'POST' && url.pathname === '/ops') {
+      readJsonBody(req).then(
+        (body) => {
+          if (!body || !Array.isArray(body.ops) || !body.ops.every(isValidOperation)) {
+            sendJson(res, 400, { error: 'Expected { ops: [...] } with valid operations' });
+            return;
+          }
+          const applied = body.ops.filter((op) => applyOperation(store, op)).length;
+          sendJson(res, 200, { applied });
+        },
+        (error) => sendJson(res, error.status || 400, { error: error.message })
+      );
+    } else {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+  });
+}
+
+module.exports = { createStore, isValidOperation, applyOperation, getChanges, createSyncServer };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  createSyncServer().listen(port, () => {
+    console.log('Todo sync server listening on http://localhost:' + port);
+  });
+}
@@ -4,16 +4,26 @@
  * Install: Pre-caches all essential app assets.
  * Fetch: Serves from cache immediately, then updates cache from network.
  * Activate: Cleans up old cache versions.
+ * Sync: Sends the app's sync outbox once the connection is back.
  *
  * CACHE_NAME must be bumped when the set of cached assets changes.
  * Content updates within existing assets are picked up automatically
  * via the stale-while-revalidate fetch strategy.
  */
 
-const CACHE_NAME = 'todo-pwa-v1';
+importScripts('./sync-batch.js');
+
+const CACHE_NAME = 'todo-pwa-v2';
+
+// Must match DB_NAME, OUTBOX_KEY, SYNC_ENDPOINT_KEY and SYNC_TAG in app.js
+const DB_NAME = 'todo-pwa';
+const OUTBOX_KEY = 'outbox';
+const SYNC_ENDPOINT_KEY = 'syncEndpoint';
+const SYNC_TAG = 'todo-outbox';
 const ASSETS_TO_CACHE = [
   './',
   './index.html',
+  './sync-batch.js',
   './app.js',
   './styles.css',
   './manifest.json',
@@ -63,3 +73,92 @@ self.addEventListener('message', (event) => {
     self.skipWaiting();
   }
 });
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens the app's database if the app has created it.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openAppDatabase() {
+  const request = indexedDB.open(DB_NAME);
+  // Creating the database is up to the app, which sets up its stores
+  request.onupgradeneeded = () => request.transaction.abort();
+  return requestToPromise(request).catch(() => null);
+}
+
+/**
+ * Removes sent operations from the outbox, keeping any the app has added
+ * meanwhile, and tells open tabs to re-read the database.
+ * @param {IDBDatabase} db
+ * @param {Array<Object>} sent - Operations the server accepted
+ * @returns {Promise<void>}
+ */
+function removeFromOutbox(db, sent) {
+  const ids = new Set(sent.map((op) => op.id));
+  const tx = db.transaction('settings', 'readwrite');
+  const store = tx.objectStore('settings');
+  return requestToPromise(store.get(OUTBOX_KEY)).then((current) => {
+    const rest = JSON.parse(current || '[]').filter((op) => !ids.has(op.id));
+    if (rest.length > 0) {
+      store.put(JSON.stringify(rest), OUTBOX_KEY);
+    } else {
+      store.delete(OUTBOX_KEY);
+    }
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onabort = () => reject(tx.error);
+    });
+  }).then(() => {
+    const channel = new BroadcastChannel(DB_NAME);
+    channel.postMessage('changed');
+    channel.close();
+  });
+}
+
+/**
+ * Sends the outbox the app keeps in IndexedDB to the sync endpoint, in
+ * batches, removing each batch once the server has accepted it. Operations
+ * the app adds meanwhile stay queued. Rejecting makes the browser retry
+ * later, with only what is left.
+ * @returns {Promise<void>}
+ */
+function flushOutbox() {
+  return openAppDatabase().then((db) => {
+    if (!db) return undefined;
+    const settings = db.transaction('settings').objectStore('settings');
+    return Promise.all([
+      requestToPromise(settings.get(SYNC_ENDPOINT_KEY)),
+      requestToPromise(settings.get(OUTBOX_KEY))
+    ]).then(([endpoint, outbox]) => {
+      const ops = JSON.parse(outbox || '[]');
+      if (!endpoint || ops.length === 0) return undefined;
+      return batchOperations(ops).reduce((previous, batch) => previous
+        .then(() => fetch(endpoint.replace(/\/+$/, '') + '/ops', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ops: batch })
+        }))
+        .then((response) => {
+          if (!response.ok) throw new Error('Sync server answered ' + response.status);
+          return removeFromOutbox(db, batch);
+        }), Promise.resolve());
+    }).finally(() => db.close());
+  });
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(flushOutbox());
+  }
+});
@@ -0,0 +1,38 @@
+/**
+ * Sync batching - Shared by the app and the service worker.
+ *
+ * Both send the sync outbox, the app through index.html and the service
+ * worker through importScripts, so they split it the same way.
+ */
+
+/** @type {number} Most bytes sent in one sync request, under the reference server's 1 MB */
+const SYNC_BATCH_SIZE = 512 * 1024;
+
+/**
+ * Splits outbox operations into the batches to send, one request each, so
+ * no request body (`{ ops }` as UTF-8 JSON) is over `maxSize` bytes. An
+ * operation too large for that goes in a batch of its own.
+ * @param {Array<Object>} ops - Operations, oldest first
+ * @param {number} [maxSize=SYNC_BATCH_SIZE] - Most bytes in a request body
+ * @returns {Array<Array<Object>>} Batches, oldest first
+ */
+function batchOperations(ops, maxSize = SYNC_BATCH_SIZE) {
+  const encoder = new TextEncoder();
+  const emptySize = JSON.stringify({ ops: [] }).length;
+  const batches = [];
+  let batch = [];
+  let size = emptySize;
+  ops.forEach((op) => {
+    const opSize = encoder.encode(JSON.stringify(op)).length;
+    // Operations after the first in a batch take a comma too
+    if (batch.length > 0 && size + 1 + opSize > maxSize) {
+      batches.push(batch);
+      batch = [];
+      size = emptySize;
+    }
+    size += (batch.length > 0 ? 1 : 0) + opSize;
+    batch.push(op);
+  });
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+}
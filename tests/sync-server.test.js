@@ -0,0 +1,115 @@
+/**
+ * Tests for the reference sync server.
+ * Zero dependencies — run with `node --test tests/sync-server.test.js` (Node.js 18+).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createStore,
+  applyOperation,
+  getChanges,
+  createSyncServer
+} = require('../server/sync-server.js');
+
+/**
+ * Starts a server on a free port for the length of a test.
+ * @param {Function} fn - Called with the server's base URL
+ * @returns {Promise<void>}
+ */
+function withServer(fn) {
+  const server = createSyncServer();
+  return new Promise((resolve) => server.listen(0, resolve))
+    .then(() => fn('http://localhost:' + server.address().port))
+    .finally(() => new Promise((resolve) => server.close(resolve)));
+}
+
+/**
+ * Posts a request body to /ops.
+ * @param {string} base - Server URL
+ * @param {string} body - Raw request body
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+function postOps(base, body) {
+  return fetch(base + '/ops', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body
+  }).then((response) => response.json().then((json) => ({ status: response.status, body: json })));
+}
+
+test('applyOperation: ignores resent operations and keeps the latest value per field', () => {
+  const store = createStore();
+  const add = {
+    id: 'op1', type: 'add', listId: 'l', listName: 'Home', at: 10,
+    todo: { id: 't', title: 'Milk', completed: false, order: 3 }
+  };
+  assert.equal(applyOperation(store, add), true);
+  assert.equal(applyOperation(store, add), false, 'Applied once');
+  applyOperation(store, {
+    id: 'op2', type: 'edit', listId: 'l', at: 30, todoId: 't', fields: { title: 'Oat milk' }
+  });
+  applyOperation(store, {
+    id: 'op3', type: 'edit', listId: 'l', at: 20, todoId: 't',
+    fields: { title: 'Soy milk', priority: 'high' }
+  });
+
+  const changes = getChanges(store, 0);
+  assert.deepEqual(changes.lists, [{ id: 'l', name: 'Home' }]);
+  assert.deepEqual(changes.todos, [{
+    id: 't',
+    listId: 'l',
+    fields: { title: 'Oat milk', completed: false, priority: 'high' },
+    deleted: false
+  }], 'The later title wins; the order stays on the device');
+  assert.deepEqual(getChanges(store, changes.cursor).todos, []);
+
+  applyOperation(store, { id: 'op4', type: 'delete', listId: 'l', at: 5, todoId: 't' });
+  applyOperation(store, {
+    id: 'op5', type: 'edit', listId: 'l', at: 40, todoId: 't', fields: { title: 'Back' }
+  });
+  const [todo] = getChanges(store, changes.cursor).todos;
+  assert.equal(todo.deleted, true, 'A deleted todo stays deleted');
+});
+
+test('createSyncServer: applies posted operations and serves the changes', () => withServer(
+  (base) => {
+    const op = {
+      id: 'op1', type: 'add', listId: 'l', at: 10, todo: { id: 't', title: 'Milk' }
+    };
+    return postOps(base, JSON.stringify({ ops: [op] }))
+      .then(({ status, body }) => {
+        assert.equal(status, 200);
+        assert.deepEqual(body, { applied: 1 });
+        return postOps(base, JSON.stringify({ ops: [op] }));
+      })
+      .then(({ body }) => {
+        assert.deepEqual(body, { applied: 0 }, 'A resent operation is ignored');
+        return fetch(base + '/changes?since=0').then((response) => response.json());
+      })
+      .then((changes) => {
+        assert.deepEqual(changes.todos.map((t) => t.fields.title), ['Milk']);
+        return fetch(base + '/changes?since=-1');
+      })
+      .then((response) => assert.equal(response.status, 400));
+  }
+));
+
+test('createSyncServer: answers malformed and oversized bodies with an error', () => withServer(
+  (base) => postOps(base, '{ "ops": [{ "id": 1 }] }')
+    .then(({ status }) => {
+      assert.equal(status, 400);
+      return postOps(base, 'not json');
+    })
+    .then(({ status, body }) => {
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Request body is not JSON');
+      return postOps(base, JSON.stringify({ ops: [], padding: 'x'.repeat(2 * 1024 * 1024) }));
+    })
+    .then(({ status, body }) => {
+      assert.equal(status, 413, 'A response, not a reset connection');
+      assert.equal(body.error, 'Request body too large');
+    })
+));
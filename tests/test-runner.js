@@ -145,10 +145,37 @@ const assert = {
 };
 
 /**
- * Resets model state and localStorage for test isolation.
+ * Resets model state and storage for test isolation.
  */
 function resetState() {
-  localStorage.removeItem(STORAGE_KEY);
-  localStorage.removeItem(FILTER_KEY);
-  model.state = { todos: [], currentFilter: 'all' };
+  model.storage.clear();
+  model.storageError = null;
+  model.quarantineNotice = null;
+  model.history = { past: [], future: [] };
+  model.state = createStateForList([createEmptyList(DEFAULT_LIST_NAME)], null);
+}
+
+/**
+ * Reads the active list as persisted by the storage adapter under test.
+ * @returns {Object|undefined} Stored list entry
+ */
+function getStoredActiveList() {
+  const lists = model.storage.readLists();
+  const activeListId = model.storage.getItem(ACTIVE_LIST_KEY);
+  return lists.find((l) => l.id === activeListId);
+}
+
+/**
+ * Runs `fn` with an in-memory key-value adapter in place of the one under
+ * test, for tests that store raw JSON (e.g. malformed lists) under LISTS_KEY.
+ * @param {Function} fn
+ */
+function withKeyValueStorage(fn) {
+  const storage = model.storage;
+  model.storage = createMemoryStorageAdapter();
+  try {
+    fn();
+  } finally {
+    model.storage = storage;
+  }
 }
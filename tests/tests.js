@@ -2,8 +2,9 @@
  * Todo PWA - Unit and Integration Tests
  *
  * Tests cover:
- * - Utility functions (trimTitle, generateId)
- * - Model layer (CRUD, filters, persistence, validation)
+ * - Utility functions (trimTitle, generateId, day keys, due dates, quick-add parsing)
+ * - Model layer (CRUD, filters, calendar, undo/redo, lists, due dates, persistence,
+ *   validation)
  * - Computed properties (counts, filtered lists)
  * - Edge cases (corrupt data, quota errors, boundary values)
  */
@@ -39,6 +40,205 @@ testRunner.test('generateId: returns unique IDs', () => {
   assert.equal(ids.size, 100, 'All 100 IDs should be unique');
 });
 
+testRunner.test('toDayKey: formats local dates as YYYY-MM-DD', () => {
+  assert.equal(toDayKey(new Date(2024, 0, 5, 23, 59)), '2024-01-05');
+  assert.equal(toDayKey(new Date(2024, 11, 31).getTime()), '2024-12-31');
+});
+
+testRunner.test('parseDayKey: parses valid keys and rejects malformed ones', () => {
+  const date = parseDayKey('2024-03-09');
+  assert.equal(date.getFullYear(), 2024);
+  assert.equal(date.getMonth(), 2);
+  assert.equal(date.getDate(), 9);
+  assert.equal(parseDayKey('2024-02-31'), null, 'Overflowing day rejected');
+  assert.equal(parseDayKey('2024-3-9'), null, 'Unpadded key rejected');
+  assert.equal(parseDayKey(null), null);
+});
+
+testRunner.test('addDays: shifts across month boundaries', () => {
+  assert.equal(addDays('2024-01-31', 1), '2024-02-01');
+  assert.equal(addDays('2024-03-01', -1), '2024-02-29');
+});
+
+testRunner.test('daysBetween: counts calendar days in either direction', () => {
+  assert.equal(daysBetween('2024-03-09', '2024-03-12'), 3);
+  assert.equal(daysBetween('2024-03-12', '2024-03-09'), -3);
+  assert.equal(daysBetween('2024-03-30', '2024-04-01'), 2, 'Across a DST change');
+});
+
+testRunner.test('describeDueDate: gives relative labels', () => {
+  const today = '2024-05-15';
+  assert.deepEqual(describeDueDate('2024-05-15', today), { text: 'Due today', overdue: false });
+  assert.deepEqual(describeDueDate('2024-05-16', today), { text: 'Due tomorrow', overdue: false });
+  assert.deepEqual(describeDueDate('2024-05-18', today), { text: 'Due in 3 days', overdue: false });
+  assert.deepEqual(describeDueDate('2024-05-14', today), { text: '1 day overdue', overdue: true });
+  assert.deepEqual(describeDueDate('2024-05-12', today), { text: '3 days overdue', overdue: true });
+  assert.ok(describeDueDate('2024-06-30', today).text.startsWith('Due '));
+});
+
+testRunner.test('compareByDueDate: soonest first, undated last', () => {
+  const todos = [
+    { id: 'none', createdAt: 3 },
+    { id: 'late', dueDate: '2024-06-01', createdAt: 1 },
+    { id: 'soon', dueDate: '2024-05-01', createdAt: 2 }
+  ];
+  assert.deepEqual(todos.sort(compareByDueDate).map((t) => t.id), ['soon', 'late', 'none']);
+});
+
+testRunner.test('getWeekStart: returns the Monday of the week', () => {
+  assert.equal(getWeekStart(new Date(2024, 4, 15)), '2024-05-13', 'Wednesday');
+  assert.equal(getWeekStart(new Date(2024, 4, 13)), '2024-05-13', 'Monday');
+  assert.equal(getWeekStart(new Date(2024, 4, 19)), '2024-05-13', 'Sunday');
+});
+
+testRunner.test('getLongestIncreasingSubsequence: finds rows still in order', () => {
+  const lis = (values) => [...getLongestIncreasingSubsequence(values)].sort((x, y) => x - y);
+  assert.deepEqual(lis([]), []);
+  assert.deepEqual(lis([0, 1, 2]), [0, 1, 2]);
+  assert.deepEqual(lis([3, 0, 1, 2]), [1, 2, 3], 'The first row moved to the end');
+  assert.deepEqual(lis([-1, 2, -1, 0, 1]), [3, 4], 'New rows are skipped');
+  assert.equal(lis([2, 1, 0]).length, 1);
+});
+
+testRunner.test('getLongestIncreasingSubsequence: is as long as any rows in order', () => {
+  // Length of the longest increasing subsequence, worked out the slow way
+  const longest = (values) => values.reduce((best, value, i) => {
+    if (value < 0) return best;
+    best[i] = 1 + Math.max(0, ...best.slice(0, i).filter((n, j) => values[j] < value && n));
+    return best;
+  }, []).reduce((max, n) => Math.max(max, n || 0), 0);
+  let seed = 7;
+  const random = (n) => {
+    seed = (seed * 16807) % 2147483647;
+    return seed % n;
+  };
+  for (let run = 0; run < 50; run++) {
+    const values = Array.from({ length: 1 + random(12) }, () => random(4) === 0 ? -1 : random(20));
+    const indexes = [...getLongestIncreasingSubsequence(values)].sort((x, y) => x - y);
+    assert.equal(indexes.length, longest(values), JSON.stringify(values));
+    indexes.slice(1).forEach((index, k) => {
+      assert.ok(values[indexes[k]] < values[index], 'Increasing: ' + JSON.stringify(values));
+    });
+  }
+});
+
+testRunner.test('getVirtualRange: covers the visible rows plus overscan', () => {
+  const heights = [50, 50, 100, 50, 50, 50];
+  assert.deepEqual(getVirtualRange(heights, 0, 120, 0), { start: 0, end: 3 });
+  assert.deepEqual(getVirtualRange(heights, 120, 220, 0), { start: 2, end: 4 });
+  assert.deepEqual(getVirtualRange(heights, 120, 220, 1), { start: 1, end: 5 });
+  assert.deepEqual(getVirtualRange(heights, -500, -200, 2), { start: 0, end: 2 }, 'List below');
+  assert.deepEqual(getVirtualRange(heights, 900, 1200, 2), { start: 4, end: 6 }, 'Past the end');
+});
+
+/* ==========================================================================
+   Quick-Add Parsing Tests
+   ========================================================================== */
+
+/** Wednesday 2024-05-15, 09:00 local time */
+const QUICK_ADD_NOW = new Date(2024, 4, 15, 9).getTime();
+
+testRunner.test('parseQuickAdd: leaves plain text untouched', () => {
+  const parsed = parseQuickAdd('  Buy  milk  ', QUICK_ADD_NOW);
+  assert.equal(parsed.title, 'Buy  milk');
+  assert.deepEqual(parsed.tags, []);
+  assert.equal(parsed.priority, 'none');
+  assert.equal(parsed.dueDate, null);
+  assert.equal(parsed.recurrence, null);
+});
+
+testRunner.test('parseQuickAdd: extracts tags and priority', () => {
+  const parsed = parseQuickAdd('Fix login #Work #bug !high #work', QUICK_ADD_NOW);
+  assert.equal(parsed.title, 'Fix login');
+  assert.deepEqual(parsed.tags, ['work', 'bug']);
+  assert.equal(parsed.priority, 'high');
+});
+
+testRunner.test('parseQuickAdd: keeps look-alike tokens in the title', () => {
+  const parsed = parseQuickAdd('Email bob@example.com about #1 !urgent @someday', QUICK_ADD_NOW);
+  assert.equal(parsed.title, 'Email bob@example.com about #1 !urgent @someday');
+  assert.deepEqual(parsed.tags, []);
+  assert.equal(parsed.priority, 'none');
+  assert.equal(parsed.dueDate, null);
+});
+
+testRunner.test('parseQuickAdd: parses relative due dates', () => {
+  assert.equal(parseQuickAdd('A @today', QUICK_ADD_NOW).dueDate, '2024-05-15');
+  assert.equal(parseQuickAdd('A @tomorrow', QUICK_ADD_NOW).dueDate, '2024-05-16');
+  assert.equal(parseQuickAdd('A @fri', QUICK_ADD_NOW).dueDate, '2024-05-17');
+  assert.equal(parseQuickAdd('A @wed', QUICK_ADD_NOW).dueDate, '2024-05-15', 'Same weekday');
+  assert.equal(parseQuickAdd('A @monday', QUICK_ADD_NOW).dueDate, '2024-05-20');
+  assert.equal(parseQuickAdd('A @2024-06-01', QUICK_ADD_NOW).dueDate, '2024-06-01');
+});
+
+testRunner.test('parseQuickAdd: parses due times', () => {
+  const parsed = parseQuickAdd('Call mom @fri 5pm', QUICK_ADD_NOW);
+  assert.equal(parsed.title, 'Call mom');
+  assert.equal(parsed.dueDate, '2024-05-17');
+  assert.equal(parsed.dueTime, '17:00');
+
+  const timeOnly = parseQuickAdd('Standup @9:30am', QUICK_ADD_NOW);
+  assert.equal(timeOnly.dueDate, '2024-05-15');
+  assert.equal(timeOnly.dueTime, '09:30');
+
+  assert.equal(parseQuickAdd('Meet @tomorrow 12am', QUICK_ADD_NOW).dueTime, '00:00');
+  assert.equal(parseQuickAdd('Room @tomorrow 5', QUICK_ADD_NOW).title, 'Room 5', 'Bare number');
+});
+
+testRunner.test('parseQuickAdd: parses recurrence and sets the first due date', () => {
+  const weekly = parseQuickAdd('Team sync every monday', QUICK_ADD_NOW);
+  assert.equal(weekly.title, 'Team sync');
+  assert.deepEqual(weekly.recurrence, { type: 'weekly', days: [1] });
+  assert.equal(weekly.dueDate, '2024-05-20');
+
+  assert.deepEqual(parseQuickAdd('X every day', QUICK_ADD_NOW).recurrence, { type: 'daily' });
+  assert.deepEqual(
+    parseQuickAdd('X every weekday', QUICK_ADD_NOW).recurrence,
+    { type: 'weekdays' }
+  );
+  assert.deepEqual(
+    parseQuickAdd('X every 3 days', QUICK_ADD_NOW).recurrence,
+    { type: 'interval', days: 3 }
+  );
+  assert.deepEqual(
+    parseQuickAdd('X every thu,mon', QUICK_ADD_NOW).recurrence,
+    { type: 'weekly', days: [1, 4] }
+  );
+  assert.deepEqual(
+    parseQuickAdd('Rent @2024-06-01 every month', QUICK_ADD_NOW).recurrence,
+    { type: 'monthly', day: 1 }
+  );
+  assert.equal(parseQuickAdd('Read every once', QUICK_ADD_NOW).title, 'Read every once');
+});
+
+testRunner.test('getNextOccurrence: finds the next day for each rule type', () => {
+  assert.equal(getNextOccurrence({ type: 'daily' }, '2024-05-15'), '2024-05-16');
+  assert.equal(getNextOccurrence({ type: 'weekdays' }, '2024-05-17'), '2024-05-20');
+  assert.equal(getNextOccurrence({ type: 'weekly', days: [3] }, '2024-05-15'), '2024-05-22');
+  assert.equal(getNextOccurrence({ type: 'interval', days: 10 }, '2024-05-25'), '2024-06-04');
+  assert.equal(getNextOccurrence({ type: 'monthly', day: 15 }, '2024-05-14'), '2024-05-15');
+  assert.equal(getNextOccurrence({ type: 'monthly', day: 31 }, '2024-05-31'), '2024-06-30');
+});
+
+testRunner.test('normalizeTodoFields: validates and fills defaults', () => {
+  assert.deepEqual(normalizeTodoFields({}), {
+    dueDate: null,
+    dueTime: null,
+    tags: [],
+    priority: 'none',
+    recurrence: null,
+    notes: ''
+  });
+  assert.equal(normalizeTodoFields({ notes: '  See *docs*\n' }).notes, 'See *docs*');
+  assert.equal(normalizeTodoFields({ notes: 'x'.repeat(NOTES_MAX_LENGTH + 1) }), null);
+  assert.equal(normalizeTodoFields({ notes: 42 }), null);
+  assert.equal(normalizeTodoFields({ dueTime: '10:00' }), null, 'Time needs a date');
+  assert.equal(normalizeTodoFields({ dueDate: '2024-05-15', dueTime: '25:00' }), null);
+  assert.equal(normalizeTodoFields({ priority: 'urgent' }), null);
+  assert.equal(normalizeTodoFields({ tags: 'work' }), null);
+  assert.equal(normalizeTodoFields({ recurrence: { type: 'yearly' } }), null);
+});
+
 /* ==========================================================================
    Model: addTodo Tests
    ========================================================================== */
@@ -90,14 +290,26 @@ testRunner.test('model.addTodo: prepends new todo to list', () => {
   assert.equal(model.state.todos[1].title, 'First');
 });
 
-testRunner.test('model.addTodo: persists to localStorage', () => {
+testRunner.test('model.addTodo: persists to storage', () => {
   resetState();
   model.addTodo('Persistent todo');
-  const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  const stored = getStoredActiveList().todos;
   assert.equal(stored.length, 1);
   assert.equal(stored[0].title, 'Persistent todo');
 });
 
+testRunner.test('model.addTodo: stores parsed quick-add fields', () => {
+  resetState();
+  const { title, ...fields } = parseQuickAdd('Ship it #release !high @fri 5pm', QUICK_ADD_NOW);
+  const result = model.addTodo(title, fields);
+  const todo = result.todos[0];
+  assert.equal(todo.title, 'Ship it');
+  assert.deepEqual(todo.tags, ['release']);
+  assert.equal(todo.priority, 'high');
+  assert.equal(todo.dueDate, '2024-05-17');
+  assert.equal(todo.dueTime, '17:00');
+});
+
 testRunner.test('model.addTodo: rejects non-string input', () => {
   resetState();
   assert.notOk(model.addTodo(null));
@@ -127,6 +339,25 @@ testRunner.test('model.toggleTodo: toggles back to false', () => {
   assert.equal(result.todos[0].completed, false);
 });
 
+testRunner.test('model.toggleTodo: stamps completedAt when completing', () => {
+  resetState();
+  model.addTodo('Stamp me');
+  const before = Date.now();
+  model.toggleTodo(model.state.todos[0].id);
+  const completedAt = model.state.todos[0].completedAt;
+  assert.ok(typeof completedAt === 'number', 'completedAt should be a timestamp');
+  assert.ok(completedAt >= before && completedAt <= Date.now());
+});
+
+testRunner.test('model.toggleTodo: clears completedAt when reopening', () => {
+  resetState();
+  model.addTodo('Reopen me');
+  const id = model.state.todos[0].id;
+  model.toggleTodo(id);
+  model.toggleTodo(id);
+  assert.equal(model.state.todos[0].completedAt, null);
+});
+
 testRunner.test('model.toggleTodo: returns null for non-existent ID', () => {
   resetState();
   assert.notOk(model.toggleTodo('nonexistent'));
@@ -142,12 +373,12 @@ testRunner.test('model.toggleTodo: does not affect other todos', () => {
   assert.equal(model.state.todos[1].completed, false);
 });
 
-testRunner.test('model.toggleTodo: persists to localStorage', () => {
+testRunner.test('model.toggleTodo: persists to storage', () => {
   resetState();
   model.addTodo('Persist toggle');
   const id = model.state.todos[0].id;
   model.toggleTodo(id);
-  const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  const stored = getStoredActiveList().todos;
   assert.equal(stored[0].completed, true);
 });
 
@@ -179,13 +410,14 @@ testRunner.test('model.deleteTodo: only removes the target todo', () => {
   assert.equal(model.state.todos[0].title, 'Keep');
 });
 
-testRunner.test('model.deleteTodo: persists to localStorage', () => {
+testRunner.test('model.deleteTodo: persists to storage', () => {
   resetState();
   model.addTodo('Will be deleted');
   const id = model.state.todos[0].id;
   model.deleteTodo(id);
-  const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
-  assert.equal(stored.length, 0);
+  const stored = getStoredActiveList().todos;
+  assert.equal(stored.length, 1, 'Kept in the trash');
+  assert.ok(stored[0].deletedAt > 0);
 });
 
 /* ==========================================================================
@@ -243,12 +475,12 @@ testRunner.test('model.editTodo: preserves other properties', () => {
   assert.equal(model.state.todos[0].createdAt, createdAt);
 });
 
-testRunner.test('model.editTodo: persists to localStorage', () => {
+testRunner.test('model.editTodo: persists to storage', () => {
   resetState();
   model.addTodo('Original');
   const id = model.state.todos[0].id;
   model.editTodo(id, 'Persisted edit');
-  const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  const stored = getStoredActiveList().todos;
   assert.equal(stored[0].title, 'Persisted edit');
 });
 
@@ -274,10 +506,188 @@ testRunner.test('model.setFilter: rejects invalid filter values', () => {
   assert.equal(model.state.currentFilter, 'all');
 });
 
-testRunner.test('model.setFilter: persists to localStorage', () => {
+testRunner.test('model.setFilter: persists to storage', () => {
+  resetState();
+  model.setFilter('active');
+  assert.equal(readListViews(model.storage)[model.state.activeListId].currentFilter, 'active');
+});
+
+testRunner.test('model.setFilter: "day" selects a day and its week', () => {
+  resetState();
+  const result = model.setFilter('day', '2024-05-15');
+  assert.ok(result);
+  assert.equal(model.state.currentFilter, 'day');
+  assert.equal(model.state.selectedDay, '2024-05-15');
+  assert.equal(model.state.calendarWeekStart, '2024-05-13');
+});
+
+testRunner.test('model.setFilter: "day" rejects a missing or malformed day', () => {
+  resetState();
+  assert.notOk(model.setFilter('day'));
+  assert.notOk(model.setFilter('day', '2024-13-01'));
+  assert.equal(model.state.currentFilter, 'all');
+});
+
+testRunner.test('model.setFilter: other filters clear the selected day', () => {
+  resetState();
+  model.setFilter('day', '2024-05-15');
+  model.setFilter('completed');
+  assert.equal(model.state.selectedDay, null);
+  assert.equal(readListViews(model.storage)[model.state.activeListId].selectedDay, null);
+});
+
+testRunner.test('model: filters are stored without stamping or writing the lists', () => {
+  resetState();
+  model.addTodo('Tagged', { tags: ['work'] });
+  const clock = model.clock;
+  const writeLists = model.storage.writeLists;
+  let writes = 0;
+  model.storage.writeLists = (lists) => {
+    writes++;
+    writeLists.call(model.storage, lists);
+  };
+  try {
+    model.setFilter('active');
+    model.toggleTagFilter('work');
+    model.setTagMatchMode('all');
+  } finally {
+    model.storage.writeLists = writeLists;
+  }
+  assert.equal(writes, 0, 'Lists not written');
+  assert.equal(model.clock, clock, 'Clock not advanced');
+
+  model.load();
+  assert.equal(model.state.currentFilter, 'active');
+  assert.deepEqual(model.state.selectedTags, ['work']);
+  assert.equal(model.state.tagMatchMode, 'all');
+});
+
+/* ==========================================================================
+   Search Tests
+   ========================================================================== */
+
+testRunner.test('findSearchMatches: ignores case and accents and maps ranges to the text', () => {
+  const terms = getSearchTerms('  CAFE  creme ');
+  assert.deepEqual(terms, ['cafe', 'creme']);
+  assert.deepEqual(findSearchMatches('Café crème, café', terms), [[0, 4], [5, 10], [12, 16]]);
+  const decomposed = 'Café time';
+  assert.deepEqual(findSearchMatches(decomposed, ['cafe']), [[0, 5]], 'Keeps the combining mark');
+  assert.deepEqual(findSearchMatches('banana', ['ana', 'nan']), [[1, 6]], 'Merges overlaps');
+  assert.deepEqual(findSearchMatches('Anything', []), []);
+});
+
+testRunner.test('matchesSearch: needs every term in the title, notes or tags', () => {
+  const todo = { title: 'Réserver le café', notes: 'Table for Zoë', tags: ['travail'] };
+  assert.ok(matchesSearch(todo, getSearchTerms('cafe')));
+  assert.ok(matchesSearch(todo, getSearchTerms('zoe reserver')));
+  assert.ok(matchesSearch(todo, getSearchTerms('#TRAV')));
+  assert.notOk(matchesSearch(todo, getSearchTerms('cafe dinner')));
+  assert.ok(matchesSearch({ title: 'No notes', tags: [] }, getSearchTerms('notes')));
+});
+
+testRunner.test('getSearchTerms: a blank query has no terms and matches every todo', () => {
+  assert.deepEqual(getSearchTerms(''), []);
+  assert.deepEqual(getSearchTerms(' \t\n '), []);
+  assert.deepEqual(getSearchTerms(null), []);
+  assert.deepEqual(getSearchTerms('\u0301'), [], 'A lone accent folds away');
+  assert.ok(matchesSearch({ title: 'Anything', tags: [] }, getSearchTerms('  ')));
+});
+
+testRunner.test('findSearchMatches: handles repeats, symbols and characters beyond the BMP', () => {
+  assert.deepEqual(findSearchMatches('aaaa', ['aa']), [[0, 4]], 'Overlapping repeats merge');
+  assert.deepEqual(findSearchMatches('Learn C++ (basics)', getSearchTerms('c++ (bas')),
+    [[6, 9], [10, 14]], 'Symbols match literally');
+  assert.deepEqual(findSearchMatches('🍎 apple', ['apple']), [[3, 8]], 'Surrogate pairs counted');
+  assert.deepEqual(findSearchMatches('🍎 apple', ['🍎']), [[0, 2]]);
+  assert.deepEqual(findSearchMatches('Café', ['cafes']), [], 'Longer than the text');
+});
+
+testRunner.test('matchesSearch: copes with missing notes and terms in different fields', () => {
+  assert.ok(matchesSearch({ title: 'Call Zoë', notes: null }, getSearchTerms('zoe')));
+  assert.notOk(matchesSearch({ title: 'Call Zoë', notes: null }, getSearchTerms('null')));
+  const todo = { title: 'Plan trip', notes: 'Book hotel', tags: ['travel'] };
+  assert.ok(matchesSearch(todo, getSearchTerms('plan hotel #travel')), 'Terms in different fields');
+  assert.notOk(matchesSearch(todo, getSearchTerms('tripbook')), 'Fields aren\'t joined');
+  assert.notOk(matchesSearch(todo, getSearchTerms('travel#')), 'The "#" comes before the tag');
+});
+
+testRunner.test('model.getFilteredTodos: combines the search with the filter and tags', () => {
   resetState();
+  model.addTodo('Pay the café bill', { tags: ['home'] });
+  model.addTodo('Café meeting', { tags: ['work'] });
+  model.addTodo('Buy milk');
+  model.toggleTodo(model.state.todos.find((t) => t.title === 'Café meeting').id);
+
+  assert.ok(model.setSearchQuery('CAFE'));
+  assert.equal(model.getFilteredTodos().length, 2);
   model.setFilter('active');
-  assert.equal(localStorage.getItem(FILTER_KEY), 'active');
+  assert.deepEqual(model.getFilteredTodos().map((t) => t.title), ['Pay the café bill']);
+  model.setFilter('all');
+  model.toggleTagFilter('work');
+  assert.deepEqual(model.getFilteredTodos().map((t) => t.title), ['Café meeting']);
+
+  assert.notOk(model.setSearchQuery(null));
+  model.syncFromStorage();
+  assert.equal(model.state.searchQuery, 'CAFE', 'Kept when another tab saves');
+  assert.notOk(JSON.stringify(model.storage.readLists()).includes('CAFE'), 'Never stored');
+});
+
+/* ==========================================================================
+   Keyboard Command Tests
+   ========================================================================== */
+
+testRunner.test('getKeyFromEvent: names key presses the way bindings are stored', () => {
+  const key = (init) => getKeyFromEvent(new KeyboardEvent('keydown', init));
+  assert.equal(key({ key: 'X', shiftKey: true }), 'Shift+x');
+  assert.equal(key({ key: '?', shiftKey: true }), '?', 'Shift only picked the character');
+  assert.equal(key({ key: 'z', metaKey: true }), 'Ctrl+z', 'Cmd counts as Ctrl');
+  assert.equal(key({ key: 'Z', ctrlKey: true, shiftKey: true }), 'Ctrl+Shift+z');
+  assert.equal(key({ key: ' ' }), 'Space');
+  assert.equal(key({ key: 'ArrowUp', altKey: true }), 'Alt+ArrowUp');
+  assert.equal(key({ key: 'Shift', shiftKey: true }), null);
+
+  assert.equal(formatKey('Ctrl+Shift+z'), 'Ctrl+Shift+Z');
+  assert.equal(formatKey('Alt+ArrowUp'), 'Alt+\u2191');
+  assert.equal(formatKey('Ctrl++'), 'Ctrl++');
+  assert.equal(formatKey('Delete'), 'Delete');
+});
+
+testRunner.test('fuzzyMatch: finds letters in order and ranks word starts higher', () => {
+  assert.deepEqual(fuzzyMatch('sks', 'Show keyboard shortcuts').ranges, [[0, 1], [5, 6], [14, 15]]);
+  assert.deepEqual(fuzzyMatch('reopen', 'Complete or reopen').ranges, [[12, 18]]);
+  assert.deepEqual(fuzzyMatch('', 'Undo'), { score: 0, ranges: [] });
+  assert.ok(fuzzyMatch('CAFE', 'Café'), 'Ignores case and accents');
+  assert.equal(fuzzyMatch('ou', 'Undo'), null, 'Letters must be in order');
+
+  const score = (label) => fuzzyMatch('ar', label).score;
+  assert.ok(score('Archive completed todos') > score('Clear completed todos'));
+});
+
+testRunner.test('model.setKeyBinding: stores only changes and takes the key from others', () => {
+  resetState();
+  assert.deepEqual(model.getKeymap(), DEFAULT_KEYMAP);
+  assert.notOk(model.setKeyBinding('noSuchCommand', 'q'));
+  assert.notOk(model.setKeyBinding('toggleTodo', ''));
+
+  assert.ok(model.setKeyBinding('toggleTodo', 'e'));
+  const keymap = model.getKeymap();
+  assert.deepEqual(keymap.toggleTodo, ['e']);
+  assert.deepEqual(keymap.editTodo, [], 'The key moved from Edit');
+  assert.equal(getCommandForKey(keymap, 'e'), 'toggleTodo');
+  assert.equal(getCommandForKey(keymap, 'x'), null);
+  assert.deepEqual(JSON.parse(model.storage.getItem(KEYMAP_KEY)), {
+    toggleTodo: ['e'],
+    editTodo: []
+  });
+
+  assert.ok(model.setKeyBinding('editTodo', 'e'));
+  assert.deepEqual(JSON.parse(model.storage.getItem(KEYMAP_KEY)), { toggleTodo: [] });
+  model.resetKeymap();
+  assert.notOk(model.storage.getItem(KEYMAP_KEY));
+
+  model.storage.setItem(KEYMAP_KEY, JSON.stringify({ undo: ['Ctrl+u', 42, 'no key'], bad: ['b'] }));
+  assert.deepEqual(model.getKeymap().undo, ['Ctrl+u'], 'Malformed bindings are dropped');
+  assert.notOk('bad' in model.getKeymap());
 });
 
 /* ==========================================================================
@@ -309,13 +719,271 @@ testRunner.test('model.clearCompleted: works with empty list', () => {
   assert.equal(result.todos.length, 0);
 });
 
-testRunner.test('model.clearCompleted: persists to localStorage', () => {
+testRunner.test('model.clearCompleted: persists to storage', () => {
+  resetState();
+  model.addTodo('Done');
+  model.toggleTodo(model.state.todos[0].id);
+  model.clearCompleted();
+  const stored = getStoredActiveList().todos;
+  assert.equal(stored.length, 1, 'Kept in the trash');
+  assert.ok(stored[0].deletedAt > 0);
+});
+
+/* ==========================================================================
+   Model: Trash Tests
+   ========================================================================== */
+
+/**
+ * Moves the deletion time of a todo in the active list's trash back by `days`.
+ * @param {string} id - Todo ID
+ * @param {number} days
+ */
+function backdateTrashed(id, days) {
+  model.save({
+    ...model.state,
+    trash: model.state.trash.map((t) =>
+      (t.id === id ? { ...t, deletedAt: t.deletedAt - days * DAY_MS } : t)
+    )
+  });
+}
+
+testRunner.test('model.deleteTodo: moves the todo to the trash, out of the counts', () => {
   resetState();
   model.addTodo('Done');
   model.toggleTodo(model.state.todos[0].id);
+  model.addTodo('Doomed');
+  const id = model.state.todos[0].id;
+  model.deleteTodo(id);
+
+  assert.deepEqual(model.state.trash.map((t) => t.title), ['Doomed']);
+  assert.ok(model.state.trash[0].deletedAt > 0);
+  assert.equal(model.getActiveCount(), 0);
   model.clearCompleted();
-  const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
-  assert.equal(stored.length, 0);
+  assert.equal(model.getCompletedCount(), 0);
+  assert.deepEqual(model.state.trash.map((t) => t.title), ['Done', 'Doomed']);
+  assert.equal(model.getFilteredTodos().length, 0);
+});
+
+testRunner.test('model.restoreTodo: brings a todo back from the trash', () => {
+  resetState();
+  model.addTodo('Again');
+  const id = model.state.todos[0].id;
+  model.deleteTodo(id);
+  assert.ok(model.restoreTodo(id));
+  assert.deepEqual(model.state.todos.map((t) => t.title), ['Again']);
+  assert.equal(model.state.todos[0].deletedAt, null);
+  assert.equal(model.state.trash.length, 0);
+  assert.equal(model.getUndoLabel(), 'Restored \u201cAgain\u201d');
+  assert.notOk(model.restoreTodo(id), 'Only todos in the trash');
+});
+
+testRunner.test('model.undo: takes a deleted todo back out of the trash', () => {
+  resetState();
+  model.addTodo('Oops');
+  model.deleteTodo(model.state.todos[0].id);
+  model.undo();
+  assert.deepEqual(model.state.todos.map((t) => t.title), ['Oops']);
+  assert.equal(model.state.trash.length, 0);
+  model.redo();
+  assert.equal(model.state.todos.length, 0);
+  assert.equal(model.state.trash.length, 1);
+});
+
+testRunner.test('model.deleteTodoForever: removes it from storage, with a tombstone', () => {
+  resetState();
+  model.addTodo('Gone');
+  const id = model.state.todos[0].id;
+  assert.notOk(model.deleteTodoForever(id), 'Only todos in the trash');
+  model.deleteTodo(id);
+  assert.ok(model.deleteTodoForever(id));
+  assert.equal(model.state.trash.length, 0);
+  assert.equal(getStoredActiveList().todos.length, 0);
+  assert.ok(model.state.tombstones[id], 'Other tabs delete it too');
+});
+
+testRunner.test('model.emptyTrash: deletes everything in the trash', () => {
+  resetState();
+  model.addTodo('Keep');
+  model.addTodo('One');
+  model.addTodo('Two');
+  model.deleteTodo(model.state.todos[0].id);
+  model.deleteTodo(model.state.todos[0].id);
+  assert.ok(model.emptyTrash());
+  assert.equal(model.state.trash.length, 0);
+  assert.deepEqual(getStoredActiveList().todos.map((t) => t.title), ['Keep']);
+  assert.notOk(model.emptyTrash(), 'Nothing left to empty');
+});
+
+testRunner.test('model.purgeTrash: deletes what every list\'s trash kept long enough', () => {
+  resetState();
+  model.addTodo('Old');
+  model.addTodo('Recent');
+  const [recent, old] = model.state.todos;
+  model.deleteTodo(old.id);
+  model.deleteTodo(recent.id);
+  backdateTrashed(old.id, 31);
+  const firstId = model.state.activeListId;
+  model.createList('Work');
+  model.addTodo('Old work');
+  model.deleteTodo(model.state.todos[0].id);
+  backdateTrashed(model.state.trash[0].id, 40);
+  model.switchList(firstId);
+
+  assert.ok(model.purgeTrash(Date.now()));
+  assert.deepEqual(model.state.trash.map((t) => t.title), ['Recent']);
+  assert.equal(model.state.lists[1].todos.length, 0);
+  assert.notOk(model.purgeTrash(Date.now()), 'Nothing else has expired');
+});
+
+testRunner.test('model.setTrashRetention: persists, and 0 keeps todos until emptied', () => {
+  resetState();
+  assert.notOk(model.setTrashRetention(12));
+  assert.ok(model.setTrashRetention(0));
+  model.addTodo('Ancient');
+  model.deleteTodo(model.state.todos[0].id);
+  backdateTrashed(model.state.trash[0].id, 1000);
+  assert.notOk(model.purgeTrash(Date.now()));
+
+  model.load();
+  assert.equal(model.state.trashRetentionDays, 0);
+  assert.deepEqual(model.state.trash.map((t) => t.title), ['Ancient']);
+  assert.equal(model.state.todos.length, 0, 'Loaded apart from the todos');
+  model.setTrashRetention(7);
+  assert.ok(model.purgeTrash(Date.now()));
+});
+
+testRunner.test('sanitizeDaysSetting: falls back to the default', () => {
+  const read = (value) =>
+    sanitizeDaysSetting(value, TRASH_RETENTION_OPTIONS, DEFAULT_TRASH_RETENTION);
+  assert.equal(read('90'), 90);
+  assert.equal(read('0'), 0);
+  assert.equal(read('12'), DEFAULT_TRASH_RETENTION);
+  assert.equal(read(null), DEFAULT_TRASH_RETENTION);
+});
+
+testRunner.test('describeTrashedTodo: says when it was deleted and how long it has left', () => {
+  const now = new Date(2024, 4, 15, 12).getTime();
+  const todo = { id: 'a', title: 'A', deletedAt: now - 2 * DAY_MS };
+  assert.equal(describeTrashedTodo(todo, 30, now), 'Deleted 2 days ago \u00b7 28 days left');
+  assert.equal(describeTrashedTodo({ ...todo, deletedAt: now }, 0, now), 'Deleted today');
+  assert.equal(
+    describeTrashedTodo({ ...todo, deletedAt: now - 6.5 * DAY_MS }, 7, now),
+    'Deleted 6 days ago \u00b7 1 day left'
+  );
+});
+
+testRunner.test('exportToCsv and getAllTags: leave the trash out', () => {
+  resetState();
+  model.addTodo('Shown', { tags: ['kept'] });
+  model.addTodo('Binned', { tags: ['binned'] });
+  model.deleteTodo(model.state.todos[0].id);
+  const firstId = model.state.activeListId;
+  model.createList('Other');
+  assert.deepEqual(model.getAllTags(), ['kept']);
+  model.switchList(firstId);
+
+  const csv = exportToCsv(getSyncedLists(model.state));
+  assert.ok(csv.includes('Shown'));
+  assert.notOk(csv.includes('Binned'));
+  assert.notOk(exportToMarkdown(getSyncedLists(model.state)).includes('Binned'));
+});
+
+/* ==========================================================================
+   Model: Archive Tests
+   ========================================================================== */
+
+/**
+ * Adds a todo completed `daysAgo` days ago to the active list.
+ * @param {string} title
+ * @param {number} daysAgo
+ * @param {Object} [fields] - Other fields, e.g. tags
+ */
+function addCompletedTodo(title, daysAgo, fields = {}) {
+  model.addTodo(title, fields);
+  const id = model.state.todos[0].id;
+  model.toggleTodo(id);
+  model.save({
+    ...model.state,
+    todos: model.state.todos.map((t) =>
+      (t.id === id ? { ...t, completedAt: t.completedAt - daysAgo * DAY_MS } : t)
+    )
+  });
+}
+
+testRunner.test('model.archiveCompleted: moves completed todos out of the list', () => {
+  resetState();
+  model.addTodo('Open');
+  addCompletedTodo('Done', 0);
+  assert.ok(model.archiveCompleted());
+
+  assert.deepEqual(model.state.todos.map((t) => t.title), ['Open']);
+  assert.deepEqual(model.state.archive.map((t) => t.title), ['Done']);
+  assert.ok(model.state.archive[0].archivedAt > 0);
+  assert.equal(model.getCompletedCount(), 0);
+  assert.equal(getStoredActiveList().todos.length, 2, 'Stored with the list');
+  assert.equal(model.getUndoLabel(), 'Archived 1 completed todo');
+  assert.notOk(model.archiveCompleted(), 'Nothing left to archive');
+
+  model.undo();
+  assert.equal(model.state.archive.length, 0);
+  assert.equal(model.getCompletedCount(), 1);
+});
+
+testRunner.test('model.unarchiveTodos: brings the chosen todos back', () => {
+  resetState();
+  addCompletedTodo('One', 0);
+  addCompletedTodo('Two', 0);
+  addCompletedTodo('Three', 0);
+  model.archiveCompleted();
+  const ids = model.state.archive.filter((t) => t.title !== 'Two').map((t) => t.id);
+
+  assert.ok(model.unarchiveTodos([...ids, 'unknown']));
+  assert.deepEqual(model.state.archive.map((t) => t.title), ['Two']);
+  assert.deepEqual(model.state.todos.map((t) => t.title).sort(), ['One', 'Three']);
+  assert.ok(model.state.todos.every((t) => t.completed && t.archivedAt === null));
+  assert.equal(model.getUndoLabel(), 'Unarchived 2 todos');
+  assert.notOk(model.unarchiveTodos(['unknown']));
+});
+
+testRunner.test('model.autoArchive: archives todos completed long ago, in every list', () => {
+  resetState();
+  addCompletedTodo('Last week', 8);
+  addCompletedTodo('Yesterday', 1);
+  model.addTodo('Open');
+  const firstId = model.state.activeListId;
+  model.createList('Work');
+  addCompletedTodo('Old work', 30);
+  model.switchList(firstId);
+
+  assert.notOk(model.autoArchive(Date.now()), 'Off by default');
+  assert.notOk(model.setArchiveAfter(3), 'Only offered delays');
+  assert.ok(model.setArchiveAfter(7));
+  assert.ok(model.autoArchive(Date.now()));
+  assert.deepEqual(model.state.archive.map((t) => t.title), ['Last week']);
+  assert.deepEqual(model.state.todos.map((t) => t.title).sort(), ['Open', 'Yesterday']);
+  assert.ok(model.state.lists[1].todos[0].archivedAt > 0);
+
+  model.unarchiveTodos([model.state.archive[0].id]);
+  assert.notOk(model.autoArchive(Date.now()), 'Unarchived todos stay out');
+  model.load();
+  assert.equal(model.state.archiveAfterDays, 7);
+});
+
+testRunner.test('groupArchive: groups by completion day and searches titles and tags', () => {
+  const day = (offset, hour) => new Date(2024, 4, 15 + offset, hour).getTime();
+  const archive = [
+    { id: 'a', title: 'Write report', tags: ['work'], completedAt: day(0, 9), archivedAt: 1 },
+    { id: 'b', title: 'Buy milk', tags: [], completedAt: day(-1, 18), archivedAt: 1 },
+    { id: 'c', title: 'Send report', tags: [], completedAt: day(0, 17), archivedAt: 1 },
+    { id: 'd', title: 'Legacy', tags: [], completedAt: null, archivedAt: day(-2, 8) }
+  ];
+  const groups = groupArchive(archive, '');
+  assert.deepEqual(groups.map((g) => g.dayKey), ['2024-05-15', '2024-05-14', '2024-05-13']);
+  assert.deepEqual(groups[0].todos.map((t) => t.id), ['c', 'a'], 'Latest first');
+
+  assert.deepEqual(groupArchive(archive, ' REPORT ').map((g) => g.todos.length), [2]);
+  assert.deepEqual(groupArchive(archive, '#work')[0].todos.map((t) => t.id), ['a']);
+  assert.deepEqual(groupArchive(archive, 'nothing'), []);
 });
 
 /* ==========================================================================
@@ -376,117 +1044,3066 @@ testRunner.test('model.getFilteredTodos: returns only completed with "completed"
 });
 
 /* ==========================================================================
-   Model: Persistence / Load Tests
+   Model: Due Date Tests
    ========================================================================== */
 
-testRunner.test('model.load: restores todos from localStorage', () => {
-  resetState();
-  model.addTodo('Saved');
-  const savedId = model.state.todos[0].id;
+/**
+ * Gets today's day key shifted by a number of days.
+ * @param {number} offset - Days from today
+ * @returns {string}
+ */
+function dayFromToday(offset) {
+  return addDays(toDayKey(Date.now()), offset);
+}
 
-  // Simulate page reload
-  model.state = { todos: [], currentFilter: 'all' };
-  model.load();
+testRunner.test('model.addTodo: stores an optional due date', () => {
+  resetState();
+  model.addTodo('No due date');
+  assert.equal(model.state.todos[0].dueDate, null);
+  model.addTodo('With due date', { dueDate: '2024-05-15' });
+  assert.equal(model.state.todos[0].dueDate, '2024-05-15');
+  model.addTodo('Empty due date', { dueDate: '' });
+  assert.equal(model.state.todos[0].dueDate, null);
+});
 
-  assert.equal(model.state.todos.length, 1);
-  assert.equal(model.state.todos[0].title, 'Saved');
-  assert.equal(model.state.todos[0].id, savedId);
+testRunner.test('model.addTodo: rejects a malformed due date', () => {
+  resetState();
+  assert.notOk(model.addTodo('Bad date', { dueDate: '2024-02-31' }));
+  assert.equal(model.state.todos.length, 0);
 });
 
-testRunner.test('model.load: restores filter from localStorage', () => {
+testRunner.test('model.editTodo: sets, keeps and clears the due date', () => {
   resetState();
-  model.setFilter('completed');
+  model.addTodo('Task', { dueDate: '2024-05-15' });
+  const id = model.state.todos[0].id;
+  model.editTodo(id, 'Renamed');
+  assert.equal(model.state.todos[0].dueDate, '2024-05-15', 'Unchanged when omitted');
+  model.editTodo(id, 'Renamed', { dueDate: '2024-06-01' });
+  assert.equal(model.state.todos[0].dueDate, '2024-06-01');
+  model.editTodo(id, 'Renamed', { dueDate: '' });
+  assert.equal(model.state.todos[0].dueDate, null);
+  assert.notOk(model.editTodo(id, 'Renamed', { dueDate: 'soon' }));
+});
 
-  model.state = { todos: [], currentFilter: 'all' };
-  model.load();
+testRunner.test('model.getFilteredTodos: "today", "overdue" and "upcoming"', () => {
+  resetState();
+  model.addTodo('Overdue', { dueDate: dayFromToday(-2) });
+  model.addTodo('Today', { dueDate: dayFromToday(0) });
+  model.addTodo('Upcoming', { dueDate: dayFromToday(3) });
+  model.addTodo('Undated');
+  model.addTodo('Done overdue', { dueDate: dayFromToday(-1) });
+  model.toggleTodo(model.state.todos[0].id);
 
-  assert.equal(model.state.currentFilter, 'completed');
+  model.setFilter('today');
+  assert.deepEqual(model.getFilteredTodos().map((t) => t.title), ['Today']);
+  model.setFilter('overdue');
+  assert.deepEqual(model.getFilteredTodos().map((t) => t.title), ['Overdue']);
+  model.setFilter('upcoming');
+  assert.deepEqual(model.getFilteredTodos().map((t) => t.title), ['Upcoming']);
 });
 
-testRunner.test('model.load: handles missing localStorage gracefully', () => {
+testRunner.test('model.setSortOrder: "due" orders by due date, undated last', () => {
   resetState();
-  model.load();
-  assert.equal(model.state.todos.length, 0);
-  assert.equal(model.state.currentFilter, 'all');
+  model.addTodo('Later', { dueDate: '2024-06-01' });
+  model.addTodo('Undated');
+  model.addTodo('Sooner', { dueDate: '2024-05-01' });
+
+  model.setSortOrder('due');
+  const titles = () => model.getFilteredTodos().map((t) => t.title);
+  assert.deepEqual(titles(), ['Sooner', 'Later', 'Undated']);
+  model.addTodo('Soonest', { dueDate: '2024-04-01' });
+  assert.equal(titles()[0], 'Soonest', 'New todos are placed in order');
+
+  model.setSortOrder('newest');
+  assert.deepEqual(titles(), ['Soonest', 'Sooner', 'Undated', 'Later']);
 });
 
-testRunner.test('model.load: handles corrupt JSON gracefully', () => {
-  localStorage.setItem(STORAGE_KEY, 'not valid json{{{');
-  model.state = { todos: [], currentFilter: 'all' };
+testRunner.test('model.load: drops malformed due dates', () => {
+  resetState();
+  model.storage.setItem(
+    STORAGE_KEY,
+    JSON.stringify([{ id: 'a', title: 'Bad due', createdAt: 1, dueDate: 'someday' }])
+  );
   model.load();
-  assert.equal(model.state.todos.length, 0);
-  assert.equal(model.state.currentFilter, 'all');
+  assert.equal(model.state.todos[0].dueDate, null);
 });
 
-testRunner.test('model.load: filters out invalid todo objects', () => {
-  const data = [
-    { id: 'valid', title: 'Good', completed: false, createdAt: 1000 },
-    { id: 123, title: 'Bad id' },       // id not string
-    { id: 'ok', title: null },           // title not string
-    null,                                // null entry
-    { title: 'No id' }                   // missing id
+/* ==========================================================================
+   Model: Priority and Sort Order Tests
+   ========================================================================== */
+
+/**
+ * Adds todos with distinct creation times, oldest first.
+ * @param {Array<Object>} specs - { title, ...fields }
+ */
+function addTodosInSequence(specs) {
+  specs.forEach(({ title, ...fields }, i) => {
+    model.addTodo(title, fields);
+    model.state.todos[0].createdAt = 1000 + i;
+  });
+}
+
+testRunner.test('sortTodos: newest, oldest and alphabetical', () => {
+  const todos = [
+    { id: 'b', title: 'banana', createdAt: 2 },
+    { id: 'a', title: 'Apple', createdAt: 3 },
+    { id: 'c', title: 'cherry 10', createdAt: 1 },
+    { id: 'd', title: 'cherry 9', createdAt: 4 }
   ];
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-  model.state = { todos: [], currentFilter: 'all' };
-  model.load();
-  assert.equal(model.state.todos.length, 1);
-  assert.equal(model.state.todos[0].id, 'valid');
+  const ids = (order) => sortTodos(todos, order).map((t) => t.id);
+  assert.deepEqual(ids('newest'), ['d', 'a', 'b', 'c']);
+  assert.deepEqual(ids('oldest'), ['c', 'b', 'a', 'd']);
+  assert.deepEqual(ids('alpha'), ['a', 'b', 'd', 'c'], 'Case-insensitive, numeric-aware');
+  assert.deepEqual(ids('manual'), ['b', 'a', 'c', 'd']);
+  assert.deepEqual(todos.map((t) => t.id), ['b', 'a', 'c', 'd'], 'Input not mutated');
 });
 
-testRunner.test('model.load: sorts todos by createdAt descending', () => {
-  const data = [
-    { id: 'a', title: 'Old', completed: false, createdAt: 1000 },
-    { id: 'b', title: 'New', completed: false, createdAt: 2000 },
-    { id: 'c', title: 'Mid', completed: false, createdAt: 1500 }
+testRunner.test('sortTodos: "priority" puts high first, ties newest first', () => {
+  const todos = [
+    { id: 'none', priority: 'none', createdAt: 5 },
+    { id: 'low', priority: 'low', createdAt: 4 },
+    { id: 'high-old', priority: 'high', createdAt: 1 },
+    { id: 'medium', priority: 'medium', createdAt: 3 },
+    { id: 'high-new', priority: 'high', createdAt: 2 }
   ];
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  const ids = sortTodos(todos, 'priority').map((t) => t.id);
+  assert.deepEqual(ids, ['high-new', 'high-old', 'medium', 'low', 'none']);
+});
+
+testRunner.test('model.addTodo: stores priority, defaulting to "none"', () => {
+  resetState();
+  model.addTodo('Plain');
+  model.addTodo('Urgent', { priority: 'high' });
+  assert.equal(model.state.todos[0].priority, 'high');
+  assert.equal(model.state.todos[1].priority, 'none');
+  assert.notOk(model.addTodo('Bad', { priority: 'urgent' }));
+});
+
+testRunner.test('model.editTodo: changes priority', () => {
+  resetState();
+  model.addTodo('Task');
+  const id = model.state.todos[0].id;
+  model.editTodo(id, 'Task', { priority: 'medium' });
+  assert.equal(model.state.todos[0].priority, 'medium');
+  assert.notOk(model.editTodo(id, 'Task', { priority: 'urgent' }));
+});
+
+testRunner.test('model.getFilteredTodos: applies the sort order after filtering', () => {
+  resetState();
+  addTodosInSequence([
+    { title: 'Low', priority: 'low' },
+    { title: 'High', priority: 'high' },
+    { title: 'Done high', priority: 'high' },
+    { title: 'Medium', priority: 'medium' }
+  ]);
+  model.toggleTodo(model.state.todos.find((t) => t.title === 'Done high').id);
+
+  model.setFilter('active');
+  model.setSortOrder('priority');
+  assert.deepEqual(model.getFilteredTodos().map((t) => t.title), ['High', 'Medium', 'Low']);
+  model.setSortOrder('oldest');
+  assert.deepEqual(model.getFilteredTodos().map((t) => t.title), ['Low', 'High', 'Medium']);
+});
+
+testRunner.test('model.setSortOrder: rejects unknown orders', () => {
+  resetState();
+  assert.notOk(model.setSortOrder('random'));
+  assert.equal(model.state.sortOrder, 'newest');
+});
+
+testRunner.test('model.setSortOrder: persists and keeps the stored order', () => {
+  resetState();
+  addTodosInSequence([{ title: 'B first' }, { title: 'A second' }]);
+  model.setSortOrder('alpha');
+  assert.equal(model.storage.getItem(SORT_ORDER_KEY), 'alpha');
+  assert.deepEqual(model.state.todos.map((t) => t.title), ['A second', 'B first']);
+
   model.state = { todos: [], currentFilter: 'all' };
   model.load();
-  assert.equal(model.state.todos[0].title, 'New');
-  assert.equal(model.state.todos[1].title, 'Mid');
-  assert.equal(model.state.todos[2].title, 'Old');
+  assert.equal(model.state.sortOrder, 'alpha');
+  assert.deepEqual(model.getFilteredTodos().map((t) => t.title), ['A second', 'B first']);
 });
 
-testRunner.test('model.load: ignores invalid filter values', () => {
-  localStorage.setItem(FILTER_KEY, 'bogus');
-  model.state = { todos: [], currentFilter: 'all' };
+testRunner.test('model.load: keeps the stored todo order', () => {
+  resetState();
+  const list = {
+    ...createEmptyList('Stored'),
+    todos: [
+      { id: 'old', title: 'Old', completed: false, createdAt: 1 },
+      { id: 'new', title: 'New', completed: false, createdAt: 2 }
+    ]
+  };
+  model.storage.writeLists([list]);
+  model.storage.setItem(ACTIVE_LIST_KEY, list.id);
   model.load();
-  assert.equal(model.state.currentFilter, 'all');
+  assert.deepEqual(model.state.todos.map((t) => t.id), ['old', 'new']);
+  assert.equal(model.state.todos[0].priority, 'none', 'Missing priority defaults to none');
+});
+
+testRunner.test('model.load: migrates the sort-by-due-date preference', () => {
+  resetState();
+  model.storage.setItem(SORT_BY_DUE_KEY, 'true');
+  model.load();
+  assert.equal(model.state.sortOrder, 'due');
+  assert.equal(model.storage.getItem(SORT_BY_DUE_KEY), null);
+  assert.equal(model.storage.getItem(SORT_ORDER_KEY), 'due');
+});
+
+testRunner.test('renderTodoList: marks priority', () => {
+  resetState();
+  model.addTodo('Urgent', { priority: 'high' });
+  renderState();
+  const li = document.querySelector('#todo-list .todo-item');
+  assert.ok(li.classList.contains('priority-high'));
+  assert.equal(li.querySelector('.todo-priority').getAttribute('aria-label'), 'High priority');
+  resetState();
+  renderState();
+});
+
+/* ==========================================================================
+   Model: Manual Order Tests
+   ========================================================================== */
+
+testRunner.test('model.addTodo: new todos go to the top of the manual order', () => {
+  resetState();
+  model.addTodo('First');
+  model.addTodo('Second');
+  const [second, first] = model.state.todos;
+  assert.ok(second.order < first.order);
+  assert.equal(second.title, 'Second');
+});
+
+testRunner.test('model.moveTodo: places a todo before or after another', () => {
+  resetState();
+  addTodosInSequence([{ title: 'C' }, { title: 'B' }, { title: 'A' }]);
+  model.setSortOrder('manual');
+  const id = (title) => model.state.todos.find((t) => t.title === title).id;
+  const titles = () => model.getFilteredTodos().map((t) => t.title);
+
+  model.moveTodo(id('A'), id('C'), 'after');
+  assert.deepEqual(titles(), ['B', 'C', 'A']);
+  model.moveTodo(id('A'), id('B'), 'before');
+  assert.deepEqual(titles(), ['A', 'B', 'C']);
+  assert.deepEqual(model.state.todos.map((t) => t.order), [0, 1, 2]);
+});
+
+testRunner.test('model.moveTodo: starts from the shown order and switches to manual', () => {
+  resetState();
+  addTodosInSequence([{ title: 'Banana' }, { title: 'Cherry' }, { title: 'Apple' }]);
+  model.setSortOrder('alpha');
+  const id = (title) => model.state.todos.find((t) => t.title === title).id;
+
+  model.moveTodo(id('Cherry'), id('Apple'), 'before');
+  assert.equal(model.state.sortOrder, 'manual');
+  assert.deepEqual(model.getFilteredTodos().map((t) => t.title), ['Cherry', 'Apple', 'Banana']);
+});
+
+testRunner.test('model.moveTodo: rejects invalid moves', () => {
+  resetState();
+  model.addTodo('A');
+  model.addTodo('B');
+  const [b, a] = model.state.todos;
+  assert.notOk(model.moveTodo(a.id, a.id, 'before'));
+  assert.notOk(model.moveTodo(a.id, 'missing', 'before'));
+  assert.notOk(model.moveTodo(a.id, b.id, 'above'));
+});
+
+testRunner.test('model.moveTodo: can be undone', () => {
+  resetState();
+  addTodosInSequence([{ title: 'B' }, { title: 'A' }]);
+  const [a, b] = model.state.todos;
+  model.moveTodo(b.id, a.id, 'before');
+  assert.equal(model.getUndoLabel(), 'Moved \u201cB\u201d');
+  model.undo();
+  assert.deepEqual(model.state.todos.map((t) => t.title), ['A', 'B']);
+});
+
+testRunner.test('model.load: respects the stored order field', () => {
+  resetState();
+  const list = {
+    ...createEmptyList('Stored'),
+    todos: [
+      { id: 'a', title: 'A', completed: false, createdAt: 3, order: 2 },
+      { id: 'b', title: 'B', completed: false, createdAt: 1, order: 0 },
+      { id: 'c', title: 'C', completed: false, createdAt: 2, order: 5 }
+    ]
+  };
+  model.storage.writeLists([list]);
+  model.storage.setItem(ACTIVE_LIST_KEY, list.id);
+  model.load();
+  assert.deepEqual(model.state.todos.map((t) => t.id), ['b', 'a', 'c']);
+  assert.deepEqual(model.state.todos.map((t) => t.order), [0, 2, 5], 'Not renumbered');
+});
+
+/* ==========================================================================
+   Model: Bulk Action Tests
+   ========================================================================== */
+
+testRunner.test('model.setTodosCompleted: completes several todos in one undo step', () => {
+  resetState();
+  model.addTodo('Water plants', { dueDate: '2024-05-13', recurrence: { type: 'daily' } });
+  model.addTodo('Pay rent');
+  model.addTodo('Done already');
+  model.toggleTodo(model.state.todos[0].id);
+  const ids = model.state.todos.map((t) => t.id);
+
+  assert.ok(sam.present({ type: 'setTodosCompleted', ids, completed: true }));
+  assert.equal(model.state.todos.filter((t) => t.completed).length, 3);
+  assert.equal(model.state.todos.length, 4, 'The series continues');
+  assert.equal(model.getUndoLabel(), 'Completed 2 todos', 'Already completed ones are skipped');
+  assert.notOk(model.setTodosCompleted(ids, true));
+
+  model.undo();
+  assert.equal(model.state.todos.length, 3);
+  assert.equal(model.getActiveCount(), 2);
+  assert.ok(model.setTodosCompleted(ids, false));
+  assert.equal(model.getActiveCount(), 3);
+});
+
+testRunner.test('model: bulk delete, tag and due date are one undo step each', () => {
+  resetState();
+  model.addTodo('One', { dueDate: '2024-05-13', dueTime: '09:00' });
+  model.addTodo('Two', { tags: ['home'] });
+  model.addTodo('Three');
+  const byTitle = (title) => model.state.todos.find((t) => t.title === title);
+  const ids = [byTitle('One').id, byTitle('Two').id];
+
+  assert.notOk(model.tagTodos(ids, 'two tags'));
+  assert.notOk(model.tagTodos(ids, 'bad!'));
+  assert.ok(model.tagTodos(ids, '#Home'));
+  assert.equal(model.getUndoLabel(), 'Tagged 1 todo #home', 'Todos with the tag are skipped');
+  assert.deepEqual(byTitle('One').tags, ['home']);
+
+  assert.notOk(model.setTodosDueDate(ids, '2024-13-01'));
+  assert.ok(model.setTodosDueDate(ids, '2024-06-01'));
+  assert.equal(byTitle('Two').dueDate, '2024-06-01');
+  assert.equal(byTitle('One').dueTime, '09:00', 'Keeps the time with a new date');
+  assert.equal(byTitle('Three').dueDate, null);
+  assert.ok(model.setTodosDueDate(ids, ''));
+  assert.equal(byTitle('One').dueDate, null);
+  assert.equal(byTitle('One').dueTime, null);
+
+  assert.ok(model.deleteTodos(ids));
+  assert.deepEqual(model.state.todos.map((t) => t.title), ['Three']);
+  assert.equal(model.state.trash.length, 2);
+  model.undo();
+  assert.equal(model.state.todos.length, 3);
+  assert.equal(model.state.trash.length, 0);
+});
+
+testRunner.test('model.moveTodosToList: moves to the top of another list in one undo step', () => {
+  resetState();
+  const homeId = model.createList('Home').activeListId;
+  model.addTodo('Already home');
+  const workId = model.state.lists[0].id;
+  model.switchList(workId);
+  model.addTodo('Stay');
+  model.addTodo('Go home');
+  model.addTodo('Also go');
+  const ids = model.state.todos.filter((t) => t.title !== 'Stay').map((t) => t.id);
+
+  assert.notOk(model.moveTodosToList(ids, workId), 'Not to the same list');
+  assert.ok(model.moveTodosToList(ids, homeId));
+  assert.equal(model.getUndoLabel(), 'Moved 2 todos to “Home”');
+  assert.deepEqual(model.state.todos.map((t) => t.title), ['Stay']);
+  const home = () => model.state.lists.find((l) => l.id === homeId).todos;
+  assert.deepEqual(home().map((t) => t.title), ['Also go', 'Go home', 'Already home']);
+  assert.notOk(home().some((t) => ids.includes(t.id)), 'Moved todos get new IDs');
+
+  model.undo();
+  assert.equal(model.state.todos.length, 3);
+  assert.deepEqual(home().map((t) => t.title), ['Already home']);
+  model.redo();
+  model.load();
+  assert.equal(model.state.lists.find((l) => l.id === homeId).todos.length, 3);
+  assert.equal(model.state.todos.length, 1);
+});
+
+testRunner.test('model.undo: a move undone from the other list restores both lists', () => {
+  resetState();
+  const workId = model.state.activeListId;
+  ['D', 'C', 'B', 'A'].forEach((title) => model.addTodo(title));
+  const homeId = model.createList('Home').activeListId;
+  model.addTodo('Home only');
+  model.switchList(workId);
+  const order = model.state.todos.map((t) => t.id);
+  const byTitle = (title) => model.state.todos.find((t) => t.title === title);
+  model.toggleTodo(byTitle('D').id);
+  const ids = [byTitle('B').id, byTitle('D').id];
+  assert.ok(model.moveTodosToList(ids, homeId));
+  const listTitles = (id) =>
+    model.state.lists.find((l) => l.id === id).todos.map((t) => t.title);
+
+  model.switchList(homeId);
+  assert.deepEqual(model.state.todos.map((t) => t.title), ['B', 'D', 'Home only']);
+  model.undo();
+  assert.equal(model.state.activeListId, workId, 'Back on the list the move was made from');
+  assert.deepEqual(model.state.todos.map((t) => t.id), order, 'Same IDs, same places');
+  assert.ok(byTitle('D').completed, 'Keeps its completion');
+  assert.deepEqual(listTitles(homeId), ['Home only']);
+
+  model.redo();
+  assert.deepEqual(listTitles(workId), ['A', 'C']);
+  assert.deepEqual(listTitles(homeId), ['B', 'D', 'Home only']);
+  model.undo();
+  model.load();
+  assert.deepEqual(listTitles(workId), ['A', 'B', 'C', 'D'], 'Stored');
+  assert.deepEqual(listTitles(homeId), ['Home only']);
+});
+
+/* ==========================================================================
+   Model: Subtask Tests
+   ========================================================================== */
+
+testRunner.test('model.addSubtask: appends an open subtask', () => {
+  resetState();
+  model.addTodo('Release v2');
+  const id = model.state.todos[0].id;
+  model.addSubtask(id, ' Build ');
+  model.addSubtask(id, 'Tag');
+  const subtasks = model.state.todos[0].subtasks;
+  assert.deepEqual(subtasks.map((s) => s.title), ['Build', 'Tag']);
+  assert.equal(subtasks[0].completed, false);
+  assert.notOk(model.addSubtask(id, '   '));
+  assert.notOk(model.addSubtask('missing', 'Publish'));
+  assert.equal(model.getUndoLabel(), 'Added subtask \u201cTag\u201d');
+});
+
+testRunner.test('model.toggleSubtask: completing the last subtask completes the parent', () => {
+  resetState();
+  model.addTodo('Release v2');
+  const id = model.state.todos[0].id;
+  model.addSubtask(id, 'Build');
+  model.addSubtask(id, 'Publish');
+  const [build, publish] = model.state.todos[0].subtasks;
+
+  model.toggleSubtask(id, build.id);
+  assert.equal(model.state.todos[0].completed, false);
+  model.toggleSubtask(id, publish.id);
+  assert.equal(model.state.todos[0].completed, true);
+  assert.equal(typeof model.state.todos[0].completedAt, 'number');
+
+  model.toggleSubtask(id, build.id);
+  assert.equal(model.state.todos[0].completed, false, 'Reopening a subtask reopens the parent');
+  assert.equal(model.state.todos[0].completedAt, null);
+});
+
+testRunner.test('model.toggleTodo: leaves subtasks unchanged', () => {
+  resetState();
+  model.addTodo('Release v2');
+  const id = model.state.todos[0].id;
+  model.addSubtask(id, 'Build');
+  model.toggleTodo(id);
+  assert.equal(model.state.todos[0].completed, true);
+  assert.equal(model.state.todos[0].subtasks[0].completed, false);
+});
+
+testRunner.test('model.addSubtask: adding to a completed todo reopens it', () => {
+  resetState();
+  model.addTodo('Release v2');
+  const id = model.state.todos[0].id;
+  model.toggleTodo(id);
+  model.addSubtask(id, 'Write notes');
+  assert.equal(model.state.todos[0].completed, false);
+});
+
+testRunner.test('model.deleteSubtask: removes it and can complete the parent', () => {
+  resetState();
+  model.addTodo('Release v2');
+  const id = model.state.todos[0].id;
+  model.addSubtask(id, 'Build');
+  model.addSubtask(id, 'Optional step');
+  const [build, optional] = model.state.todos[0].subtasks;
+  model.toggleSubtask(id, build.id);
+
+  model.deleteSubtask(id, optional.id);
+  assert.deepEqual(model.state.todos[0].subtasks.map((s) => s.title), ['Build']);
+  assert.equal(model.state.todos[0].completed, true);
+  assert.notOk(model.deleteSubtask(id, optional.id));
+});
+
+testRunner.test('model.getActiveCount: counts top-level todos only', () => {
+  resetState();
+  model.addTodo('Release v2');
+  const id = model.state.todos[0].id;
+  model.addSubtask(id, 'Build');
+  model.addSubtask(id, 'Publish');
+  assert.equal(model.getActiveCount(), 1);
+});
+
+testRunner.test('model.load: drops malformed subtasks', () => {
+  resetState();
+  const list = {
+    ...createEmptyList('Stored'),
+    todos: [
+      {
+        id: 'a',
+        title: 'Task',
+        completed: false,
+        createdAt: 1,
+        subtasks: [{ id: 's1', title: 'Ok', completed: 1 }, { id: 2, title: 'Bad' }, null]
+      }
+    ]
+  };
+  model.storage.writeLists([list]);
+  model.storage.setItem(ACTIVE_LIST_KEY, list.id);
+  model.load();
+  assert.deepEqual(model.state.todos[0].subtasks, [{ id: 's1', title: 'Ok', completed: true }]);
+});
+
+/* ==========================================================================
+   Notes Tests
+   ========================================================================== */
+
+testRunner.test('parseNotes: paragraphs, lists and fenced code', () => {
+  const blocks = parseNotes('Steps:\nsee below\n\n- one\n- two\n1. first\n```\n<b>raw</b>\n```');
+  assert.deepEqual(blocks.map((b) => b.type), ['paragraph', 'list', 'list', 'code']);
+  assert.deepEqual(blocks[0].children, [{ type: 'text', text: 'Steps:\nsee below' }]);
+  assert.equal(blocks[1].ordered, false);
+  assert.deepEqual(blocks[1].items.map((item) => item[0].text), ['one', 'two']);
+  assert.equal(blocks[2].ordered, true);
+  assert.equal(blocks[3].text, '<b>raw</b>');
+  assert.equal(parseNotes('```\nnever closed').pop().text, 'never closed');
+});
+
+testRunner.test('parseNoteInline: formatting, and links limited to safe protocols', () => {
+  const em = { type: 'em', children: [{ type: 'text', text: 'and em' }] };
+  assert.deepEqual(parseNoteInline('**Bold _and em_** `a*b*`'), [
+    { type: 'strong', children: [{ type: 'text', text: 'Bold ' }, em] },
+    { type: 'text', text: ' ' },
+    { type: 'code', text: 'a*b*' }
+  ]);
+  assert.deepEqual(parseNoteInline('snake_case_name'), [{ type: 'text', text: 'snake_case_name' }]);
+  assert.deepEqual(parseNoteInline('[Docs](https://example.com/a)')[0], {
+    type: 'link', href: 'https://example.com/a', children: [{ type: 'text', text: 'Docs' }]
+  });
+  assert.equal(parseNoteInline('see https://example.com/x.')[1].href, 'https://example.com/x');
+  assert.deepEqual(parseNoteInline('[x](javascript:alert)'),
+    [{ type: 'text', text: '[x](javascript:alert)' }]);
+  const [link] = parseNoteInline('[see https://a.example](https://b.example)');
+  assert.equal(link.href, 'https://b.example/');
+  assert.ok(link.children.every((node) => node.type === 'text'), 'No nested links');
+});
+
+testRunner.test('model.editTodo: sets notes and keeps them when other fields change', () => {
+  resetState();
+  model.addTodo('Fix bug', { notes: 'Repro:\n1. open' });
+  const id = model.state.todos[0].id;
+  model.editTodo(id, 'Fix bug', { priority: 'high' });
+  assert.equal(model.state.todos[0].notes, 'Repro:\n1. open');
+  assert.ok(model.editTodo(id, 'Fix bug', { notes: '  ' }));
+  assert.equal(model.state.todos[0].notes, '');
+  assert.notOk(model.editTodo(id, 'Fix bug', { notes: 'x'.repeat(NOTES_MAX_LENGTH + 1) }));
+  model.undo();
+  assert.equal(model.state.todos[0].notes, 'Repro:\n1. open');
+  model.load();
+  assert.equal(model.state.todos[0].notes, 'Repro:\n1. open');
+});
+
+/* ==========================================================================
+   Model: Recurrence Tests
+   ========================================================================== */
+
+testRunner.test('getNextDueDate: next occurrence after the due date, not in the past', () => {
+  const daily = { type: 'daily' };
+  assert.equal(getNextDueDate(daily, '2024-05-15', '2024-05-15'), '2024-05-16');
+  assert.equal(getNextDueDate(daily, '2024-05-10', '2024-05-15'), '2024-05-15', 'Catches up');
+  assert.equal(getNextDueDate(daily, null, '2024-05-15'), '2024-05-16');
+  const everyThree = { type: 'interval', days: 3 };
+  assert.equal(getNextDueDate(everyThree, '2024-05-10', '2024-05-15'), '2024-05-16');
+  const mondays = { type: 'weekly', days: [1] };
+  assert.equal(getNextDueDate(mondays, '2024-05-13', '2024-05-15'), '2024-05-20');
+});
+
+testRunner.test('createNextOccurrence: open copy with a new due date and fresh checklist', () => {
+  const todo = {
+    id: 'a',
+    title: 'Standup',
+    completed: true,
+    completedAt: 5,
+    createdAt: 1,
+    dueDate: '2024-05-15',
+    dueTime: '09:30',
+    tags: ['work'],
+    priority: 'high',
+    recurrence: { type: 'weekdays' },
+    subtasks: [{ id: 's', title: 'Notes', completed: true }]
+  };
+  const now = parseDayKey('2024-05-15').getTime() + 12 * 3600000;
+  const next = createNextOccurrence(todo, now);
+  assert.ok(next.id !== 'a', 'New ID');
+  assert.equal(next.completed, false);
+  assert.equal(next.completedAt, null);
+  assert.equal(next.createdAt, now);
+  assert.equal(next.dueDate, '2024-05-16');
+  assert.equal(next.dueTime, '09:30');
+  assert.deepEqual(next.tags, ['work']);
+  assert.deepEqual(next.recurrence, { type: 'weekdays' });
+  assert.equal(next.subtasks[0].completed, false);
+});
+
+testRunner.test('parseRecurrenceInput: builds rules from the edit-mode inputs', () => {
+  assert.deepEqual(parseRecurrenceInput('none', 'ignored'), { rule: null });
+  assert.deepEqual(parseRecurrenceInput('daily', ''), { rule: { type: 'daily' } });
+  assert.deepEqual(parseRecurrenceInput('weekly', 'thu, Mon mon'), {
+    rule: { type: 'weekly', days: [1, 4] }
+  });
+  assert.deepEqual(parseRecurrenceInput('monthly', '15'), { rule: { type: 'monthly', day: 15 } });
+  assert.deepEqual(parseRecurrenceInput('interval', ' 10 '), {
+    rule: { type: 'interval', days: 10 }
+  });
+  assert.equal(parseRecurrenceInput('weekly', 'someday'), null);
+  assert.equal(parseRecurrenceInput('monthly', '32'), null);
+  assert.equal(parseRecurrenceInput('interval', '2.5'), null);
+  assert.equal(parseRecurrenceInput('yearly', ''), null);
+});
+
+testRunner.test('formatRecurrenceDetail: round-trips with parseRecurrenceInput', () => {
+  const rules = [
+    { type: 'weekly', days: [1, 4] },
+    { type: 'monthly', day: 31 },
+    { type: 'interval', days: 3 },
+    { type: 'weekdays' }
+  ];
+  rules.forEach((rule) => {
+    assert.deepEqual(parseRecurrenceInput(rule.type, formatRecurrenceDetail(rule)), { rule });
+  });
+  assert.equal(formatRecurrenceDetail(null), '');
+});
+
+testRunner.test('SAM flow: completing a recurring todo creates the next one', () => {
+  resetState();
+  model.addTodo('Water plants', { dueDate: dayFromToday(0), recurrence: { type: 'daily' } });
+  model.addTodo('Other');
+  const original = model.state.todos.find((t) => t.title === 'Water plants');
+  assert.equal(model.toggleTodo(original.id).todos.length, 2, 'Not by the model method');
+  model.undo();
+  sam.present({ type: 'toggleTodo', id: original.id });
+
+  assert.equal(model.state.todos.length, 3);
+  const next = model.state.todos[0];
+  assert.equal(next.title, 'Water plants');
+  assert.equal(next.completed, false);
+  assert.equal(next.dueDate, dayFromToday(1));
+  assert.deepEqual(next.recurrence, { type: 'daily' });
+  const done = model.state.todos.find((t) => t.id === original.id);
+  assert.equal(done.completed, true);
+  assert.equal(done.recurrence, null, 'The series moves to the new instance');
+});
+
+testRunner.test('SAM flow: reopening a recurring todo does not create another instance', () => {
+  resetState();
+  model.addTodo('Water plants', { dueDate: dayFromToday(0), recurrence: { type: 'daily' } });
+  const id = model.state.todos[0].id;
+  sam.present({ type: 'toggleTodo', id });
+  sam.present({ type: 'toggleTodo', id });
+  sam.present({ type: 'toggleTodo', id });
+  assert.equal(model.state.todos.length, 2);
+});
+
+testRunner.test('model.undo: undoing a recurring completion removes the next instance', () => {
+  resetState();
+  model.addTodo('Water plants', { dueDate: dayFromToday(0), recurrence: { type: 'daily' } });
+  sam.present({ type: 'toggleTodo', id: model.state.todos[0].id });
+  assert.equal(model.state.todos.length, 2);
+  model.undo();
+  assert.equal(model.state.todos.length, 1);
+  assert.equal(model.state.todos[0].completed, false);
+  assert.deepEqual(model.state.todos[0].recurrence, { type: 'daily' });
+  sam.present({ type: 'redo' });
+  assert.equal(model.state.todos.length, 2, 'Redone together, without another instance');
+  assert.equal(model.state.todos.filter((t) => t.recurrence).length, 1);
+});
+
+testRunner.test('SAM flow: the next instance of an unarchived todo archives when due', () => {
+  resetState();
+  addCompletedTodo('Water plants', 10, { recurrence: { type: 'daily' } });
+  model.setArchiveAfter(7);
+  model.autoArchive(Date.now());
+  const { id } = model.state.archive[0];
+  model.unarchiveTodos([id]);
+  sam.present({ type: 'toggleTodo', id });
+  sam.present({ type: 'toggleTodo', id });
+  assert.equal(model.state.todos.length, 2);
+
+  const next = model.state.todos[0];
+  assert.notOk('archivedAt' in next, 'Not marked as unarchived');
+  assert.notOk('deletedAt' in next);
+  model.toggleTodo(next.id);
+  model.save({
+    ...model.state,
+    todos: model.state.todos.map((t) =>
+      (t.id === next.id ? { ...t, completedAt: t.completedAt - 8 * DAY_MS } : t)
+    )
+  });
+  assert.ok(model.autoArchive(Date.now()));
+  assert.deepEqual(model.state.archive.map((t) => t.id), [next.id]);
+});
+
+testRunner.test('SAM flow: finishing a recurring checklist creates the next one', () => {
+  resetState();
+  model.addTodo('Weekly review', { recurrence: { type: 'weekly', days: [5] } });
+  const id = model.state.todos[0].id;
+  model.addSubtask(id, 'Inbox zero');
+  const subtaskId = model.state.todos[0].subtasks[0].id;
+  assert.equal(model.toggleSubtask(id, subtaskId).todos.length, 1, 'Not by the model method');
+  model.undo();
+  sam.present({ type: 'toggleSubtask', todoId: id, subtaskId });
+  assert.equal(model.state.todos.length, 2);
+  assert.equal(model.state.todos[0].subtasks[0].completed, false);
+  assert.equal(parseDayKey(model.state.todos[0].dueDate).getDay(), 5);
+  model.undo();
+  assert.equal(model.state.todos.length, 1, 'Undone in one step');
+
+  model.addSubtask(id, 'Plan the week');
+  model.toggleSubtask(id, model.state.todos[0].subtasks[1].id);
+  sam.present({ type: 'deleteSubtask', todoId: id, subtaskId });
+  assert.equal(model.state.todos.length, 2, 'Deleting the last open subtask continues it too');
+  assert.equal(model.state.todos.find((t) => t.id === id).recurrence, null);
+});
+
+testRunner.test('model.editTodo: changes or stops a series', () => {
+  resetState();
+  model.addTodo('Rent', { dueDate: '2024-06-01', recurrence: { type: 'monthly', day: 1 } });
+  const id = model.state.todos[0].id;
+  model.editTodo(id, 'Rent', { recurrence: { type: 'monthly', day: 5 } });
+  assert.deepEqual(model.state.todos[0].recurrence, { type: 'monthly', day: 5 });
+  model.editTodo(id, 'Rent', { recurrence: null });
+  assert.equal(model.state.todos[0].recurrence, null);
+  model.toggleTodo(id);
+  assert.equal(model.state.todos.length, 1, 'Stopped series does not continue');
+});
+
+/* ==========================================================================
+   Export / Import Tests
+   ========================================================================== */
+
+/**
+ * Seeds two lists with a variety of todo fields for export tests.
+ * @returns {string} ID of the first list
+ */
+function seedExportData() {
+  resetState();
+  model.addTodo('Release v2', {
+    dueDate: '2024-06-01',
+    dueTime: '09:00',
+    tags: ['work'],
+    priority: 'high',
+    recurrence: { type: 'weekly', days: [1] },
+    notes: 'Check the **changelog**\n\n- then tag'
+  });
+  model.addSubtask(model.state.todos[0].id, 'Tag, then "publish"');
+  model.addTodo('=SUM(A1)');
+  model.toggleTodo(model.state.todos[0].id);
+  const firstId = model.state.activeListId;
+  model.createList('Home');
+  model.addTodo('Water plants');
+  model.switchList(firstId);
+  return firstId;
+}
+
+testRunner.test('exportToJson: versioned backup of all lists and preferences', () => {
+  const firstId = seedExportData();
+  model.setSortOrder('priority');
+  const data = JSON.parse(exportToJson(model.state, 0));
+  assert.equal(data.format, EXPORT_FORMAT);
+  assert.equal(data.version, EXPORT_VERSION);
+  assert.equal(data.exportedAt, '1970-01-01T00:00:00.000Z');
+  assert.equal(data.activeListId, firstId);
+  assert.equal(data.sortOrder, 'priority');
+  assert.deepEqual(data.lists.map((l) => l.name), ['My Todos', 'Home']);
+  assert.equal(data.lists[0].todos.length, 2);
+});
+
+testRunner.test('exportToCsv: quotes fields and defuses formulas', () => {
+  seedExportData();
+  const csv = exportToCsv(model.state.lists);
+  const lines = csv.trim().split('\r\n');
+  assert.equal(lines[0], CSV_COLUMNS.join(','));
+  assert.equal(lines.length, 4);
+  assert.ok(lines.some((l) => l.startsWith("My Todos,") && l.includes(",'=SUM(A1),")));
+  assert.ok(csv.includes('\\""publish\\""'), 'Quotes are doubled');
+});
+
+testRunner.test('exportToMarkdown: checklist with headings, notes and subtasks', () => {
+  seedExportData();
+  const markdown = exportToMarkdown(model.state.lists);
+  assert.equal(
+    markdown,
+    '# My Todos\n\n- [x] =SUM(A1)\n- [ ] Release v2\n' +
+      '  > Check the **changelog**\n  >\n  > - then tag\n  - [ ] Tag, then "publish"\n\n' +
+      '# Home\n\n- [ ] Water plants\n'
+  );
+  const [, release] = parseImportFile(markdown, 'todo.md').lists[0].todos;
+  assert.equal(release.notes, model.state.todos[1].notes, 'Notes round-trip');
+  assert.deepEqual(release.subtasks.map((s) => s.title), ['Tag, then "publish"']);
+});
+
+testRunner.test('parseCsv: handles quotes, commas and line breaks in fields', () => {
+  const rows = parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n\nlast,\n');
+  assert.deepEqual(rows, [['a', 'b'], ['x, y', 'say "hi"\nthere'], ['last', '']]);
+});
+
+testRunner.test('parseImportFile: JSON export round-trips', () => {
+  seedExportData();
+  const data = parseImportFile(exportToJson(model.state, 0), 'backup.json');
+  const ids = (lists) => lists.map((l) => [l.id, l.name, l.todos.map((t) => t.id)]);
+  assert.deepEqual(ids(data.lists), ids(model.state.lists));
+  assert.deepEqual(data.lists[0].todos[1].subtasks, model.state.todos[1].subtasks);
+  assert.equal(data.activeListId, model.state.activeListId);
+});
+
+testRunner.test('parseImportFile: CSV export round-trips todo fields', () => {
+  seedExportData();
+  const data = parseImportFile(exportToCsv(model.state.lists), 'backup.csv');
+  assert.deepEqual(data.lists.map((l) => l.name), ['My Todos', 'Home']);
+  const imported = data.lists[0].todos;
+  const original = model.state.lists[0].todos;
+  CSV_COLUMNS.slice(1).forEach((column) => {
+    const field = (t) => JSON.stringify(t[column] ?? null);
+    assert.deepEqual(imported.map(field), original.map(field), column);
+  });
+});
+
+testRunner.test('parseImportFile: Markdown checklist becomes lists and subtasks', () => {
+  const text =
+    '# Work\n- [x] Ship\n  - [ ] Notes\n* [ ] Review\nNot a task\n\n# Home\n- [ ] Cook\n';
+  const data = parseImportFile(text, 'todo.md', 1000);
+  assert.deepEqual(data.lists.map((l) => l.name), ['Work', 'Home']);
+  const [ship, review] = data.lists[0].todos;
+  assert.equal(ship.completed, true);
+  assert.equal(ship.completedAt, 1000);
+  assert.deepEqual(ship.subtasks.map((s) => s.title), ['Notes']);
+  assert.equal(review.title, 'Review');
+});
+
+testRunner.test('parseImportFile: validates records like model.load', () => {
+  const legacy = JSON.stringify([
+    { id: 'a', title: 'Ok', dueDate: 'someday', tags: ['Bad tag'], recurrence: { type: 'x' } },
+    { id: 5, title: 'No string ID' },
+    { id: 'b', title: '   ' }
+  ]);
+  const data = parseImportFile(legacy, 'todos.json');
+  assert.equal(data.lists[0].todos.length, 1);
+  const [todo] = data.lists[0].todos;
+  assert.equal(todo.dueDate, null);
+  assert.deepEqual(todo.tags, []);
+  assert.equal(todo.recurrence, null);
+});
+
+testRunner.test('parseImportFile: rejects unreadable, empty or newer files', () => {
+  assert.equal(parseImportFile('{not json', 'a.json'), null);
+  assert.equal(parseImportFile('just some notes', 'notes.txt'), null);
+  const newer = JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION + 1, lists: [] });
+  assert.equal(parseImportFile(newer, 'future.json'), null);
+});
+
+testRunner.test('mergeLists: skips duplicate IDs and matches lists by ID or name', () => {
+  const existing = [
+    { ...createEmptyList('Work'), todos: [{ id: 'a', title: 'A', order: 0 }] }
+  ];
+  const imported = [
+    { ...createEmptyList('work'), todos: [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }] },
+    { ...createEmptyList('Errands'), todos: [{ id: 'c', title: 'C' }] }
+  ];
+  const { lists, added, duplicates } = mergeLists(existing, imported);
+  assert.equal(added, 2);
+  assert.equal(duplicates, 1);
+  assert.deepEqual(lists[0].todos.map((t) => t.id), ['a', 'b']);
+  assert.deepEqual(lists[0].todos.map((t) => t.order), [0, 1]);
+  assert.equal(lists[1].name, 'Errands');
+});
+
+testRunner.test('model.importData: merge keeps current lists and adds new todos', () => {
+  seedExportData();
+  const data = parseImportFile(exportToJson(model.state, 0), 'backup.json');
+  data.lists[1].todos.push({ ...data.lists[1].todos[0], id: 'new', title: 'Repot' });
+  const activeId = model.state.activeListId;
+  model.addTodo('Before import');
+
+  model.importData(data, 'merge');
+  assert.equal(model.state.activeListId, activeId);
+  assert.equal(model.state.todos.length, 3, 'Nothing removed');
+  const home = model.state.lists.find((l) => l.name === 'Home');
+  assert.deepEqual(home.todos.map((t) => t.title), ['Water plants', 'Repot']);
+  assert.equal(model.getUndoLabel(), null, 'History cleared');
+});
+
+testRunner.test('model.importData: replace swaps in the imported lists', () => {
+  seedExportData();
+  const data = parseImportFile('# Errands\n- [ ] Post office\n', 'list.md');
+  model.importData(data, 'replace');
+  assert.deepEqual(model.state.lists.map((l) => l.name), ['Errands']);
+  assert.deepEqual(model.state.todos.map((t) => t.title), ['Post office']);
+  assert.equal(getStoredActiveList().name, 'Errands');
+  assert.notOk(model.importData(data, 'append'));
+});
+
+/* ==========================================================================
+   Model: Tag Tests
+   ========================================================================== */
+
+testRunner.test('parseTagList: normalizes separators, "#" and case', () => {
+  assert.deepEqual(parseTagList(' Work, #bug  home,work '), ['work', 'bug', 'home']);
+  assert.deepEqual(parseTagList(''), []);
+});
+
+testRunner.test('isValidTag: accepts lowercase words only', () => {
+  assert.ok(isValidTag('work'));
+  assert.ok(isValidTag('q3-review_2'));
+  assert.notOk(isValidTag('Work'));
+  assert.notOk(isValidTag('two words'));
+  assert.notOk(isValidTag(''));
+  assert.notOk(isValidTag('a'.repeat(41)));
+});
+
+testRunner.test('getTagColor: custom color or a stable palette color', () => {
+  assert.equal(getTagColor('work', { work: '#123456' }), '#123456');
+  assert.equal(getTagColor('home', {}), getTagColor('home', {}));
+  assert.ok(TAG_PALETTE.includes(getTagColor('home', {})));
+});
+
+testRunner.test('getContrastTextColor: dark text on light colors', () => {
+  assert.equal(getContrastTextColor('#ffff00'), '#000');
+  assert.equal(getContrastTextColor('#1565c0'), '#fff');
+});
+
+testRunner.test('model.editTodo: replaces tags and rejects invalid ones', () => {
+  resetState();
+  model.addTodo('Task', { tags: ['work'], dueDate: '2024-05-15' });
+  const id = model.state.todos[0].id;
+  model.editTodo(id, 'Task', { tags: ['home', 'errand'] });
+  assert.deepEqual(model.state.todos[0].tags, ['home', 'errand']);
+  assert.equal(model.state.todos[0].dueDate, '2024-05-15', 'Other fields unchanged');
+  assert.notOk(model.editTodo(id, 'Task', { tags: ['not valid'] }));
+});
+
+testRunner.test('model.getFilteredTodos: tag filter with any/all matching', () => {
+  resetState();
+  model.addTodo('Both', { tags: ['work', 'urgent'] });
+  model.addTodo('Work only', { tags: ['work'] });
+  model.addTodo('Untagged');
+
+  model.toggleTagFilter('work');
+  model.toggleTagFilter('urgent');
+  assert.equal(model.getFilteredTodos().length, 2, 'Any: todos with either tag');
+
+  model.setTagMatchMode('all');
+  const titles = model.getFilteredTodos().map((t) => t.title);
+  assert.deepEqual(titles, ['Both'], 'All: todos with both tags');
+
+  model.toggleTagFilter('urgent');
+  assert.equal(model.getFilteredTodos().length, 2, 'Deselecting narrows the selection');
+  model.clearTagFilter();
+  assert.equal(model.getFilteredTodos().length, 3);
+});
+
+testRunner.test('model.getFilteredTodos: tag filter combines with the status filter', () => {
+  resetState();
+  model.addTodo('Done work', { tags: ['work'] });
+  model.addTodo('Open work', { tags: ['work'] });
+  model.addTodo('Open home', { tags: ['home'] });
+  model.toggleTodo(model.state.todos.find((t) => t.title === 'Done work').id);
+
+  model.setFilter('active');
+  model.toggleTagFilter('work');
+  const titles = model.getFilteredTodos().map((t) => t.title);
+  assert.deepEqual(titles, ['Open work']);
+});
+
+testRunner.test('model.setTagMatchMode: rejects unknown modes', () => {
+  resetState();
+  assert.notOk(model.setTagMatchMode('some'));
+  assert.equal(model.state.tagMatchMode, 'any');
+});
+
+testRunner.test('model: tag filter is kept per list and persisted', () => {
+  resetState();
+  model.addTodo('Tagged', { tags: ['work'] });
+  model.toggleTagFilter('work');
+  model.setTagMatchMode('all');
+  const firstId = model.state.activeListId;
+  model.createList('Other');
+  assert.deepEqual(model.state.selectedTags, []);
+
+  model.switchList(firstId);
+  assert.deepEqual(model.state.selectedTags, ['work']);
+  const stored = getStoredActiveList();
+  assert.deepEqual(stored.selectedTags, ['work']);
+  assert.equal(stored.tagMatchMode, 'all');
+});
+
+testRunner.test('model.renameTag: renames across lists and merges duplicates', () => {
+  resetState();
+  model.addTodo('Both', { tags: ['job', 'work'] });
+  model.setTagColor('job', '#123456');
+  model.toggleTagFilter('job');
+  const firstId = model.state.activeListId;
+  model.createList('Other');
+  model.addTodo('Elsewhere', { tags: ['job'] });
+
+  model.renameTag('job', '#Work');
+  assert.deepEqual(model.state.todos[0].tags, ['work']);
+  model.switchList(firstId);
+  assert.deepEqual(model.state.todos[0].tags, ['work'], 'Duplicate merged');
+  assert.deepEqual(model.state.selectedTags, ['work'], 'Selection follows the rename');
+  assert.equal(model.state.tagColors.work, '#123456', 'Color follows the rename');
+  assert.notOk('job' in model.state.tagColors);
+  assert.deepEqual(model.getAllTags(), ['work']);
+});
+
+testRunner.test('model.renameTag: rejects invalid names and unknown tags', () => {
+  resetState();
+  model.addTodo('Task', { tags: ['work'] });
+  assert.notOk(model.renameTag('work', 'two words'));
+  assert.notOk(model.renameTag('missing', 'other'));
+  assert.deepEqual(model.state.todos[0].tags, ['work']);
+});
+
+testRunner.test('model.deleteTag: removes the tag everywhere', () => {
+  resetState();
+  model.addTodo('Task', { tags: ['work', 'home'] });
+  model.toggleTagFilter('work');
+  model.setTagColor('work', '#123456');
+  model.deleteTag('work');
+  assert.deepEqual(model.state.todos[0].tags, ['home']);
+  assert.deepEqual(model.state.selectedTags, []);
+  assert.notOk('work' in model.state.tagColors);
+});
+
+testRunner.test('model.setTagColor: validates and persists colors', () => {
+  resetState();
+  assert.notOk(model.setTagColor('work', 'red'));
+  model.setTagColor('work', '#AABBCC');
+  assert.equal(model.state.tagColors.work, '#aabbcc');
+  assert.deepEqual(JSON.parse(model.storage.getItem(TAG_COLORS_KEY)), { work: '#aabbcc' });
+  model.load();
+  assert.equal(model.state.tagColors.work, '#aabbcc');
+});
+
+testRunner.test('model.load: drops malformed stored tags', () => {
+  resetState();
+  const list = {
+    ...createEmptyList('Stored'),
+    todos: [{ id: 'a', title: 'Task', completed: false, createdAt: 1, tags: ['ok', 'Bad tag'] }],
+    selectedTags: ['ok', 42],
+    tagMatchMode: 'bogus'
+  };
+  model.storage.writeLists([list]);
+  model.storage.setItem(ACTIVE_LIST_KEY, list.id);
+  model.load();
+  assert.deepEqual(model.state.todos[0].tags, ['ok']);
+  assert.deepEqual(model.state.selectedTags, ['ok']);
+  assert.equal(model.state.tagMatchMode, 'any');
+});
+
+testRunner.test('renderTodoList: shows colored tag chips', () => {
+  resetState();
+  model.addTodo('Tagged', { tags: ['work'] });
+  model.setTagColor('work', '#ffff00');
+  renderState();
+  const chip = document.querySelector('#todo-list .todo-tag');
+  assert.equal(chip.dataset.tag, 'work');
+  assert.equal(chip.textContent, '#work');
+  assert.equal(chip.style.color, 'rgb(0, 0, 0)');
+  resetState();
+  renderState();
+});
+
+/* ==========================================================================
+   Model: Calendar Tests
+   ========================================================================== */
+
+/**
+ * Seeds completed todos with fixed completion times.
+ * @param {Array<number>} completionTimes - completedAt timestamps
+ */
+function seedCompletedTodos(completionTimes) {
+  completionTimes.forEach((completedAt, i) => {
+    model.state.todos.push({
+      id: 'done-' + i,
+      title: 'Done ' + i,
+      completed: true,
+      createdAt: completedAt,
+      completedAt
+    });
+  });
+}
+
+testRunner.test('model.getWeekCompletions: counts completions per day', () => {
+  resetState();
+  seedCompletedTodos([
+    new Date(2024, 4, 13, 9).getTime(),
+    new Date(2024, 4, 13, 18).getTime(),
+    new Date(2024, 4, 19, 23).getTime(),
+    new Date(2024, 4, 20, 1).getTime() // Following week
+  ]);
+  model.state.calendarWeekStart = '2024-05-13';
+
+  const days = model.getWeekCompletions();
+  assert.equal(days.length, 7);
+  assert.equal(days[0].dayKey, '2024-05-13');
+  assert.equal(days[0].count, 2);
+  assert.equal(days[1].count, 0);
+  assert.equal(days[6].dayKey, '2024-05-19');
+  assert.equal(days[6].count, 1);
+});
+
+testRunner.test('model.getWeekCompletions: ignores active and unstamped todos', () => {
+  resetState();
+  model.state.calendarWeekStart = getWeekStart(Date.now());
+  model.addTodo('Active');
+  model.state.todos.push({ id: 'legacy', title: 'Legacy', completed: true, createdAt: 1 });
+  const total = model.getWeekCompletions().reduce((sum, d) => sum + d.count, 0);
+  assert.equal(total, 0);
+});
+
+testRunner.test('model.shiftCalendarWeek: moves by whole weeks', () => {
+  resetState();
+  model.state.calendarWeekStart = '2024-05-13';
+  model.shiftCalendarWeek(-1);
+  assert.equal(model.state.calendarWeekStart, '2024-05-06');
+  model.shiftCalendarWeek(2);
+  assert.equal(model.state.calendarWeekStart, '2024-05-20');
+});
+
+testRunner.test('model.shiftCalendarWeek: keeps the week in memory only', () => {
+  resetState();
+  const save = model.save;
+  let saves = 0;
+  model.save = function (newState) {
+    saves++;
+    return save.call(this, newState);
+  };
+  try {
+    model.shiftCalendarWeek(-1);
+    assert.equal(saves, 0);
+  } finally {
+    model.save = save;
+  }
+});
+
+testRunner.test('model.shiftCalendarWeek: rejects non-integer offsets', () => {
+  resetState();
+  assert.notOk(model.shiftCalendarWeek(0));
+  assert.notOk(model.shiftCalendarWeek(1.5));
+  assert.notOk(model.shiftCalendarWeek('1'));
+});
+
+testRunner.test('model.getFilteredTodos: "day" returns todos completed that day', () => {
+  resetState();
+  seedCompletedTodos([
+    new Date(2024, 4, 15, 8).getTime(),
+    new Date(2024, 4, 16, 8).getTime()
+  ]);
+  model.setFilter('day', '2024-05-15');
+  const filtered = model.getFilteredTodos();
+  assert.equal(filtered.length, 1);
+  assert.equal(filtered[0].id, 'done-0');
+});
+
+/* ==========================================================================
+   Model: Undo/Redo Tests
+   ========================================================================== */
+
+testRunner.test('model.undo: reverts the last change', () => {
+  resetState();
+  model.addTodo('Keep');
+  model.addTodo('Oops');
+  const result = model.undo();
+  assert.ok(result);
+  assert.equal(model.state.todos.length, 1);
+  assert.equal(model.state.todos[0].title, 'Keep');
+});
+
+testRunner.test('model.undo: returns null when there is nothing to undo', () => {
+  resetState();
+  assert.notOk(model.undo());
+  assert.notOk(model.redo());
+});
+
+testRunner.test('model.redo: re-applies an undone change', () => {
+  resetState();
+  model.addTodo('Task');
+  const id = model.state.todos[0].id;
+  model.deleteTodo(id);
+  model.undo();
+  assert.equal(model.state.todos.length, 1);
+  model.redo();
+  assert.equal(model.state.todos.length, 0);
+});
+
+testRunner.test('model.undo: restores completed todos removed by clearCompleted', () => {
+  resetState();
+  model.addTodo('Done');
+  const id = model.state.todos[0].id;
+  model.toggleTodo(id);
+  const completedAt = model.state.todos[0].completedAt;
+  model.clearCompleted();
+  model.undo();
+  assert.equal(model.state.todos[0].completed, true);
+  assert.equal(model.state.todos[0].completedAt, completedAt);
+});
+
+testRunner.test('model.save: a new change clears the redo stack', () => {
+  resetState();
+  model.addTodo('One');
+  model.undo();
+  assert.equal(model.getRedoLabel(), 'Added \u201cOne\u201d');
+  model.addTodo('Two');
+  assert.equal(model.getRedoLabel(), null);
+});
+
+testRunner.test('model history: labels describe each change', () => {
+  resetState();
+  model.addTodo('Task');
+  const id = model.state.todos[0].id;
+  assert.equal(model.getUndoLabel(), 'Added \u201cTask\u201d');
+  model.toggleTodo(id);
+  assert.equal(model.getUndoLabel(), 'Completed \u201cTask\u201d');
+  model.toggleTodo(id);
+  assert.equal(model.getUndoLabel(), 'Reopened \u201cTask\u201d');
+  model.editTodo(id, 'Renamed');
+  assert.equal(model.getUndoLabel(), 'Edited \u201cRenamed\u201d');
+  model.deleteTodo(id);
+  assert.equal(model.getUndoLabel(), 'Deleted \u201cRenamed\u201d');
+});
+
+testRunner.test('model history: filter changes and no-op clears are not recorded', () => {
+  resetState();
+  model.addTodo('Task');
+  model.setFilter('active');
+  model.clearCompleted();
+  assert.equal(model.history.past.length, 1);
+});
+
+testRunner.test('model history: is bounded to HISTORY_LIMIT entries', () => {
+  resetState();
+  for (let i = 0; i < HISTORY_LIMIT + 5; i++) {
+    model.addTodo('Todo ' + i);
+  }
+  assert.equal(model.history.past.length, HISTORY_LIMIT);
+});
+
+testRunner.test('model history: stores only the todos a change touched', () => {
+  resetState();
+  const count = 3000;
+  const todos = [];
+  for (let i = 0; i < count; i++) {
+    todos.push({ id: 'todo-' + i, title: 'Todo ' + i, completed: false, createdAt: i });
+  }
+  model.save({ ...model.state, todos });
+
+  for (let i = 0; i < 20; i++) model.toggleTodo('todo-' + i);
+  const stored = JSON.stringify(model.storage.readHistory());
+  assert.equal(model.history.past.length, 20);
+  assert.ok(stored.length < 20 * 1000, 'History takes ' + stored.length + ' characters');
+
+  model.undo();
+  assert.deepEqual(model.state.todos.map((t) => t.id), todos.map((t) => t.id), 'Order kept');
+  assert.notOk(model.state.todos.find((t) => t.id === 'todo-19').completed);
+  assert.ok(model.state.todos.find((t) => t.id === 'todo-18').completed);
+  model.redo();
+  assert.ok(model.state.todos.find((t) => t.id === 'todo-19').completed);
+  assert.ok(JSON.stringify(model.history).length < 20 * 1000);
+});
+
+testRunner.test('model history: is bounded to HISTORY_MAX_SIZE characters', () => {
+  resetState();
+  const notes = 'x'.repeat(HISTORY_MAX_SIZE / 4);
+  const todos = [];
+  for (let i = 0; i < 8; i++) {
+    todos.push({ id: 'big-' + i, title: 'Big ' + i, completed: i >= 4, createdAt: i, notes });
+  }
+  model.save({ ...model.state, todos });
+
+  for (let i = 0; i < 4; i++) model.deleteTodo('big-' + i);
+  const size = JSON.stringify(model.history).length;
+  assert.ok(size <= HISTORY_MAX_SIZE, 'History takes ' + size + ' characters');
+  assert.ok(model.history.past.length > 0 && model.history.past.length < 4, 'Oldest dropped');
+  assert.equal(model.getUndoLabel(), 'Deleted \u201cBig 3\u201d');
+
+  model.clearCompleted();
+  assert.equal(model.history.past.length, 0, 'A change too large to keep is not undoable');
+  assert.equal(model.getUndoLabel(), null);
+});
+
+testRunner.test('model history: survives a reload', () => {
+  resetState();
+  model.addTodo('Before reload');
+  model.addTodo('After reload');
+
+  model.state = { todos: [], currentFilter: 'all' };
+  model.history = { past: [], future: [] };
+  model.load();
+
+  model.undo();
+  assert.equal(model.state.todos.length, 1);
+  assert.equal(model.state.todos[0].title, 'Before reload');
+});
+
+testRunner.test('model.loadHistory: ignores corrupt or invalid history', () => {
+  resetState();
+  model.storage.setItem(HISTORY_KEY, 'not json');
+  model.load();
+  assert.equal(model.history.past.length, 0);
+
+  model.storage.setItem(
+    HISTORY_KEY,
+    JSON.stringify({
+      past: [{ label: 'ok', removed: [], restored: [] }, { label: 1 }, null],
+      future: []
+    })
+  );
+  model.load();
+  assert.equal(model.history.past.length, 1);
+});
+
+/* ==========================================================================
+   Model: Persistence / Load Tests
+   ========================================================================== */
+
+testRunner.test('model.load: restores todos from storage', () => {
+  resetState();
+  model.addTodo('Saved');
+  const savedId = model.state.todos[0].id;
+
+  // Simulate page reload
+  model.state = { todos: [], currentFilter: 'all' };
+  model.load();
+
+  assert.equal(model.state.todos.length, 1);
+  assert.equal(model.state.todos[0].title, 'Saved');
+  assert.equal(model.state.todos[0].id, savedId);
+});
+
+testRunner.test('model.load: restores filter from storage', () => {
+  resetState();
+  model.save(model.state);
+  model.setFilter('completed');
+
+  model.state = { todos: [], currentFilter: 'all' };
+  model.load();
+
+  assert.equal(model.state.currentFilter, 'completed');
+});
+
+testRunner.test('model.load: handles missing stored data gracefully', () => {
+  resetState();
+  model.load();
+  assert.equal(model.state.todos.length, 0);
+  assert.equal(model.state.currentFilter, 'all');
+});
+
+testRunner.test('model.load: handles corrupt JSON gracefully', () => {
+  resetState();
+  model.storage.setItem(STORAGE_KEY, 'not valid json{{{');
+  model.state = { todos: [], currentFilter: 'all' };
+  model.load();
+  assert.equal(model.state.todos.length, 0);
+  assert.equal(model.state.currentFilter, 'all');
+});
+
+testRunner.test('model.load: filters out invalid todo objects', () => {
+  resetState();
+  const data = [
+    { id: 'valid', title: 'Good', completed: false, createdAt: 1000 },
+    { id: 123, title: 'Bad id' },       // id not string
+    { id: 'ok', title: null },           // title not string
+    null,                                // null entry
+    { title: 'No id' }                   // missing id
+  ];
+  model.storage.setItem(STORAGE_KEY, JSON.stringify(data));
+  model.state = { todos: [], currentFilter: 'all' };
+  model.load();
+  assert.equal(model.state.todos.length, 1);
+  assert.equal(model.state.todos[0].id, 'valid');
+});
+
+testRunner.test('model.load: sorts todos by createdAt descending', () => {
+  resetState();
+  const data = [
+    { id: 'a', title: 'Old', completed: false, createdAt: 1000 },
+    { id: 'b', title: 'New', completed: false, createdAt: 2000 },
+    { id: 'c', title: 'Mid', completed: false, createdAt: 1500 }
+  ];
+  model.storage.setItem(STORAGE_KEY, JSON.stringify(data));
+  model.state = { todos: [], currentFilter: 'all' };
+  model.load();
+  assert.equal(model.state.todos[0].title, 'New');
+  assert.equal(model.state.todos[1].title, 'Mid');
+  assert.equal(model.state.todos[2].title, 'Old');
+});
+
+testRunner.test('model.load: restores the selected day filter', () => {
+  resetState();
+  model.save(model.state);
+  model.setFilter('day', '2024-05-15');
+
+  model.state = { todos: [], currentFilter: 'all', selectedDay: null };
+  model.load();
+
+  assert.equal(model.state.currentFilter, 'day');
+  assert.equal(model.state.selectedDay, '2024-05-15');
+  assert.equal(model.state.calendarWeekStart, '2024-05-13');
+});
+
+testRunner.test('model.load: ignores a day filter without a valid day', () => {
+  resetState();
+  model.storage.setItem(FILTER_KEY, 'day');
+  model.storage.setItem(SELECTED_DAY_KEY, 'garbage');
+  model.load();
+  assert.equal(model.state.currentFilter, 'all');
+  assert.equal(model.state.selectedDay, null);
+});
+
+testRunner.test('model.load: ignores invalid filter values', () => {
+  resetState();
+  model.storage.setItem(FILTER_KEY, 'bogus');
+  model.state = { todos: [], currentFilter: 'all' };
+  model.load();
+  assert.equal(model.state.currentFilter, 'all');
+});
+
+testRunner.test('model.load: migrates legacy todos into a default list', () => {
+  resetState();
+  model.storage.setItem(
+    STORAGE_KEY,
+    JSON.stringify([{ id: 'legacy', title: 'From before lists', completed: false, createdAt: 1 }])
+  );
+  model.storage.setItem(FILTER_KEY, 'active');
+  model.load();
+
+  assert.equal(model.state.lists.length, 1);
+  assert.equal(model.state.lists[0].name, DEFAULT_LIST_NAME);
+  assert.equal(model.state.todos[0].id, 'legacy');
+  assert.equal(model.state.currentFilter, 'active');
+  assert.equal(model.storage.getItem(STORAGE_KEY), null, 'Legacy todos key removed');
+  assert.equal(model.storage.getItem(FILTER_KEY), null, 'Legacy filter key removed');
+  assert.equal(getStoredActiveList().todos[0].id, 'legacy');
+});
+
+testRunner.test('model.load: restores all lists and the active list', () => {
+  resetState();
+  model.addTodo('Home task');
+  model.createList('Work');
+  model.addTodo('Work task');
+  const workId = model.state.activeListId;
+
+  model.state = { todos: [], currentFilter: 'all' };
+  model.load();
+
+  assert.equal(model.state.lists.length, 2);
+  assert.equal(model.state.activeListId, workId);
+  assert.equal(model.state.todos[0].title, 'Work task');
+});
+
+testRunner.test('model.load: drops malformed lists and todos', () => {
+  resetState();
+  withKeyValueStorage(() => {
+    model.storage.setItem(
+      LISTS_KEY,
+      JSON.stringify([
+        null,
+        { id: 1, name: 'Bad id' },
+        {
+          id: 'ok',
+          name: 'Good',
+          todos: [{ id: 'a', title: 'Fine' }, { id: 'b' }],
+          currentFilter: 'bogus'
+        }
+      ])
+    );
+    model.load();
+  });
+  assert.equal(model.state.lists.length, 1);
+  assert.equal(model.state.activeListId, 'ok');
+  assert.equal(model.state.todos.length, 1);
+  assert.equal(model.state.currentFilter, 'all');
+});
+
+/* ==========================================================================
+   Schema Migration Tests
+   ========================================================================== */
+
+testRunner.test('migratePayload: upgrades pre-lists todos to the current schema', () => {
+  const payload = {
+    todos: [
+      { id: 'old', title: 'Old', createdAt: 1 },
+      { id: 'new', title: 'New', createdAt: 2 }
+    ],
+    currentFilter: 'active',
+    selectedDay: null,
+    sortByDueDate: 'true'
+  };
+  const migrated = migratePayload(payload, 0);
+  assert.equal(migrated.lists.length, 1);
+  assert.equal(migrated.lists[0].name, DEFAULT_LIST_NAME);
+  assert.deepEqual(migrated.lists[0].todos.map((t) => t.id), ['new', 'old']);
+  assert.equal(migrated.lists[0].currentFilter, 'active');
+  assert.equal(migrated.activeListId, migrated.lists[0].id);
+  assert.equal(migrated.sortOrder, 'due');
+  assert.equal(migrated.todos, undefined, 'Legacy fields are gone');
+  assert.equal(migrated.sortByDueDate, undefined);
+});
+
+testRunner.test('migratePayload: only runs the steps after the stored version', () => {
+  const lists = [createEmptyList('Kept')];
+  const migrated = migratePayload({ lists, sortOrder: 'alpha' }, 1);
+  assert.equal(migrated.lists, lists);
+  assert.equal(migrated.sortOrder, 'alpha');
+  assert.equal(migratePayload(migrated, SCHEMA_VERSION).lists, lists);
+});
+
+testRunner.test('migratePayload: throws for newer, unknown or unmigratable data', () => {
+  assert.throws(() => migratePayload({}, SCHEMA_VERSION + 1));
+  assert.throws(() => migratePayload({}, NaN));
+  assert.throws(() => migratePayload({ todos: 'not a list' }, 0));
+});
+
+testRunner.test('model.load: stores the schema version after migrating', () => {
+  resetState();
+  model.storage.setItem(STORAGE_KEY, JSON.stringify([{ id: 'a', title: 'Legacy' }]));
+  model.storage.setItem(SORT_BY_DUE_KEY, 'true');
+  model.load();
+  assert.equal(model.storage.getItem(SCHEMA_VERSION_KEY), String(SCHEMA_VERSION));
+  assert.equal(model.storage.getItem(SORT_BY_DUE_KEY), null);
+  assert.equal(model.quarantineNotice, null, 'Nothing quarantined');
+});
+
+testRunner.test('model.load: quarantines data from a newer schema version', () => {
+  resetState();
+  const list = { ...createEmptyList('From the future'), todos: [{ id: 'f', title: 'Later' }] };
+  model.storage.writeLists([list]);
+  model.storage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION + 1));
+  model.load();
+
+  assert.equal(model.state.lists.length, 1);
+  assert.equal(model.state.lists[0].name, DEFAULT_LIST_NAME, 'Starts from defaults');
+  const [entry] = model.getQuarantine();
+  assert.equal(entry.schemaVersion, SCHEMA_VERSION + 1);
+  assert.equal(entry.data.lists[0].todos[0].title, 'Later', 'Original data kept');
+  assert.ok(model.quarantineNotice.includes('newer version'));
+  assert.equal(model.storage.getItem(SCHEMA_VERSION_KEY), String(SCHEMA_VERSION));
+});
+
+testRunner.test('model.load: quarantines invalid records instead of dropping them', () => {
+  resetState();
+  const list = {
+    ...createEmptyList('Mixed'),
+    todos: [{ id: 'ok', title: 'Fine' }, { id: 'bad' }, { id: 'worse', title: 7 }]
+  };
+  model.storage.writeLists([list]);
+  model.storage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION));
+  model.load();
+
+  assert.deepEqual(model.state.todos.map((t) => t.id), ['ok']);
+  const [entry] = model.getQuarantine();
+  assert.deepEqual(entry.data.map((t) => t.id), ['bad', 'worse']);
+  assert.ok(model.quarantineNotice.includes('(2 items)'));
+  assert.equal(getStoredActiveList().todos.length, 1, 'Cleaned data saved back');
+});
+
+testRunner.test('model.load: quarantines unreadable JSON as stored', () => {
+  resetState();
+  model.storage.setItem(STORAGE_KEY, 'not valid json{{{');
+  model.storage.setItem(TAG_COLORS_KEY, '{broken');
+  model.load();
+
+  const entries = model.getQuarantine();
+  assert.deepEqual(entries.map((e) => e.reason), ['Unreadable tagColors', 'Unreadable todos']);
+  assert.equal(entries[1].data, 'not valid json{{{');
+  assert.equal(model.storage.getItem(STORAGE_KEY), null, 'Legacy key cleared once set aside');
+});
+
+testRunner.test('model.load: adds to earlier quarantined data', () => {
+  resetState();
+  model.storage.setItem(STORAGE_KEY, 'first{');
+  model.load();
+  model.storage.setItem(TAG_COLORS_KEY, 'second{');
+  model.load();
+  assert.deepEqual(model.getQuarantine().map((e) => e.data), ['first{', 'second{']);
+});
+
+testRunner.test('model.load: keeps stored data if it cannot be set aside', () => {
+  resetState();
+  withKeyValueStorage(() => {
+    model.storage.setItem(LISTS_KEY, JSON.stringify([{ id: 'x', name: 'X', todos: 'bad' }]));
+    const setItem = model.storage.setItem;
+    model.storage.setItem = (key, value) => {
+      if (key === QUARANTINE_KEY) throw new DOMException('Quota exceeded', 'QuotaExceededError');
+      setItem(key, value);
+    };
+    model.load();
+    assert.ok(model.storageError);
+    assert.ok(model.storage.getItem(LISTS_KEY).includes('"bad"'), 'Original not overwritten');
+  });
+});
+
+testRunner.test('SAM flow: quarantined data shows a dismissible notice', () => {
+  resetState();
+  model.storage.setItem(STORAGE_KEY, '{oops');
+  model.load();
+  renderState();
+  assert.notOk(quarantineNoticeEl.hidden);
+  assert.ok(quarantineNoticeTextEl.textContent.includes('(1 item)'));
+
+  document.getElementById('quarantine-notice-dismiss').click();
+  assert.ok(quarantineNoticeEl.hidden);
+  assert.equal(model.getQuarantine().length, 1, 'Data stays quarantined');
+});
+
+/* ==========================================================================
+   Storage Adapter Tests
+   ========================================================================== */
+
+/** @type {Array<string>} Test databases created by the current test */
+const testDbNames = [];
+
+/**
+ * Returns a new database name, deleted again when the test ends.
+ * @returns {string}
+ */
+function createTestDbName() {
+  const dbName = 'todo-pwa-adapter-test-' + Date.now() + '-' + testDbNames.length;
+  testDbNames.push(dbName);
+  return dbName;
+}
+
+/**
+ * Opens an IndexedDB adapter on a test database.
+ * @param {string} dbName - Database name
+ * @param {Object} [options] - Extra adapter options
+ * @returns {Promise<StorageAdapter>}
+ */
+function openTestIndexedDb(dbName, options) {
+  return createIndexedDbStorageAdapter({ dbName, migrateLocalStorage: false, ...options }).open();
+}
+
+/**
+ * Registers a test that needs IndexedDB. Where there is none it passes
+ * without running, so the rest of the suite still works.
+ * @param {string} name - Test description
+ * @param {Function} fn - Async test function
+ */
+function testIndexedDb(name, fn) {
+  testRunner.test(name, () => {
+    if (!('indexedDB' in window)) return undefined;
+    const deleteDatabases = () =>
+      Promise.all(
+        testDbNames.splice(0).map((n) => requestToPromise(indexedDB.deleteDatabase(n)))
+      );
+    return fn().then(deleteDatabases, (error) =>
+      deleteDatabases().then(() => {
+        throw error;
+      })
+    );
+  });
+}
+
+/**
+ * Builds lists for adapter tests.
+ * @returns {Array<Object>}
+ */
+function createAdapterTestLists() {
+  const work = createEmptyList('Work');
+  work.todos = [
+    { id: 'a', title: 'First', completed: false, order: 0 },
+    { id: 'b', title: 'Second', completed: true, order: 1 }
+  ];
+  const home = createEmptyList('Home');
+  home.todos = [{ id: 'c', title: 'Third', completed: false, order: 0 }];
+  return [work, home];
+}
+
+['localstorage', 'memory'].forEach((name) => {
+  testRunner.test('storage (' + name + '): stores lists and settings', async () => {
+    const storage = await STORAGE_ADAPTERS[name]().open();
+    storage.clear();
+    assert.equal(storage.readLists(), null);
+
+    const lists = createAdapterTestLists();
+    storage.writeLists(lists);
+    storage.setItem(SORT_ORDER_KEY, 'alpha');
+    assert.deepEqual(storage.readLists(), lists);
+    assert.equal(storage.getItem(SORT_ORDER_KEY), 'alpha');
+
+    storage.removeItem(SORT_ORDER_KEY);
+    assert.equal(storage.getItem(SORT_ORDER_KEY), null);
+    storage.clear();
+    assert.equal(storage.readLists(), null);
+  });
+});
+
+['localstorage', 'memory'].forEach((name) => {
+  testRunner.test('storage (' + name + '): stores undo history', async () => {
+    const storage = await STORAGE_ADAPTERS[name]().open();
+    storage.clear();
+    assert.equal(storage.readHistory(), null);
+
+    const history = { past: [{ id: 'e1', label: 'Added', listId: 'l', patches: [] }], future: [] };
+    storage.writeHistory(history);
+    assert.deepEqual(storage.readHistory(), history);
+    storage.clear();
+  });
+});
+
+testIndexedDb('storage (indexeddb): lists and settings survive reopening', async () => {
+  const dbName = createTestDbName();
+  const storage = await openTestIndexedDb(dbName);
+  const lists = createAdapterTestLists();
+  storage.writeLists(lists);
+  storage.setItem(ACTIVE_LIST_KEY, lists[1].id);
+  assert.deepEqual(storage.readLists(), lists, 'Readable before the write commits');
+  await storage.flush();
+
+  const reopened = await openTestIndexedDb(dbName);
+  assert.deepEqual(sanitizeLists(reopened.readLists()), sanitizeLists(lists));
+  assert.equal(reopened.getItem(ACTIVE_LIST_KEY), lists[1].id);
+});
+
+testIndexedDb('storage (indexeddb): only writes the records that changed', async () => {
+  const storage = await openTestIndexedDb(createTestDbName());
+  const lists = createAdapterTestLists();
+  storage.writeLists(lists);
+  await storage.flush();
+
+  const written = [];
+  const put = IDBObjectStore.prototype.put;
+  IDBObjectStore.prototype.put = function (record, key) {
+    written.push(this.name + ':' + (key || record.id));
+    return put.call(this, record, key);
+  };
+  try {
+    const [work, home] = lists;
+    const edited = { ...work, todos: [{ ...work.todos[0], title: 'Edited' }, work.todos[1]] };
+    storage.writeLists([edited, home]);
+    storage.setItem(SORT_ORDER_KEY, 'alpha');
+    storage.setItem(SORT_ORDER_KEY, 'alpha');
+    await storage.flush();
+  } finally {
+    IDBObjectStore.prototype.put = put;
+  }
+  assert.deepEqual(written.sort(), ['settings:sortOrder', 'todos:a']);
+});
+
+testIndexedDb('storage (indexeddb): removes deleted todos and lists', async () => {
+  const dbName = createTestDbName();
+  const storage = await openTestIndexedDb(dbName);
+  const [work, home] = createAdapterTestLists();
+  storage.writeLists([work, home]);
+  await storage.flush();
+
+  const remaining = { ...work, todos: [work.todos[1]] };
+  storage.writeLists([remaining]);
+  await storage.flush();
+
+  const reopened = await openTestIndexedDb(dbName);
+  assert.deepEqual(sanitizeLists(reopened.readLists()), sanitizeLists([remaining]));
+});
+
+testIndexedDb('storage (indexeddb): writes each history entry as its own record', async () => {
+  const dbName = createTestDbName();
+  const storage = await openTestIndexedDb(dbName);
+  const entry = (id) => ({ id, label: 'Change ' + id, listId: 'l', patches: [] });
+  storage.writeHistory({ past: [entry('e1'), entry('e2')], future: [] });
+  await storage.flush();
+
+  const written = [];
+  const { put, delete: remove } = IDBObjectStore.prototype;
+  IDBObjectStore.prototype.put = function (record, key) {
+    written.push('put ' + this.name + ':' + (key || record.id));
+    return put.call(this, record, key);
+  };
+  IDBObjectStore.prototype.delete = function (key) {
+    written.push('delete ' + this.name + ':' + key);
+    return remove.call(this, key);
+  };
+  const history = { past: [entry('e2')], future: [entry('e3')] };
+  try {
+    storage.writeHistory(history);
+    await storage.flush();
+  } finally {
+    Object.assign(IDBObjectStore.prototype, { put, delete: remove });
+  }
+  assert.deepEqual(written.sort(), [
+    'delete history:e1', 'put history:e3', 'put settings:' + HISTORY_INDEX_KEY
+  ]);
+
+  const reopened = await openTestIndexedDb(dbName);
+  assert.deepEqual(reopened.readHistory(), history);
+});
+
+testIndexedDb('storage (indexeddb): reads moved history until the next write', async () => {
+  const dbName = createTestDbName();
+  const legacy = {
+    past: [{ label: 'Added \u201cOld\u201d', removed: [], restored: [] }],
+    future: []
+  };
+  localStorage.setItem(HISTORY_KEY, JSON.stringify(legacy));
+
+  try {
+    const storage = await openTestIndexedDb(dbName, { migrateLocalStorage: true });
+    assert.deepEqual(storage.readHistory(), legacy);
+    const history = { past: [{ id: 'e1', label: 'Added', listId: 'l', patches: [] }], future: [] };
+    storage.writeHistory(history);
+    await storage.flush();
+
+    const reopened = await openTestIndexedDb(dbName);
+    assert.equal(reopened.getItem(HISTORY_KEY), null);
+    assert.deepEqual(reopened.readHistory(), history);
+  } finally {
+    localStorage.removeItem(HISTORY_KEY);
+    resetState();
+  }
+});
+
+testIndexedDb('storage (indexeddb): reports failed writes through onError', async () => {
+  const storage = await openTestIndexedDb(createTestDbName());
+  const errors = [];
+  storage.onError = (error) => errors.push(error);
+  const [work] = createAdapterTestLists();
+  storage.writeLists([{ ...work, todos: [{ id: 'x', title: 'Bad', run: () => {} }] }]);
+  await storage.flush();
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].name, 'DataCloneError');
+
+  storage.writeLists([work]);
+  await storage.flush();
+  assert.equal(errors.length, 1, 'Later writes still work');
+});
+
+testIndexedDb('storage (indexeddb): moves Local Storage data in once', async () => {
+  const savedStorage = model.storage;
+  const legacyTodos = [{ id: 'legacy', title: 'From localStorage', createdAt: 1 }];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(legacyTodos));
+  localStorage.setItem(FILTER_KEY, 'active');
+  localStorage.setItem(SORT_ORDER_KEY, 'alpha');
+
+  try {
+    const dbName = createTestDbName();
+    model.storage = await openTestIndexedDb(dbName, { migrateLocalStorage: true });
+    assert.equal(localStorage.getItem(STORAGE_KEY), null, 'Local Storage emptied');
+    assert.equal(localStorage.getItem(SORT_ORDER_KEY), null);
+
+    model.load();
+    assert.equal(model.state.todos[0].id, 'legacy');
+    assert.equal(model.state.currentFilter, 'active');
+    assert.equal(model.state.sortOrder, 'alpha');
+    await model.storage.flush();
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([{ id: 'late', title: 'Too late' }]));
+    const reopened = await openTestIndexedDb(dbName, { migrateLocalStorage: true });
+    assert.equal(reopened.getItem(STORAGE_KEY), null, 'Legacy key migrated by the model');
+    assert.deepEqual(reopened.readLists()[0].todos.map((t) => t.id), ['legacy']);
+    assert.ok(localStorage.getItem(STORAGE_KEY), 'An existing database is not migrated again');
+  } finally {
+    localStorage.removeItem(STORAGE_KEY);
+    model.storage = savedStorage;
+    resetState();
+  }
+});
+
+testIndexedDb('storage (indexeddb): quarantines moved records instead of dropping them', async () => {
+  const savedStorage = model.storage;
+  const list = {
+    ...createEmptyList('Mixed'),
+    todos: [{ id: 'ok', title: 'Fine' }, { id: 'bad' }, { id: 'worse', title: 7 }]
+  };
+  localStorage.setItem(LISTS_KEY, JSON.stringify([list]));
+  localStorage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION));
+
+  try {
+    const dbName = createTestDbName();
+    model.storage = await openTestIndexedDb(dbName, { migrateLocalStorage: true });
+    assert.equal(localStorage.getItem(LISTS_KEY), null, 'Local Storage emptied');
+    model.load();
+    assert.deepEqual(model.state.todos.map((t) => t.id), ['ok']);
+    assert.deepEqual(model.getQuarantine()[0].data.map((t) => t.id), ['bad', 'worse']);
+    await model.storage.flush();
+
+    const reopened = await openTestIndexedDb(dbName);
+    assert.equal(reopened.getItem(LISTS_KEY), null, 'Replaced by records once saved');
+    assert.deepEqual(reopened.readLists()[0].todos.map((t) => t.id), ['ok']);
+    assert.equal(JSON.parse(reopened.getItem(QUARANTINE_KEY)).length, 1);
+
+    localStorage.setItem(LISTS_KEY, JSON.stringify([list]));
+    localStorage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION + 1));
+    model.storage = await openTestIndexedDb(createTestDbName(), { migrateLocalStorage: true });
+    model.load();
+    const [entry] = model.getQuarantine();
+    assert.equal(entry.schemaVersion, SCHEMA_VERSION + 1, 'Data from a newer version is kept');
+    assert.deepEqual(entry.data.lists[0].todos.map((t) => t.id), ['ok', 'bad', 'worse']);
+  } finally {
+    localStorage.removeItem(LISTS_KEY);
+    localStorage.removeItem(SCHEMA_VERSION_KEY);
+    model.storage = savedStorage;
+    resetState();
+  }
+});
+
+testRunner.test('describeStorageError: explains a full quota', () => {
+  const quota = new DOMException('Quota exceeded', 'QuotaExceededError');
+  assert.ok(describeStorageError(quota).startsWith('Storage is full'));
+  assert.ok(describeStorageError(new Error('Disk I/O')).includes('couldn\u2019t be saved'));
+});
+
+testRunner.test('model.save: keeps changes in memory and reports a failed write', () => {
+  resetState();
+  withKeyValueStorage(() => {
+    model.storage.writeLists = () => {
+      throw new DOMException('Quota exceeded', 'QuotaExceededError');
+    };
+    assert.ok(model.addTodo('Unsaved'));
+  });
+  assert.equal(model.state.todos[0].title, 'Unsaved');
+  assert.ok(model.storageError.startsWith('Storage is full'));
+});
+
+testRunner.test('SAM flow: a failed write shows a dismissible warning', () => {
+  resetState();
+  renderState();
+  assert.ok(storageWarningEl.hidden);
+
+  actions.reportStorageError(new DOMException('Quota exceeded', 'QuotaExceededError'));
+  assert.notOk(storageWarningEl.hidden);
+  assert.ok(storageWarningTextEl.textContent.startsWith('Storage is full'));
+
+  document.getElementById('storage-warning-dismiss').click();
+  assert.ok(storageWarningEl.hidden);
+  assert.equal(model.storageError, null);
+});
+
+/* ==========================================================================
+   CRDT Merge Tests
+   ========================================================================== */
+
+/**
+ * Returns a todo with `fields` changed and stamped with `stamp`.
+ * @param {Object} todo
+ * @param {Object} fields
+ * @param {Array} stamp
+ * @returns {Object}
+ */
+function stampTodo(todo, fields, stamp) {
+  const stamps = { ...todo.stamps };
+  Object.keys(fields).forEach((key) => {
+    stamps[key] = stamp;
+  });
+  return { ...todo, ...fields, stamps };
+}
+
+/**
+ * Builds a replica holding a single "Work" list, for merge tests.
+ * @param {Array<Object>} todos
+ * @param {Object<string, Array>} [tombstones]
+ * @returns {{ lists: Array<Object>, tombstones: Object<string, Array> }}
+ */
+function createReplica(todos, tombstones = {}) {
+  const stamps = { name: [1, 'x'], created: [1, 'x'] };
+  return { lists: [{ id: 'work', name: 'Work', stamps, todos }], tombstones };
+}
+
+/**
+ * Serializes a value with object keys sorted, so replicas that differ only
+ * in key order compare equal.
+ * @param {*} value
+ * @returns {string}
+ */
+function toCanonicalJson(value) {
+  return JSON.stringify(value, (key, v) => (
+    v && typeof v === 'object' && !Array.isArray(v)
+      ? Object.fromEntries(Object.keys(v).sort().map((k) => [k, v[k]]))
+      : v
+  ));
+}
+
+/** @type {Object} A todo as every replica first saw it */
+const baseTodo = stampTodo(
+  { id: 'a', title: 'A', priority: 'none', completed: false, order: 0 },
+  { title: 'A', priority: 'none', completed: false, order: 0 },
+  [1, 'x']
+);
+
+testRunner.test('compareStamps: orders by counter, then replica ID', () => {
+  assert.ok(compareStamps([2, 'a'], [1, 'z']) > 0);
+  assert.ok(compareStamps([1, 'a'], [1, 'b']) < 0);
+  assert.equal(compareStamps([1, 'a'], [1, 'a']), 0);
+  assert.ok(compareStamps(undefined, [0, 'a']) < 0, 'Unstamped is oldest');
+});
+
+testRunner.test('stampChanges: stamps only the fields changed here', () => {
+  const [list] = createReplica([baseTodo]).lists;
+  const next = [{
+    ...list,
+    name: 'Job',
+    todos: [{ ...baseTodo, priority: 'high' }, { id: 'b', title: 'B' }]
+  }];
+  const { lists, tombstones } = stampChanges([list], next, {}, [2, 'x']);
+  assert.deepEqual(lists[0].todos[0].stamps, { ...baseTodo.stamps, priority: [2, 'x'] });
+  assert.deepEqual(lists[0].todos[1].stamps, { title: [2, 'x'] }, 'New todos are stamped');
+  assert.deepEqual(lists[0].stamps, { name: [2, 'x'], created: [1, 'x'] });
+  assert.deepEqual(tombstones, {});
+
+  const unchanged = stampChanges(lists, lists, {}, [3, 'x']);
+  assert.equal(unchanged.lists[0].todos[0], lists[0].todos[0]);
+});
+
+testRunner.test('stampChanges: tombstones deletions and restamps what undo brings back', () => {
+  const [list] = createReplica([baseTodo]).lists;
+  const deleted = stampChanges([list], [{ ...list, todos: [] }], {}, [2, 'x']);
+  assert.deepEqual(deleted.tombstones, { a: [2, 'x'] });
+
+  const undone = stampChanges(deleted.lists, [list], deleted.tombstones, [3, 'x']);
+  assert.deepEqual(Object.values(undone.lists[0].todos[0].stamps), [
+    [3, 'x'], [3, 'x'], [3, 'x'], [3, 'x']
+  ], 'Every field outlives the tombstone');
+});
+
+testRunner.test('stampChanges: keeps stamps merged in and restamps restored values', () => {
+  const [list] = createReplica([baseTodo]).lists;
+  const theirs = stampTodo(baseTodo, { title: 'Theirs' }, [5, 'y']);
+  const merged = stampChanges([list], [{ ...list, todos: [theirs] }], {}, [2, 'x']);
+  assert.equal(merged.lists[0].todos[0], theirs, 'Changes from elsewhere keep their stamps');
+
+  const restored = stampChanges(merged.lists, [list], {}, [6, 'x']);
+  assert.deepEqual(restored.lists[0].todos[0].stamps.title, [6, 'x'],
+    'Undoing to an older value is a new change');
+});
+
+testRunner.test('stampChanges: stamps a field that was removed', () => {
+  const [list] = createReplica([stampTodo(baseTodo, { deletedAt: 5 }, [2, 'x'])]).lists;
+  const { lists } = stampChanges([list], [{ ...list, todos: [baseTodo] }], {}, [3, 'x']);
+  assert.deepEqual(lists[0].todos[0].stamps.deletedAt, [3, 'x']);
+  const merged = mergeReplicas({ lists, tombstones: {} }, { lists: [list], tombstones: {} });
+  assert.notOk('deletedAt' in merged.lists[0].todos[0], 'The removal wins');
+});
+
+testRunner.test('mergeReplicas: keeps concurrent edits to different fields', () => {
+  const here = createReplica([stampTodo(baseTodo, { title: 'A here' }, [2, 'x'])]);
+  const there = createReplica([stampTodo(baseTodo, { priority: 'high' }, [2, 'y'])]);
+  const [todo] = mergeReplicas(here, there).lists[0].todos;
+  assert.equal(todo.title, 'A here');
+  assert.equal(todo.priority, 'high');
+  assert.deepEqual(todo.stamps.title, [2, 'x']);
+  assert.deepEqual(todo.stamps.priority, [2, 'y']);
+});
+
+testRunner.test('mergeReplicas: the later change to a field wins, then the larger replica', () => {
+  const later = createReplica([stampTodo(baseTodo, { title: 'Later' }, [3, 'a'])]);
+  const earlier = createReplica([stampTodo(baseTodo, { title: 'Earlier' }, [2, 'z'])]);
+  assert.equal(mergeReplicas(later, earlier).lists[0].todos[0].title, 'Later');
+  assert.equal(mergeReplicas(earlier, later).lists[0].todos[0].title, 'Later');
+
+  const tabA = createReplica([stampTodo(baseTodo, { title: 'From a' }, [2, 'a'])]);
+  const tabB = createReplica([stampTodo(baseTodo, { title: 'From b' }, [2, 'b'])]);
+  assert.equal(mergeReplicas(tabA, tabB).lists[0].todos[0].title, 'From b');
+  assert.equal(mergeReplicas(tabB, tabA).lists[0].todos[0].title, 'From b');
+});
+
+testRunner.test('mergeReplicas: equal stamps settle on the larger number', () => {
+  const nine = createReplica([stampTodo(baseTodo, { order: 9 }, [2, 'x'])]);
+  const ten = createReplica([stampTodo(baseTodo, { order: 10 }, [2, 'x'])]);
+  assert.equal(mergeReplicas(nine, ten).lists[0].todos[0].order, 10);
+  assert.equal(mergeReplicas(ten, nine).lists[0].todos[0].order, 10);
+});
+
+testRunner.test('mergeReplicas: a delete wins only over changes it has seen', () => {
+  const deletedLater = createReplica([], { a: [3, 'x'] });
+  const editedEarlier = createReplica([stampTodo(baseTodo, { title: 'Edit' }, [2, 'y'])]);
+  assert.equal(mergeReplicas(deletedLater, editedEarlier).lists[0].todos.length, 0);
+
+  const deletedEarlier = createReplica([], { a: [2, 'x'] });
+  const editedLater = createReplica([stampTodo(baseTodo, { title: 'Edit' }, [3, 'y'])]);
+  const merged = mergeReplicas(deletedEarlier, editedLater);
+  assert.deepEqual(merged.lists[0].todos.map((t) => t.title), ['Edit']);
+  assert.deepEqual(merged.tombstones, { a: [2, 'x'] }, 'Tombstones are kept');
+});
+
+testRunner.test('mergeReplicas: merges list renames, additions and deletions', () => {
+  const here = createReplica([baseTodo]);
+  here.lists[0] = { ...here.lists[0], name: 'Job', stamps: { name: [2, 'x'], created: [1, 'x'] } };
+  here.lists.push({
+    id: 'home', name: 'Home', stamps: { name: [3, 'x'], created: [3, 'x'] }, todos: []
+  });
+  const there = createReplica([baseTodo, stampTodo({ id: 'b' }, { title: 'B' }, [2, 'y'])]);
+  there.lists.unshift({
+    id: 'old', name: 'Old', stamps: { name: [0, 'y'], created: [0, 'y'] }, todos: []
+  });
+
+  const merged = mergeReplicas(here, there);
+  assert.deepEqual(merged.lists.map((l) => l.name), ['Old', 'Job', 'Home'],
+    'Lists are in creation order');
+  assert.deepEqual(merged.lists[1].todos.map((t) => t.id), ['a', 'b']);
+
+  const gone = mergeReplicas(merged, { lists: [], tombstones: { old: [4, 'y'] } });
+  assert.deepEqual(gone.lists.map((l) => l.name), ['Job', 'Home']);
+});
+
+testRunner.test('mergeReplicas: is commutative, associative and idempotent', () => {
+  const a = createReplica([
+    stampTodo(baseTodo, { title: 'A1', order: 2 }, [2, 'a']),
+    stampTodo({ id: 'c' }, { title: 'C', order: 1 }, [3, 'a'])
+  ]);
+  const b = createReplica([stampTodo(baseTodo, { completed: true }, [4, 'b'])], { c: [5, 'b'] });
+  b.lists.push({
+    id: 'home', name: 'Home', stamps: { name: [2, 'b'], created: [2, 'b'] }, todos: []
+  });
+  const c = createReplica([
+    stampTodo(baseTodo, { title: 'A3', priority: 'low' }, [2, 'c']),
+    stampTodo({ id: 'd' }, { title: 'D', order: 2 }, [6, 'c'])
+  ]);
+  c.lists[0] = { ...c.lists[0], name: 'Job', stamps: { ...c.lists[0].stamps, name: [3, 'c'] } };
+  const same = (x, y, message) => assert.equal(toCanonicalJson(x), toCanonicalJson(y), message);
+
+  same(mergeReplicas(a, b), mergeReplicas(b, a), 'Commutative');
+  same(mergeReplicas(mergeReplicas(a, b), c), mergeReplicas(a, mergeReplicas(b, c)), 'Associative');
+  const all = mergeReplicas(mergeReplicas(a, b), c);
+  same(mergeReplicas(all, all), all, 'Idempotent');
+  same(mergeReplicas(all, b), all, 'Merging again changes nothing');
+
+  const [work, home] = all.lists;
+  assert.equal(work.name, 'Job');
+  assert.equal(home.name, 'Home');
+  assert.deepEqual(work.todos.map((t) => t.title), ['A3', 'D'],
+    '"C" stays deleted; equal orders are settled by ID');
+  assert.equal(work.todos[0].completed, true);
+  assert.equal(work.todos[0].priority, 'low');
+});
+
+/* ==========================================================================
+   Cross-Tab Sync Tests
+   ========================================================================== */
+
+/**
+ * Saves lists the way another tab would, straight to the adapter under test,
+ * stamping the changes with that tab's replica ID.
+ * @param {function(Array<Object>): Array<Object>} update - Returns the new lists
+ */
+function saveFromOtherTab(update) {
+  const lists = model.storage.readLists();
+  const tombstones = JSON.parse(model.storage.getItem(TOMBSTONES_KEY) || '{}');
+  const stamp = [getMaxClock({ lists, tombstones }) + 1, 'other-tab'];
+  const stamped = stampChanges(lists, update(lists), tombstones, stamp);
+  model.storage.writeLists(stamped.lists);
+  model.storage.setItem(TOMBSTONES_KEY, JSON.stringify(stamped.tombstones));
+}
+
+testRunner.test('model.syncFromStorage: picks up another tab\'s changes', () => {
+  resetState();
+  model.addTodo('Mine');
+  model.createList('Errands');
+  model.state.currentFilter = 'active';
+  const [inbox] = model.state.lists;
+
+  saveFromOtherTab((lists) => lists.map((l) =>
+    l.id === inbox.id
+      ? { ...l, todos: [...l.todos, { id: 'theirs', title: 'Theirs', completed: false }] }
+      : l
+  ));
+  model.storage.setItem(ACTIVE_LIST_KEY, inbox.id);
+  model.storage.setItem(SORT_ORDER_KEY, 'alpha');
+  model.syncFromStorage();
+
+  assert.equal(model.getActiveList().name, 'Errands', 'This tab\'s list stays active');
+  assert.equal(model.state.currentFilter, 'active');
+  assert.equal(model.state.sortOrder, 'alpha');
+  assert.deepEqual(model.state.lists[0].todos.map((t) => t.title), ['Mine', 'Theirs']);
+  assert.equal(model.getUndoLabel(), 'Added \u201cMine\u201d',
+    'Undo history is this tab\'s');
+});
+
+testRunner.test('model.syncFromStorage: saves back changes this tab had not saved', () => {
+  resetState();
+  model.addTodo('Shared');
+  const { writeLists } = model.storage;
+  model.storage.writeLists = () => {
+    throw new DOMException('Quota exceeded', 'QuotaExceededError');
+  };
+  model.editTodo(model.state.todos[0].id, 'Unsaved');
+  model.storage.writeLists = writeLists;
+
+  saveFromOtherTab((lists) => [{ ...lists[0], name: 'Renamed' }]);
+  model.syncFromStorage();
+  assert.equal(model.getActiveList().name, 'Renamed');
+  assert.equal(model.state.todos[0].title, 'Unsaved');
+  assert.equal(getStoredActiveList().todos[0].title, 'Unsaved');
+});
+
+testRunner.test('model.syncFromStorage: keeps a delete from another tab', () => {
+  resetState();
+  model.addTodo('Kept');
+  model.addTodo('Deleted there');
+  saveFromOtherTab((lists) => [
+    { ...lists[0], todos: lists[0].todos.filter((t) => t.title === 'Kept') }
+  ]);
+  model.syncFromStorage();
+  assert.deepEqual(model.state.todos.map((t) => t.title), ['Kept']);
+
+  const [deletedAt] = Object.values(model.state.tombstones);
+  assert.equal(deletedAt[1], 'other-tab');
+  model.addTodo('Later');
+  const [counter, replicaId] = model.state.todos[0].stamps.title;
+  assert.ok(counter > deletedAt[0], 'The clock moves past stamps seen from other tabs');
+  assert.equal(replicaId, model.replicaId);
+});
+
+testRunner.test('model.syncFromStorage: keeps the manual order of todos added after a load', () => {
+  resetState();
+  for (let i = 1; i <= 12; i++) model.addTodo('T' + i);
+  model.load();
+  model.addTodo('T13');
+  const shown = model.state.todos.map((t) => [t.title, t.order]);
+
+  model.syncFromStorage();
+  assert.deepEqual(model.state.todos.map((t) => [t.title, t.order]), shown);
+  assert.equal(new Set(shown.map(([, order]) => order)).size, 13, 'No two todos share an order');
+});
+
+testRunner.test('model.syncFromStorage: leaves data from a newer version alone', () => {
+  resetState();
+  model.addTodo('Mine');
+  model.storage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION + 1));
+  assert.equal(model.syncFromStorage(), model.state, 'Accepted, to show the warning');
+  assert.equal(model.state.todos[0].title, 'Mine');
+  assert.ok(model.storageError.includes('newer version'));
+  assert.equal(model.quarantineNotice, null, 'Nothing is quarantined');
+});
+
+testRunner.test('storage (localstorage): reports changes from other tabs', async () => {
+  const storage = await createLocalStorageAdapter().open();
+  let changes = 0;
+  storage.onChange = () => changes++;
+  const dispatch = (key) => {
+    window.dispatchEvent(new StorageEvent('storage', { key, storageArea: localStorage }));
+  };
+  dispatch(LISTS_KEY);
+  dispatch(ACTIVE_LIST_KEY);
+  dispatch('unrelated');
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.equal(changes, 1, 'One change per batch of events');
+
+  dispatch(VIEWS_KEY);
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.equal(changes, 1, 'Another tab\'s filters are its own');
+});
+
+testIndexedDb('storage (indexeddb): reports writes made by another tab', async () => {
+  if (!('BroadcastChannel' in window)) return;
+  const dbName = createTestDbName();
+  const mine = await openTestIndexedDb(dbName);
+  const theirs = await openTestIndexedDb(dbName);
+  const changed = new Promise((resolve) => {
+    mine.onChange = resolve;
+  });
+
+  const lists = createAdapterTestLists();
+  theirs.writeLists(lists);
+  theirs.setItem(SORT_ORDER_KEY, 'alpha');
+  await changed;
+  assert.deepEqual(sanitizeLists(mine.readLists()), sanitizeLists(lists));
+  assert.equal(mine.getItem(SORT_ORDER_KEY), 'alpha');
+});
+
+testIndexedDb('storage (indexeddb): leaves other tabs alone when only filters change', async () => {
+  if (!('BroadcastChannel' in window)) return;
+  const dbName = createTestDbName();
+  const mine = await openTestIndexedDb(dbName);
+  const theirs = await openTestIndexedDb(dbName);
+  const changes = [];
+  mine.onChange = () => changes.push(mine.getItem(SORT_ORDER_KEY));
+
+  theirs.setItem(VIEWS_KEY, '{}');
+  await theirs.flush();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  const changed = new Promise((resolve) => {
+    const onChange = mine.onChange;
+    mine.onChange = () => {
+      onChange();
+      resolve();
+    };
+  });
+  theirs.setItem(SORT_ORDER_KEY, 'alpha');
+  await changed;
+  assert.deepEqual(changes, ['alpha'], 'Only the sort order was announced');
+});
+
+testRunner.test('SAM flow: another tab\'s change keeps an edit in progress', () => {
+  resetState();
+  actions.addTodo('Draft');
+  actions.addTodo('Other');
+  const id = model.state.todos.find((t) => t.title === 'Draft').id;
+  let li = document.querySelector('#todo-list [data-id="' + id + '"]');
+  enterEditMode(li, id, 'Draft');
+  li.querySelector('.todo-edit-input').value = 'Draft, edited';
+
+  saveFromOtherTab((lists) => [{
+    ...lists[0],
+    todos: lists[0].todos.map((t) => (t.id === id ? { ...t, priority: 'high' } : t))
+  }]);
+  actions.syncFromStorage();
+
+  li = document.querySelector('#todo-list [data-id="' + id + '"]');
+  assert.ok(li.classList.contains('editing'));
+  assert.equal(li.querySelector('.todo-edit-input').value, 'Draft, edited');
+  assert.equal(li.querySelector('.todo-edit-priority').value, 'high', 'Untouched fields update');
+  assert.equal(document.activeElement, li.querySelector('.todo-edit-input'));
+  assert.ok(document.querySelector('.toast').textContent.includes('Another tab changed'));
+
+  li.querySelector('.todo-edit-input').dispatchEvent(
+    new KeyboardEvent('keydown', { key: 'Enter', bubbles: true })
+  );
+  const todo = model.state.todos.find((t) => t.id === id);
+  assert.equal(todo.title, 'Draft, edited');
+  assert.equal(todo.priority, 'high');
+});
+
+testRunner.test('SAM flow: another tab deleting the todo being edited is noted', () => {
+  resetState();
+  actions.addTodo('Doomed');
+  const li = document.querySelector('#todo-list .todo-item');
+  enterEditMode(li, li.dataset.id, 'Doomed');
+
+  saveFromOtherTab((lists) => [{ ...lists[0], todos: [] }]);
+  actions.syncFromStorage();
+  assert.equal(model.state.todos.length, 0);
+  assert.equal(document.querySelector('#todo-list .editing'), null);
+  assert.ok(document.querySelector('.toast').textContent.includes('deleted \u201cDoomed\u201d'));
+});
+
+testRunner.test('SAM flow: an external change copes with an edited todo the model lacks', () => {
+  resetState();
+  actions.addTodo('Ghost');
+  const id = model.state.todos[0].id;
+  enterEditMode(document.querySelector('#todo-list .todo-item'), id, 'Ghost');
+  document.querySelector('.todo-edit-input').value = 'Ghost, edited';
+
+  // Added: the row is on screen, but the model only gets the todo now
+  model.state = { ...model.state, todos: [] };
+  model.storedLists = getSyncedLists(model.state);
+  actions.syncFromStorage();
+  const li = document.querySelector('#todo-list [data-id="' + id + '"]');
+  assert.ok(li.classList.contains('editing'));
+  assert.equal(li.querySelector('.todo-edit-input').value, 'Ghost, edited');
+  const noticesGhost = () => [...document.querySelectorAll('.toast')].some(
+    (toast) => toast.textContent.includes('Ghost')
+  );
+  assert.notOk(noticesGhost(), 'Nothing to compare the todo with');
+
+  // Removed: gone from the model and from storage
+  model.state = { ...model.state, todos: [] };
+  saveFromOtherTab((lists) => [{ ...lists[0], todos: [] }]);
+  actions.syncFromStorage();
+  assert.equal(document.querySelector('#todo-list .editing'), null);
+  assert.notOk(noticesGhost());
+});
+
+/* ==========================================================================
+   Sync Tests
+   ========================================================================== */
+
+/**
+ * Runs `fn` with fetch answered by `respond`, which gets the URL and
+ * request options and returns a response body (or throws to fail).
+ * @param {function(string, Object): *} respond
+ * @param {function(Array<Object>): Promise} fn - Gets the requests made
+ * @returns {Promise}
+ */
+function withFetch(respond, fn) {
+  const savedFetch = window.fetch;
+  const requests = [];
+  window.fetch = (url, options = {}) => {
+    requests.push({ url, options });
+    return new Promise((resolve) => resolve(respond(url, options))).then((body) => ({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve(body)
+    }));
+  };
+  return fn(requests).finally(() => {
+    window.fetch = savedFetch;
+  });
+}
+
+testRunner.test('getChangedFields: picks synced fields that differ', () => {
+  const before = { id: 'a', title: 'A', completed: false, tags: ['x'], order: 0 };
+  const after = { ...before, completed: true, tags: ['x'], order: 3 };
+  assert.deepEqual(getChangedFields(before, after), { completed: true });
+  assert.deepEqual(getSyncedFields(after), { title: 'A', completed: true, tags: ['x'] });
+});
+
+testRunner.test('model.recordOperation: queues nothing while sync is off', () => {
+  resetState();
+  model.addTodo('Local only');
+  assert.deepEqual(model.getOutbox(), []);
+});
+
+testRunner.test('model: add, toggle, edit, trash and delete go to the outbox', () => {
+  resetState();
+  assert.ok(model.setSyncEndpoint('https://sync.example.com/api'));
+  model.addTodo('Sync me');
+  const id = model.state.todos[0].id;
+  model.toggleTodo(id);
+  model.editTodo(id, 'Synced', { priority: 'high' });
+  model.clearCompleted();
+  model.addTodo('Gone');
+  const goneId = model.state.todos[0].id;
+  model.deleteTodo(goneId);
+  model.restoreTodo(goneId);
+  model.deleteTodo(goneId);
+  model.deleteTodoForever(goneId);
+
+  const outbox = model.getOutbox();
+  assert.deepEqual(outbox.map((op) => op.type),
+    ['add', 'toggle', 'edit', 'edit', 'add', 'edit', 'edit', 'edit', 'delete']);
+  assert.equal(outbox[0].todo.title, 'Sync me');
+  assert.equal(outbox[0].listName, DEFAULT_LIST_NAME);
+  assert.deepEqual(Object.keys(outbox[1].fields).sort(), ['completed', 'completedAt']);
+  assert.deepEqual(outbox[2].fields, { title: 'Synced', priority: 'high' });
+  assert.equal(outbox[3].todoId, id, 'Clearing completed moves them to the trash');
+  assert.ok(outbox[3].fields.deletedAt > 0);
+  assert.deepEqual(outbox[6].fields, { deletedAt: null }, 'Restored');
+  assert.equal(outbox[8].todoId, goneId);
+  assert.ok(outbox.every((op) => op.listId === model.state.activeListId && op.at > 0));
+  assert.equal(new Set(outbox.map((op) => op.id)).size, outbox.length, 'Unique IDs');
+});
+
+testRunner.test('model: subtask changes go to the outbox with the completion they cause', () => {
+  resetState();
+  model.setSyncEndpoint('https://sync.example.com');
+  model.addTodo('Pack');
+  const id = model.state.todos[0].id;
+  model.addSubtask(id, 'Socks');
+  const subtaskId = model.state.todos[0].subtasks[0].id;
+  model.toggleSubtask(id, subtaskId);
+  model.deleteSubtask(id, subtaskId);
+
+  const outbox = model.getOutbox();
+  assert.deepEqual(outbox.map((op) => op.type), ['add', 'edit', 'edit', 'edit']);
+  assert.deepEqual(outbox[1].fields.subtasks.map((s) => s.title), ['Socks']);
+  assert.deepEqual(Object.keys(outbox[2].fields).sort(), ['completed', 'completedAt', 'subtasks']);
+  assert.equal(outbox[2].fields.completed, true, 'Its last open subtask completes the todo');
+  assert.deepEqual(outbox[3].fields, { subtasks: [] });
+  assert.ok(outbox.every((op) => op.todoId === id || op.todo.id === id));
+});
+
+testRunner.test('SAM flow: the next instance of a recurring todo is queued to sync', () => {
+  resetState();
+  model.setSyncEndpoint('https://sync.example.com');
+  model.addTodo('Water plants', { dueDate: '2024-05-13', recurrence: { type: 'daily' } });
+  sam.present({ type: 'toggleTodo', id: model.state.todos[0].id });
+  const outbox = model.getOutbox();
+  assert.deepEqual(outbox.map((op) => op.type), ['add', 'toggle', 'edit', 'add']);
+  assert.equal(outbox[2].fields.recurrence, null, 'The completed instance stops repeating');
+  assert.equal(outbox[3].todo.id, model.state.todos[0].id);
+  assert.equal(outbox[3].todo.recurrence.type, 'daily');
+});
+
+testRunner.test('model.setSyncEndpoint: validates, queues existing todos, turns off', () => {
+  resetState();
+  model.addTodo('Existing');
+  model.createList('Errands');
+  model.addTodo('Milk');
+  assert.notOk(model.setSyncEndpoint('ftp://example.com'));
+  assert.notOk(model.setSyncEndpoint('not a url'));
+  assert.equal(model.getSyncEndpoint(), null);
+
+  assert.ok(model.setSyncEndpoint(' https://sync.example.com/api '));
+  assert.equal(model.getSyncEndpoint(), 'https://sync.example.com/api');
+  assert.deepEqual(model.getOutbox().map((op) => [op.listName, op.todo.title]),
+    [[DEFAULT_LIST_NAME, 'Existing'], ['Errands', 'Milk']]);
+  model.setSyncEndpoint('https://other.example.com');
+  assert.equal(model.getOutbox().length, 2, 'Changing the endpoint queues nothing new');
+
+  assert.ok(model.setSyncEndpoint(''));
+  assert.equal(model.getSyncEndpoint(), null);
+  assert.deepEqual(model.getOutbox(), []);
+});
+
+testRunner.test('model: a change with many operations writes the outbox once', () => {
+  resetState();
+  const todos = [];
+  for (let i = 0; i < 3000; i++) {
+    todos.push({ id: 'todo-' + i, title: 'Todo ' + i, completed: false, createdAt: i });
+  }
+  model.save({ ...model.state, todos });
+  const setItem = model.storage.setItem;
+  let writes = 0;
+  model.storage.setItem = (key, value) => {
+    if (key === OUTBOX_KEY) writes++;
+    setItem(key, value);
+  };
+  try {
+    model.setSyncEndpoint('https://sync.example.com');
+    assert.equal(writes, 1, 'Enabling sync queues every todo at once');
+    model.setTodosCompleted(todos.slice(0, 1500).map((t) => t.id), true);
+    assert.equal(writes, 2, 'Completing many todos queues them at once');
+  } finally {
+    model.storage.setItem = setItem;
+  }
+  const outbox = model.getOutbox();
+  assert.equal(outbox.length, 4500);
+  assert.equal(outbox.filter((op) => op.type === 'toggle').length, 1500);
+});
+
+testRunner.test('applyRemoteTodos: applies edits, deletions and new todos', () => {
+  const work = {
+    ...createEmptyList('Work'),
+    todos: [
+      { id: 'a', title: 'A', completed: false, order: 0 },
+      { id: 'b', title: 'B', completed: false, order: 1 }
+    ]
+  };
+  const changes = {
+    lists: [{ id: 'home', name: 'Home' }],
+    todos: [
+      { id: 'a', listId: work.id, fields: { title: 'A2', completed: true }, deleted: false },
+      { id: 'b', listId: work.id, fields: {}, deleted: true },
+      { id: 'c', listId: work.id, fields: { title: 'C' }, deleted: false },
+      { id: 'd', listId: 'home', fields: { title: 'D' }, deleted: false },
+      { id: 'e', listId: 'home', fields: {}, deleted: true },
+      { id: 'f', listId: work.id, fields: { title: 42 }, deleted: false }
+    ]
+  };
+  const lists = applyRemoteTodos([work], changes, []);
+  assert.deepEqual(lists[0].todos.map((t) => t.title), ['C', 'A2']);
+  assert.ok(lists[0].todos[1].completed);
+  assert.equal(lists[1].id, 'home');
+  assert.equal(lists[1].name, 'Home');
+  assert.deepEqual(lists[1].todos.map((t) => t.id), ['d']);
+  assert.equal(work.todos.length, 2, 'Input lists are not changed');
+});
+
+testRunner.test('applyRemoteTodos: keeps fields with changes still in the outbox', () => {
+  const work = {
+    ...createEmptyList('Work'),
+    todos: [{ id: 'a', title: 'Mine', completed: false, order: 0 }]
+  };
+  const outbox = [
+    createSyncOperation('edit', work, { todoId: 'a', fields: { title: 'Mine' } }, 1),
+    createSyncOperation('delete', work, { todoId: 'z' }, 2)
+  ];
+  const changes = {
+    todos: [
+      { id: 'a', listId: work.id, fields: { title: 'Theirs', priority: 'high' } },
+      { id: 'z', listId: work.id, fields: { title: 'Deleted here' } }
+    ]
+  };
+  const [list] = applyRemoteTodos([work], changes, outbox);
+  assert.equal(list.todos.length, 1);
+  assert.equal(list.todos[0].title, 'Mine');
+  assert.equal(list.todos[0].priority, 'high');
+});
+
+testRunner.test('describeSyncStatus: covers off, offline, failed and pending', () => {
+  const status = {
+    endpoint: 'https://sync.example.com',
+    pending: 0,
+    syncing: false,
+    lastSyncedAt: null,
+    error: null,
+    online: true
+  };
+  assert.ok(describeSyncStatus({ ...status, endpoint: null }).startsWith('Sync is off'));
+  assert.equal(describeSyncStatus({ ...status, pending: 2, online: false }),
+    'Offline. 2 changes waiting to be sent.');
+  assert.equal(describeSyncStatus({ ...status, error: 'the server answered 500', pending: 1 }),
+    'Sync failed: the server answered 500. 1 change waiting to be sent.');
+  assert.ok(describeSyncStatus({ ...status, lastSyncedAt: Date.now() }).startsWith('Synced at'));
+});
+
+testRunner.test('SAM flow: syncing sends the outbox and applies pulled changes', () => {
+  resetState();
+  actions.addTodo('Mine');
+  model.setSyncEndpoint('https://sync.example.com/api/');
+  const listId = model.state.activeListId;
+  const respond = (url) => (url.includes('/changes')
+    ? {
+      cursor: 7,
+      lists: [],
+      todos: [{ id: 'r', listId, fields: { title: 'From a teammate' }, deleted: false }]
+    }
+    : { applied: 1 });
+
+  return withFetch(respond, (requests) => actions.syncNow().then((synced) => {
+    assert.ok(synced);
+    assert.equal(requests[0].url, 'https://sync.example.com/api/ops');
+    assert.equal(JSON.parse(requests[0].options.body).ops[0].todo.title, 'Mine');
+    assert.equal(requests[1].url, 'https://sync.example.com/api/changes');
+    assert.deepEqual(model.getOutbox(), []);
+    assert.equal(model.getSyncCursor(), '7');
+    assert.deepEqual(model.state.todos.map((t) => t.title), ['From a teammate', 'Mine']);
+    assert.ok(document.getElementById('sync-status').textContent.startsWith('Synced at'));
+
+    return actions.syncNow().then(() => {
+      assert.equal(requests.length, 3, 'Nothing to send the second time');
+      assert.equal(requests[2].url, 'https://sync.example.com/api/changes?since=7');
+    });
+  }));
+});
+
+testRunner.test('batchOperations: keeps every request body under the size limit', () => {
+  const ops = ['a', 'b', '\u00e9\u00e9\u00e9', 'c', 'x'.repeat(300), 'd'].map((title, i) => ({
+    id: 'op-' + i, type: 'add', todo: { id: 't' + i, title }
+  }));
+  const bytes = (batch) => new TextEncoder().encode(JSON.stringify({ ops: batch })).length;
+  const batches = batchOperations(ops, 120);
+  assert.deepEqual(batches.flat(), ops, 'All sent, in order');
+  assert.ok(batches.length > 1);
+  batches.filter((batch) => batch.length > 1).forEach((batch) => {
+    assert.ok(bytes(batch) <= 120, bytes(batch) + ' bytes');
+  });
+  assert.ok(batches.some((batch) => batch.length === 1 && batch[0] === ops[4]),
+    'An operation over the limit goes alone');
+  assert.deepEqual(batchOperations([]), []);
+});
+
+testRunner.test('SAM flow: a large outbox goes in batches, each dropped once accepted', () => {
+  resetState();
+  const todos = [];
+  for (let i = 0; i < 3000; i++) {
+    todos.push({ id: 'todo-' + i, title: 'Todo ' + i, completed: false, createdAt: i });
+  }
+  model.save({ ...model.state, todos });
+  model.setSyncEndpoint('https://sync.example.com');
+  const queued = model.getOutbox();
+  assert.ok(JSON.stringify({ ops: queued }).length > SYNC_BATCH_SIZE, 'Too large for one request');
+
+  let failNext = false;
+  const respond = (url) => {
+    if (url.includes('/changes')) return { cursor: 1, lists: [], todos: [] };
+    if (failNext) throw new TypeError('Failed to fetch');
+    failNext = true;
+    return { applied: 1 };
+  };
+  return withFetch(respond, (requests) => actions.syncNow().then((synced) => {
+    assert.notOk(synced);
+    const first = JSON.parse(requests[0].options.body).ops;
+    assert.ok(requests[0].options.body.length <= SYNC_BATCH_SIZE);
+    assert.deepEqual(model.getOutbox().map((op) => op.id),
+      queued.slice(first.length).map((op) => op.id), 'Only the accepted batch left');
+
+    failNext = false;
+    return actions.syncNow().then((syncedAgain) => {
+      assert.ok(syncedAgain);
+      assert.deepEqual(model.getOutbox(), []);
+      const sent = requests.filter((r) => r.url.endsWith('/ops'));
+      assert.ok(sent.every((r) => r.options.body.length <= SYNC_BATCH_SIZE));
+    });
+  }));
+});
+
+testRunner.test('SAM flow: a failed sync keeps the outbox and says why', () => {
+  resetState();
+  model.setSyncEndpoint('https://sync.example.com');
+  actions.addTodo('Offline change');
+  const respond = () => {
+    throw new TypeError('Failed to fetch');
+  };
+
+  return withFetch(respond, (requests) => actions.syncNow().then((synced) => {
+    assert.notOk(synced);
+    assert.equal(requests.length, 1, 'No pull after a failed send');
+    assert.equal(model.getOutbox().length, 1);
+    assert.equal(document.getElementById('sync-status').textContent,
+      'Sync failed: Failed to fetch. 1 change waiting to be sent.');
+  }));
+});
+
+testRunner.test('SAM flow: the sync form validates the endpoint', () => {
+  resetState();
+  renderState();
+  const input = document.getElementById('sync-endpoint');
+  input.value = 'javascript:alert(1)';
+  document.getElementById('sync-form').dispatchEvent(new Event('submit', { cancelable: true }));
+  assert.ok(input.classList.contains('invalid'));
+  assert.equal(model.getSyncEndpoint(), null);
+  assert.ok(document.getElementById('sync-now').hidden);
+});
+
+/* ==========================================================================
+   Model: Lists Tests
+   ========================================================================== */
+
+testRunner.test('model.createList: creates an empty list and switches to it', () => {
+  resetState();
+  model.addTodo('In default list');
+  const result = model.createList('  Work  ');
+  assert.ok(result);
+  assert.equal(model.state.lists.length, 2);
+  assert.equal(model.getActiveList().name, 'Work');
+  assert.equal(model.state.todos.length, 0);
+  assert.equal(model.state.currentFilter, 'all');
+});
+
+testRunner.test('model.createList: rejects empty, too long and duplicate names', () => {
+  resetState();
+  assert.notOk(model.createList('   '));
+  assert.notOk(model.createList('a'.repeat(LIST_NAME_MAX_LENGTH + 1)));
+  assert.notOk(model.createList(DEFAULT_LIST_NAME.toUpperCase()));
+  assert.equal(model.state.lists.length, 1);
+});
+
+testRunner.test('model.switchList: restores each list\'s todos and filter', () => {
+  resetState();
+  const homeId = model.state.activeListId;
+  model.addTodo('Home task');
+  model.setFilter('active');
+  model.createList('Work');
+  model.addTodo('Work task');
+  model.setFilter('completed');
+
+  model.switchList(homeId);
+  assert.equal(model.state.todos[0].title, 'Home task');
+  assert.equal(model.state.currentFilter, 'active');
+  assert.equal(model.getFilteredTodos().length, 1);
+});
+
+testRunner.test('model.switchList: returns null for unknown list', () => {
+  resetState();
+  assert.notOk(model.switchList('nonexistent'));
+});
+
+testRunner.test('model.renameList: renames and validates', () => {
+  resetState();
+  const id = model.state.activeListId;
+  model.createList('Work');
+  assert.ok(model.renameList(id, 'Home'));
+  assert.equal(model.state.lists.find((l) => l.id === id).name, 'Home');
+  assert.notOk(model.renameList(id, 'work'), 'Duplicate name rejected');
+  assert.notOk(model.renameList(id, ''), 'Empty name rejected');
+  assert.ok(model.renameList(id, 'HOME'), 'Own name with new casing allowed');
+  assert.notOk(model.renameList('nonexistent', 'Other'));
+});
+
+testRunner.test('model.deleteList: removes the list and switches away', () => {
+  resetState();
+  const homeId = model.state.activeListId;
+  model.addTodo('Home task');
+  model.createList('Work');
+  const workId = model.state.activeListId;
+  model.addTodo('Work task');
+
+  const result = model.deleteList(workId);
+  assert.ok(result);
+  assert.equal(model.state.lists.length, 1);
+  assert.equal(model.state.activeListId, homeId);
+  assert.equal(model.state.todos[0].title, 'Home task');
+});
+
+testRunner.test('model.deleteList: refuses to delete the last list', () => {
+  resetState();
+  assert.notOk(model.deleteList(model.state.activeListId));
+  assert.equal(model.state.lists.length, 1);
+});
+
+testRunner.test('model.deleteList: discards undo history for the deleted list', () => {
+  resetState();
+  model.addTodo('Home task');
+  model.createList('Work');
+  model.addTodo('Work task');
+  model.deleteList(model.state.activeListId);
+  assert.equal(model.history.past.length, 1);
+  assert.equal(model.getUndoLabel(), 'Added \u201cHome task\u201d');
+});
+
+testRunner.test('model.undo: switches back to the list the change was made in', () => {
+  resetState();
+  const homeId = model.state.activeListId;
+  model.addTodo('Home task');
+  model.createList('Work');
+  model.undo();
+  assert.equal(model.state.activeListId, homeId);
+  assert.equal(model.state.todos.length, 0);
+});
+
+/* ==========================================================================
+   Model: Immutability Tests
+   ========================================================================== */
+
+testRunner.test('model.addTodo: creates new todos array (immutable)', () => {
+  resetState();
+  const before = model.state.todos;
+  model.addTodo('New');
+  assert.ok(model.state.todos !== before, 'Should be a new array reference');
+});
+
+testRunner.test('model.toggleTodo: creates new todos array (immutable)', () => {
+  resetState();
+  model.addTodo('Toggle');
+  const before = model.state.todos;
+  model.toggleTodo(model.state.todos[0].id);
+  assert.ok(model.state.todos !== before, 'Should be a new array reference');
+});
+
+testRunner.test('model.deleteTodo: creates new todos array (immutable)', () => {
+  resetState();
+  model.addTodo('Delete');
+  const before = model.state.todos;
+  model.deleteTodo(model.state.todos[0].id);
+  assert.ok(model.state.todos !== before, 'Should be a new array reference');
+});
+
+testRunner.test('model.editTodo: creates new todo object (immutable)', () => {
+  resetState();
+  model.addTodo('Original');
+  const beforeTodo = model.state.todos[0];
+  model.editTodo(beforeTodo.id, 'Updated');
+  assert.ok(model.state.todos[0] !== beforeTodo, 'Should be a new object reference');
+});
+
+/* ==========================================================================
+   Keyed Rendering Tests
+   ========================================================================== */
+
+testRunner.test('renderTodoList: patches changed rows in place and moves the others', () => {
+  resetState();
+  ['C', 'B', 'A'].forEach((title) => model.addTodo(title));
+  renderState();
+  const rows = () => [...document.querySelectorAll('#todo-list .todo-item')];
+  const [a, b, c] = rows();
+  const bTitle = b.querySelector('.todo-title');
+  a.setAttribute('data-probe', 'untouched');
+
+  model.toggleTodo(b.dataset.id);
+  renderState();
+  assert.deepEqual(rows(), [a, b, c], 'The same elements');
+  assert.ok(b.classList.contains('completed'));
+  assert.ok(b.querySelector('.todo-checkbox').checked);
+  assert.equal(b.querySelector('.todo-title'), bTitle, 'Children are patched, not rebuilt');
+  assert.equal(a.getAttribute('data-probe'), 'untouched', 'Unchanged rows are skipped');
+
+  model.setSortOrder('oldest');
+  renderState();
+  assert.deepEqual(rows(), [c, b, a], 'Rows are moved, not rebuilt');
+
+  model.deleteTodo(b.dataset.id);
+  model.addTodo('D');
+  renderState();
+  assert.notOk(b.isConnected);
+  assert.deepEqual(rows().slice(0, 2), [c, a]);
+  assert.equal(rows()[2].querySelector('.todo-title').textContent, 'D');
+  resetState();
+  renderState();
+});
+
+testRunner.test('renderTodoList: moves only the rows that left their order', () => {
+  resetState();
+  ['F', 'E', 'D', 'C', 'B', 'A'].forEach((title) => model.addTodo(title));
+  const [a, b, c, d, e, f] = model.state.todos;
+  renderTodoList([a, b, c, d, e, f]);
+  const rowOf = new Map([...todoListEl.children].map((li) => [li.dataset.id, li]));
+  const moved = [];
+  todoListEl.insertBefore = function (node, ref) {
+    moved.push(node.querySelector('.todo-title').textContent);
+    return HTMLElement.prototype.insertBefore.call(this, node, ref);
+  };
+  const render = (todos) => {
+    moved.length = 0;
+    renderTodoList(todos);
+    const titles = [...todoListEl.children].map((li) => {
+      return li.querySelector('.todo-title').textContent;
+    });
+    assert.deepEqual(titles, todos.map((t) => t.title));
+    return [...moved];
+  };
+  try {
+    assert.deepEqual(render([a, b, c, d, e, f]), [], 'Nothing moves');
+    assert.deepEqual(render([b, c, d, e, f, a]), ['A'], 'The first row to the end');
+    assert.deepEqual(render([b, c, a, d, e, f]), ['A'], 'Back into the middle');
+    assert.deepEqual(render([c, b, a, d, e, f]), ['C'], 'Two rows swap');
+    assert.deepEqual(render([f, e, d, c, b, a]), ['D', 'E', 'F'], 'C, B and A stay in order');
+    assert.equal(render([a, b, c, d, e, f]).length, 5, 'Reversed: all but one');
+    const g = { ...a, id: 'new-row', title: 'G' };
+    assert.deepEqual(render([b, g, c, d, e, f]), ['G'], 'A new row is inserted, A removed');
+    assert.ok([b, c, d, e, f].every((t) => rowOf.get(t.id).isConnected), 'Same elements');
+    assert.notOk(rowOf.get(a.id).isConnected);
+  } finally {
+    delete todoListEl.insertBefore;
+    resetState();
+    renderState();
+  }
+});
+
+testRunner.test('renderTodoList: an open edit survives changes to other todos', () => {
+  resetState();
+  actions.addTodo('Other');
+  actions.addTodo('Editing');
+  const li = document.querySelector('#todo-list .todo-item');
+  enterEditMode(li, li.dataset.id, 'Editing');
+  const input = li.querySelector('.todo-edit-input');
+  input.value = 'Edited';
+
+  actions.toggleTodo(model.state.todos.find((t) => t.title === 'Other').id);
+  assert.equal(li.querySelector('.todo-edit-input'), input);
+  assert.equal(document.activeElement, input, 'Keeps focus');
+  assert.equal(input.value, 'Edited');
+
+  input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+  assert.ok(li.isConnected, 'The same row');
+  assert.notOk(li.querySelector('.todo-edit-input'), 'Saving closes the edit');
+  assert.equal(li.querySelector('.todo-title').textContent, 'Edited');
 });
 
 /* ==========================================================================
-   Model: Immutability Tests
+   Windowed List Tests
    ========================================================================== */
 
-testRunner.test('model.addTodo: creates new todos array (immutable)', () => {
+/** @type {number} More todos than a list shows without windowing */
+const WINDOWED_COUNT = VIRTUAL_LIST_THRESHOLD + 100;
+
+/**
+ * Seeds active todos, shown newest first as todo-0, todo-1, \u2026
+ * @param {number} [count=WINDOWED_COUNT]
+ */
+function seedWindowedTodos(count = WINDOWED_COUNT) {
+  const now = Date.now();
+  for (let i = 0; i < count; i++) {
+    model.state.todos.push({
+      id: 'todo-' + i,
+      title: 'Todo ' + i,
+      completed: false,
+      createdAt: now - i
+    });
+  }
+}
+
+testRunner.test('renderTodoList: mounts only the rows on screen in a long list', () => {
   resetState();
-  const before = model.state.todos;
-  model.addTodo('New');
-  assert.ok(model.state.todos !== before, 'Should be a new array reference');
+  seedWindowedTodos();
+  renderState();
+  const rows = [...document.querySelectorAll('#todo-list .todo-item')];
+  assert.ok(rows.length > 0 && rows.length < 100, 'Mounted ' + rows.length + ' rows');
+  assert.equal(rows[0].dataset.id, 'todo-0');
+  assert.equal(rows[1].getAttribute('aria-posinset'), '2');
+  assert.equal(rows[1].getAttribute('aria-setsize'), String(WINDOWED_COUNT));
+
+  const spacer = todoListEl.lastElementChild;
+  assert.ok(spacer.classList.contains('todo-list-spacer'));
+  assert.equal(spacer.getAttribute('aria-hidden'), 'true');
+  const unmounted = getTodoRowHeights(model.getFilteredTodos()).slice(rows.length);
+  assert.equal(
+    parseFloat(spacer.style.height),
+    unmounted.reduce((sum, height) => sum + height, 0),
+    'As tall as the rows it stands in for'
+  );
+
+  model.state.searchQuery = 'Todo 599';
+  renderState();
+  const [row] = document.querySelectorAll('#todo-list .todo-item');
+  assert.equal(todoListEl.children.length, 1, 'A short list is not windowed');
+  assert.notOk(row.hasAttribute('aria-setsize'));
+  resetState();
+  renderState();
 });
 
-testRunner.test('model.toggleTodo: creates new todos array (immutable)', () => {
+testRunner.test('renderTodoList: windows a list once it has more than 500 todos', () => {
   resetState();
-  model.addTodo('Toggle');
-  const before = model.state.todos;
-  model.toggleTodo(model.state.todos[0].id);
-  assert.ok(model.state.todos !== before, 'Should be a new array reference');
+  seedWindowedTodos(VIRTUAL_LIST_THRESHOLD);
+  renderState();
+  const rows = () => document.querySelectorAll('#todo-list .todo-item');
+  assert.equal(rows().length, VIRTUAL_LIST_THRESHOLD, 'At the threshold every row is mounted');
+  assert.notOk(todoListEl.querySelector('.todo-list-spacer'));
+  assert.notOk(rows()[0].hasAttribute('aria-setsize'));
+
+  model.addTodo('One more');
+  renderState();
+  assert.ok(rows().length < 100, 'One past it, only the rows on screen');
+  assert.equal(rows()[0].getAttribute('aria-setsize'), String(VIRTUAL_LIST_THRESHOLD + 1));
+  assert.ok(todoListEl.lastElementChild.classList.contains('todo-list-spacer'));
+
+  model.deleteTodo(model.state.todos.find((t) => t.title === 'One more').id);
+  renderState();
+  assert.equal(rows().length, VIRTUAL_LIST_THRESHOLD, 'Back at it, every row again');
+  assert.notOk(todoListEl.querySelector('.todo-list-spacer'));
+  resetState();
+  renderState();
 });
 
-testRunner.test('model.deleteTodo: creates new todos array (immutable)', () => {
+testRunner.test('Windowed list: scrolling mounts the rows scrolled into view', async () => {
   resetState();
-  model.addTodo('Delete');
-  const before = model.state.todos;
-  model.deleteTodo(model.state.todos[0].id);
-  assert.ok(model.state.todos !== before, 'Should be a new array reference');
+  seedWindowedTodos();
+  renderState();
+  let listTop = 0;
+  todoListEl.getBoundingClientRect = () => ({ top: listTop, bottom: listTop, height: 0 });
+  const firstRow = () => todoListEl.querySelector('.todo-item');
+  const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+  try {
+    listTop = -300 * TODO_ROW_HEIGHT;
+    window.dispatchEvent(new Event('scroll'));
+    window.dispatchEvent(new Event('scroll'));
+    assert.equal(firstRow().dataset.id, 'todo-0', 'Nothing moves until the next frame');
+
+    await nextFrame();
+    const heights = getTodoRowHeights(model.getFilteredTodos());
+    const first = getTodoListRange(heights).start;
+    assert.ok(first > 0, 'Starts at row ' + first);
+    assert.equal(firstRow().dataset.id, 'todo-' + first);
+    assert.equal(firstRow().getAttribute('aria-posinset'), String(first + 1));
+    const spacer = todoListEl.firstElementChild;
+    assert.ok(spacer.classList.contains('todo-list-spacer'));
+    const above = heights.slice(0, first).reduce((sum, height) => sum + height, 0);
+    assert.equal(parseFloat(spacer.style.height), above, 'Stands in for the rows above');
+
+    listTop = 0;
+    window.dispatchEvent(new Event('resize'));
+    await nextFrame();
+    assert.equal(firstRow().dataset.id, 'todo-0', 'Back at the top');
+    assert.equal(todoListEl.firstElementChild, firstRow());
+  } finally {
+    delete todoListEl.getBoundingClientRect;
+    resetState();
+    renderState();
+  }
 });
 
-testRunner.test('model.editTodo: creates new todo object (immutable)', () => {
+testRunner.test('Windowed list: focus and selection reach rows off screen', () => {
   resetState();
-  model.addTodo('Original');
-  const beforeTodo = model.state.todos[0];
-  model.editTodo(beforeTodo.id, 'Updated');
-  assert.ok(model.state.todos[0] !== beforeTodo, 'Should be a new object reference');
+  seedWindowedTodos();
+  renderState();
+  const rows = document.querySelectorAll('#todo-list .todo-item');
+  rows[rows.length - 1].querySelector('.todo-title').focus();
+  const press = (key) => {
+    document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+  };
+  press('j');
+  const focusedId = () => document.activeElement.closest('.todo-item').dataset.id;
+  assert.equal(focusedId(), 'todo-' + rows.length, 'The next row is mounted to take focus');
+
+  focusTodoTitle('todo-550');
+  renderState();
+  assert.equal(focusedId(), 'todo-550', 'The focused row stays mounted');
+  const li = document.activeElement.closest('.todo-item');
+  assert.ok(li.previousElementSibling.classList.contains('todo-list-spacer'));
+  press('x');
+  assert.ok(model.state.todos.find((t) => t.id === 'todo-550').completed);
+  assert.equal(focusedId(), 'todo-550');
+
+  selectTodo('todo-0', false);
+  selectTodo('todo-550', true);
+  assert.equal(selectedTodoIds.size, 551, 'Shift-select covers rows not mounted');
+  selectShownBtn.click();
+  assert.equal(selectedTodoIds.size, WINDOWED_COUNT);
+  selectedTodoIds.clear();
+  resetState();
+  renderState();
+});
+
+testRunner.test('handleFindShortcut: Ctrl+F goes to search while the list is windowed', () => {
+  resetState();
+  seedWindowedTodos();
+  renderState();
+  const pressCtrlF = (target) => target.dispatchEvent(new KeyboardEvent('keydown', {
+    key: 'f', ctrlKey: true, bubbles: true, cancelable: true
+  }));
+  assert.notOk(pressCtrlF(document.body), 'Handled');
+  assert.equal(document.activeElement, searchInput);
+  assert.ok(pressCtrlF(searchInput), 'Pressed again, the browser\u2019s find opens');
+
+  resetState();
+  renderState();
+  searchInput.blur();
+  assert.ok(pressCtrlF(document.body), 'A short list leaves it to the browser');
 });
 
 /* ==========================================================================
@@ -593,3 +4210,832 @@ testRunner.test('SAM flow: plural count text "0 items left"', () => {
   renderState();
   assert.equal(document.getElementById('active-count').textContent, '0 items left');
 });
+
+testRunner.test('SAM flow: calendar shows the week with completion counts', () => {
+  resetState();
+  actions.addTodo('Finish today');
+  actions.toggleTodo(model.state.todos[0].id);
+  const days = document.querySelectorAll('#calendar-days .calendar-day');
+  assert.equal(days.length, 7);
+  const today = document.querySelector('#calendar-days .calendar-day.today');
+  assert.ok(today, 'Today should be highlighted');
+  assert.equal(today.querySelector('.calendar-count').textContent, '1');
+});
+
+testRunner.test('SAM flow: selecting a day filters the list and toggles off', () => {
+  resetState();
+  actions.addTodo('Still open');
+  actions.addTodo('Done today');
+  actions.toggleTodo(model.state.todos[0].id);
+  const todayKey = toDayKey(Date.now());
+
+  actions.selectDay(todayKey);
+  const items = document.querySelectorAll('#todo-list .todo-item');
+  assert.equal(items.length, 1);
+  assert.equal(items[0].querySelector('.todo-title').textContent, 'Done today');
+  const selected = document.querySelector('#calendar-days .calendar-day.selected');
+  assert.equal(selected.dataset.day, todayKey);
+
+  actions.selectDay(todayKey);
+  assert.equal(model.state.currentFilter, 'all');
+  assert.equal(document.querySelectorAll('#todo-list .todo-item').length, 2);
+});
+
+testRunner.test('SAM flow: empty state names the selected day', () => {
+  resetState();
+  actions.addTodo('Open');
+  actions.selectDay('2024-05-15');
+  const emptyState = document.getElementById('empty-state');
+  assert.equal(emptyState.hidden, false);
+  assert.ok(emptyState.textContent.startsWith('No todos completed on '));
+});
+
+testRunner.test('SAM flow: week navigation updates the calendar', () => {
+  resetState();
+  renderState();
+  const firstDay = document.querySelector('#calendar-days .calendar-day').dataset.day;
+  actions.shiftCalendarWeek(-1);
+  const prevFirstDay = document.querySelector('#calendar-days .calendar-day').dataset.day;
+  assert.equal(prevFirstDay, addDays(firstDay, -7));
+});
+
+testRunner.test('SAM flow: deleteTodo shows a toast whose Undo restores the todo', () => {
+  resetState();
+  actions.addTodo('Undo me');
+  actions.deleteTodo(model.state.todos[0].id);
+  const toast = document.querySelector('.toast');
+  assert.ok(toast, 'Toast should be shown');
+  assert.equal(toast.querySelector('span').textContent, 'Deleted \u201cUndo me\u201d');
+
+  toast.querySelector('.toast-action').click();
+  assert.equal(document.querySelectorAll('#todo-list .todo-item').length, 1);
+  assert.equal(
+    document.querySelector('.toast span').textContent,
+    'Undone: Deleted \u201cUndo me\u201d'
+  );
+});
+
+testRunner.test('SAM flow: the trash panel restores and deletes todos for good', () => {
+  resetState();
+  actions.addTodo('Binned');
+  actions.addTodo('Restored');
+  actions.deleteTodo(model.state.todos[0].id);
+  actions.deleteTodo(model.state.todos[0].id);
+  const toggle = document.getElementById('trash-toggle');
+  assert.equal(toggle.textContent, 'Trash (2)');
+
+  toggle.click();
+  assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+  const item = (title) => [...document.querySelectorAll('#trash-list .trash-item')]
+    .find((li) => li.querySelector('.trash-title').textContent === title);
+  assert.ok(item('Binned').querySelector('.trash-meta').textContent.startsWith('Deleted today'));
+
+  item('Restored').querySelector('.trash-restore').click();
+  assert.equal(document.querySelector('#todo-list .todo-title').textContent, 'Restored');
+  item('Binned').querySelector('.trash-delete').click();
+  assert.equal(document.querySelectorAll('#trash-list .trash-item').length, 0);
+  assert.notOk(document.getElementById('trash-empty-state').hidden);
+  assert.equal(toggle.textContent, 'Trash');
+
+  const retention = document.getElementById('trash-retention');
+  retention.value = '90';
+  retention.dispatchEvent(new Event('change'));
+  assert.equal(model.state.trashRetentionDays, 90);
+  toggle.click();
+  assert.ok(document.getElementById('trash').hidden);
+});
+
+testRunner.test('SAM flow: the history view searches and unarchives archived todos', () => {
+  resetState();
+  addCompletedTodo('Write report', 0, { tags: ['work'] });
+  addCompletedTodo('Buy milk', 0);
+  renderState();
+  document.getElementById('archive-completed').click();
+  assert.equal(document.querySelectorAll('#todo-list .todo-item').length, 0);
+
+  const toggle = document.getElementById('history-toggle');
+  assert.equal(toggle.textContent, 'History (2)');
+  toggle.click();
+  const titles = () => [...document.querySelectorAll('#history-groups .history-title')]
+    .map((el) => el.textContent);
+  assert.deepEqual(titles().sort(), ['Buy milk', 'Write report']);
+  assert.ok(document.querySelector('#history-groups .history-day').textContent.length > 0);
+
+  document.querySelector('#history-groups .history-tag').click();
+  assert.equal(document.getElementById('history-search').value, '#work');
+  assert.deepEqual(titles(), ['Write report']);
+
+  const search = document.getElementById('history-search');
+  search.value = 'zzz';
+  search.dispatchEvent(new Event('input'));
+  assert.equal(document.getElementById('history-empty-state').textContent,
+    'No archived todos match \u201czzz\u201d.');
+
+  search.value = '';
+  search.dispatchEvent(new Event('input'));
+  const unarchive = document.getElementById('history-unarchive');
+  assert.ok(unarchive.disabled);
+  document.getElementById('history-select-all').click();
+  assert.equal(unarchive.textContent, 'Unarchive (2)');
+  unarchive.click();
+  assert.equal(document.querySelectorAll('#todo-list .todo-item').length, 2);
+  assert.equal(document.getElementById('history-empty-state').textContent,
+    'Nothing archived yet.');
+  toggle.click();
+});
+
+testRunner.test('SAM flow: "/" focuses the search, which highlights matches safely', () => {
+  resetState();
+  actions.addTodo('<b>Crème</b> brûlée');
+  actions.addTodo('Buy milk', { tags: ['dessert'] });
+  const search = document.getElementById('todo-search');
+
+  document.body.dispatchEvent(new KeyboardEvent('keydown', { key: '/', bubbles: true }));
+  assert.equal(document.activeElement, search);
+
+  search.value = 'creme';
+  search.dispatchEvent(new Event('input'));
+  const titles = document.querySelectorAll('#todo-list .todo-title');
+  assert.equal(titles.length, 1);
+  assert.equal(titles[0].textContent, '<b>Crème</b> brûlée');
+  assert.equal(titles[0].querySelector('mark').textContent, 'Crème');
+  assert.notOk(titles[0].querySelector('b'), 'Todo text is never parsed as HTML');
+
+  search.value = 'dess';
+  search.dispatchEvent(new Event('input'));
+  assert.equal(document.querySelector('#todo-list .todo-tag mark').textContent, 'dess');
+
+  search.value = 'zzz';
+  search.dispatchEvent(new Event('input'));
+  assert.equal(document.getElementById('empty-state').textContent, 'No todos match \u201czzz\u201d.');
+
+  search.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  assert.equal(search.value, '');
+  assert.equal(document.querySelectorAll('#todo-list .todo-item').length, 2);
+  assert.equal(document.querySelectorAll('#todo-list mark').length, 0);
+  search.blur();
+});
+
+testRunner.test('SAM flow: selected todos are completed and moved from the bulk bar', () => {
+  resetState();
+  ['One', 'Two', 'Three', 'Four'].forEach((title) => actions.addTodo(title));
+  const items = () => [...document.querySelectorAll('#todo-list .todo-item')];
+  const bar = document.getElementById('bulk-bar');
+  assert.ok(bar.hidden, 'The bar is hidden with nothing selected');
+
+  const click = (li, init) => li.querySelector('.todo-title')
+    .dispatchEvent(new MouseEvent('click', Object.assign({ bubbles: true }, init)));
+  click(items()[0], { ctrlKey: true });
+  click(items()[2], { shiftKey: true });
+  assert.equal(
+    items().filter((li) => li.classList.contains('selected')).length, 3,
+    'Shift-click selects the range from the anchor'
+  );
+  items()[1].querySelector('.todo-title')
+    .dispatchEvent(new KeyboardEvent('keydown', { key: ' ', bubbles: true }));
+  assert.notOk(bar.hidden);
+  assert.equal(document.getElementById('bulk-count').textContent, '2 todos selected');
+
+  document.getElementById('bulk-complete').click();
+  assert.equal(model.state.todos.filter((t) => t.completed).length, 2);
+  assert.equal(document.querySelector('.toast span').textContent, 'Completed 2 todos');
+  document.querySelector('.toast-action').click();
+  assert.equal(model.state.todos.filter((t) => t.completed).length, 0, 'One undo step');
+
+  actions.createList('Errands');
+  actions.switchList(model.state.lists.find((l) => l.name === DEFAULT_LIST_NAME).id);
+  document.getElementById('select-shown').click();
+  assert.equal(document.getElementById('bulk-count').textContent, '4 todos selected');
+  const move = document.getElementById('bulk-move');
+  move.value = model.state.lists.find((l) => l.name === 'Errands').id;
+  move.dispatchEvent(new Event('change'));
+  assert.equal(items().length, 0);
+  assert.ok(bar.hidden, 'Moved todos leave the selection');
+
+  document.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true }));
+  assert.equal(items().length, 4);
+  document.getElementById('bulk-clear').click();
+  assert.ok(bar.hidden);
+});
+
+testRunner.test('SAM flow: Ctrl+Z and Ctrl+Shift+Z undo and redo', () => {
+  resetState();
+  actions.addTodo('Keyboard');
+  handleCommandShortcut(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true }));
+  assert.equal(document.querySelectorAll('#todo-list .todo-item').length, 0);
+  handleCommandShortcut(
+    new KeyboardEvent('keydown', { key: 'Z', ctrlKey: true, shiftKey: true })
+  );
+  assert.equal(document.querySelectorAll('#todo-list .todo-item').length, 1);
+});
+
+testRunner.test('handleCommandShortcut: leaves undo in text inputs to the browser', () => {
+  resetState();
+  actions.addTodo('Typing');
+  const input = document.getElementById('todo-input');
+  const event = new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true });
+  input.addEventListener('keydown', handleCommandShortcut, { once: true });
+  input.dispatchEvent(event);
+  assert.equal(model.state.todos.length, 1);
+});
+
+testRunner.test('SAM flow: Alt+ArrowDown moves a todo and announces it', () => {
+  resetState();
+  addTodosInSequence([{ title: 'Second' }, { title: 'First' }]);
+  renderState();
+  const handle = document.querySelector('#todo-list .todo-item .todo-drag-handle');
+  handle.dispatchEvent(
+    new KeyboardEvent('keydown', { key: 'ArrowDown', altKey: true, bubbles: true })
+  );
+
+  const titles = [...document.querySelectorAll('#todo-list .todo-title')];
+  assert.deepEqual(titles.map((el) => el.textContent), ['Second', 'First']);
+  assert.equal(model.state.sortOrder, 'manual');
+  assert.equal(
+    document.getElementById('announcer').textContent,
+    'Moved \u201cFirst\u201d to position 2 of 2.'
+  );
+});
+
+testRunner.test('handleCommandShortcut: moving ignores the last item and text inputs', () => {
+  resetState();
+  addTodosInSequence([{ title: 'Second' }, { title: 'First' }]);
+  renderState();
+  const items = document.querySelectorAll('#todo-list .todo-item');
+  items[1].querySelector('.todo-drag-handle').dispatchEvent(
+    new KeyboardEvent('keydown', { key: 'ArrowDown', altKey: true, bubbles: true })
+  );
+  assert.equal(model.state.todos[0].title, 'First', 'Nothing below the last item');
+
+  enterEditMode(items[0], items[0].dataset.id, 'First');
+  items[0].querySelector('.todo-edit-input').dispatchEvent(
+    new KeyboardEvent('keydown', { key: 'ArrowDown', altKey: true, bubbles: true })
+  );
+  assert.equal(model.state.sortOrder, 'newest', 'Text inputs keep Alt+Arrow');
+  renderState();
+});
+
+testRunner.test('SAM flow: j/k move between todos and x, e, Delete act on the focused one', () => {
+  resetState();
+  ['Third', 'Second', 'First'].forEach((title) => actions.addTodo(title));
+  document.activeElement.blur();
+  const press = (key) => document.activeElement.dispatchEvent(
+    new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+  );
+  const focused = () => document.activeElement.textContent;
+
+  press('j');
+  assert.equal(focused(), 'First', 'Starts at the first todo');
+  press('j');
+  press('ArrowDown');
+  press('j');
+  assert.equal(focused(), 'Third', 'Stops at the last todo');
+  press('k');
+  press('x');
+  assert.ok(model.state.todos.find((t) => t.title === 'Second').completed);
+  assert.equal(focused(), 'Second', 'Focus stays on the todo');
+
+  press('2');
+  assert.equal(model.state.currentFilter, 'active');
+  press('1');
+  assert.equal(model.state.currentFilter, 'all');
+
+  press('k');
+  press('Delete');
+  assert.deepEqual(model.state.todos.map((t) => t.title), ['First', 'Second']);
+  assert.equal(focused(), 'Second', 'Focus moves to the todo before');
+
+  press('e');
+  const input = document.querySelector('#todo-list .todo-edit-input');
+  assert.equal(document.activeElement, input);
+  press('x');
+  assert.ok(model.state.todos.find((t) => t.title === 'Second').completed, 'Typing is left alone');
+  press('Escape');
+  assert.notOk(document.querySelector('#todo-list .todo-edit-input'));
+});
+
+testRunner.test('SAM flow: Ctrl+K opens a palette that fuzzy-finds and runs commands', () => {
+  resetState();
+  actions.addTodo('Water plants');
+  const palette = document.getElementById('command-palette');
+  const input = document.getElementById('command-palette-input');
+  const labels = () => [...document.querySelectorAll('#command-palette-list .command-label')]
+    .map((el) => el.textContent);
+  const openPalette = () => document.activeElement.dispatchEvent(
+    new KeyboardEvent('keydown', { key: 'k', ctrlKey: true, bubbles: true, cancelable: true })
+  );
+  const press = (key) => input.dispatchEvent(
+    new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+  );
+
+  document.querySelector('#todo-list .todo-title').focus();
+  openPalette();
+  assert.notOk(palette.hidden);
+  assert.equal(document.activeElement, input);
+  assert.ok(labels().includes('Delete the todo'), 'Offers commands for the focused todo');
+
+  input.value = 'reopen';
+  input.dispatchEvent(new Event('input'));
+  assert.deepEqual(labels(), ['Complete or reopen the todo']);
+  assert.equal(document.querySelector('#command-palette-list mark').textContent, 'reopen');
+  press('Enter');
+  assert.ok(palette.hidden);
+  assert.ok(model.state.todos[0].completed, 'Ran for the todo that had focus');
+  assert.ok(document.activeElement.classList.contains('todo-title'), 'Focus went back');
+
+  document.activeElement.blur();
+  openPalette();
+  assert.notOk(labels().includes('Delete the todo'), 'No todo had focus');
+  press('ArrowUp');
+  assert.equal(
+    input.getAttribute('aria-activedescendant'), 'command-showShortcuts', 'Wraps to the end'
+  );
+  press('Escape');
+  assert.ok(palette.hidden);
+  assert.equal(document.querySelector('#todo-list .todo-title').textContent, 'Water plants');
+
+  input.value = 'zzz';
+  openPalette();
+  assert.equal(input.value, '', 'Opens with an empty query');
+  input.value = 'zzz';
+  input.dispatchEvent(new Event('input'));
+  assert.notOk(document.getElementById('command-palette-empty').hidden);
+  press('Escape');
+});
+
+testRunner.test('SAM flow: "?" lists the shortcuts, and a changed key is saved', () => {
+  resetState();
+  actions.addTodo('Remap me');
+  document.activeElement.blur();
+  document.body.dispatchEvent(
+    new KeyboardEvent('keydown', { key: '?', shiftKey: true, bubbles: true, cancelable: true })
+  );
+  const shortcuts = document.getElementById('shortcuts');
+  assert.notOk(shortcuts.hidden);
+  const row = (id) => document.querySelector('#shortcuts-list [data-command-id="' + id + '"]');
+  const keys = (id) => row(id).querySelector('.shortcut-keys').textContent;
+  assert.equal(keys('toggleTodo'), 'X');
+  assert.equal(keys('redo'), 'Ctrl+Shift+ZCtrl+Y');
+  assert.equal(keys('selectShown'), 'None');
+
+  row('toggleTodo').querySelector('.shortcut-change').click();
+  const changeBtn = row('toggleTodo').querySelector('.shortcut-change');
+  assert.equal(changeBtn.getAttribute('aria-pressed'), 'true');
+  assert.equal(document.activeElement, changeBtn);
+  changeBtn.dispatchEvent(
+    new KeyboardEvent('keydown', { key: 'e', bubbles: true, cancelable: true })
+  );
+  assert.equal(keys('toggleTodo'), 'E');
+  assert.equal(keys('editTodo'), 'None');
+  assert.equal(
+    document.getElementById('announcer').textContent,
+    'E now runs \u201cComplete or reopen the todo\u201d instead of \u201cEdit the todo\u201d'
+  );
+  assert.notOk(shortcuts.hidden, 'Stays open after a change');
+
+  document.activeElement.dispatchEvent(
+    new KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true })
+  );
+  assert.ok(shortcuts.hidden);
+
+  const title = document.querySelector('#todo-list .todo-title');
+  title.dispatchEvent(new KeyboardEvent('keydown', { key: 'x', bubbles: true }));
+  assert.notOk(model.state.todos[0].completed, 'The old key does nothing');
+  title.dispatchEvent(new KeyboardEvent('keydown', { key: 'e', bubbles: true }));
+  assert.ok(model.state.todos[0].completed);
+  assert.deepEqual(JSON.parse(model.storage.getItem(KEYMAP_KEY)).toggleTodo, ['e']);
+
+  document.getElementById('shortcuts-reset').click();
+  assert.notOk(model.storage.getItem(KEYMAP_KEY));
+});
+
+testRunner.test('SAM flow: subtasks render with progress and can be collapsed', () => {
+  resetState();
+  actions.addTodo('Release v2');
+  const id = model.state.todos[0].id;
+  actions.addSubtask(id, 'Build');
+  actions.addSubtask(id, 'Publish');
+  document.querySelector('#todo-list .subtask-checkbox').click();
+
+  const toggle = document.querySelector('#todo-list .subtask-toggle');
+  assert.equal(toggle.textContent, '\u25BE 1/2');
+  assert.equal(document.querySelectorAll('#todo-list .subtask-item.completed').length, 1);
+
+  toggle.click();
+  assert.ok(document.querySelector('#todo-list .subtask-list').hidden);
+  assert.equal(
+    document.querySelector('#todo-list .subtask-toggle').getAttribute('aria-expanded'),
+    'false'
+  );
+  document.querySelector('#todo-list .subtask-toggle').click();
+  assert.notOk(document.querySelector('#todo-list .subtask-list').hidden);
+});
+
+testRunner.test('SAM flow: Enter in the subtask input adds a subtask', () => {
+  resetState();
+  actions.addTodo('Release v2');
+  document.querySelector('#todo-list .todo-add-subtask').click();
+  const input = document.querySelector('#todo-list .subtask-input');
+  input.value = 'Build';
+  input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+  assert.deepEqual(model.state.todos[0].subtasks.map((s) => s.title), ['Build']);
+  assert.equal(document.querySelectorAll('#todo-list .subtask-item').length, 1);
+});
+
+testRunner.test('SAM flow: edit mode sets and stops a repeat rule', () => {
+  resetState();
+  actions.addTodo('Team sync', { dueDate: '2024-05-13' });
+  let li = document.querySelector('#todo-list .todo-item');
+  enterEditMode(li, li.dataset.id, 'Team sync');
+  const repeat = li.querySelector('.todo-edit-repeat');
+  const detail = li.querySelector('.todo-edit-repeat-detail');
+  assert.ok(detail.hidden, 'No detail for "Doesn\u2019t repeat"');
+
+  repeat.value = 'weekly';
+  repeat.dispatchEvent(new Event('change'));
+  assert.equal(detail.value, 'mon', 'Suggested from the due date');
+  detail.value = 'mon, thu';
+  detail.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+  assert.deepEqual(model.state.todos[0].recurrence, { type: 'weekly', days: [1, 4] });
+  assert.ok(document.querySelector('#todo-list .todo-recurrence'));
+
+  li = document.querySelector('#todo-list .todo-item');
+  enterEditMode(li, li.dataset.id, 'Team sync');
+  li.querySelector('.todo-edit-repeat').value = 'none';
+  li.querySelector('.todo-edit-input').dispatchEvent(
+    new KeyboardEvent('keydown', { key: 'Enter', bubbles: true })
+  );
+  assert.equal(model.state.todos[0].recurrence, null);
+});
+
+testRunner.test('SAM flow: notes are edited in a textarea and rendered as safe Markdown', () => {
+  resetState();
+  actions.addTodo('Bug');
+  let li = document.querySelector('#todo-list .todo-item');
+  assert.notOk(li.querySelector('.todo-notes-toggle'), 'No toggle without notes');
+  enterEditMode(li, li.dataset.id, 'Bug');
+  const notes = li.querySelector('.todo-edit-notes');
+  notes.value = '<img src=x onerror=alert(1)> **Repro**\n- [link](javascript:alert(1))';
+  notes.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+  assert.ok(li.classList.contains('editing'), 'Enter alone adds a line');
+  notes.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', ctrlKey: true, bubbles: true }));
+  assert.ok(model.state.todos[0].notes.includes('**Repro**'));
+
+  li = document.querySelector('#todo-list .todo-item');
+  const toggle = li.querySelector('.todo-notes-toggle');
+  assert.ok(li.querySelector('.todo-notes').hidden);
+  toggle.click();
+  const body = document.querySelector('#todo-list .todo-notes');
+  assert.notOk(body.hidden);
+  const shownToggle = document.querySelector('#todo-list .todo-notes-toggle');
+  assert.equal(shownToggle.getAttribute('aria-expanded'), 'true');
+  assert.equal(body.querySelector('strong').textContent, 'Repro');
+  assert.notOk(body.querySelector('img'), 'HTML stays text');
+  assert.notOk(body.querySelector('a'), 'Unsafe links stay text');
+  assert.ok(body.querySelector('ul li').textContent.includes('javascript:'));
+  shownToggle.click();
+
+  const link = createNotesContent(parseNotes('[Docs](https://example.com)')).querySelector('a');
+  assert.equal(link.href, 'https://example.com/');
+  assert.equal(link.rel, 'noopener noreferrer');
+});
+
+testRunner.test('SAM flow: an invalid repeat detail keeps edit mode open', () => {
+  resetState();
+  actions.addTodo('Bills');
+  const li = document.querySelector('#todo-list .todo-item');
+  enterEditMode(li, li.dataset.id, 'Bills');
+  li.querySelector('.todo-edit-repeat').value = 'monthly';
+  const detail = li.querySelector('.todo-edit-repeat-detail');
+  detail.value = '40';
+  detail.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+  assert.ok(detail.classList.contains('invalid'));
+  assert.equal(model.state.todos[0].recurrence, null);
+  renderState();
+});
+
+testRunner.test('SAM flow: completing a recurring todo announces the next one', () => {
+  resetState();
+  actions.addTodo('Stretch', { dueDate: dayFromToday(0), recurrence: { type: 'daily' } });
+  document.querySelector('#todo-list .todo-checkbox').click();
+  assert.equal(
+    document.getElementById('announcer').textContent,
+    'Next \u201cStretch\u201d added. Due tomorrow.'
+  );
+});
+
+testRunner.test('SAM flow: finishing a recurring checklist announces the next one', () => {
+  resetState();
+  actions.addTodo('Stretch', { dueDate: dayFromToday(0), recurrence: { type: 'daily' } });
+  const id = model.state.todos[0].id;
+  actions.addSubtask(id, 'Legs');
+  document.getElementById('announcer').textContent = '';
+  actions.toggleSubtask(id, model.state.todos[0].subtasks[0].id);
+  assert.equal(model.state.todos.length, 2);
+  assert.equal(
+    document.getElementById('announcer').textContent,
+    'Next \u201cStretch\u201d added. Due tomorrow.'
+  );
+});
+
+testRunner.test('SAM flow: list switcher shows lists and switches between them', () => {
+  resetState();
+  actions.addTodo('Home task');
+  const homeId = model.state.activeListId;
+  actions.createList('Work');
+
+  const select = document.getElementById('list-select');
+  assert.equal(select.options.length, 2);
+  assert.equal(select.value, model.state.activeListId);
+  assert.equal(document.getElementById('list-delete').disabled, false);
+  assert.equal(document.querySelectorAll('#todo-list .todo-item').length, 0);
+
+  actions.switchList(homeId);
+  assert.equal(select.value, homeId);
+  assert.equal(document.querySelectorAll('#todo-list .todo-item').length, 1);
+});
+
+testRunner.test('SAM flow: deleting a list is disabled when only one remains', () => {
+  resetState();
+  renderState();
+  assert.equal(document.getElementById('list-delete').disabled, true);
+});
+
+testRunner.test('SAM flow: due labels render and overdue items are marked', () => {
+  resetState();
+  actions.addTodo('Late', { dueDate: dayFromToday(-3) });
+  actions.addTodo('Tomorrow', { dueDate: dayFromToday(1) });
+  const items = document.querySelectorAll('#todo-list .todo-item');
+  assert.equal(items[0].querySelector('.todo-due').textContent, 'Due tomorrow');
+  assert.notOk(items[0].classList.contains('overdue'));
+  assert.equal(items[1].querySelector('.todo-due').textContent, '3 days overdue');
+  assert.ok(items[1].classList.contains('overdue'));
+
+  actions.toggleTodo(model.state.todos[1].id);
+  const done = document.querySelector('#todo-list .todo-item.completed');
+  assert.notOk(done.classList.contains('overdue'), 'Completed todos are not overdue');
+});
+
+testRunner.test('SAM flow: "Due today" empty state message', () => {
+  resetState();
+  actions.addTodo('Not today');
+  actions.setFilter('today');
+  assert.equal(document.getElementById('empty-state').textContent, 'Nothing due today.');
+});
+
+testRunner.test('SAM flow: enterEditMode edits the due date', () => {
+  resetState();
+  actions.addTodo('Edit my date', { dueDate: '2024-05-15' });
+  const li = document.querySelector('#todo-list .todo-item');
+  enterEditMode(li, model.state.todos[0].id, 'Edit my date');
+  const dueInput = li.querySelector('.todo-edit-due');
+  assert.equal(dueInput.value, '2024-05-15');
+  dueInput.value = '2024-05-20';
+  dueInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+  assert.equal(model.state.todos[0].dueDate, '2024-05-20');
+});
+
+testRunner.test('SAM flow: quick-add preview shows recognized tokens', () => {
+  resetState();
+  renderQuickAddPreview(parseQuickAdd('Plan #trip !low @tomorrow every week'));
+  const preview = document.getElementById('quick-add-preview');
+  assert.equal(preview.hidden, false);
+  const chips = Array.from(preview.querySelectorAll('.quick-add-chip'));
+  assert.deepEqual(
+    chips.map((c) => c.className.replace('quick-add-chip quick-add-chip-', '')),
+    ['tag', 'priority', 'due', 'recurrence']
+  );
+  assert.equal(chips[0].textContent, '#trip');
+  assert.equal(chips[1].textContent, 'Low priority');
+
+  renderQuickAddPreview(parseQuickAdd('Nothing special'));
+  assert.equal(preview.hidden, true);
+});
+
+/* ==========================================================================
+   SAM Runtime Tests
+   ========================================================================== */
+
+testRunner.test('createSamRuntime: runs acceptors, then reactors, then next-actions', () => {
+  let count = 0;
+  const log = [];
+  const runtime = createSamRuntime(() => ({ count }));
+  runtime.addAcceptor('add', ({ by }) => {
+    count += by;
+    return count;
+  });
+  runtime.addAcceptor('add', ({ by }) => by > 0, true);
+  runtime.addReactor((states, step) => {
+    log.push(step.proposal.type + ':' + states.count + ':' + step.result);
+  });
+  runtime.addNextAction((states) => (states.count === 3 ? { type: 'add', by: 1 } : null));
+
+  assert.equal(runtime.present({ type: 'add', by: 2 }), 2);
+  assert.equal(runtime.present({ type: 'add', by: -1 }), null, 'Turned down by the first');
+  assert.equal(count, 2, 'Later acceptors did not run');
+  assert.equal(runtime.present({ type: 'add', by: 1 }), 3, 'The step\'s own result');
+  assert.equal(count, 4, 'The next action added one more');
+  assert.equal(runtime.present({ type: 'unknown' }), null);
+  assert.deepEqual(log, ['add:2:2', 'add:3:3', 'add:4:4'], 'Not for proposals turned down');
+});
+
+testRunner.test('createSamRuntime: a proposal turned down ends the step', () => {
+  const log = [];
+  const runtime = createSamRuntime(() => {
+    log.push('states');
+    return {};
+  });
+  runtime.addAcceptor('check', ({ ok }) => ok);
+  runtime.addAcceptor('check', () => {
+    log.push('second acceptor');
+    return undefined;
+  });
+  runtime.addReactor(() => log.push('reactor'));
+  runtime.addNextAction(() => {
+    log.push('next-action');
+    return null;
+  });
+
+  assert.equal(runtime.present({ type: 'check', ok: false }), null);
+  assert.equal(runtime.present({ type: 'check', ok: null }), null);
+  assert.deepEqual(log, [], 'Nothing ran after the first acceptor');
+  assert.equal(runtime.present({ type: 'check', ok: true }), undefined, 'Undefined accepts');
+  assert.deepEqual(log, ['second acceptor', 'states', 'reactor', 'next-action']);
+});
+
+testRunner.test('createSamRuntime: stops next-actions that never settle', () => {
+  let ticks = 0;
+  const errors = [];
+  const runtime = createSamRuntime(() => ({}));
+  runtime.addAcceptor('tick', () => ++ticks);
+  runtime.addNextAction(() => ({ type: 'tick' }));
+  const consoleError = console.error;
+  console.error = (message) => errors.push(message);
+  try {
+    assert.equal(runtime.present({ type: 'tick' }), 1, 'The first step\'s result');
+  } finally {
+    console.error = consoleError;
+  }
+  assert.equal(ticks, MAX_NEXT_ACTIONS + 1);
+  assert.equal(errors.length, 1, 'Logged once');
+  assert.ok(errors[0].includes('tick'));
+});
+
+testRunner.test('MODEL_ACCEPTORS: turn down proposals with data of the wrong kind', () => {
+  resetState();
+  model.addTodo('Keep me');
+  const { id } = model.state.todos[0];
+  const before = model.state;
+  // Reactors stay added, so this one turns itself off at the end
+  let counting = true;
+  let renders = 0;
+  sam.addReactor(() => {
+    if (counting) renders++;
+  });
+  [
+    { type: 'toggleTodo' },
+    { type: 'toggleTodo', id: 7 },
+    { type: 'addTodo', title: 'Fine', fields: 'high' },
+    { type: 'editTodo', id, title: 'Fine', fields: null },
+    { type: 'setTodosCompleted', ids: id, completed: true },
+    { type: 'setTodosCompleted', ids: [id], completed: 'yes' },
+    { type: 'deleteTodos', ids: [id, null] },
+    { type: 'purgeTrash', now: 'now' },
+    { type: 'setSyncEndpoint', endpoint: 42 },
+    { type: 'finishSync', changes: { todos: [] }, now: Date.now() },
+    { type: 'importData', data: {}, mode: 'replace' },
+    { type: 'importData', data: { lists: [{ id: 'l', name: 'L' }], tagColors: {} }, mode: 'merge' },
+    { type: 'importData', data: { lists: [{ id: 'l', name: 'L', todos: [] }] }, mode: 'replace' },
+    { type: 'setFilter', filter: 'day', dayKey: 20260101 },
+    { type: 'setSearchQuery', query: null },
+    { type: 'setSortOrder', sortOrder: ['alpha'] },
+    { type: 'shiftCalendarWeek', offset: '1' },
+    { type: 'toggleTagFilter', tag: { name: 'work' } },
+    { type: 'setTagMatchMode', mode: 1 },
+    { type: 'reportStorageError', error: 'Quota exceeded' },
+    { type: 'setKeyBinding', commandId: 'undo', key: 85 },
+    { type: 'setKeyBinding', commandId: 'toString', key: 'u' }
+  ].forEach((proposal) => {
+    assert.equal(sam.present(proposal), null, JSON.stringify(proposal));
+  });
+  counting = false;
+  assert.equal(model.state, before, 'The model is untouched');
+  assert.equal(renders, 0, 'Nothing rendered');
+  assert.equal(model.getSyncEndpoint(), null);
+  assert.equal(model.storageError, null);
+  assert.deepEqual(model.getKeymap(), DEFAULT_KEYMAP);
+});
+
+testRunner.test('SAM flow: next-actions purge the trash and archive what is due', () => {
+  resetState();
+  model.addTodo('Trashed');
+  model.deleteTodo(model.state.todos[0].id);
+  backdateTrashed(model.state.trash[0].id, 10);
+  addCompletedTodo('Done long ago', 10);
+  const noneDue = { trashExpired: false, archiveDue: false };
+  assert.deepEqual(model.getControlStates(Date.now()), noneDue);
+
+  actions.setTrashRetention(7);
+  assert.equal(model.state.trash.length, 0, 'Purged once the trash keeps todos for less');
+  actions.setArchiveAfter(7);
+  assert.deepEqual(model.state.archive.map((t) => t.title), ['Done long ago']);
+  assert.deepEqual(model.getControlStates(Date.now()), noneDue);
+
+  addCompletedTodo('Done a while ago', 8);
+  assert.ok(model.getControlStates(Date.now()).archiveDue, 'Came due');
+  actions.setFilter('active');
+  assert.equal(model.state.archive.length, 2, 'Archived after the next step');
+  resetState();
+  renderState();
+});
+
+testRunner.test('registerPlugin: adds acceptors, reactors and next-actions', () => {
+  resetState();
+  // Plugins stay registered, so this one turns itself off at the end
+  let enabled = true;
+  const seen = [];
+  registerPlugin({
+    name: 'test-plugin',
+    acceptors: {
+      addTodo: ({ title }) => !enabled || !title.includes('forbidden'),
+      testPluginPrioritize: ({ id }) => {
+        const todo = model.state.todos.find((t) => t.id === id);
+        return model.editTodo(id, todo.title, { priority: 'high' });
+      }
+    },
+    reactors: [(states, step) => {
+      if (enabled) seen.push(step.proposal.type);
+    }],
+    nextActions: [(states, step) => {
+      if (!enabled || step.proposal.type !== 'addTodo' || !step.result) return null;
+      return { type: 'testPluginPrioritize', id: step.result.todos[0].id };
+    }]
+  });
+
+  try {
+    assert.notOk(actions.addTodo('Something forbidden'), 'Turned down by the plugin');
+    assert.equal(model.state.todos.length, 0);
+    assert.ok(actions.addTodo('Allowed'));
+    assert.equal(model.state.todos[0].priority, 'high', 'By the plugin\'s next action');
+    assert.ok(document.querySelector('#todo-list .todo-item').classList.contains('priority-high'));
+    assert.deepEqual(seen, ['addTodo', 'testPluginPrioritize'], 'Not for the one turned down');
+    assert.throws(() => registerPlugin({ name: 'test-plugin' }), 'Names are unique');
+    assert.throws(() => registerPlugin({}), 'Needs a name');
+  } finally {
+    enabled = false;
+  }
+  resetState();
+  renderState();
+});
+
+testRunner.test('registerPlugin: later plugins accept first and react last, after the app', () => {
+  resetState();
+  model.addTodo('Water plants', { dueDate: dayFromToday(0), recurrence: { type: 'daily' } });
+  model.addTodo('Once');
+  // Plugins stay registered, so these turn themselves off at the end
+  let log = null;
+  const plugin = (name) => ({
+    name: 'test-order-' + name,
+    acceptors: {
+      toggleTodo: () => {
+        if (log) log.push(name + ' accepts');
+        return true;
+      }
+    },
+    reactors: [(states, step) => {
+      if (!log) return;
+      const shown = document.querySelectorAll('#todo-list .todo-item.completed').length;
+      log.push(name + ' reacts to ' + step.proposal.type + ' (' + shown + ' done)');
+    }],
+    nextActions: [(states, step) => {
+      if (log) log.push(name + ' follows ' + step.proposal.type);
+      return null;
+    }]
+  });
+  registerPlugin(plugin('first'));
+  registerPlugin(plugin('second'));
+
+  try {
+    log = [];
+    actions.toggleTodo(model.state.todos.find((t) => t.title === 'Once').id);
+    assert.deepEqual(log, [
+      'second accepts', 'first accepts',
+      'first reacts to toggleTodo (1 done)', 'second reacts to toggleTodo (1 done)',
+      'first follows toggleTodo', 'second follows toggleTodo'
+    ], 'The app rendered before the plugins reacted');
+
+    log = [];
+    actions.toggleTodo(model.state.todos.find((t) => t.title === 'Water plants').id);
+    assert.deepEqual(log, [
+      'second accepts', 'first accepts',
+      'first reacts to toggleTodo (2 done)', 'second reacts to toggleTodo (2 done)',
+      'first reacts to continueSeries (2 done)', 'second reacts to continueSeries (2 done)',
+      'first follows continueSeries', 'second follows continueSeries'
+    ], 'The app\'s next action comes first, as a step of its own');
+    assert.equal(model.state.todos.length, 3);
+  } finally {
+    log = null;
+  }
+  resetState();
+  renderState();
+});